@@ -0,0 +1,314 @@
+/**
+ * Adding Street Lamps for OSM Objects
+ * Places new highway=street_lamp nodes at clicked positions or at the tracked GPS position
+ * (see getCurrentLocation() in js/enhanced_location.js). Operator and light:method are pre-filled
+ * with the most frequent values of the nearest existing lamps. The new lamps are collected in a
+ * pending changeset, kept in the browser until they are reviewed and uploaded together (see js/osm_api.js).
+ */
+
+// localStorage key of the pending lamps
+const PENDING_LAMPS_STORAGE_KEY = 'pending_lamps';
+// Clicks on pending lamps open their popup instead of adding another lamp
+const PENDING_LAMP_STYLE = { radius: 9, color: '#00C853', weight: 3, dashArray: '4 3', fillOpacity: 0.3, bubblingMouseEvents: false };
+
+// Tags pre-filled from the nearest lamps: key -> function(props) returning the value of a lamp, see extractLightTags()
+const ADD_LAMP_PREFILL = {
+    'operator': props => props.operator,
+    'light:method': props => props.method
+};
+
+// New lamps not uploaded yet [{id, lat, lon, tags}], IDs are negative as in the upload
+let pendingLamps = [];
+// Layer of the pending lamps
+let pendingLampLayer = null;
+// Whether clicks on the map add lamps
+let addLampMode = false;
+
+/**
+ * Reads the pending lamps stored in the browser
+ * @returns {Array} Pending lamps, empty if nothing is stored or the storage is not available
+ */
+function loadPendingLamps() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_LAMPS_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.log('Could not read pending lamps:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Stores the pending lamps in the browser, so they survive reloading the page
+ */
+function savePendingLamps() {
+    try {
+        localStorage.setItem(PENDING_LAMPS_STORAGE_KEY, JSON.stringify(pendingLamps));
+    } catch (error) {
+        console.log('Could not store pending lamps:', error.message);
+    }
+}
+
+/**
+ * Gets the nearest rendered street lamps
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Array} Light properties of up to ADD_LAMP_SETTINGS.NEAREST_LAMP_COUNT lamps, nearest first
+ */
+function getNearestLamps(lat, lon) {
+    const lamps = [];
+    renderedElements.forEach(entry => {
+        const type = findObjectType(entry.element.tags);
+        if (type && type.id === 'street_lamp') {
+            const distance = getDistanceM([lat, lon], [entry.element.lat, entry.element.lon]);
+            if (distance <= ADD_LAMP_SETTINGS.MAX_NEAREST_DISTANCE_M) {
+                lamps.push({ distance: distance, props: type.extractTags(entry.element.tags) });
+            }
+        }
+    });
+    return lamps.sort((a, b) => a.distance - b.distance)
+        .slice(0, ADD_LAMP_SETTINGS.NEAREST_LAMP_COUNT)
+        .map(lamp => lamp.props);
+}
+
+/**
+ * Gets the tags of a new lamp, pre-filled with the most frequent values of the nearest lamps
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {object} Tags
+ */
+function getPrefilledLampTags(lat, lon) {
+    const tags = { highway: 'street_lamp' };
+    const nearest = getNearestLamps(lat, lon);
+    Object.keys(ADD_LAMP_PREFILL).forEach(key => {
+        // Most frequent value first, lamps without value last
+        const counts = countStatisticsValues(nearest.map(ADD_LAMP_PREFILL[key]));
+        if (counts.length > 0 && counts[0][0] !== null) {
+            tags[key] = counts[0][0];
+        }
+    });
+    return tags;
+}
+
+/**
+ * Adds a lamp to the pending changeset
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {object} Pending lamp {id, lat, lon, tags}
+ */
+function addPendingLamp(lat, lon) {
+    const id = Math.min(0, ...pendingLamps.map(lamp => lamp.id)) - 1;
+    const lamp = { id: id, lat: lat, lon: lon, tags: getPrefilledLampTags(lat, lon) };
+    pendingLamps.push(lamp);
+    savePendingLamps();
+    updatePendingLamps();
+    return lamp;
+}
+
+/**
+ * Removes a lamp from the pending changeset
+ * @param {number} id - ID of the pending lamp
+ */
+function removePendingLamp(id) {
+    pendingLamps = pendingLamps.filter(lamp => lamp.id !== id);
+    savePendingLamps();
+    updatePendingLamps();
+}
+
+/**
+ * Changes a tag of a pending lamp
+ * @param {number} id - ID of the pending lamp
+ * @param {string} key - Key
+ * @param {string} value - Value, empty to remove the key
+ */
+function setPendingLampTag(id, key, value) {
+    const lamp = pendingLamps.find(pending => pending.id === id);
+    if (lamp) {
+        lamp.tags = getEditedTags(lamp.tags, { [key]: value });
+        savePendingLamps();
+        drawPendingLamps();
+    }
+}
+
+/**
+ * Draws the pending lamps on their layer
+ */
+function drawPendingLamps() {
+    pendingLampLayer.clearLayers();
+    pendingLamps.forEach(lamp => {
+        const rows = Object.keys(lamp.tags).map(key => escapeXml(key) + '=' + escapeXml(lamp.tags[key])).join('<br>');
+        L.circleMarker([lamp.lat, lamp.lon], PENDING_LAMP_STYLE)
+            .bindPopup('<b>' + i18next.t('add_lamp_pending') + '</b><br>' + rows)
+            .addTo(pendingLampLayer);
+    });
+}
+
+/**
+ * Draws the pending lamps and updates the list
+ */
+function updatePendingLamps() {
+    drawPendingLamps();
+    if ($("#add_lamp_cont").is(":visible")) {
+        renderAddLampPanel();
+    }
+}
+
+/**
+ * Switches adding lamps by clicking the map on or off
+ * @param {boolean} active - Whether clicks add lamps
+ */
+function setAddLampMode(active) {
+    addLampMode = active;
+    $(map.getContainer()).toggleClass('add_lamp_mode', active);
+    $("#add_lamp_mode").text(i18next.t(active ? 'add_lamp_mode_stop' : 'add_lamp_mode_start'));
+}
+
+/**
+ * Adds a lamp at the tracked GPS position
+ */
+function addLampAtLocation() {
+    const position = getCurrentLocation();
+    if (!position) {
+        $("#add_lamp_message").addClass('tag_editor_error').text(i18next.t('add_lamp_no_location'));
+        return;
+    }
+    addPendingLamp(position.lat, position.lng);
+}
+
+/**
+ * Uploads the pending lamps in one changeset.
+ * The created lamps are added to the loaded rectangles with their new IDs and rendered as loaded lamps.
+ * @param {string} comment - Changeset comment
+ * @returns {Promise} Promise resolving to the upload result, see uploadOSMChanges()
+ */
+function uploadPendingLamps(comment) {
+    const create = pendingLamps.map(lamp => ({ type: 'node', id: lamp.id, lat: lamp.lat, lon: lamp.lon, tags: lamp.tags }));
+    const uploaded = pendingLamps.map(lamp => lamp.id);
+    return uploadOSMChanges({ create: create }, comment).then(result => {
+        // Lamps added during the upload stay pending
+        pendingLamps = pendingLamps.filter(lamp => !uploaded.includes(lamp.id));
+        savePendingLamps();
+        updatePendingLamps();
+        addNodesToLoadedRectangles(getCreatedLampNodes(create, result.elements));
+        MoveCall(0);
+        return result;
+    });
+}
+
+/**
+ * Gets the uploaded lamps with the IDs assigned by the OSM API
+ * @param {Array} created - Uploaded nodes with their negative IDs
+ * @param {Array} elements - Uploaded elements, see parseOSMDiffResult()
+ * @returns {Array} Nodes of the element model
+ */
+function getCreatedLampNodes(created, elements) {
+    return created.map(node => {
+        const element = elements.find(uploaded => uploaded.type === 'node' && uploaded.oldId === node.id);
+        return element ? Object.assign({}, node, { id: element.newId }) : null;
+    }).filter(node => node !== null);
+}
+
+/**
+ * Renders the list of the pending lamps with the upload form
+ */
+function renderAddLampPanel() {
+    const table = $('<table>');
+    table.append($('<tr>').append($('<th>'), ADD_LAMP_SETTINGS.EDITABLE_KEYS.map(key => $('<th>').text(key)), $('<th>')));
+    pendingLamps.forEach((lamp, index) => {
+        const row = $('<tr>').append($('<td>').append($('<a href="#">').text(index + 1).on('click', function(event) {
+            event.preventDefault();
+            map.setView([lamp.lat, lamp.lon], Math.max(map.getZoom(), 18));
+        })));
+        ADD_LAMP_SETTINGS.EDITABLE_KEYS.forEach(key => {
+            const input = $('<input type="text">').val(lamp.tags[key] || '').on('change', function() {
+                setPendingLampTag(lamp.id, key, $(this).val());
+            });
+            if (TAG_EDITOR_SUGGESTIONS[key]) {
+                input.attr('list', 'add_lamp_values_' + key.replace(':', '_'));
+            }
+            row.append($('<td>').append(input));
+        });
+        row.append($('<td>').append($('<a href="#">').text('✕').attr('title', i18next.t('add_lamp_remove')).on('click', function(event) {
+            event.preventDefault();
+            removePendingLamp(lamp.id);
+        })));
+        table.append(row);
+    });
+
+    const datalists = Object.keys(TAG_EDITOR_SUGGESTIONS).filter(key => ADD_LAMP_SETTINGS.EDITABLE_KEYS.includes(key)).map(key =>
+        $('<datalist>').attr('id', 'add_lamp_values_' + key.replace(':', '_')).append(TAG_EDITOR_SUGGESTIONS[key].map(value => $('<option>').val(value))));
+    // The comment is kept when the list is rendered again
+    const comment = $('<input type="text" id="add_lamp_comment">').attr('placeholder', i18next.t('edit_comment_placeholder'))
+        .val($("#add_lamp_comment").val() || '');
+    const login = $('<p class="tag_editor_login">');
+    const upload = $('<button type="button">').text(i18next.t('add_lamp_upload', { count: pendingLamps.length }))
+        .prop('disabled', pendingLamps.length === 0).on('click', function() {
+            const message = $("#add_lamp_message").removeClass('tag_editor_error');
+            if (!comment.val().trim()) {
+                message.addClass('tag_editor_error').text(i18next.t('edit_comment_missing'));
+                return;
+            }
+            if (!isOSMLoggedIn()) {
+                message.addClass('tag_editor_error').text(i18next.t('edit_login_missing'));
+                return;
+            }
+            upload.prop('disabled', true);
+            message.text(i18next.t('edit_uploading'));
+            uploadPendingLamps(comment.val().trim()).then(result => {
+                $("#add_lamp_message").text(i18next.t('edit_uploaded') + ' ').append(
+                    $('<a target="_blank">').attr('href', OSM_API_SETTINGS.URL + '/changeset/' + result.changeset).text(result.changeset));
+            }, error => {
+                upload.prop('disabled', false);
+                message.addClass('tag_editor_error').text(error.message);
+            });
+        });
+
+    $("#add_lamp").empty().append(
+        $('<b>').text(i18next.t('add_lamp_title')),
+        $('<p>').append(
+            $('<a href="#" id="add_lamp_mode">').text(i18next.t(addLampMode ? 'add_lamp_mode_stop' : 'add_lamp_mode_start')).on('click', function(event) {
+                event.preventDefault();
+                setAddLampMode(!addLampMode);
+            }),
+            ' | ',
+            $('<a href="#">').text(i18next.t('add_lamp_at_location')).on('click', function(event) {
+                event.preventDefault();
+                addLampAtLocation();
+            })
+        ),
+        datalists,
+        pendingLamps.length > 0 ? table : $('<p>').text(i18next.t('add_lamp_none')),
+        $('<p>').append($('<b>').text(i18next.t('edit_comment') + ': '), comment),
+        login,
+        upload,
+        $('<p id="add_lamp_message">')
+    );
+    renderTagEditorLogin(login);
+}
+
+/**
+ * Shows or hides the list of the pending lamps, adding by click is active while it is shown
+ */
+function toggleAddLampPanel() {
+    if ($("#add_lamp_cont").is(":visible")) {
+        $("#add_lamp_cont").hide();
+        setAddLampMode(false);
+        return;
+    }
+    renderAddLampPanel();
+    $("#add_lamp_cont").show();
+    setAddLampMode(true);
+}
+
+/**
+ * Creates the layer of the pending lamps and adds lamps at clicked positions while the mode is active
+ */
+function initAddLamp() {
+    pendingLampLayer = L.layerGroup().addTo(map);
+    pendingLamps = loadPendingLamps();
+    drawPendingLamps();
+    map.on('click', event => {
+        if (addLampMode) {
+            addPendingLamp(event.latlng.lat, event.latlng.lng);
+        }
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Test file for adding street lamps
+ * Run these tests to verify the pending lamps and their upload
+ */
+
+/**
+ * Test adding street lamps
+ */
+function testAddLamp() {
+    console.log("\nTesting Add Lamp...");
+    
+    const { assert, finish } = createTestSuite("Add Lamp");
+    
+    clearRenderedElements();
+    renderOSMTiles(new Map([['tile_a', { nodes: [
+        { type: 'node', id: 61, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', operator: 'City', 'light:method': 'LED' } },
+        { type: 'node', id: 62, lat: 52.5, lon: 13.4003, tags: { highway: 'street_lamp', lamp_operator: 'City', lamp_type: 'SON' } },
+        { type: 'node', id: 63, lat: 52.5, lon: 13.4006, tags: { highway: 'street_lamp', operator: 'Works', 'light:method': 'LED' } },
+        { type: 'node', id: 64, lat: 52.51, lon: 13.4, tags: { highway: 'street_lamp', operator: 'Far away', 'light:method': 'gas' } }
+    ], ways: [] }]]));
+    
+    // Test 1: Pre-filled tags
+    {
+        const tags = getPrefilledLampTags(52.5, 13.4002);
+        assert(tags.highway === 'street_lamp', "New lamps are street lamps");
+        assert(tags.operator === 'City' && tags['light:method'] === 'LED', "Most frequent values of the nearest lamps are used");
+        assert(getNearestLamps(52.5, 13.4002).every(props => props.operator !== 'Far away'), "Lamps farther than MAX_NEAREST_DISTANCE_M are ignored");
+        assert(JSON.stringify(getPrefilledLampTags(52.6, 13.4)) === JSON.stringify({ highway: 'street_lamp' }), "New lamps without existing lamps nearby are not pre-filled");
+    }
+    
+    // Test 2: Pending changeset, without touching the pending lamps stored by the page
+    {
+        const saved = pendingLamps;
+        const save = window.savePendingLamps;
+        window.savePendingLamps = () => {};
+        pendingLamps = [];
+        try {
+            const first = addPendingLamp(52.5, 13.4002);
+            const second = addPendingLamp(52.5, 13.4004);
+            assert(first.id === -1 && second.id === -2, "Pending lamps get negative IDs");
+            setPendingLampTag(second.id, 'ref', '17');
+            setPendingLampTag(second.id, 'operator', '');
+            assert(second.tags.ref === '17' && !('operator' in second.tags), "Tags of pending lamps can be changed");
+            removePendingLamp(first.id);
+            assert(pendingLamps.length === 1 && pendingLampLayer.getLayers().length === 1, "Removed lamps leave the pending changeset and the map");
+            assert(addPendingLamp(52.5, 13.4).id === -3, "IDs are not reused");
+        } finally {
+            window.savePendingLamps = save;
+            pendingLamps = saved;
+            drawPendingLamps();
+        }
+    }
+
+    // Test 3: Uploaded lamps are kept in the loaded rectangles, without touching the cache of the page
+    {
+        const savedLoaded = loadedRectangles;
+        const savedEvicted = evictedRectangles;
+        const savedSave = window.saveRectangleToStorage;
+        const savedDelete = window.deleteRectangleFromStorage;
+        const saved = [];
+        const deleted = [];
+        const loadedId = 'rect_0_52.5000_13.4000';
+        const model = { nodes: [], ways: [], objectTypes: ['street_lamp'] };
+        loadedRectangles = new Map([[loadedId, { bounds: getRectangleBounds(loadedId), data: model, timestamp: 1, status: 'loaded', lastAccess: 1, size: 0 }]]);
+        evictedRectangles = new Set(['rect_0_52.5000_13.4100', 'rect_0_52.6000_13.4000']);
+        window.saveRectangleToStorage = (rectangleId, serialized, timestamp) => saved.push([rectangleId, timestamp]);
+        window.deleteRectangleFromStorage = rectangleId => deleted.push(rectangleId);
+        try {
+            const created = [
+                { type: 'node', id: -1, lat: 52.5005, lon: 13.4005, tags: { highway: 'street_lamp' } },
+                { type: 'node', id: -2, lat: 52.5005, lon: 13.4105, tags: { highway: 'street_lamp' } }
+            ];
+            const nodes = getCreatedLampNodes(created, [{ type: 'node', oldId: -2, newId: 902, newVersion: 1 }, { type: 'node', oldId: -1, newId: 901, newVersion: 1 }]);
+            assert(nodes.length === 2 && nodes[0].id === 901 && nodes[1].id === 902 && nodes[0].tags.highway === 'street_lamp', "Uploaded lamps get the IDs of the OSM API");
+
+            const changed = addNodesToLoadedRectangles(nodes);
+            const data = loadedRectangles.get(loadedId).data;
+            assert(changed.length === 1 && data !== model && data.nodes.length === 1 && data.nodes[0].id === 901, "Lamps are added to the loaded rectangle containing them");
+            assert(data.objectTypes === model.objectTypes && loadedRectangles.get(loadedId).timestamp === 1, "Queried object types and loading time are kept");
+            assert(!RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED || (saved.length === 1 && saved[0][1] === 1), "Changed rectangles are persisted with their loading time");
+            assert(deleted.length === 1 && deleted[0] === 'rect_0_52.5000_13.4100' && evictedRectangles.size === 1, "Evicted rectangles containing lamps are loaded again");
+        } finally {
+            loadedRectangles = savedLoaded;
+            evictedRectangles = savedEvicted;
+            window.saveRectangleToStorage = savedSave;
+            window.deleteRectangleFromStorage = savedDelete;
+        }
+    }
+
+    clearRenderedElements();
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testAddLamp = testAddLamp;
@@ -9,6 +9,12 @@
 function testBenchIcons() {
     console.log("Testing bench icon selection...");
     
+    // Icon of a bench with the given tags, resolved by the bench object type
+    function benchIcon(tags) {
+        const benchType = getObjectType("bench");
+        return benchType.getIcon(benchType.extractTags(Object.assign({ amenity: "bench" }, tags)));
+    }
+    
     let passed = 0;
     let failed = 0;
     
@@ -22,56 +28,56 @@ function testBenchIcons() {
         }
     }
     
-    // Test that getMarkerIcon function exists and handles new parameters
+    // Test that the bench object type resolves icons
     {
-        const icon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", null, null, null, null, null);
+        const icon = benchIcon({ backrest: "yes" });
         assert(typeof icon === 'object', "getMarkerIcon returns object for bench with backrest");
     }
     
     // Test bench icon selection priority with enhanced combinations
     {
         // Test lit bench combinations (highest priority)
-        const litWoodIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", "wood", null, null, "yes", "yes");
+        const litWoodIcon = benchIcon({ backrest: "yes", material: "wood", lit: "yes", bin: "yes" });
         assert(litWoodIcon.options.html.includes('bench_wood_lit.svg'), "Wood lit bench uses bench_wood_lit icon");
         
-        const litMetalIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", "metal", null, null, "yes", "yes");
+        const litMetalIcon = benchIcon({ backrest: "yes", material: "metal", lit: "yes", bin: "yes" });
         assert(litMetalIcon.options.html.includes('bench_metal_lit.svg'), "Metal lit bench uses bench_metal_lit icon");
         
-        const litIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", null, null, null, "yes", "yes");
+        const litIcon = benchIcon({ backrest: "yes", lit: "yes", bin: "yes" });
         assert(litIcon.options.html.includes('bench_lit.svg'), "Generic lit bench uses bench_lit icon");
         
         // Test bin bench combinations (second priority)
-        const binWoodIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", "wood", null, null, null, "yes");
+        const binWoodIcon = benchIcon({ backrest: "yes", material: "wood", bin: "yes" });
         assert(binWoodIcon.options.html.includes('bench_wood_bin.svg'), "Wood bench with bin uses bench_wood_bin icon");
         
-        const binMetalIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", "metal", null, null, null, "yes");
+        const binMetalIcon = benchIcon({ backrest: "yes", material: "metal", bin: "yes" });
         assert(binMetalIcon.options.html.includes('bench_metal_bin.svg'), "Metal bench with bin uses bench_metal_bin icon");
         
-        const binIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", null, null, null, null, "yes");
+        const binIcon = benchIcon({ backrest: "yes", bin: "yes" });
         assert(binIcon.options.html.includes('bench_bin.svg'), "Generic bench with bin uses bench_bin icon");
         
         // Test wood material
-        const woodIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, null, "wood", null, null, null, null);
+        const woodIcon = benchIcon({ material: "wood" });
         assert(woodIcon.options.html.includes('bench_wood.svg'), "Wood bench uses bench_wood icon");
         
         // Test metal material
-        const metalIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, null, "metal", null, null, null, null);
+        const metalIcon = benchIcon({ material: "metal" });
         assert(metalIcon.options.html.includes('bench_metal.svg'), "Metal bench uses bench_metal icon");
         
         // Test steel (same as metal)
-        const steelIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, null, "steel", null, null, null, null);
+        const steelIcon = benchIcon({ material: "steel" });
         assert(steelIcon.options.html.includes('bench_metal.svg'), "Steel bench uses bench_metal icon");
         
         // Test backrest yes
-        const backrestIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "yes", null, null, null, null, null);
+        const backrestIcon = benchIcon({ backrest: "yes" });
         assert(backrestIcon.options.html.includes('bench_backrest.svg'), "Bench with backrest uses bench_backrest icon");
         
         // Test no backrest
-        const noBackrestIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, "no", null, null, null, null, null);
+        const noBackrestIcon = benchIcon({ backrest: "no" });
         assert(noBackrestIcon.options.html.includes('bench_no_backrest.svg'), "Bench without backrest uses bench_no_backrest icon");
         
         // Test default bench
-        const defaultIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, null, null, null, null, null, null);
+        const defaultIcon = benchIcon({});
         assert(defaultIcon.options.html.includes('bench.svg'), "Default bench uses bench icon");
     }
     
@@ -144,7 +150,7 @@ function testBenchSVGFiles() {
     
     expectedFiles.forEach(filename => {
         // We can't easily test file existence in browser, but we can test the icon generation includes the right filename
-        const testIcon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, null, null, null, null, null, null);
+        const testIcon = getObjectType("bench").getIcon(getObjectType("bench").extractTags({ amenity: "bench" }));
         assert(typeof testIcon === 'object', `Icon object created for ${filename}`);
     });
     
@@ -35,6 +35,19 @@ function createClusteredLayerGroup(options = {}) {
         this.rebuildClusters();
     };
     
+    clusterGroup.addMarkers = function(newMarkers) {
+        markers.push(...newMarkers);
+        this.rebuildClusters();
+    };
+    
+    clusterGroup.removeMarkers = function(oldMarkers) {
+        const removed = new Set(oldMarkers);
+        const kept = markers.filter(marker => !removed.has(marker));
+        markers.length = 0;
+        markers.push(...kept);
+        this.rebuildClusters();
+    };
+    
     clusterGroup.clearMarkers = function() {
         markers.length = 0;
         this.clearLayers();
@@ -0,0 +1,105 @@
+/**
+ * Editor Links for OSM Objects
+ * Builds the "edit in" link of the popups and the menu of the other editors (see getObjectLinks() in js/object_types.js).
+ * Web editors are deep-linked to the element, JOSM is controlled by js/josm_remote.js and Vespucci
+ * is opened with a geo intent, which carries the position only.
+ * The default editor and the editors of the menu are set in EDITOR_SETTINGS.
+ */
+
+// Editors: ID -> {label, getUrl(view) returning the link, null for JOSM}, see getEditorView() for the view
+const EDITORS = {
+    josm: {
+        label: 'JOSM',
+        getUrl: null
+    },
+    id: {
+        label: 'iD',
+        // The preset hint limits the preset list of iD to the type of the element
+        getUrl: view => EDITOR_SETTINGS.ID_URL + '?editor=id&' + view.type + '=' + view.id +
+            '#map=' + view.zoom + '/' + view.lat + '/' + view.lon + (view.preset ? '&presets=' + encodeURIComponent(view.preset) : '')
+    },
+    rapid: {
+        label: 'Rapid',
+        getUrl: view => EDITOR_SETTINGS.RAPID_URL + '#id=' + view.objectId + '&map=' + view.zoom + '/' + view.lat + '/' + view.lon
+    },
+    level0: {
+        label: 'Level0',
+        getUrl: view => EDITOR_SETTINGS.LEVEL0_URL + '?url=' + view.objectId
+    },
+    vespucci: {
+        label: 'Vespucci',
+        getUrl: view => 'geo:' + view.lat + ',' + view.lon + '?z=' + view.zoom
+    }
+};
+
+/**
+ * Gets the position, zoom and iD preset of an element as passed to the editors
+ * @param {object} element - Element from the element model
+ * @returns {object} View {type, id, objectId, lat, lon, zoom, preset}
+ */
+function getEditorView(element) {
+    const view = { type: element.type, id: element.id, objectId: getJOSMObjectId(element), zoom: EDITOR_SETTINGS.ZOOM };
+    if (element.type === 'node') {
+        view.lat = element.lat;
+        view.lon = element.lon;
+    } else {
+        const bounds = L.latLngBounds(element.geometry);
+        view.lat = bounds.getCenter().lat;
+        view.lon = bounds.getCenter().lng;
+        view.zoom = Math.min(EDITOR_SETTINGS.ZOOM, map.getBoundsZoom(bounds));
+    }
+    // Six decimals are below 0.2 m
+    view.lat = Number(view.lat.toFixed(6));
+    view.lon = Number(view.lon.toFixed(6));
+    const type = findObjectType(element.tags);
+    const preset = type && type.idPreset;
+    view.preset = typeof preset === 'function' ? preset(element.tags) : preset || null;
+    return view;
+}
+
+/**
+ * Builds the link opening an element in an editor
+ * @param {string} editorId - Editor ID in EDITORS
+ * @param {object} element - Element from the element model
+ * @param {string} text - Link text
+ * @returns {string} HTML
+ */
+function getEditorLink(editorId, element, text) {
+    const editor = EDITORS[editorId];
+    if (!editor.getUrl) {
+        return "<a href='#' onclick='openinJOSM(\"" + element.type + "\",\"" + element.id + "\"); return false;'>" + escapeXml(text) + "</a>";
+    }
+    return "<a href='" + escapeXml(editor.getUrl(getEditorView(element))) + "' target='_blank'>" + escapeXml(text) + "</a>";
+}
+
+/**
+ * Gets the editor of the "edit in" link
+ * @returns {string} Editor ID, JOSM if EDITOR_SETTINGS.DEFAULT is unknown
+ */
+function getDefaultEditorId() {
+    return EDITORS[EDITOR_SETTINGS.DEFAULT] ? EDITOR_SETTINGS.DEFAULT : 'josm';
+}
+
+/**
+ * Builds the "edit in" link of the default editor
+ * @param {object} element - Element from the element model
+ * @returns {string} HTML
+ */
+function getDefaultEditorLink(element) {
+    const editorId = getDefaultEditorId();
+    return getEditorLink(editorId, element, i18next.t('editor_open', { editor: EDITORS[editorId].label, interpolation: { escapeValue: false } }));
+}
+
+/**
+ * Builds the menu of the other editors shown below the links of the popups
+ * @param {object} element - Element from the element model
+ * @returns {string} HTML, empty without other editors
+ */
+function getEditorMenu(element) {
+    const editorIds = EDITOR_SETTINGS.MENU.filter(editorId => editorId !== getDefaultEditorId() && EDITORS[editorId]);
+    if (editorIds.length === 0) {
+        return '';
+    }
+    return "<details class='editor_menu'><summary>" + escapeXml(i18next.t('editor_more')) + "</summary>" +
+        editorIds.map(editorId => getEditorLink(editorId, element, EDITORS[editorId].label)).join(' | ') + "</details>";
+}
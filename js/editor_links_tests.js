@@ -0,0 +1,60 @@
+/**
+ * Test file for the editor links of the popups
+ * Run these tests to verify the deep links to the editors
+ */
+
+/**
+ * Test the links to the editors in the popups
+ */
+function testEditorLinks() {
+    console.log("\nTesting Editor Links...");
+    
+    const { assert, finish } = createTestSuite("Editor Links");
+    
+    const lamp = { type: 'node', id: 81, lat: 52.5000004, lon: 13.4, tags: { highway: 'street_lamp' } };
+    const way = { type: 'way', id: 82, tags: { highway: 'residential', lit: 'yes' }, geometry: [[52.5, 13.4], [52.501, 13.402]] };
+    
+    // Test 1: Position, zoom and preset
+    {
+        const view = getEditorView(lamp);
+        assert(view.lat === 52.5 && view.lon === 13.4 && view.zoom === EDITOR_SETTINGS.ZOOM, "Nodes are shown at their position with the configured zoom");
+        assert(view.objectId === 'n81' && view.preset === 'highway/street_lamp', "Views have the element ID and the iD preset of the object type");
+        const wayView = getEditorView(way);
+        assert(wayView.lat === 52.5005 && wayView.lon === 13.401 && wayView.zoom <= EDITOR_SETTINGS.ZOOM, "Ways are shown at the centre of their geometry");
+        assert(wayView.preset === 'highway/residential', "Presets of ways depend on their tags");
+    }
+    
+    // Test 2: Deep links
+    {
+        const view = getEditorView(lamp);
+        assert(EDITORS.id.getUrl(view) === EDITOR_SETTINGS.ID_URL + '?editor=id&node=81#map=19/52.5/13.4&presets=highway%2Fstreet_lamp', "iD links select the element with a preset hint");
+        assert(EDITORS.rapid.getUrl(view) === EDITOR_SETTINGS.RAPID_URL + '#id=n81&map=19/52.5/13.4', "Rapid links select the element");
+        assert(EDITORS.level0.getUrl(view) === EDITOR_SETTINGS.LEVEL0_URL + '?url=n81', "Level0 links load the element");
+        assert(EDITORS.vespucci.getUrl(view) === 'geo:52.5,13.4?z=19', "Vespucci is opened with a geo intent");
+    }
+    
+    // Test 3: Popup links
+    {
+        const saved = EDITOR_SETTINGS.DEFAULT;
+        EDITOR_SETTINGS.DEFAULT = 'rapid';
+        const html = getObjectLinks(lamp);
+        assert(html.indexOf('rapideditor.org') < html.indexOf('show in OSM'), "The default editor is linked first");
+        assert(html.indexOf("openinJOSM(\"node\",\"81\")") > html.indexOf('<details') && html.indexOf('>Rapid</a>') === -1, "The other editors are in the menu");
+        EDITOR_SETTINGS.DEFAULT = 'unknown';
+        assert(getObjectLinks(lamp).indexOf("openinJOSM") < getObjectLinks(lamp).indexOf('<details'), "Unknown default editors fall back to JOSM");
+        EDITOR_SETTINGS.DEFAULT = saved;
+    }
+    
+    // Test 4: Tag values cannot leave the link attribute
+    {
+        const crafted = Object.assign({}, way, { tags: { highway: "x' onmouseover='alert(1)", lit: 'yes' } });
+        const link = $(getEditorLink('id', crafted, 'iD'));
+        assert(link.length === 1 && link.attr('onmouseover') === undefined, "Quotes in tag values are escaped");
+        assert(link.attr('href') === EDITORS.id.getUrl(getEditorView(crafted)), "Links keep the URL of the editor");
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testEditorLinks = testEditorLinks;
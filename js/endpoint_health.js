@@ -0,0 +1,226 @@
+/**
+ * Endpoint Health Tracking for OSM Objects
+ * Scores the endpoints in OVERPASS_ENDPOINTS by latency, recent errors and
+ * rate limiting, so requests are routed to the healthiest endpoint first
+ */
+
+// Configuration for endpoint health tracking
+const ENDPOINT_HEALTH_CONFIG = {
+    // Weight of the newest measurement in the smoothed latency
+    LATENCY_SMOOTHING: 0.3,
+    // Errors and 429 responses older than this are forgotten, in milliseconds
+    ERROR_WINDOW_MS: 5 * 60 * 1000,
+    // Latency assumed for endpoints without measurements, in milliseconds
+    UNKNOWN_LATENCY_MS: 2000,
+    // Score penalties
+    LATENCY_PENALTY_PER_SECOND: 10,
+    MAX_LATENCY_PENALTY: 40,
+    ERROR_PENALTY: 15,
+    RATE_LIMIT_PENALTY: 10,
+    // Consecutive failures before an endpoint is put into cooldown
+    COOLDOWN_AFTER_FAILURES: 2,
+    // Cooldown after failures, doubled with every further failure, in milliseconds
+    COOLDOWN_MS: 60 * 1000,
+    MAX_COOLDOWN_MS: 10 * 60 * 1000,
+    // Cooldown after a 429 Too Many Requests response, in milliseconds
+    RATE_LIMIT_COOLDOWN_MS: 30 * 1000,
+    // Refresh interval of the diagnostics panel, in milliseconds
+    DIAGNOSTICS_REFRESH_MS: 2000
+};
+
+// Health records per endpoint
+let endpointHealth = new Map(); // endpoint -> {latency, requests, errors, rateLimits, consecutiveFailures, cooldownUntil, lastError}
+let endpointDiagnosticsTimer = null;
+
+/**
+ * Gets the health record of an endpoint, creating it on first use
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @returns {object} Health record
+ */
+function getEndpointHealth(endpoint) {
+    if (!endpointHealth.has(endpoint)) {
+        endpointHealth.set(endpoint, {
+            latency: null,
+            requests: 0,
+            errors: [],
+            rateLimits: [],
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            lastError: null
+        });
+    }
+    return endpointHealth.get(endpoint);
+}
+
+/**
+ * Drops errors and 429 responses outside the error window
+ * @param {object} health - Health record
+ */
+function pruneEndpointHealth(health) {
+    const cutoff = Date.now() - ENDPOINT_HEALTH_CONFIG.ERROR_WINDOW_MS;
+    health.errors = health.errors.filter(time => time > cutoff);
+    health.rateLimits = health.rateLimits.filter(time => time > cutoff);
+}
+
+/**
+ * Records a successful request
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @param {number} latencyMs - Duration of the request in milliseconds
+ */
+function recordEndpointSuccess(endpoint, latencyMs) {
+    const health = getEndpointHealth(endpoint);
+    const smoothing = ENDPOINT_HEALTH_CONFIG.LATENCY_SMOOTHING;
+
+    health.latency = health.latency === null ? latencyMs : (1 - smoothing) * health.latency + smoothing * latencyMs;
+    health.requests++;
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = 0;
+}
+
+/**
+ * Records a failed request and puts the endpoint into cooldown if needed
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @param {number} status - HTTP status code (0 for network errors)
+ * @param {string} textStatus - jQuery error status (e.g., "timeout")
+ */
+function recordEndpointFailure(endpoint, status, textStatus) {
+    const health = getEndpointHealth(endpoint);
+    const now = Date.now();
+
+    health.requests++;
+    health.lastError = status ? `HTTP ${status}` : textStatus;
+
+    if (status === 429) {
+        health.rateLimits.push(now);
+        health.cooldownUntil = Math.max(health.cooldownUntil, now + ENDPOINT_HEALTH_CONFIG.RATE_LIMIT_COOLDOWN_MS);
+        return;
+    }
+
+    health.errors.push(now);
+    health.consecutiveFailures++;
+
+    const extraFailures = health.consecutiveFailures - ENDPOINT_HEALTH_CONFIG.COOLDOWN_AFTER_FAILURES;
+    if (extraFailures >= 0) {
+        const cooldown = Math.min(ENDPOINT_HEALTH_CONFIG.COOLDOWN_MS * Math.pow(2, extraFailures), ENDPOINT_HEALTH_CONFIG.MAX_COOLDOWN_MS);
+        health.cooldownUntil = Math.max(health.cooldownUntil, now + cooldown);
+        console.log(`Endpoint ${endpoint} in cooldown for ${Math.round(cooldown / 1000)}s after ${health.consecutiveFailures} failures`);
+    }
+}
+
+/**
+ * Checks if an endpoint is in cooldown
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @returns {boolean} True if the endpoint should not be used right now
+ */
+function isEndpointCoolingDown(endpoint) {
+    return getEndpointHealth(endpoint).cooldownUntil > Date.now();
+}
+
+/**
+ * Calculates the health score of an endpoint
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @returns {number} Score from 0 (unusable) to 100 (healthy)
+ */
+function getEndpointScore(endpoint) {
+    if (isEndpointCoolingDown(endpoint)) {
+        return 0;
+    }
+
+    const health = getEndpointHealth(endpoint);
+    pruneEndpointHealth(health);
+
+    const latency = health.latency === null ? ENDPOINT_HEALTH_CONFIG.UNKNOWN_LATENCY_MS : health.latency;
+    let score = 100;
+    score -= Math.min(latency / 1000 * ENDPOINT_HEALTH_CONFIG.LATENCY_PENALTY_PER_SECOND, ENDPOINT_HEALTH_CONFIG.MAX_LATENCY_PENALTY);
+    score -= health.errors.length * ENDPOINT_HEALTH_CONFIG.ERROR_PENALTY;
+    score -= health.rateLimits.length * ENDPOINT_HEALTH_CONFIG.RATE_LIMIT_PENALTY;
+
+    return Math.max(Math.round(score), 1);
+}
+
+/**
+ * Gets all endpoints ordered from healthiest to least healthy.
+ * Endpoints in cooldown come last, the one available soonest first.
+ * Endpoints with equal scores keep their order from OVERPASS_ENDPOINTS.
+ * @returns {Array} Endpoints
+ */
+function getRankedEndpoints() {
+    return OVERPASS_ENDPOINTS.map((endpoint, index) => ({
+        endpoint: endpoint,
+        index: index,
+        score: getEndpointScore(endpoint),
+        cooldownUntil: getEndpointHealth(endpoint).cooldownUntil
+    })).sort((a, b) => {
+        if (a.score === 0 && b.score === 0) {
+            return a.cooldownUntil - b.cooldownUntil;
+        }
+        return (b.score - a.score) || (a.index - b.index);
+    }).map(entry => entry.endpoint);
+}
+
+/**
+ * Selects the healthiest endpoint that has not been tried yet
+ * @param {Array} triedEndpoints - Endpoints that already failed for the request
+ * @returns {string|null} Endpoint or null if all endpoints were tried
+ */
+function selectOverpassEndpoint(triedEndpoints = []) {
+    const endpoint = getRankedEndpoints().find(candidate => !triedEndpoints.includes(candidate));
+    return endpoint || null;
+}
+
+/**
+ * Gets the health of all endpoints for diagnostics
+ * @returns {Array} Array of {endpoint, score, latency, requests, errors, rateLimits, cooldown, lastError}
+ */
+function getEndpointHealthStats() {
+    const now = Date.now();
+    return OVERPASS_ENDPOINTS.map(endpoint => {
+        const health = getEndpointHealth(endpoint);
+        pruneEndpointHealth(health);
+        return {
+            endpoint: endpoint,
+            score: getEndpointScore(endpoint),
+            latency: health.latency === null ? null : Math.round(health.latency),
+            requests: health.requests,
+            errors: health.errors.length,
+            rateLimits: health.rateLimits.length,
+            cooldown: Math.max(0, Math.ceil((health.cooldownUntil - now) / 1000)),
+            lastError: health.lastError
+        };
+    });
+}
+
+/**
+ * Renders the endpoint diagnostics panel
+ */
+function renderEndpointDiagnostics() {
+    const rows = getEndpointHealthStats().map(stats => {
+        const host = stats.endpoint.split('/')[0];
+        const latency = stats.latency === null ? '-' : `${stats.latency} ms`;
+        const state = stats.cooldown > 0 ? i18next.t('endpoint_state_cooldown', { seconds: stats.cooldown }) : i18next.t('endpoint_state_ok');
+        return `<tr><td>${host}</td><td>${stats.score}</td><td>${latency}</td>` +
+            `<td>${stats.errors}</td><td>${stats.rateLimits}</td><td>${state}</td></tr>`;
+    });
+
+    $("#endpoint_diagnostics").html(
+        '<table><tr>' + ['endpoint_host', 'endpoint_score', 'endpoint_latency', 'endpoint_errors', 'endpoint_rate_limits', 'endpoint_state']
+            .map(key => '<th>' + i18next.t(key) + '</th>').join('') + '</tr>' +
+        rows.join('') + '</table>'
+    );
+}
+
+/**
+ * Shows or hides the endpoint diagnostics panel
+ */
+function toggleEndpointDiagnostics() {
+    if (endpointDiagnosticsTimer) {
+        clearInterval(endpointDiagnosticsTimer);
+        endpointDiagnosticsTimer = null;
+        $("#endpoint_diagnostics_cont").hide();
+        return;
+    }
+
+    renderEndpointDiagnostics();
+    $("#endpoint_diagnostics_cont").show();
+    endpointDiagnosticsTimer = setInterval(renderEndpointDiagnostics, ENDPOINT_HEALTH_CONFIG.DIAGNOSTICS_REFRESH_MS);
+}
@@ -0,0 +1,186 @@
+/**
+ * Export for OSM Objects
+ * Formats generated files and offers them for download without a server.
+ * The visible objects are exported as GeoJSON, CSV or GPX with the properties of their object types
+ * (see extractTags in js/object_types.js). Lamps hidden by the light filter are not exported.
+ */
+
+// Object types included in the export of the visible objects
+const EXPORT_OBJECT_TYPES = ['street_lamp', 'aviation_light', 'bench', 'lit_way'];
+
+/**
+ * Formats one CSV field, quoting values with separators, quotes or line breaks
+ * @param {*} value - Field value, undefined and null give an empty field
+ * @returns {string} CSV field
+ */
+function formatCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Formats rows as CSV (RFC 4180)
+ * @param {Array} rows - Rows as arrays of field values, the first row is usually the header
+ * @returns {string} CSV text
+ */
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Gets a file name with the current date, e.g. "statistics_2024-05-01.csv"
+ * @param {string} name - Name of the content
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name
+ */
+function getExportFileName(name, extension) {
+    return name + '_' + new Date().toISOString().substr(0, 10) + '.' + extension;
+}
+
+/**
+ * Offers a text file for download
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ * @param {string} text - File content
+ */
+function downloadTextFile(fileName, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType + ';charset=utf-8' }));
+    const link = $('<a>').attr({ href: url, download: fileName }).appendTo('body');
+    link[0].click();
+    link.remove();
+    // Revoke after the download started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Gets the exported properties of an element, the properties of its object type without empty or structured values
+ * @param {object} type - Object type, see OBJECT_TYPES
+ * @param {object} element - Element from the element model
+ * @returns {object} Properties {osm_id, object_type, ...}, osm_id as "type/id"
+ */
+function getExportProperties(type, element) {
+    const properties = { osm_id: element.type + '/' + element.id, object_type: type.id };
+    const props = type.extractTags(element.tags);
+    Object.keys(props).forEach(key => {
+        if (props[key] !== undefined && props[key] !== null && typeof props[key] !== 'object') {
+            properties[key] = props[key];
+        }
+    });
+    return properties;
+}
+
+/**
+ * Collects the rendered objects in view
+ * @param {L.LatLngBounds} bounds - View bounds, defaults to the map bounds
+ * @returns {Array} Objects [{element, properties}], ways are included if any of their points is in view
+ */
+function collectExportObjects(bounds = map.getBounds()) {
+    const objects = [];
+    renderedElements.forEach(entry => {
+        const element = entry.element;
+        const type = findObjectType(element.tags);
+        if (!type || entry.hidden || !EXPORT_OBJECT_TYPES.includes(type.id)) {
+            return;
+        }
+        const inView = element.type === 'node' ?
+            bounds.contains([element.lat, element.lon]) :
+            (element.geometry || []).some(point => bounds.contains(point));
+        if (inView) {
+            objects.push({ element: element, properties: getExportProperties(type, element) });
+        }
+    });
+    return objects;
+}
+
+/**
+ * Gets the position of an object for formats with one position per row
+ * @param {object} element - Element from the element model
+ * @returns {Array} Position [lat, lon], ways give the middle of their bounding box
+ */
+function getExportPosition(element) {
+    if (element.type === 'node') {
+        return [element.lat, element.lon];
+    }
+    const bounds = L.latLngBounds(element.geometry);
+    return [bounds.getCenter().lat, bounds.getCenter().lng];
+}
+
+/**
+ * Formats objects as GeoJSON, nodes as points and ways as lines
+ * @param {Array} objects - Objects, see collectExportObjects()
+ * @returns {string} GeoJSON FeatureCollection
+ */
+function formatExportGeoJson(objects) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: objects.map(object => ({
+            type: 'Feature',
+            id: object.properties.osm_id,
+            geometry: object.element.type === 'node' ?
+                { type: 'Point', coordinates: [object.element.lon, object.element.lat] } :
+                { type: 'LineString', coordinates: object.element.geometry.map(point => [point[1], point[0]]) },
+            properties: object.properties
+        }))
+    }, null, 1);
+}
+
+/**
+ * Formats objects as CSV with one column per property
+ * @param {Array} objects - Objects, see collectExportObjects()
+ * @returns {string} CSV with columns osm_id, object_type, lat, lon and the properties of all objects
+ */
+function formatExportCsv(objects) {
+    const columns = ['osm_id', 'object_type', 'lat', 'lon'];
+    objects.forEach(object => Object.keys(object.properties).forEach(key => {
+        if (!columns.includes(key)) {
+            columns.push(key);
+        }
+    }));
+    const rows = objects.map(object => {
+        const position = getExportPosition(object.element);
+        const values = Object.assign({ lat: position[0], lon: position[1] }, object.properties);
+        return columns.map(column => values[column]);
+    });
+    return formatCsv([columns].concat(rows));
+}
+
+/**
+ * Formats objects as GPX, nodes as waypoints and ways as tracks
+ * @param {Array} objects - Objects, see collectExportObjects()
+ * @returns {string} GPX 1.1 document
+ */
+function formatExportGpx(objects) {
+    const describe = properties => Object.keys(properties)
+        .filter(key => key !== 'osm_id' && key !== 'object_type')
+        .map(key => key + '=' + properties[key]).join('; ');
+    const content = object =>
+        '<name>' + escapeXml(object.properties.ref || object.properties.osm_id) + '</name>' +
+        '<desc>' + escapeXml(describe(object.properties)) + '</desc>' +
+        '<type>' + escapeXml(object.properties.object_type) + '</type>';
+
+    const waypoints = objects.filter(object => object.element.type === 'node').map(object =>
+        '<wpt lat="' + object.element.lat + '" lon="' + object.element.lon + '">' + content(object) + '</wpt>');
+    const tracks = objects.filter(object => object.element.type !== 'node').map(object =>
+        '<trk>' + content(object) + '<trkseg>' +
+        object.element.geometry.map(point => '<trkpt lat="' + point[0] + '" lon="' + point[1] + '"/>').join('') +
+        '</trkseg></trk>');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="OSMObjects" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        waypoints.concat(tracks).join('\n') + '\n</gpx>\n';
+}
+
+/**
+ * Exports the visible objects
+ * @param {string} format - "geojson", "csv" or "gpx"
+ */
+function exportVisibleObjects(format) {
+    const objects = collectExportObjects();
+    if (format === 'geojson') {
+        downloadTextFile(getExportFileName('osm_objects', 'geojson'), 'application/geo+json', formatExportGeoJson(objects));
+    } else if (format === 'csv') {
+        downloadTextFile(getExportFileName('osm_objects', 'csv'), 'text/csv', formatExportCsv(objects));
+    } else if (format === 'gpx') {
+        downloadTextFile(getExportFileName('osm_objects', 'gpx'), 'application/gpx+xml', formatExportGpx(objects));
+    }
+}
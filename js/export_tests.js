@@ -0,0 +1,70 @@
+/**
+ * Test file for the export of the visible objects
+ * Run these tests to verify the exported files and the selection of the objects
+ */
+
+/**
+ * Test export of the visible objects
+ */
+function testObjectExport() {
+    console.log("\nTesting Object Export...");
+    
+    const { assert, finish } = createTestSuite("Object Export");
+    
+    const isLayerActive = isObjectLayerActive;
+    isObjectLayerActive = id => id === 'lit_streets' || id === 'benches' || isLayerActive(id);
+    const previousFilter = lightFilter;
+    lightFilter = createEmptyLightFilter();
+    clearRenderedElements();
+    
+    const bounds = L.latLngBounds([52.49, 13.39], [52.51, 13.41]);
+    renderOSMTiles(new Map([['tile_a', { nodes: [
+        { type: 'node', id: 61, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', lamp_operator: 'A & B', lamp_ref: '7', 'light:method': 'LED' } },
+        { type: 'node', id: 62, lat: 52.5, lon: 13.401, tags: { highway: 'street_lamp', 'light:method': 'SON' } },
+        { type: 'node', id: 63, lat: 52.6, lon: 13.4, tags: { highway: 'street_lamp' } },
+        { type: 'node', id: 64, lat: 52.5, lon: 13.402, tags: { amenity: 'bench', material: 'wood' } },
+        { type: 'node', id: 65, lat: 52.5, lon: 13.403, tags: { amenity: 'waste_basket' } }
+    ], ways: [
+        { type: 'way', id: 66, geometry: [[52.5, 13.405], [52.5, 13.42]], tags: { highway: 'footway', lit: 'yes' } }
+    ] }]]));
+    
+    // Test 1: Objects in view with normalised properties
+    {
+        const objects = collectExportObjects(bounds);
+        assert(objects.map(object => object.properties.osm_id).join(',') === 'node/61,node/62,node/64,way/66', "Street lamps, benches and lit ways in view are exported");
+        const lamp = objects[0].properties;
+        assert(lamp.operator === 'A & B' && lamp.ref === '7' && lamp.method === 'LED' && lamp.object_type === 'street_lamp', "Normalised tags are exported");
+        assert(objects[3].properties.lit === 'yes' && objects[3].properties.highway === 'footway', "Ways keep their lit tag");
+        
+        lightFilter = Object.assign(createEmptyLightFilter(), { method: 'LED' });
+        applyRenderedFilter();
+        assert(!collectExportObjects(bounds).some(object => object.properties.osm_id === 'node/62'), "Lamps hidden by the filter are not exported");
+        lightFilter = createEmptyLightFilter();
+        applyRenderedFilter();
+    }
+    
+    // Test 2: Formats
+    {
+        const objects = collectExportObjects(bounds);
+        const geojson = JSON.parse(formatExportGeoJson(objects));
+        assert(geojson.features.length === 4 && JSON.stringify(geojson.features[0].geometry.coordinates) === '[13.4,52.5]', "GeoJSON points are in lon, lat order");
+        assert(geojson.features[3].geometry.type === 'LineString', "Ways are exported as lines");
+        
+        const csv = formatExportCsv(objects).split('\r\n');
+        assert(csv[0].indexOf('osm_id,object_type,lat,lon,') === 0 && csv[0].includes('operator') && csv[0].includes('material'), "CSV has position and property columns");
+        assert(csv[1].indexOf('node/61,street_lamp,52.5,13.4,') === 0 && csv.length === 6, "CSV has one row per object");
+        
+        const gpx = formatExportGpx(objects);
+        assert((gpx.match(/<wpt /g) || []).length === 3 && (gpx.match(/<trk>/g) || []).length === 1, "GPX has waypoints for nodes and tracks for ways");
+        assert(gpx.includes('<name>7</name>') && gpx.includes('operator=A &amp; B'), "GPX waypoints are named by ref and escaped");
+    }
+    
+    clearRenderedElements();
+    lightFilter = previousFilter;
+    isObjectLayerActive = isLayerActive;
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testObjectExport = testObjectExport;
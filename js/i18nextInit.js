@@ -31,14 +31,35 @@ function updateContent() {
   $("#lang").attr('title', i18next.t("lang_select"));
   
   $("#layer_street_lights_lowzoom").html(i18next.t("layer_street_lights_lowzoom"));
-  $("#layer_street_lights").html(i18next.t("layer_street_lights"));
-  $("#layer_aviation_lights").html(i18next.t("layer_aviation"));
-  $("#layer_lit_streets").html(i18next.t("layer_lit_streets"));
-  $("#layer_unlit_streets").html(i18next.t("layer_unlit_streets"));
+  translateObjectLayers();
   
   $("#update_lowzoom_data").html(i18next.t("update_lowzoom_data"));
   $("#load_lowzoom_data").html(i18next.t("load_lowzoom_data"));
   $("#clear_lowzoom_data").html(i18next.t("clear_lowzoom_data"));
+  $("#lightfilter").html(i18next.t("filter_link"));
+  $("#statisticslink").html(i18next.t("statistics_link"));
+  $("#exportlabel").html(i18next.t("export_label"));
+  $("#qualitylink").html(i18next.t("quality_link"));
+  $("#registerlink").html(i18next.t("register_link"));
+  $("#addlamplink").html(i18next.t("add_lamp_link"));
+  $("#endpointstats").html(i18next.t("endpoint_link"));
+  $("#register_title").html(i18next.t("register_title"));
+  $("#register_hint").html(i18next.t("register_hint"));
+  $("#layer_register").html(i18next.t("layer_register"));
+  renderRegisterPanel();
+  renderThematicSelect();
+  updateStatisticsPanel();
+  updateQualityPanel();
+  if ($("#endpoint_diagnostics_cont").is(":visible")) {
+    renderEndpointDiagnostics();
+  }
+  drawOSMNotes();
+  if ($("#add_lamp_cont").is(":visible")) {
+    renderAddLampPanel();
+  }
+  if ($("#light_filter_cont").is(":visible")) {
+    renderLightFilterPanel();
+  }
   
   MoveCall(5);
   console.log("ContentUpdated");
@@ -0,0 +1,264 @@
+/**
+ * JOSM Remote Control for OSM Objects
+ * Opens elements in a running JOSM: nodes are downloaded with the area around them, ways completely
+ * with load_object. The shown street lamps can be selected at once and tags can be proposed for
+ * several elements (add_tags), JOSM asks before applying them.
+ * The remote control is checked with /version first, so a missing JOSM gives a clear message.
+ */
+
+// Version of the connected JOSM {application, version, protocol}, null until checked
+let josmVersion = null;
+
+/**
+ * Gets the JOSM ID of an element, e.g. "n123" or "w123"
+ * @param {object} element - Element from the element model
+ * @returns {string} ID
+ */
+function getJOSMObjectId(element) {
+    return element.type.charAt(0) + element.id;
+}
+
+/**
+ * Gets the area around elements with a margin of JOSM_SETTINGS.BBOX_PADDING_M
+ * @param {Array} elements - Elements from the element model, nodes with lat/lon, ways with geometry
+ * @returns {object} Bounds {left, right, top, bottom} as used by the remote control
+ */
+function getJOSMBounds(elements) {
+    const points = [];
+    elements.forEach(element => {
+        if (element.type === 'node') {
+            points.push([element.lat, element.lon]);
+        } else {
+            points.push(...(element.geometry || []));
+        }
+    });
+    const bounds = L.latLngBounds(points);
+    const padLat = JOSM_SETTINGS.BBOX_PADDING_M / METRES_PER_DEGREE;
+    const padLon = padLat / Math.cos(bounds.getCenter().lat * Math.PI / 180);
+    return {
+        left: bounds.getWest() - padLon,
+        right: bounds.getEast() + padLon,
+        top: bounds.getNorth() + padLat,
+        bottom: bounds.getSouth() - padLat
+    };
+}
+
+/**
+ * Formats tags for add_tags, e.g. "light:method=LED|lamp_type=". Empty values remove the key.
+ * @param {object} tags - Tags
+ * @returns {string} Tags separated by "|"
+ */
+function formatJOSMTags(tags) {
+    return Object.keys(tags).map(key => key + '=' + tags[key]).join('|');
+}
+
+/**
+ * Reads a tag proposal entered as "key=value", several tags separated by "|"
+ * @param {string} text - Entered text
+ * @returns {object|null} Tags, null if a part has no key
+ */
+function parseJOSMTags(text) {
+    const tags = {};
+    const parts = text.split('|').map(part => part.trim()).filter(part => part !== '');
+    for (const part of parts) {
+        const separator = part.indexOf('=');
+        if (separator < 1) {
+            return null;
+        }
+        tags[part.substr(0, separator).trim()] = part.substr(separator + 1).trim();
+    }
+    return parts.length > 0 ? tags : null;
+}
+
+/**
+ * Gets the URL of a remote control command
+ * @param {string} command - Command, e.g. "load_and_zoom"
+ * @param {object} params - Parameters
+ * @returns {string} URL
+ */
+function getJOSMUrl(command, params = {}) {
+    const query = $.param(params);
+    return JOSM_SETTINGS.URL + '/' + command + (query ? '?' + query : '');
+}
+
+/**
+ * Checks that JOSM is running with the remote control enabled
+ * @returns {Promise} Promise resolving to the version {application, version, protocol},
+ *   rejected with a message how to start the remote control
+ */
+function getJOSMVersion() {
+    if (josmVersion !== null) {
+        return Promise.resolve(josmVersion);
+    }
+    return new Promise((resolve, reject) => {
+        $.ajax({
+            url: getJOSMUrl('version'),
+            type: 'GET',
+            dataType: 'json',
+            timeout: JOSM_SETTINGS.VERSION_TIMEOUT_MS,
+            success: function(response) {
+                josmVersion = {
+                    application: response.application,
+                    version: response.version,
+                    protocol: response.protocolversion ? response.protocolversion.major + '.' + response.protocolversion.minor : ''
+                };
+                resolve(josmVersion);
+            },
+            error: function() {
+                reject(new Error(i18next.t('josm_not_running', { url: JOSM_SETTINGS.URL, interpolation: { escapeValue: false } })));
+            }
+        });
+    });
+}
+
+/**
+ * Sends a remote control command to JOSM after checking that it is running
+ * @param {string} command - Command, e.g. "load_object"
+ * @param {object} params - Parameters
+ * @returns {Promise} Promise resolving when JOSM accepted the command
+ */
+function sendJOSMCommand(command, params) {
+    return getJOSMVersion().then(() => new Promise((resolve, reject) => {
+        $.ajax({
+            url: getJOSMUrl(command, params),
+            type: 'GET',
+            dataType: 'text',
+            success: resolve,
+            error: function(jqXHR) {
+                // JOSM was closed since the version check
+                if (jqXHR.status === 0) {
+                    josmVersion = null;
+                    reject(new Error(i18next.t('josm_not_running', { url: JOSM_SETTINGS.URL, interpolation: { escapeValue: false } })));
+                } else {
+                    reject(new Error(i18next.t('josm_error', { text: jqXHR.responseText || jqXHR.statusText, interpolation: { escapeValue: false } })));
+                }
+            }
+        });
+    }));
+}
+
+/**
+ * Shows the message of a failed command
+ * @param {Error} error - Error
+ */
+function showJOSMError(error) {
+    showLocationNotification(error.message, 'error');
+}
+
+/**
+ * Opens an element in JOSM, nodes with the area around them, ways completely
+ * @param {object} element - Element from the element model
+ * @returns {Promise} Promise resolving when JOSM accepted the commands
+ */
+function openElementInJOSM(element) {
+    const bounds = getJOSMBounds([element]);
+    if (element.type === 'node') {
+        return sendJOSMCommand('load_and_zoom', Object.assign({ select: getJOSMObjectId(element) }, bounds));
+    }
+    // The area of a long way is too large to download, so load the way with its nodes and zoom to it
+    return sendJOSMCommand('load_object', { objects: getJOSMObjectId(element) })
+        .then(() => sendJOSMCommand('zoom', Object.assign({ select: getJOSMObjectId(element) }, bounds)));
+}
+
+/**
+ * Opens a rendered element in JOSM, used by the links of the popups (see getObjectLinks())
+ * @param {string} type - "node" or "way"
+ * @param {string} id - Element ID
+ */
+function openinJOSM(type, id) {
+    const entry = renderedElements.get(type + '/' + id);
+    const request = entry ?
+        openElementInJOSM(entry.element) :
+        sendJOSMCommand('load_object', { objects: type.charAt(0) + id });
+    request.catch(showJOSMError);
+}
+
+/**
+ * Gets the street lamps shown in view, without those hidden by the light filter
+ * @param {L.LatLngBounds} bounds - View bounds, defaults to the map bounds
+ * @returns {Array} Elements
+ */
+function getShownLamps(bounds = map.getBounds()) {
+    const lamps = [];
+    renderedElements.forEach(entry => {
+        const type = findObjectType(entry.element.tags);
+        if (type && type.id === 'street_lamp' && !entry.hidden && bounds.contains([entry.element.lat, entry.element.lon])) {
+            lamps.push(entry.element);
+        }
+    });
+    return lamps;
+}
+
+/**
+ * Checks the number of elements selected at once
+ * @param {Array} elements - Elements
+ * @returns {Promise} Promise resolving to the elements, rejected without elements or above JOSM_SETTINGS.MAX_SELECTION
+ */
+function checkJOSMSelection(elements) {
+    if (elements.length === 0) {
+        return Promise.reject(new Error(i18next.t('josm_nothing_selected')));
+    }
+    if (elements.length > JOSM_SETTINGS.MAX_SELECTION) {
+        return Promise.reject(new Error(i18next.t('josm_too_many', { count: elements.length, max: JOSM_SETTINGS.MAX_SELECTION })));
+    }
+    return Promise.resolve(elements);
+}
+
+/**
+ * Downloads the area of the shown street lamps in JOSM and selects them, e.g. the lamps matching the light filter
+ * @returns {Promise} Promise resolving when JOSM accepted the command
+ */
+function selectShownLampsInJOSM() {
+    return checkJOSMSelection(getShownLamps()).then(lamps =>
+        sendJOSMCommand('load_and_zoom', Object.assign({ select: lamps.map(getJOSMObjectId).join(',') }, getJOSMBounds(lamps))));
+}
+
+/**
+ * Proposes tags for elements in JOSM. JOSM loads the elements and asks before adding the tags.
+ * @param {Array} elements - Elements from the element model
+ * @param {object} tags - Tags, empty values remove the key
+ * @returns {Promise} Promise resolving when JOSM accepted the command
+ */
+function addTagsInJOSM(elements, tags) {
+    return checkJOSMSelection(elements).then(() =>
+        sendJOSMCommand('load_object', { objects: elements.map(getJOSMObjectId).join(','), addtags: formatJOSMTags(tags) }));
+}
+
+/**
+ * Proposes the tags entered in the light filter panel for the shown street lamps
+ * @param {string} text - Tags as "key=value", several tags separated by "|"
+ * @returns {Promise} Promise resolving when JOSM accepted the command
+ */
+function proposeTagsForShownLamps(text) {
+    const tags = parseJOSMTags(text);
+    if (!tags) {
+        return Promise.reject(new Error(i18next.t('josm_tags_invalid')));
+    }
+    return addTagsInJOSM(getShownLamps(), tags);
+}
+
+/**
+ * Creates the JOSM links of the light filter panel: selecting the shown lamps and proposing tags for them
+ * @returns {jQuery} Paragraph with the links and the tag input
+ */
+function createJOSMFilterControls() {
+    const message = $('<span class="josm_message">');
+    const tags = $('<input type="text" class="josm_tags">').attr('placeholder', 'light:method=LED|lamp_type=');
+    const run = request => request.then(() => message.removeClass('tag_editor_error').text(i18next.t('josm_sent', { version: josmVersion.version })),
+        error => message.addClass('tag_editor_error').text(error.message));
+    return $('<p class="josm_controls">').append(
+        $('<a href="#">').text(i18next.t('josm_select_shown')).on('click', function(event) {
+            event.preventDefault();
+            run(selectShownLampsInJOSM());
+        }),
+        '<br>',
+        tags,
+        ' ',
+        $('<a href="#">').text(i18next.t('josm_propose_tags')).on('click', function(event) {
+            event.preventDefault();
+            run(proposeTagsForShownLamps(tags.val()));
+        }),
+        '<br>',
+        message
+    );
+}
@@ -0,0 +1,58 @@
+/**
+ * Test file for the JOSM remote control
+ * Run these tests to verify the commands sent to JOSM
+ */
+
+/**
+ * Test opening elements and proposing tags with the JOSM remote control
+ */
+function testJOSMRemote() {
+    console.log("\nTesting JOSM Remote Control...");
+    
+    const { assert, finish } = createTestSuite("JOSM Remote Control");
+    
+    // Test 1: Area around elements
+    {
+        const node = { type: 'node', id: 71, lat: 52.5, lon: 13.4, tags: {} };
+        const bounds = getJOSMBounds([node]);
+        const padLat = JOSM_SETTINGS.BBOX_PADDING_M / METRES_PER_DEGREE;
+        assert(Math.abs(bounds.top - 52.5 - padLat) < 1e-9 && Math.abs(52.5 - bounds.bottom - padLat) < 1e-9, "Nodes get a margin of BBOX_PADDING_M north and south");
+        assert(bounds.right - 13.4 > padLat && bounds.left < 13.4, "The margin in longitude is wider at higher latitudes");
+        const way = { type: 'way', id: 72, tags: {}, geometry: [[52.5, 13.4], [52.51, 13.42]] };
+        const wayBounds = getJOSMBounds([way]);
+        assert(wayBounds.bottom < 52.5 && wayBounds.top > 52.51 && wayBounds.left < 13.4 && wayBounds.right > 13.42, "Ways get the area of their geometry");
+        assert(getJOSMObjectId(node) === 'n71' && getJOSMObjectId(way) === 'w72', "JOSM IDs start with the element type");
+    }
+    
+    // Test 2: Commands
+    {
+        const url = getJOSMUrl('load_object', { objects: 'n1,w2', addtags: 'ref=7|lamp_type=' });
+        assert(url === JOSM_SETTINGS.URL + '/load_object?objects=n1%2Cw2&addtags=ref%3D7%7Clamp_type%3D', "Parameters are encoded in the URL");
+        assert(getJOSMUrl('version') === JOSM_SETTINGS.URL + '/version', "Commands without parameters have no query");
+        assert(formatJOSMTags({ 'light:method': 'LED', lamp_type: '' }) === 'light:method=LED|lamp_type=', "Tags are separated by |, empty values remove the key");
+    }
+    
+    // Test 3: Entered tag proposals
+    {
+        const tags = parseJOSMTags(' light:method = LED | lamp_type= ');
+        assert(tags && tags['light:method'] === 'LED' && tags.lamp_type === '', "Entered tags are read with spaces removed");
+        assert(parseJOSMTags('') === null && parseJOSMTags('=LED') === null && parseJOSMTags('LED') === null, "Entries without key are rejected");
+    }
+    
+    // Test 4: Fixes of tagging issues
+    {
+        const fixes = validateLightTags({ highway: 'street_lamp', lamp_type: 'LED', height: '6 m', lamp_ref: '7', ref: '7' })
+            .map(issue => [issue.code, getQualityFixTags(issue)]);
+        const fix = code => fixes.find(entry => entry[0] === code)[1];
+        assert(JSON.stringify(fix('deprecated_key')) === JSON.stringify({ 'light:method': 'LED', lamp_type: '' }), "Deprecated keys are moved to the new key");
+        assert(JSON.stringify(fix('deprecated_key_duplicate')) === JSON.stringify({ lamp_ref: '' }), "Duplicated deprecated keys are removed");
+        assert(JSON.stringify(fix('height_not_numeric')) === JSON.stringify({ height: '6' }), "Suggested values are proposed");
+        const conflict = validateLightTags({ highway: 'street_lamp', lamp_ref: '7', ref: '8' })[0];
+        assert(getQualityFixTags(conflict) === null, "Conflicting values are not fixed automatically");
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testJOSMRemote = testJOSMRemote;
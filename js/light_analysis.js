@@ -0,0 +1,295 @@
+/**
+ * Light Analysis for OSM Objects
+ * Geometry helpers relating street lamps to the ways around them, used by object types
+ * whose rendering depends on other elements in the view (see getContextProps in js/object_types.js).
+ * Distances are computed on a local equirectangular projection, which is precise enough for a few hundred metres.
+ */
+
+// Metres per degree of latitude
+const METRES_PER_DEGREE = 111320;
+
+// Compass directions of the direction tags in degrees
+const CARDINAL_DIRECTIONS = {
+    N: 0, NNE: 22.5, NE: 45, ENE: 67.5, E: 90, ESE: 112.5, SE: 135, SSE: 157.5,
+    S: 180, SSW: 202.5, SW: 225, WSW: 247.5, W: 270, WNW: 292.5, NW: 315, NNW: 337.5
+};
+
+/**
+ * Converts the value of a direction tag into degrees
+ * @param {string|number} direction - Cardinal direction (e.g. "NE") or degrees
+ * @returns {number|null} Degrees clockwise from north, null for other values (e.g. to_street)
+ */
+function getDirectionDegrees(direction) {
+    if (CARDINAL_DIRECTIONS.hasOwnProperty(direction)) {
+        return CARDINAL_DIRECTIONS[direction];
+    }
+    if (direction > 0 && direction <= 360) {
+        return Number(direction);
+    }
+    return direction == 0 && direction !== '' ? 0 : null;
+}
+
+/**
+ * Gets the distance between a point and a line segment
+ * @param {Array} point - Point [lat, lon]
+ * @param {Array} start - Segment start [lat, lon]
+ * @param {Array} end - Segment end [lat, lon]
+ * @returns {number} Distance in metres
+ */
+function getDistanceToSegmentM(point, start, end) {
+    // Project to metres around the point
+    const lonScale = METRES_PER_DEGREE * Math.cos(point[0] * Math.PI / 180);
+    const ax = (start[1] - point[1]) * lonScale, ay = (start[0] - point[0]) * METRES_PER_DEGREE;
+    const bx = (end[1] - point[1]) * lonScale, by = (end[0] - point[0]) * METRES_PER_DEGREE;
+
+    const dx = bx - ax, dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Gets the distance between two points
+ * @param {Array} a - Point [lat, lon]
+ * @param {Array} b - Point [lat, lon]
+ * @returns {number} Distance in metres
+ */
+function getDistanceM(a, b) {
+    return getDistanceToSegmentM(a, b, b);
+}
+
+/**
+ * Gets the distance between a point and a way
+ * @param {Array} point - Point [lat, lon]
+ * @param {Array} geometry - Way geometry as [lat, lon] pairs
+ * @returns {number} Distance in metres, Infinity for ways without geometry
+ */
+function getDistanceToWayM(point, geometry) {
+    if (geometry.length === 1) {
+        return getDistanceM(point, geometry[0]);
+    }
+    let distance = Infinity;
+    for (let i = 1; i < geometry.length; i++) {
+        distance = Math.min(distance, getDistanceToSegmentM(point, geometry[i - 1], geometry[i]));
+    }
+    return distance;
+}
+
+/**
+ * Creates a grid index of street lamp positions for fast lookups around ways
+ * @param {Array} nodes - Street lamp nodes from the element model, or other objects with lat and lon
+ * @param {number} cellSizeM - Size of the grid cells in metres, about the search distance
+ * @returns {object} Lamp index {cellSize, cells}, cell size in degrees
+ */
+function createLampIndex(nodes, cellSizeM) {
+    const index = { cellSize: cellSizeM / METRES_PER_DEGREE, cells: new Map() };
+    nodes.forEach(node => {
+        const key = Math.floor(node.lat / index.cellSize) + ',' + Math.floor(node.lon / index.cellSize);
+        if (!index.cells.has(key)) {
+            index.cells.set(key, []);
+        }
+        index.cells.get(key).push(node);
+    });
+    return index;
+}
+
+/**
+ * Finds the street lamps within a distance of a way
+ * @param {object} index - Lamp index, see createLampIndex()
+ * @param {Array} geometry - Way geometry as [lat, lon] pairs
+ * @param {number} distanceM - Search distance in metres
+ * @returns {Array} Lamps [{node, distance}], nearest first
+ */
+function findLampsNearWay(index, geometry, distanceM) {
+    if (geometry.length === 0) {
+        return [];
+    }
+
+    // Cells overlapping the bounding box of the way, extended by the search distance
+    const lats = geometry.map(point => point[0]);
+    const lons = geometry.map(point => point[1]);
+    const latMargin = distanceM / METRES_PER_DEGREE;
+    const lonMargin = latMargin / Math.cos(lats[0] * Math.PI / 180);
+    const south = Math.floor((Math.min(...lats) - latMargin) / index.cellSize);
+    const north = Math.floor((Math.max(...lats) + latMargin) / index.cellSize);
+    const west = Math.floor((Math.min(...lons) - lonMargin) / index.cellSize);
+    const east = Math.floor((Math.max(...lons) + lonMargin) / index.cellSize);
+
+    const lamps = [];
+    for (let y = south; y <= north; y++) {
+        for (let x = west; x <= east; x++) {
+            (index.cells.get(y + ',' + x) || []).forEach(node => {
+                const distance = getDistanceToWayM([node.lat, node.lon], geometry);
+                if (distance <= distanceM) {
+                    lamps.push({ node: node, distance: distance });
+                }
+            });
+        }
+    }
+    return lamps.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Gets the compass bearing from one point to another
+ * @param {Array} from - Point [lat, lon]
+ * @param {Array} to - Point [lat, lon]
+ * @returns {number} Degrees clockwise from north
+ */
+function getBearingDeg(from, to) {
+    const x = (to[1] - from[1]) * Math.cos(from[0] * Math.PI / 180);
+    const y = to[0] - from[0];
+    return (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Estimates the illuminated footprint of one light.
+ * The radius grows with the height of the lamp, directed floodlights light a sector around their direction.
+ * @param {object} props - Light properties, see extractLightTags()
+ * @param {object} position - Light position with direction, see getLightPositions()
+ * @returns {object} Footprint {lat, lon, radius, direction, angle}, direction is null for circles
+ */
+function getLightFootprint(props, position) {
+    const height = parseFloat(props.lightHeight || props.height) || LIGHT_COVERAGE_SETTINGS.DEFAULT_HEIGHT_M;
+    const direction = props.lightSource == 'floodlight' ? getDirectionDegrees(position.direction) : null;
+    return {
+        lat: position.lat,
+        lon: position.lon,
+        radius: height * LIGHT_COVERAGE_SETTINGS.RADIUS_PER_HEIGHT,
+        direction: direction,
+        angle: direction === null ? 360 : LIGHT_COVERAGE_SETTINGS.FLOODLIGHT_ANGLE_DEG
+    };
+}
+
+/**
+ * Checks if a point is inside a footprint
+ * @param {Array} point - Point [lat, lon]
+ * @param {object} footprint - Footprint, see getLightFootprint()
+ * @returns {boolean} True if the point is lit by the footprint
+ */
+function isPointInFootprint(point, footprint) {
+    const center = [footprint.lat, footprint.lon];
+    if (getDistanceM(point, center) > footprint.radius) {
+        return false;
+    }
+    if (footprint.direction === null) {
+        return true;
+    }
+    const offset = Math.abs(getBearingDeg(center, point) - footprint.direction) % 360;
+    return Math.min(offset, 360 - offset) <= footprint.angle / 2;
+}
+
+/**
+ * Finds the footprints that may contain a point
+ * @param {object} index - Footprint index, see createLampIndex() with the largest radius as cell size
+ * @param {Array} point - Point [lat, lon]
+ * @returns {Array} Footprints in the cells around the point
+ */
+function findFootprintsAt(index, point) {
+    const y = Math.floor(point[0] / index.cellSize);
+    const x = Math.floor(point[1] / index.cellSize);
+    // Longitude cells are narrower than the radius away from the equator
+    const lonCells = Math.ceil(1 / Math.cos(point[0] * Math.PI / 180));
+    const footprints = [];
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -lonCells; dx <= lonCells; dx++) {
+            footprints.push(...(index.cells.get((y + dy) + ',' + (x + dx)) || []));
+        }
+    }
+    return footprints;
+}
+
+/**
+ * Gets the stretches of a way outside of all footprints.
+ * The way is checked at points every SAMPLE_DISTANCE_M metres.
+ * @param {Array} geometry - Way geometry as [lat, lon] pairs
+ * @param {object} index - Footprint index, see findFootprintsAt()
+ * @returns {Array} Uncovered stretches, each an array of [lat, lon] pairs
+ */
+function getUncoveredStretches(geometry, index) {
+    const stretches = [];
+    let current = null;
+    const addPoint = (point, isCovered) => {
+        if (isCovered) {
+            current = null;
+        } else if (current) {
+            current.push(point);
+        } else {
+            current = [point];
+            stretches.push(current);
+        }
+    };
+
+    for (let i = 1; i < geometry.length; i++) {
+        const start = geometry[i - 1], end = geometry[i];
+        const steps = Math.max(1, Math.ceil(getDistanceM(start, end) / LIGHT_COVERAGE_SETTINGS.SAMPLE_DISTANCE_M));
+        for (let step = i === 1 ? 0 : 1; step <= steps; step++) {
+            const point = [start[0] + (end[0] - start[0]) * step / steps, start[1] + (end[1] - start[1]) * step / steps];
+            addPoint(point, findFootprintsAt(index, point).some(footprint => isPointInFootprint(point, footprint)));
+        }
+    }
+    // Single points are not drawn
+    return stretches.filter(stretch => stretch.length > 1);
+}
+
+/**
+ * Creates the context for rendering the elements of the tiles in view.
+ * Data is collected on first use, so rendering without context dependent object types costs nothing.
+ * @param {Map} tiles - Tile ID -> element model
+ * @returns {object} Render context
+ */
+function createRenderContext(tiles) {
+    let lampNodes = null;
+    let lampIndex = null;
+    let footprintIndex = null;
+
+    const context = {
+        /**
+         * Gets the street lamps in the tiles
+         * @returns {Array} Street lamp nodes
+         */
+        getLampNodes: function() {
+            if (!lampNodes) {
+                const lampType = getObjectType('street_lamp');
+                const seen = new Set();
+                lampNodes = [];
+                tiles.forEach(data => data.nodes.forEach(node => {
+                    if (!seen.has(node.id) && lampType.matches(node.tags)) {
+                        seen.add(node.id);
+                        lampNodes.push(node);
+                    }
+                }));
+            }
+            return lampNodes;
+        },
+
+        /**
+         * Gets the grid index of the street lamps in the tiles
+         * @returns {object} Lamp index, see createLampIndex()
+         */
+        getLampIndex: function() {
+            if (!lampIndex) {
+                lampIndex = createLampIndex(context.getLampNodes(), Math.max(LIT_GAP_SETTINGS.PROBABLY_LIT_DISTANCE_M, 10));
+            }
+            return lampIndex;
+        },
+
+        /**
+         * Gets the grid index of the estimated footprints of the street lamps in the tiles
+         * @returns {object} Footprint index, see findFootprintsAt()
+         */
+        getFootprintIndex: function() {
+            if (!footprintIndex) {
+                const lampType = getObjectType('street_lamp');
+                const footprints = [];
+                context.getLampNodes().forEach(node => {
+                    const props = lampType.extractTags(node.tags);
+                    lampType.getPositions(props, node).forEach(position => footprints.push(getLightFootprint(props, position)));
+                });
+                const maxRadius = footprints.reduce((max, footprint) => Math.max(max, footprint.radius), 1);
+                footprintIndex = createLampIndex(footprints, maxRadius);
+            }
+            return footprintIndex;
+        }
+    };
+    return context;
+}
@@ -0,0 +1,128 @@
+/**
+ * Test file for the light analysis
+ * Run these tests to verify the distances between lamps and ways and the hints drawn on the ways
+ */
+
+/**
+ * Test the gap analysis of ways without lit tag
+ */
+function testLitGapAnalysis() {
+    console.log("\nTesting Lit Gap Analysis...");
+    
+    const { assert, finish } = createTestSuite("Lit Gap Analysis");
+    
+    // About 10 m north of the footway
+    const lamp = { type: 'node', id: 11, lat: 52.50009, lon: 13.4005, tags: { highway: 'street_lamp' } };
+    const footway = { type: 'way', id: 12, geometry: [[52.5, 13.4], [52.5, 13.401]], tags: { highway: 'footway' } };
+    
+    // Test 1: Distances
+    {
+        const distance = getDistanceToWayM([lamp.lat, lamp.lon], footway.geometry);
+        assert(Math.abs(distance - 10) < 0.5, "Distance between lamp and way is measured perpendicular to the way");
+        assert(Math.abs(getDistanceToWayM([52.5, 13.4015], footway.geometry) - 34) < 1, "Distance beyond the way end is measured to the end point");
+        
+        const index = createLampIndex([lamp], 15);
+        assert(findLampsNearWay(index, footway.geometry, 15).length === 1, "Lamp within the distance is found");
+        assert(findLampsNearWay(index, footway.geometry, 5).length === 0, "Lamp beyond the distance is not found");
+    }
+    
+    // Test 2: Ways without lit tag are matched
+    {
+        const typeOf = tags => (findObjectType(tags) || {}).id;
+        assert(typeOf({ highway: 'footway' }) === 'lit_gap_way', "Footway without lit tag is a gap");
+        assert(typeOf({ highway: 'footway', lit: 'yes' }) === 'lit_way', "Footway with lit tag is no gap");
+        assert(typeOf({ highway: 'motorway' }) === undefined, "Highway values not in LIT_GAP_SETTINGS are ignored");
+    }
+    
+    // Test 3: Probably lit hint follows the lamps in view
+    {
+        const gapType = getObjectType('lit_gap_way');
+        const isQueried = gapType.isQueried;
+        gapType.isQueried = () => true;
+        clearRenderedElements();
+        
+        renderOSMTiles(new Map([['tile_a', { nodes: [lamp], ways: [] }], ['tile_b', { nodes: [], ways: [footway] }]]));
+        const rendered = renderedElements.get('way/12').rendered[0];
+        assert(rendered.layer === getObjectLayer('lit_gaps'), "Gap is drawn on the lit gaps layer");
+        assert(rendered.marker.options.color === '#FFD600', "Gap near a lamp from another tile is probably lit");
+        assert(rendered.marker.getPopup().getContent().includes('lit=yes'), "Popup suggests adding lit=yes");
+        
+        renderOSMTiles(new Map([['tile_b', { nodes: [], ways: [footway] }]]));
+        const updated = renderedElements.get('way/12').rendered[0];
+        assert(updated.marker.options.color === '#FF6D00', "Hint is removed when the lamp leaves the view");
+        assert(!getObjectLayer('lit_gaps').hasLayer(rendered.marker) && getObjectLayer('lit_gaps').hasLayer(updated.marker), "Gap is drawn again with the new hint");
+        
+        clearRenderedElements();
+        gapType.isQueried = isQueried;
+    }
+    
+    return finish();
+}
+
+/**
+ * Test the light coverage estimation
+ */
+function testLightCoverage() {
+    console.log("\nTesting Light Coverage...");
+    
+    const { assert, finish } = createTestSuite("Light Coverage");
+    
+    const lampProps = tags => getObjectType('street_lamp').extractTags(tags);
+    
+    // Test 1: Footprints scaled by height
+    {
+        const lantern = getLightFootprint(lampProps({ highway: 'street_lamp', height: '4' }), { lat: 52.5, lon: 13.4 });
+        assert(lantern.direction === null && lantern.radius === 4 * LIGHT_COVERAGE_SETTINGS.RADIUS_PER_HEIGHT, "Lantern lights a circle scaled by its height");
+        
+        const unknownHeight = getLightFootprint(lampProps({ highway: 'street_lamp' }), { lat: 52.5, lon: 13.4 });
+        assert(unknownHeight.radius === LIGHT_COVERAGE_SETTINGS.DEFAULT_HEIGHT_M * LIGHT_COVERAGE_SETTINGS.RADIUS_PER_HEIGHT, "Default height is used without height tag");
+        
+        const flood = getLightFootprint(lampProps({ light_source: 'floodlight', 'light:height': '10' }), { lat: 52.5, lon: 13.4, direction: 'E' });
+        assert(flood.direction === 90 && flood.angle === LIGHT_COVERAGE_SETTINGS.FLOODLIGHT_ANGLE_DEG, "Directed floodlight lights a sector");
+        assert(isPointInFootprint([52.5, 13.4002], flood), "Point in the direction of the floodlight is lit");
+        assert(!isPointInFootprint([52.5, 13.3998], flood), "Point behind the floodlight is not lit");
+        assert(!isPointInFootprint([52.5, 13.41], flood), "Point beyond the radius is not lit");
+        assert(getDirectionDegrees('to_street') === null && getDirectionDegrees('0') === 0, "Directions without degrees are ignored");
+    }
+    
+    // Test 2: Uncovered stretches
+    {
+        // 10 m footprint at the start of a 100 m street
+        const index = createLampIndex([{ lat: 52.5, lon: 13.4, radius: 10, direction: null, angle: 360 }], 10);
+        const street = [[52.5, 13.4], [52.5, 13.40147]];
+        const stretches = getUncoveredStretches(street, index);
+        assert(stretches.length === 1, "One stretch outside the footprint");
+        assert(Math.abs(getDistanceM([52.5, 13.4], stretches[0][0]) - 10) < LIGHT_COVERAGE_SETTINGS.SAMPLE_DISTANCE_M, "Stretch starts at the edge of the footprint");
+        assert(getUncoveredStretches(street, createLampIndex([], 10)).length === 1, "Street without lamps is uncovered");
+    }
+    
+    // Test 3: Overlays on the light coverage layer
+    {
+        const isLayerActive = isObjectLayerActive;
+        isObjectLayerActive = id => id === 'light_coverage' || isLayerActive(id);
+        clearRenderedElements();
+        
+        const lamp = { type: 'node', id: 21, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', height: '4' } };
+        const street = { type: 'way', id: 22, geometry: [[52.5, 13.4], [52.5, 13.40147]], tags: { highway: 'residential', lit: 'yes' } };
+        renderOSMTiles(new Map([['tile_a', { nodes: [lamp], ways: [street] }]]));
+        
+        const coverage = getObjectLayer('light_coverage');
+        const lampOverlays = renderedElements.get('node/21').rendered.filter(item => item.layer === coverage);
+        assert(lampOverlays.length === 1 && lampOverlays[0].marker instanceof L.Circle, "Lamp footprint is drawn as circle");
+        const streetOverlays = renderedElements.get('way/22').rendered.filter(item => item.layer === coverage);
+        assert(streetOverlays.length === 1 && coverage.hasLayer(streetOverlays[0].marker), "Uncovered stretch of the street is highlighted");
+        
+        renderOSMTiles(new Map([['tile_b', { nodes: [], ways: [street] }]]));
+        const uncovered = renderedElements.get('way/22').rendered.filter(item => item.layer === coverage)[0].marker;
+        assert(uncovered.getLatLngs()[0].lng === 13.4, "Whole street is highlighted after the lamp left the view");
+        
+        clearRenderedElements();
+        isObjectLayerActive = isLayerActive;
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testLitGapAnalysis = testLitGapAnalysis;
+window.testLightCoverage = testLightCoverage;
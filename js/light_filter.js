@@ -0,0 +1,267 @@
+/**
+ * Light Filter for OSM Objects
+ * Filters the rendered street lights by operator, light:method, light:colour, mount, start_date and ref.
+ * Filtered lights keep their markers in the render registry (see renderedElements in js/parse_scripts.js)
+ * and are only taken off their layers, so changing the filter loads and renders nothing again.
+ * The filter is kept in the permalink as hash parameter "filter".
+ */
+
+// Object types the filter applies to, other objects are always shown
+const LIGHT_FILTER_TYPES = ['street_lamp'];
+
+// Hash parameter of the filter
+const LIGHT_FILTER_HASH_PARAMETER = 'filter';
+
+// Current filter, see createEmptyLightFilter()
+let lightFilter = createEmptyLightFilter();
+// Permalink the filter is written to, set by initLightFilter()
+let lightFilterHash = null;
+
+/**
+ * Creates a filter that matches every light. Empty values do not filter.
+ * @returns {object} Filter {operator, method, colour, mount, startFrom, startTo, ref}
+ *   operator  - Part of the operator name, case insensitive
+ *   method    - light:method value, spellings of the same method match each other (see getLightMethod())
+ *   colour    - light:colour value, case insensitive
+ *   mount     - Mount value, spellings of the same mount match each other (see getLightMount())
+ *   startFrom - First year of start_date, lights without start_date do not match
+ *   startTo   - Last year of start_date, lights without start_date do not match
+ *   ref       - "present" or "absent"
+ */
+function createEmptyLightFilter() {
+    return { operator: '', method: '', colour: '', mount: '', startFrom: '', startTo: '', ref: '' };
+}
+
+/**
+ * Checks if a filter has any condition
+ * @param {object} filter - Filter, defaults to the current filter
+ * @returns {boolean} True if some lights may be filtered
+ */
+function isLightFilterActive(filter = lightFilter) {
+    return Object.keys(createEmptyLightFilter()).some(key => filter[key] !== '');
+}
+
+/**
+ * Gets the year of a start_date value
+ * @param {string} startDate - start_date value, e.g. "1987", "1987-05-12", "~1960" or "before 1950"
+ * @returns {number|null} Year, null if the value contains none
+ */
+function getStartYear(startDate) {
+    const match = /(^|\D)(\d{4})(\D|$)/.exec(startDate || '');
+    return match ? Number(match[2]) : null;
+}
+
+/**
+ * Checks if a light matches a filter
+ * @param {object} props - Light properties, see extractLightTags()
+ * @param {object} filter - Filter, defaults to the current filter
+ * @returns {boolean} True if the light is shown
+ */
+function matchesLightFilter(props, filter = lightFilter) {
+    if (filter.operator && !(props.operator || '').toLowerCase().includes(filter.operator.toLowerCase())) {
+        return false;
+    }
+    if (filter.method && (!props.method || getLightMethod(props.method) !== getLightMethod(filter.method))) {
+        return false;
+    }
+    if (filter.colour && (props.colour || '').toLowerCase() !== filter.colour.toLowerCase()) {
+        return false;
+    }
+    if (filter.mount && (!props.mount || getLightMount(props.mount) !== getLightMount(filter.mount))) {
+        return false;
+    }
+    if (filter.startFrom !== '' || filter.startTo !== '') {
+        const year = getStartYear(props.startDate);
+        if (year === null || (filter.startFrom !== '' && year < Number(filter.startFrom)) ||
+            (filter.startTo !== '' && year > Number(filter.startTo))) {
+            return false;
+        }
+    }
+    if (filter.ref && (filter.ref == 'present') !== Boolean(props.ref)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks if an element is hidden by the current filter
+ * @param {object} element - Element from the element model
+ * @returns {boolean} True if the element is not shown
+ */
+function isElementFiltered(element) {
+    if (!isLightFilterActive()) {
+        return false;
+    }
+    const type = findObjectType(element.tags);
+    return Boolean(type) && LIGHT_FILTER_TYPES.includes(type.id) && !matchesLightFilter(type.extractTags(element.tags));
+}
+
+/**
+ * Converts a filter into the value of the hash parameter
+ * @param {object} filter - Filter
+ * @returns {string} Conditions as "key:value" joined by ",", values URI encoded. Empty for no conditions.
+ */
+function formatLightFilter(filter) {
+    return Object.keys(createEmptyLightFilter())
+        .filter(key => filter[key] !== '')
+        .map(key => key + ':' + encodeURIComponent(filter[key]))
+        .join(',');
+}
+
+/**
+ * Reads a filter from the value of the hash parameter, see formatLightFilter()
+ * @param {string|null} text - Parameter value
+ * @returns {object} Filter, unknown or malformed conditions are ignored
+ */
+function parseLightFilter(text) {
+    const filter = createEmptyLightFilter();
+    (text || '').split(',').forEach(condition => {
+        const separator = condition.indexOf(':');
+        const key = condition.substr(0, separator);
+        if (separator > 0 && filter.hasOwnProperty(key)) {
+            try {
+                filter[key] = decodeURIComponent(condition.substr(separator + 1));
+            } catch (error) {
+                console.log('Ignoring malformed filter condition:', condition);
+            }
+        }
+    });
+    return filter;
+}
+
+/**
+ * Sets the current filter and shows or hides the rendered lights accordingly
+ * @param {object} filter - Filter, missing conditions are empty
+ */
+function setLightFilter(filter) {
+    lightFilter = Object.assign(createEmptyLightFilter(), filter);
+    applyRenderedFilter();
+    if (lightFilterHash) {
+        lightFilterHash.onMapMove();
+    }
+    if ($("#light_filter_cont").is(":visible")) {
+        renderLightFilterPanel();
+    }
+}
+
+/**
+ * Keeps the filter in the permalink
+ * @param {L.Hash} hash - Permalink of the map
+ */
+function initLightFilter(hash) {
+    lightFilterHash = hash;
+    hash.addParameter(LIGHT_FILTER_HASH_PARAMETER,
+        () => formatLightFilter(lightFilter),
+        value => setLightFilter(parseLightFilter(value)));
+}
+
+/**
+ * Collects the values of the rendered lights, offered as choices in the filter panel
+ * @returns {object} Sorted values {operators, methods, colours, mounts}, methods and mounts once per spelling group
+ */
+function getLightFilterChoices() {
+    const operators = new Set(), colours = new Set();
+    const methods = new Map(), mounts = new Map(); // label -> value
+    renderedElements.forEach(entry => {
+        const type = findObjectType(entry.element.tags);
+        if (!type || !LIGHT_FILTER_TYPES.includes(type.id)) {
+            return;
+        }
+        const props = type.extractTags(entry.element.tags);
+        if (props.operator) {
+            operators.add(props.operator);
+        }
+        if (props.colour) {
+            colours.add(props.colour.toLowerCase());
+        }
+        if (props.method && !methods.has(getLightMethod(props.method))) {
+            methods.set(getLightMethod(props.method), props.method);
+        }
+        if (props.mount && !mounts.has(getLightMount(props.mount))) {
+            mounts.set(getLightMount(props.mount), props.mount);
+        }
+    });
+
+    const byLabel = (a, b) => a[0].localeCompare(b[0]);
+    return {
+        operators: Array.from(operators).sort(),
+        colours: Array.from(colours).sort().map(colour => [colour, colour]),
+        methods: Array.from(methods).sort(byLabel),
+        mounts: Array.from(mounts).sort(byLabel)
+    };
+}
+
+/**
+ * Creates a select of the filter panel
+ * @param {string} key - Filter condition
+ * @param {Array} choices - Choices as [label, value]
+ * @returns {jQuery} Select element
+ */
+function createLightFilterSelect(key, choices) {
+    const select = $('<select>').attr('name', key).append($('<option>').val('').text(i18next.t('filter_any')));
+    choices.forEach(choice => select.append($('<option>').val(choice[1]).text(choice[0])));
+    // Keep a filtered value that is not in view anymore
+    if (lightFilter[key] && !choices.some(choice => choice[1] === lightFilter[key])) {
+        select.append($('<option>').val(lightFilter[key]).text(lightFilter[key]));
+    }
+    return select.val(lightFilter[key]);
+}
+
+/**
+ * Renders the filter panel with the current filter and the values of the lights in view
+ */
+function renderLightFilterPanel() {
+    const choices = getLightFilterChoices();
+    const row = (labelKey, ...inputs) => $('<tr>').append($('<td>').text(i18next.t(labelKey)), $('<td>').append(inputs));
+    const yearInput = key => $('<input type="number" min="1800" max="2100" size="4">').attr('name', key).val(lightFilter[key]);
+
+    const operators = $('<datalist id="light_filter_operators">');
+    choices.operators.forEach(operator => operators.append($('<option>').val(operator)));
+
+    const form = $('<form>').append(
+        $('<table>').append(
+            row('lamp_operator', $('<input type="text" list="light_filter_operators">').attr('name', 'operator').val(lightFilter.operator), operators),
+            row('lamp_method', createLightFilterSelect('method', choices.methods)),
+            row('filter_colour', createLightFilterSelect('colour', choices.colours)),
+            row('lamp_mount', createLightFilterSelect('mount', choices.mounts)),
+            row('lamp_start_date', yearInput('startFrom'), ' – ', yearInput('startTo')),
+            row('filter_ref', createLightFilterSelect('ref', [[i18next.t('filter_ref_present'), 'present'], [i18next.t('filter_ref_absent'), 'absent']]))
+        ),
+        $('<a href="#">').text(i18next.t('filter_reset')).on('click', function(event) {
+            event.preventDefault();
+            setLightFilter(createEmptyLightFilter());
+        })
+    );
+    form.on('change', readLightFilterPanel).on('submit', function(event) {
+        event.preventDefault();
+        readLightFilterPanel();
+    });
+
+    // Outside the form, entering tags must not change the filter
+    $("#light_filter").empty().append($('<b>').text(i18next.t('filter_title')), form, createJOSMFilterControls());
+}
+
+/**
+ * Sets the filter to the values of the filter panel
+ */
+function readLightFilterPanel() {
+    const filter = createEmptyLightFilter();
+    $("#light_filter").find('input, select').each(function() {
+        if (filter.hasOwnProperty(this.name)) {
+            filter[this.name] = $.trim($(this).val());
+        }
+    });
+    setLightFilter(filter);
+}
+
+/**
+ * Shows or hides the filter panel
+ */
+function toggleLightFilterPanel() {
+    if ($("#light_filter_cont").is(":visible")) {
+        $("#light_filter_cont").hide();
+        return;
+    }
+    renderLightFilterPanel();
+    $("#light_filter_cont").show();
+}
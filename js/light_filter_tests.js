@@ -0,0 +1,82 @@
+/**
+ * Test file for the light filter
+ * Run these tests to verify the filter criteria and the hidden lamps
+ */
+
+/**
+ * Test light filter
+ */
+function testLightFilter() {
+    console.log("\nTesting Light Filter...");
+    
+    const { assert, finish } = createTestSuite("Light Filter");
+    
+    const lampProps = tags => getObjectType('street_lamp').extractTags(Object.assign({ highway: 'street_lamp' }, tags));
+    const filter = conditions => Object.assign(createEmptyLightFilter(), conditions);
+    
+    // Test 1: Conditions
+    {
+        const lamp = lampProps({ operator: 'Stadtwerke Bonn', 'light:method': 'SON', 'light:colour': 'Orange', support: 'wall', start_date: '1987-05-12', ref: '12' });
+        assert(matchesLightFilter(lamp, filter({})), "Empty filter matches every light");
+        assert(matchesLightFilter(lamp, filter({ operator: 'stadtwerke' })) && !matchesLightFilter(lamp, filter({ operator: 'Netze' })), "Operator matches part of the name");
+        assert(matchesLightFilter(lamp, filter({ method: 'high_pressure_sodium' })) && !matchesLightFilter(lamp, filter({ method: 'LED' })), "Spellings of the same method match");
+        assert(matchesLightFilter(lamp, filter({ colour: 'orange' })), "Colour is compared case insensitive");
+        assert(matchesLightFilter(lamp, filter({ mount: 'wall_mounted' })) && !matchesLightFilter(lamp, filter({ mount: 'mast' })), "Spellings of the same mount match");
+        assert(matchesLightFilter(lamp, filter({ startFrom: '1980', startTo: '1990' })) && !matchesLightFilter(lamp, filter({ startFrom: '1990' })), "Start date is compared by year");
+        assert(!matchesLightFilter(lampProps({}), filter({ startTo: '2000' })), "Lights without start date do not match a date range");
+        assert(matchesLightFilter(lamp, filter({ ref: 'present' })) && matchesLightFilter(lampProps({}), filter({ ref: 'absent' })) && !matchesLightFilter(lamp, filter({ ref: 'absent' })), "Presence of ref is checked");
+        assert(getStartYear('~1960') === 1960 && getStartYear('before 1950') === 1950 && getStartYear('unknown') === null, "Years are read from start date variants");
+    }
+    
+    // Test 2: Hash parameter
+    {
+        const conditions = filter({ operator: 'Stadt/Werke, Nord: 1', ref: 'absent', startFrom: '1990' });
+        const text = formatLightFilter(conditions);
+        assert(!/[\/=]/.test(text), "Formatted filter fits into the hash");
+        assert(JSON.stringify(parseLightFilter(text)) === JSON.stringify(conditions), "Filter is restored from the hash");
+        assert(formatLightFilter(createEmptyLightFilter()) === '', "Empty filter is left out of the hash");
+        assert(JSON.stringify(parseLightFilter('unknown:1,ref')) === JSON.stringify(createEmptyLightFilter()), "Unknown conditions are ignored");
+        
+        const parsed = L.Hash.parseHash('#17/52.5/13.4/street_lights,benches/filter=' + text);
+        assert(parsed.layers.length === 2 && parsed.params.filter === text, "Hash keeps layers and filter apart");
+        assert(L.Hash.parseHash('#17/52.5/13.4/filter=ref:absent').layers === undefined, "Filter alone is not read as layers");
+    }
+    
+    // Test 3: Rendered lights are hidden without rendering again
+    {
+        const previousFilter = lightFilter;
+        const previousHash = lightFilterHash;
+        lightFilterHash = null;
+        clearRenderedElements();
+        setLightFilter(createEmptyLightFilter());
+        
+        const led = { type: 'node', id: 31, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', 'light:method': 'LED' } };
+        const sodium = { type: 'node', id: 32, lat: 52.5, lon: 13.401, tags: { highway: 'street_lamp', 'light:method': 'sodium' } };
+        const bench = { type: 'node', id: 33, lat: 52.5, lon: 13.402, tags: { amenity: 'bench' } };
+        renderOSMTiles(new Map([['tile_a', { nodes: [led, sodium, bench], ways: [] }]]));
+        
+        const lights = getObjectLayer('street_lights');
+        const ledMarker = renderedElements.get('node/31').rendered[0].marker;
+        const sodiumMarker = renderedElements.get('node/32').rendered[0].marker;
+        setLightFilter(filter({ method: 'LED' }));
+        assert(lights.hasLayer(ledMarker) && !lights.hasLayer(sodiumMarker), "Lights not matching the filter are hidden");
+        assert(!isElementFiltered(bench), "Other objects are not filtered");
+        
+        renderOSMTiles(new Map([['tile_a', { nodes: [led, sodium, bench], ways: [] }], ['tile_b', { nodes: [sodium], ways: [] }]]));
+        assert(!lights.hasLayer(sodiumMarker), "Hidden lights stay hidden when tiles are added");
+        
+        setLightFilter(createEmptyLightFilter());
+        assert(lights.hasLayer(sodiumMarker) && renderedElements.get('node/32').rendered[0].marker === sodiumMarker, "Lights are shown again with their markers");
+        
+        renderOSMTiles(new Map());
+        assert(!lights.hasLayer(ledMarker) && renderedElements.size === 0, "Lights are removed with their tiles");
+        
+        lightFilter = previousFilter;
+        lightFilterHash = previousHash;
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testLightFilter = testLightFilter;
@@ -0,0 +1,960 @@
+/**
+ * Object Type Registry for OSM Objects
+ * Declares the map layers and the object types shown on them. The Overpass query,
+ * the rendering in renderOSMElement() and the layer control are generated from it,
+ * so a new object type is added here only.
+ */
+
+// Map layers of the object types, in the order of the layer control.
+// The ID is used in the permalink and as span ID (layer_<id>) of the layer control label.
+const OBJECT_LAYERS = [
+    {
+        id: 'street_lights',
+        label: 'Street Lights',
+        labelKey: 'layer_street_lights',
+        // Base map is dimmed while the layer is shown
+        dimBaseMap: true,
+        defaultActive: true,
+        // MoveCall action when the layer is removed, the low zoom layer may take over
+        removeAction: 4
+    },
+    {
+        id: 'aviation_lights',
+        label: 'Aviation Lights',
+        labelKey: 'layer_aviation',
+        dimBaseMap: true,
+        defaultActive: true
+    },
+    {
+        id: 'lit_streets',
+        label: 'Lit Streets',
+        labelKey: 'layer_lit_streets',
+        dimBaseMap: true,
+        // Shown from the start when the URL contains this parameter
+        urlParameter: 'streets_lit'
+    },
+    {
+        id: 'unlit_streets',
+        label: 'Unlit Streets',
+        labelKey: 'layer_unlit_streets',
+        dimBaseMap: true,
+        urlParameter: 'streets_unlit'
+    },
+    {
+        id: 'lit_gaps',
+        label: 'Streets without lit Tag',
+        labelKey: 'layer_lit_gaps',
+        dimBaseMap: true,
+        urlParameter: 'lit_gaps'
+    },
+    {
+        id: 'light_coverage',
+        label: 'Light Coverage',
+        labelKey: 'layer_light_coverage',
+        dimBaseMap: true,
+        urlParameter: 'light_coverage',
+        // Footprints and uncovered stretches are only computed while the layer is shown,
+        // so the rendered elements are rebuilt (MoveCall action 5) when it is added
+        addAction: 5
+    },
+    {
+        id: 'light_quality',
+        label: 'Tagging Issues',
+        labelKey: 'layer_light_quality',
+        urlParameter: 'light_quality',
+        // Issue markers are only created while the layer is shown, see js/tag_quality.js
+        addAction: 5
+    },
+    {
+        id: 'osm_notes',
+        label: 'Notes',
+        labelKey: 'layer_osm_notes',
+        urlParameter: 'osm_notes',
+        // Notes are loaded by js/osm_notes.js, not by the Overpass query,
+        // so clearing the rendered elements (see clearRenderedElements()) keeps them
+        keepOnClear: true
+    },
+    {
+        id: 'benches',
+        label: 'Benches',
+        labelKey: 'layer_benches',
+        defaultActive: true,
+        create: () => createClusteredObjectLayer(CLUSTERING_SETTINGS.CLUSTER_BENCHES)
+    },
+    {
+        id: 'waste_baskets',
+        label: 'Waste Baskets',
+        labelKey: 'layer_waste_baskets',
+        create: () => createClusteredObjectLayer(CLUSTERING_SETTINGS.CLUSTER_STREET_FURNITURE)
+    },
+    {
+        id: 'drinking_water',
+        label: 'Drinking Water',
+        labelKey: 'layer_drinking_water',
+        create: () => createClusteredObjectLayer(CLUSTERING_SETTINGS.CLUSTER_STREET_FURNITURE)
+    },
+    {
+        id: 'bicycle_parking',
+        label: 'Bicycle Parking',
+        labelKey: 'layer_bicycle_parking',
+        create: () => createClusteredObjectLayer(CLUSTERING_SETTINGS.CLUSTER_STREET_FURNITURE)
+    }
+];
+
+// Values of the lit tag drawn on the lit and unlit streets layers
+const LIT_WAY_VALUES = ['yes', '24/7', 'automatic', 'limited', 'sunset-sunrise', 'dusk-dawn', 'interval'];
+const UNLIT_WAY_VALUES = ['no', 'disused'];
+
+/**
+ * Object types, an element is rendered by the first type matching its tags.
+ * A type is an object with
+ *   id               - name of the type
+ *   layer            - ID of the target layer in OBJECT_LAYERS, or function(props) returning it
+ *   selectors        - Overpass selectors of the high zoom query
+ *   lowZoomSelectors - optional Overpass selectors of the low zoom heatmap query
+ *   isQueried        - optional function returning false if the selectors are left out of the query
+ *   matches          - function(tags) returning true if the type renders an element with these tags
+ *   extractTags      - function(tags) returning the properties used by the other functions
+ *   buildPopup       - optional function(props, element) returning the popup HTML
+ *   editableKeys     - optional keys offered in the tag editor of the popup, see js/tag_editor.js
+ *   idPreset         - optional iD preset of the elements, or function(tags) returning it, see js/editor_links.js
+ * Point types additionally have
+ *   getIcon          - function(props, position) returning the marker icon
+ *   getPositions     - optional function(props, element) returning the marker positions [{lat, lon}],
+ *                      defaults to the node position
+ * Way types instead have
+ *   getStyles        - function(props) returning the path options of the lines (or areas) to draw
+ * Both may have
+ *   getOverlays      - function(props, element) returning additional shapes [{layer, shape}] drawn on other layers
+ * Types depending on other elements in the view additionally have
+ *   getContextProps  - function(element, context) returning properties added to props, see createRenderContext().
+ *                      Elements are rendered again when these properties change.
+ */
+const OBJECT_TYPES = [
+    {
+        id: 'street_lamp',
+        layer: 'street_lights',
+        selectors: ['node["highway"="street_lamp"]', 'node["light_source"]', 'node["tower:type"="lighting"]'],
+        lowZoomSelectors: ['node["highway"="street_lamp"]', 'node["light_source"]'],
+        matches: tags => ['xmas', 'aviation', 'warning', undefined].indexOf(getLightSource(tags)) === -1,
+        idPreset: 'highway/street_lamp',
+        extractTags: extractLightTags,
+        buildPopup: buildLightPopup,
+        // Coloured by the attribute chosen in the thematic control, see js/thematic_map.js
+        getIcon: (props, position) => getLightIcon(props, position, getThematicColour(props)),
+        getPositions: getLightPositions,
+        editableKeys: ['ref', 'operator', 'light:method', 'light:colour', 'light:mount', 'height', 'light:direction'],
+        getOverlays: (props, element) => getLightFootprintOverlays(props, element).concat(getQualityOverlays(props, element))
+    },
+    {
+        id: 'aviation_light',
+        layer: 'aviation_lights',
+        selectors: ['node["aeroway"="navigationaid"]'],
+        matches: tags => getLightSource(tags) === 'aviation' || getLightSource(tags) === 'warning',
+        idPreset: 'aeroway/navigationaid',
+        extractTags: extractLightTags,
+        buildPopup: buildLightPopup,
+        getIcon: getLightIcon,
+        getPositions: getLightPositions
+    },
+    {
+        id: 'xmas_tree',
+        layer: 'street_lights',
+        selectors: ['node["xmas:feature"="tree"]'],
+        // show christmas trees only in December
+        isQueried: () => new Date().getMonth() == 11,
+        matches: tags => getLightSource(tags) === 'xmas',
+        extractTags: extractLightTags,
+        buildPopup: buildLightPopup,
+        getIcon: getLightIcon,
+        getPositions: getLightPositions
+    },
+    {
+        id: 'bench',
+        layer: 'benches',
+        selectors: ['node["amenity"="bench"]'],
+        isQueried: () => isObjectLayerActive('benches'),
+        matches: tags => tags.amenity == 'bench',
+        idPreset: 'amenity/bench',
+        extractTags: extractBenchTags,
+        buildPopup: buildBenchPopup,
+        editableKeys: ['backrest', 'material'],
+        getIcon: props => createMarkerIcon(L, getBenchSymbol(props), 'bench', null, null, null, '')
+    },
+    {
+        id: 'waste_basket',
+        layer: 'waste_baskets',
+        selectors: ['node["amenity"="waste_basket"]'],
+        isQueried: () => isObjectLayerActive('waste_baskets'),
+        matches: tags => tags.amenity == 'waste_basket',
+        idPreset: 'amenity/waste_basket',
+        extractTags: extractWasteBasketTags,
+        buildPopup: buildWasteBasketPopup,
+        getIcon: props => createMarkerIcon(L, getWasteBasketSymbol(props), 'waste_basket', null, null, null, '')
+    },
+    {
+        id: 'drinking_water',
+        layer: 'drinking_water',
+        selectors: ['node["amenity"="drinking_water"]'],
+        isQueried: () => isObjectLayerActive('drinking_water'),
+        matches: tags => tags.amenity == 'drinking_water',
+        idPreset: 'amenity/drinking_water',
+        extractTags: extractDrinkingWaterTags,
+        buildPopup: buildDrinkingWaterPopup,
+        getIcon: props => createMarkerIcon(L, getDrinkingWaterSymbol(props), 'drinking_water', null, null, null, '')
+    },
+    {
+        id: 'bicycle_parking',
+        layer: 'bicycle_parking',
+        selectors: ['node["amenity"="bicycle_parking"]'],
+        isQueried: () => isObjectLayerActive('bicycle_parking'),
+        matches: tags => tags.amenity == 'bicycle_parking',
+        idPreset: 'amenity/bicycle_parking',
+        extractTags: extractBicycleParkingTags,
+        buildPopup: buildBicycleParkingPopup,
+        // The capacity is shown next to the symbol like the ref of street lamps
+        getIcon: props => createMarkerIcon(L, getBicycleParkingSymbol(props), 'bicycle_parking', null, null, null, props.capacity || '')
+    },
+    {
+        id: 'lit_way',
+        layer: props => UNLIT_WAY_VALUES.includes(props.lit) ? 'unlit_streets' : 'lit_streets',
+        // Ways are returned with their geometry, so their nodes are not needed
+        selectors: ['way["highway"][!area]["lit"]', 'way["highway"][area]["lit"]'],
+        isQueried: () => isObjectLayerActive('lit_streets') || isObjectLayerActive('unlit_streets') || isObjectLayerActive('light_coverage'),
+        matches: tags => LIT_WAY_VALUES.includes(tags.lit) || UNLIT_WAY_VALUES.includes(tags.lit),
+        idPreset: tags => 'highway/' + tags.highway,
+        extractTags: tags => ({ highway: tags.highway, lit: tags.lit, area: tags.area == 'yes' }),
+        getContextProps: getLightCoverageContextProps,
+        getStyles: getLitWayStyles,
+        getOverlays: getUncoveredStretchOverlays
+    },
+    {
+        id: 'lit_gap_way',
+        layer: 'lit_gaps',
+        selectors: ['way["highway"~"^(' + LIT_GAP_SETTINGS.HIGHWAY_VALUES.join('|') + ')$"][!"lit"]'],
+        isQueried: () => isObjectLayerActive('lit_gaps'),
+        matches: tags => tags.lit === undefined && LIT_GAP_SETTINGS.HIGHWAY_VALUES.includes(tags.highway),
+        idPreset: tags => 'highway/' + tags.highway,
+        extractTags: tags => ({ highway: tags.highway, area: tags.area == 'yes' }),
+        getContextProps: getLitGapContextProps,
+        buildPopup: buildLitGapPopup,
+        getStyles: getLitGapStyles
+    }
+];
+
+// Leaflet layers of OBJECT_LAYERS: layer ID -> layer, see createObjectLayers()
+let objectLayers = {};
+
+/**
+ * Creates the Leaflet layers of all object layers
+ */
+function createObjectLayers() {
+    OBJECT_LAYERS.forEach(definition => {
+        objectLayers[definition.id] = (definition.create && definition.create()) ||
+            new L.LayerGroup([], {
+                maxZoom: 19,
+                minZoom: MIN_ZOOM
+            });
+    });
+}
+
+/**
+ * Creates a clustered layer for object layers with many markers
+ * @param {boolean} isClustered - Whether clustering is enabled for the layer
+ * @returns {object|null} Clustered layer or null to use a plain layer group
+ */
+function createClusteredObjectLayer(isClustered) {
+    if (!isClustered) {
+        return null;
+    }
+    return createClusteredLayerGroup({
+        maxZoom: CLUSTERING_SETTINGS.CLUSTER_MAX_ZOOM,
+        radius: CLUSTERING_SETTINGS.CLUSTER_RADIUS,
+        minZoom: CLUSTERING_SETTINGS.CLUSTER_MIN_ZOOM
+    });
+}
+
+/**
+ * Gets the Leaflet layer of an object layer
+ * @param {string} id - Layer ID from OBJECT_LAYERS
+ * @returns {L.Layer} Layer
+ */
+function getObjectLayer(id) {
+    return objectLayers[id];
+}
+
+/**
+ * Checks if an object layer is shown on the map
+ * @param {string} id - Layer ID from OBJECT_LAYERS
+ * @returns {boolean} True if the layer is shown
+ */
+function isObjectLayerActive(id) {
+    return map.hasLayer(objectLayers[id]);
+}
+
+/**
+ * Checks if any object layer is shown on the map
+ * @param {Function} filter - Optional function(definition) selecting the layers to check
+ * @returns {boolean} True if a selected layer is shown
+ */
+function hasActiveObjectLayer(filter) {
+    return OBJECT_LAYERS.some(definition => (!filter || filter(definition)) && isObjectLayerActive(definition.id));
+}
+
+/**
+ * Adds the object layers to the permalink layers and the layer control entries
+ * @param {object} overlayMaps - Layers by permalink name
+ * @param {object} overlayNames - Layers by layer control label
+ */
+function addObjectLayersToControl(overlayMaps, overlayNames) {
+    OBJECT_LAYERS.forEach(definition => {
+        overlayMaps[definition.id] = objectLayers[definition.id];
+        overlayNames["<span id='layer_" + definition.id + "'>" + definition.label + "</span>"] = objectLayers[definition.id];
+    });
+}
+
+/**
+ * Shows the layers that are active by default or requested by a URL parameter
+ */
+function addDefaultObjectLayers() {
+    OBJECT_LAYERS.forEach(definition => {
+        if (definition.defaultActive || (definition.urlParameter && window.location.search.indexOf(definition.urlParameter) != -1)) {
+            map.addLayer(objectLayers[definition.id]);
+        }
+    });
+}
+
+/**
+ * Updates the layer control labels after a language change
+ */
+function translateObjectLayers() {
+    OBJECT_LAYERS.forEach(definition => {
+        $("#layer_" + definition.id).html(i18next.t(definition.labelKey));
+    });
+}
+
+/**
+ * Finds the object type rendering an element
+ * @param {object} tags - Tags of the element
+ * @returns {object|undefined} Object type or undefined if the element is not shown
+ */
+function findObjectType(tags) {
+    return OBJECT_TYPES.find(type => type.matches(tags));
+}
+
+/**
+ * Gets an object type by its ID
+ * @param {string} id - Object type ID
+ * @returns {object|undefined} Object type
+ */
+function getObjectType(id) {
+    return OBJECT_TYPES.find(type => type.id === id);
+}
+
+/**
+ * Checks if an object type is included in the high zoom query
+ * @param {object} type - Object type
+ * @returns {boolean} True if the selectors of the type are queried
+ */
+function isObjectTypeQueried(type) {
+    return !type.isQueried || type.isQueried();
+}
+
+/**
+ * Gets the IDs of the object types included in the high zoom query.
+ * Stored with the loaded rectangles, so rectangles loaded before a layer was shown are loaded again.
+ * @returns {Array} Object type IDs
+ */
+function getQueriedObjectTypes() {
+    return OBJECT_TYPES.filter(isObjectTypeQueried).map(type => type.id);
+}
+
+/**
+ * Gets the Overpass selectors of all object types included in the query
+ * @param {boolean} isLowZoom - Whether the low zoom heatmap is queried
+ * @returns {Array} Overpass selectors
+ */
+function getObjectQuerySelectors(isLowZoom = false) {
+    const selectors = [];
+    OBJECT_TYPES.forEach(type => {
+        if (isLowZoom) {
+            selectors.push(...(type.lowZoomSelectors || []));
+        } else if (isObjectTypeQueried(type)) {
+            selectors.push(...type.selectors);
+        }
+    });
+    return selectors;
+}
+
+/**
+ * Builds the Overpass query for the object types
+ * @param {string} bbox - Global bounding box setting, e.g. "[bbox:south,west,north,east];"
+ * @param {boolean} isLowZoom - Whether the low zoom heatmap is queried
+ * @returns {string} Overpass query
+ */
+function buildObjectQuery(bbox, isLowZoom = false) {
+    const statements = getObjectQuerySelectors(isLowZoom).map(selector => selector + '; ').join('');
+    return `[out:${OVERPASS_OUTPUT_FORMAT}]${bbox}( ${statements}); ${isLowZoom ? 'out skel;' : 'out geom qt;'}`;
+}
+
+/**
+ * Gets the links shown at the bottom of the popups
+ * @param {object} element - Element from the element model
+ * @returns {string} HTML
+ */
+function getObjectLinks(element) {
+    const type = findObjectType(element.tags);
+    const editLink = type && type.editableKeys ?
+        "<a href='#' onclick='openTagEditor(\"" + element.type + "\",\"" + element.id + "\"); return false;'>" + i18next.t('edit_link') + "</a> | " : "";
+    return "<br>" + editLink + getDefaultEditorLink(element) + " | " +
+        "<a href='https://www.openstreetmap.org/" + element.type + "/" + element.id + "'>show in OSM</a> | " +
+        "<a href='#' onclick='openElementNoteForm(\"" + element.type + "\",\"" + element.id + "\"); return false;'>" + i18next.t('note_create_link') + "</a>" +
+        getEditorMenu(element);
+}
+
+/**
+ * Gets the kind of light of an element
+ * @param {object} tags - Tags of the element
+ * @returns {string|undefined} Light source, e.g. "lantern", "floodlight", "aviation" or "xmas"
+ */
+function getLightSource(tags) {
+    if (tags['xmas:feature'] !== undefined) {
+        return 'xmas';
+    }
+    if (tags.light_source !== undefined) {
+        return tags.light_source;
+    }
+    if (tags['tower:type'] == 'lighting') {
+        return 'floodlight';
+    }
+    if (tags.highway == 'street_lamp') {
+        return 'lantern';
+    }
+    if (tags.aeroway == 'navigationaid') {
+        return 'aviation';
+    }
+    return undefined;
+}
+
+/**
+ * Extracts the properties of street lamps and other lights
+ * @param {object} tags - Tags of the element
+ * @returns {object} Light properties
+ */
+function extractLightTags(tags) {
+    const lightSource = getLightSource(tags);
+    let flash = tags['light:flash'];
+    if (flash === undefined && tags['light:character'] !== undefined && tags['light:character'] != 'fixed') {
+        flash = 'yes';
+    }
+
+    return {
+        lightSource: lightSource,
+        navigationaid: tags.navigationaid || (lightSource == 'aviation' ? 'unknown' : undefined),
+        operator: tags.lamp_operator || tags.operator,
+        ref: tags.lamp_ref || tags.ref,
+        startDate: tags.start_date,
+        manufacturer: tags.manufacturer,
+        model: tags.model || tags['lamp_model:de'] || tags.lamp_model,
+        height: tags.height,
+        width: tags.width,
+        count: Number(tags['light:count']) || 1,
+        colour: tags['light:colour'],
+        direction: tags['light:direction'] || tags.direction,
+        lightHeight: tags['light:height'],
+        method: tags['light:method'] || tags.lamp_type,
+        mount: tags.support || tags['light:mount'] || tags.lamp_mount,
+        lit: tags['light:lit'],
+        shape: tags['light:shape'],
+        flash: flash
+    };
+}
+
+/**
+ * Builds the popup of a light
+ * @param {object} props - Light properties
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildLightPopup(props, element) {
+    let textLightType;
+    const aviationTypes = ['als', 'papi', 'vasi', 'txe', 'txc', 'rwe', 'rwc', 'tdz', 'rgl', 'beacon'];
+
+    if (props.lightSource == 'lantern' || props.lightSource == 'floodlight' || props.lightSource == 'warning') {
+        textLightType = i18next.t('lamp_' + props.lightSource);
+    } else if (props.lightSource == 'aviation') {
+        textLightType = aviationTypes.includes(props.navigationaid) ? i18next.t('lamp_aviation_' + props.navigationaid) : i18next.t('lamp_aviation');
+    } else {
+        textLightType = i18next.t('lamp_unknown');
+    }
+
+    // Tags that are only shown when available
+    const rows = [
+        [props.method, 'lamp_method', getLightMethod(props.method)],
+        [props.mount, 'lamp_mount', getLightMount(props.mount)],
+        [props.startDate, 'lamp_start_date', props.startDate],
+        [props.manufacturer, 'lamp_manufacturer', props.manufacturer],
+        [props.model, 'lamp_model', props.model],
+        [props.height, 'lamp_height', props.height + ' m'],
+        [props.width, 'lamp_width', props.width],
+        [props.lightHeight, 'lamp_light_height', props.lightHeight + ' m'],
+        [props.lit, 'lamp_time', getLightLit(props.lit)],
+        [props.count > 1, 'lamp_count', props.count]
+    ].filter(row => row[0]).map(row => "<tr><td><b>" + i18next.t(row[1]) + ": </b></td><td>" + row[2] + "</td></tr>");
+
+    const operator = props.operator || "<i>" + i18next.t('unknown') + "</i>";
+
+    return "<b>" + textLightType + " " + (props.ref || "") + "</b><br>" +
+        "<div class='infoblock'><table>" +
+        "<tr><td><b>" + i18next.t('lamp_operator') + ": </b></td><td>" + operator + "</td></tr>" +
+        rows.join('') +
+        "</table></div>" +
+        getObjectLinks(element);
+}
+
+/**
+ * Gets the marker positions of a light, multiple lights at the same spot are spread around it.
+ * Every position also carries the direction and ref of its light.
+ * @param {object} props - Light properties
+ * @param {object} element - Element from the element model
+ * @returns {Array} Positions [{lat, lon, direction, ref}]
+ */
+function getLightPositions(props, element) {
+    // Restrict number of shown light sources for single points to reduce clutter
+    const count = Math.min(props.count, LIGHT_COUNT_MAX);
+    const directions = props.direction ? props.direction.split(";") : [];
+    const refs = props.ref ? props.ref.split(";") : [];
+    const positions = [];
+
+    // Handle lights with only one direction given
+    let isSingleDir = false;
+    let posDirection0 = 0;
+    if (directions.length == 1 && count > 1 && (directions[0] > 0 || directions[0] === 0)) {
+        isSingleDir = true;
+        posDirection0 = directions[0]; // keep first value in memory
+    }
+
+    const posDirection = [];
+    for (let j = 0; j < count; j++) {
+        let lat = element.lat, lon = element.lon;
+        // Positioning of multiple lights at same spot
+        if (count > 1) {
+            let posDistance = 1.5;
+            if (isSingleDir) { // only one direction value given -> assume all lights are parallel
+                posDirection[j] = posDirection0 * 1 + 90;
+                posDistance = 1.5 * j - ((1.5 * count) / 2);
+                if (posDirection[j] > 360) {
+                    posDirection[j] = posDirection[j] - 360;
+                }
+            } else if (directions[j] === 0 || (directions[j] > 0 && directions[j] <= 360)) {
+                posDirection[j] = directions[j];
+            } else if (j > 0) {
+                posDirection[j] = posDirection[j - 1] * 1 + 360 / count;
+                if (posDirection[j] > 360) {
+                    posDirection[j] = posDirection[j] - 360;
+                }
+            } else {
+                posDirection[j] = 0;
+            }
+            [lat, lon] = addLatLngDistanceM(element.lat, element.lon, posDirection[j], posDistance);
+        }
+
+        if (!directions[j]) {
+            directions[j] = directions[j - 1];
+        }
+        positions.push({ lat: lat, lon: lon, direction: directions[j], ref: refs[j] || "" });
+    }
+    return positions;
+}
+
+/**
+ * Gets the marker icon of a light
+ * @param {object} props - Light properties
+ * @param {object} position - Marker position with direction and ref, see getLightPositions()
+ * @param {string|null} themeColour - Optional CSS colour of a disc behind the symbol
+ * @returns {L.DivIcon} Icon
+ */
+function getLightIcon(props, position, themeColour = null) {
+    return getMarkerIcon(L, props.lightSource, props.method, props.colour, props.flash, position.direction,
+        props.shape, props.lightHeight || props.height, props.navigationaid, position.ref, themeColour);
+}
+
+/**
+ * Gets the tags that are not shown as an attribute row of a popup
+ * @param {object} tags - Tags of the element
+ * @param {Array} shownKeys - Keys shown as attribute rows or used for the title
+ * @returns {object} Other tags
+ */
+function getOtherTags(tags, shownKeys) {
+    const otherTags = {};
+    Object.keys(tags).forEach(key => {
+        if (!shownKeys.includes(key)) {
+            otherTags[key] = tags[key];
+        }
+    });
+    return otherTags;
+}
+
+/**
+ * Builds the popup of street furniture: the meaningful attributes first, then all other tags
+ * @param {string} title - Title of the popup
+ * @param {Array} rows - Attribute rows [value, label], rows without value are left out
+ * @param {object} otherTags - Other tags of the element
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildAttributePopup(title, rows, otherTags, element) {
+    let text = "<b>" + title + "</b><br><div class='infoblock'><table>";
+
+    rows.forEach(([value, label]) => {
+        if (value) {
+            text += "<tr><td><b>" + label + ": </b></td><td>" + value + "</td></tr>";
+        }
+    });
+
+    Object.entries(otherTags).forEach(([key, value]) => {
+        text += "<tr><td><b>" + key + ": </b></td><td>" + value + "</td></tr>";
+    });
+
+    return text + "</table></div>" + getObjectLinks(element);
+}
+
+// Path options of the light coverage layer
+const LIGHT_FOOTPRINT_STYLE = { stroke: false, fillColor: '#FFEB3B', fillOpacity: 0.25, interactive: false };
+const UNCOVERED_STRETCH_STYLE = { color: '#E53935', weight: 7, opacity: 0.6, interactive: false };
+
+/**
+ * Gets the estimated footprints of a light for the light coverage layer
+ * @param {object} props - Light properties
+ * @param {object} element - Element from the element model
+ * @returns {Array} Overlays [{layer, shape}], empty while the layer is hidden
+ */
+function getLightFootprintOverlays(props, element) {
+    if (!isObjectLayerActive('light_coverage')) {
+        return [];
+    }
+    return getLightPositions(props, element).map(position => {
+        const footprint = getLightFootprint(props, position);
+        if (footprint.direction === null) {
+            return { layer: 'light_coverage', shape: L.circle([footprint.lat, footprint.lon], Object.assign({ radius: footprint.radius }, LIGHT_FOOTPRINT_STYLE)) };
+        }
+
+        // Sector around the direction of the floodlight
+        const points = [[footprint.lat, footprint.lon]];
+        for (let angle = -footprint.angle / 2; angle <= footprint.angle / 2; angle += 10) {
+            points.push(addLatLngDistanceM(footprint.lat, footprint.lon, footprint.direction + angle, footprint.radius));
+        }
+        return { layer: 'light_coverage', shape: L.polygon(points, LIGHT_FOOTPRINT_STYLE) };
+    });
+}
+
+/**
+ * Gets the stretches of a lit or unlit way outside of the footprints of the street lamps in view
+ * @param {object} element - Way from the element model
+ * @param {object} context - Render context, see createRenderContext()
+ * @returns {object} Properties {uncovered}, without properties while the light coverage layer is hidden
+ */
+function getLightCoverageContextProps(element, context) {
+    if (!isObjectLayerActive('light_coverage') || element.tags.area == 'yes') {
+        return {};
+    }
+    return { uncovered: getUncoveredStretches(element.geometry || [], context.getFootprintIndex()) };
+}
+
+/**
+ * Gets the highlighted stretches of a way for the light coverage layer
+ * @param {object} props - Way properties with the uncovered stretches
+ * @returns {Array} Overlays [{layer, shape}]
+ */
+function getUncoveredStretchOverlays(props) {
+    return (props.uncovered || []).map(stretch => ({ layer: 'light_coverage', shape: L.polyline(stretch, UNCOVERED_STRETCH_STYLE) }));
+}
+
+/**
+ * Extracts the properties of benches
+ * @param {object} tags - Tags of the element
+ * @returns {object} Bench properties, other tags are kept in otherTags
+ */
+function extractBenchTags(tags) {
+    return {
+        backrest: tags.backrest,
+        material: tags.material,
+        seats: tags.seats,
+        colour: tags.colour || tags.color,
+        lit: tags.lit,
+        bin: tags.bin,
+        otherTags: getOtherTags(tags, ['amenity', 'backrest', 'material', 'seats', 'colour', 'color', 'lit', 'bin'])
+    };
+}
+
+/**
+ * Builds the popup of a bench
+ * @param {object} props - Bench properties
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildBenchPopup(props, element) {
+    return buildAttributePopup(i18next.t("bench"), [
+        [props.backrest, i18next.t("bench_backrest")],
+        [props.material, i18next.t("bench_material")],
+        [props.seats, i18next.t("bench_seats")],
+        [props.colour, i18next.t("bench_colour")],
+        [props.lit, i18next.t("bench_lit")],
+        [props.bin, "Bin"]
+    ], props.otherTags, element);
+}
+
+/**
+ * Selects the bench symbol. Priority: lighting > bin > material > backrest
+ * @param {object} props - Bench properties
+ * @returns {string} Symbol file name without extension
+ */
+function getBenchSymbol(props) {
+    const material = props.material == 'wood' ? '_wood' : (props.material == 'metal' || props.material == 'steel') ? '_metal' : '';
+
+    if (props.lit == 'yes') {
+        return 'bench' + material + '_lit';
+    } else if (props.bin == 'yes') {
+        return 'bench' + material + '_bin';
+    } else if (material) {
+        return 'bench' + material;
+    } else if (props.backrest == 'yes') {
+        return 'bench_backrest';
+    } else if (props.backrest == 'no') {
+        return 'bench_no_backrest';
+    }
+    return 'bench'; // default bench icon
+}
+
+// Values of the waste tag collected separately for recycling
+const RECYCLING_WASTE_VALUES = ['plastic', 'paper', 'glass', 'cans', 'bottles', 'plastic_packaging', 'organic'];
+
+/**
+ * Extracts the properties of waste baskets
+ * @param {object} tags - Tags of the element
+ * @returns {object} Waste basket properties, other tags are kept in otherTags
+ */
+function extractWasteBasketTags(tags) {
+    return {
+        waste: tags.waste ? tags.waste.split(';').map(value => value.trim()) : [],
+        operator: tags.operator,
+        material: tags.material,
+        colour: tags.colour || tags.color,
+        support: tags.support,
+        dogBags: tags.vending == 'excrement_bags' ? 'yes' : undefined,
+        otherTags: getOtherTags(tags, ['amenity', 'waste', 'operator', 'material', 'colour', 'color', 'support', 'vending'])
+    };
+}
+
+/**
+ * Builds the popup of a waste basket
+ * @param {object} props - Waste basket properties
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildWasteBasketPopup(props, element) {
+    return buildAttributePopup(i18next.t("waste_basket"), [
+        [props.waste.join(', '), i18next.t("waste_basket_waste")],
+        [props.dogBags, i18next.t("waste_basket_dog_bags")],
+        [props.operator, i18next.t("lamp_operator")],
+        [props.material, i18next.t("bench_material")],
+        [props.colour, i18next.t("bench_colour")],
+        [props.support, i18next.t("lamp_mount")]
+    ], props.otherTags, element);
+}
+
+/**
+ * Selects the waste basket symbol. Priority: dog excrement > recycling
+ * @param {object} props - Waste basket properties
+ * @returns {string} Symbol file name without extension
+ */
+function getWasteBasketSymbol(props) {
+    if (props.waste.includes('dog_excrement') || props.dogBags) {
+        return 'waste_basket_dog';
+    } else if (props.waste.some(value => RECYCLING_WASTE_VALUES.includes(value))) {
+        return 'waste_basket_recycling';
+    }
+    return 'waste_basket';
+}
+
+/**
+ * Extracts the properties of drinking water taps and fountains
+ * @param {object} tags - Tags of the element
+ * @returns {object} Drinking water properties, other tags are kept in otherTags
+ */
+function extractDrinkingWaterTags(tags) {
+    return {
+        drinkable: tags['drinking_water:legal'] || tags.drinking_water,
+        fountain: tags.fountain,
+        bottle: tags.bottle,
+        seasonal: tags.seasonal,
+        openingHours: tags.opening_hours,
+        operator: tags.operator,
+        access: tags.access,
+        fee: tags.fee,
+        otherTags: getOtherTags(tags, ['amenity', 'drinking_water', 'drinking_water:legal', 'fountain', 'bottle', 'seasonal',
+            'opening_hours', 'operator', 'access', 'fee'])
+    };
+}
+
+/**
+ * Builds the popup of a drinking water tap or fountain
+ * @param {object} props - Drinking water properties
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildDrinkingWaterPopup(props, element) {
+    return buildAttributePopup(i18next.t("drinking_water"), [
+        [props.drinkable, i18next.t("drinking_water_drinkable")],
+        [props.fountain, i18next.t("drinking_water_fountain")],
+        [props.bottle, i18next.t("drinking_water_bottle")],
+        [props.seasonal, i18next.t("drinking_water_seasonal")],
+        [props.openingHours, i18next.t("furniture_opening_hours")],
+        [props.operator, i18next.t("lamp_operator")],
+        [props.access, i18next.t("furniture_access")],
+        [props.fee, i18next.t("furniture_fee")]
+    ], props.otherTags, element);
+}
+
+/**
+ * Selects the drinking water symbol. Priority: not drinkable > seasonal > bottle refill
+ * @param {object} props - Drinking water properties
+ * @returns {string} Symbol file name without extension
+ */
+function getDrinkingWaterSymbol(props) {
+    if (props.drinkable == 'no') {
+        return 'drinking_water_no';
+    } else if (props.seasonal && props.seasonal != 'no') {
+        return 'drinking_water_seasonal';
+    } else if (props.bottle == 'yes') {
+        return 'drinking_water_bottle';
+    }
+    return 'drinking_water';
+}
+
+/**
+ * Extracts the properties of bicycle parkings
+ * @param {object} tags - Tags of the element
+ * @returns {object} Bicycle parking properties, other tags are kept in otherTags
+ */
+function extractBicycleParkingTags(tags) {
+    return {
+        parkingType: tags.bicycle_parking,
+        capacity: tags.capacity,
+        covered: tags.covered,
+        supervised: tags.supervised,
+        operator: tags.operator,
+        access: tags.access,
+        fee: tags.fee,
+        otherTags: getOtherTags(tags, ['amenity', 'bicycle_parking', 'capacity', 'covered', 'supervised', 'operator', 'access', 'fee'])
+    };
+}
+
+/**
+ * Builds the popup of a bicycle parking
+ * @param {object} props - Bicycle parking properties
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildBicycleParkingPopup(props, element) {
+    return buildAttributePopup(i18next.t("bicycle_parking"), [
+        [props.parkingType, i18next.t("bicycle_parking_type")],
+        [props.capacity, i18next.t("bicycle_parking_capacity")],
+        [props.covered, i18next.t("bicycle_parking_covered")],
+        [props.supervised, i18next.t("bicycle_parking_supervised")],
+        [props.operator, i18next.t("lamp_operator")],
+        [props.access, i18next.t("furniture_access")],
+        [props.fee, i18next.t("furniture_fee")]
+    ], props.otherTags, element);
+}
+
+/**
+ * Selects the bicycle parking symbol. Priority: lockers > covered
+ * @param {object} props - Bicycle parking properties
+ * @returns {string} Symbol file name without extension
+ */
+function getBicycleParkingSymbol(props) {
+    if (props.parkingType == 'lockers') {
+        return 'bicycle_parking_lockers';
+    } else if (props.covered == 'yes' || props.parkingType == 'shed' || props.parkingType == 'building') {
+        return 'bicycle_parking_covered';
+    }
+    return 'bicycle_parking';
+}
+
+/**
+ * Gets the nearest street lamp of a way without lit tag
+ * @param {object} element - Way from the element model
+ * @param {object} context - Render context, see createRenderContext()
+ * @returns {object} Properties {probablyLit, lampDistance} with the distance in whole metres
+ */
+function getLitGapContextProps(element, context) {
+    const lamps = findLampsNearWay(context.getLampIndex(), element.geometry || [], LIT_GAP_SETTINGS.PROBABLY_LIT_DISTANCE_M);
+    return {
+        probablyLit: lamps.length > 0,
+        lampDistance: lamps.length > 0 ? Math.round(lamps[0].distance) : null
+    };
+}
+
+/**
+ * Builds the popup of a way without lit tag
+ * @param {object} props - Way properties {highway, area, probablyLit, lampDistance}
+ * @param {object} element - Element from the element model
+ * @returns {string} Popup HTML
+ */
+function buildLitGapPopup(props, element) {
+    const hint = props.probablyLit ?
+        i18next.t('lit_gap_probably_lit', { distance: props.lampDistance }) :
+        i18next.t('lit_gap_no_lamp', { distance: LIT_GAP_SETTINGS.PROBABLY_LIT_DISTANCE_M });
+
+    return "<b>" + i18next.t('lit_gap') + "</b><br>" +
+        "<div class='infoblock'><table>" +
+        "<tr><td><b>highway: </b></td><td>" + props.highway + "</td></tr>" +
+        "<tr><td colspan='2'>" + hint + "</td></tr>" +
+        "</table></div>" +
+        getObjectLinks(element);
+}
+
+/**
+ * Gets the path options of a way without lit tag, ways near street lamps are highlighted
+ * @param {object} props - Way properties {area, probablyLit}
+ * @returns {Array} Path options
+ */
+function getLitGapStyles(props) {
+    const color = props.probablyLit ? '#FFD600' : '#FF6D00';
+    if (props.area) {
+        return [{ stroke: false, fillColor: color, fillOpacity: 0.3, weight: 3 }];
+    }
+    return [{ color: color, weight: 3, dashArray: "6 4" }];
+}
+
+/**
+ * Gets the path options of a lit or unlit way
+ * @param {object} props - Way properties {lit, area}
+ * @returns {Array} Path options, one entry per drawn line or area
+ */
+function getLitWayStyles(props) {
+    if (UNLIT_WAY_VALUES.includes(props.lit)) {
+        if (props.area) {
+            return [{ stroke: false, fillColor: '#000000', fillOpacity: 0.4, weight: 3 }];
+        }
+        return [{ color: '#111111', weight: 3 }];
+    }
+
+    let dashArray = "0";
+    if (props.lit == "automatic") {
+        dashArray = "2 3";
+    } else if (props.lit == "limited" || props.lit == "interval") {
+        dashArray = "8";
+    }
+    const color = "#BBBBBB";
+
+    if (props.area) {
+        return [{ stroke: false, fillColor: color, fillOpacity: 0.4, weight: 3, dashArray: dashArray }];
+    }
+    const styles = [{ color: color, weight: 3, dashArray: dashArray }];
+    if (props.lit == "24/7") { // dotted outline for 24/7
+        styles.push({ color: color, weight: 5, dashArray: "1 6" });
+    }
+    return styles;
+}
@@ -0,0 +1,411 @@
+/**
+ * OSM API for OSM Objects
+ * Logs in with OAuth2 (authorization code with PKCE) and uploads changesets to the OSM API 0.6.
+ * Elements are read from the API before they are changed, as the Overpass data has no versions.
+ * An element changed by someone else in the meantime is reported as conflict instead of being overwritten.
+ * The website is set in OSM_API_SETTINGS, so edits can be tested against the development server or a local mock API.
+ */
+
+// localStorage keys of the access token and of the pending login {state, verifier}
+const OSM_TOKEN_STORAGE_KEY = 'osm_access_token';
+const OSM_AUTH_REQUEST_STORAGE_KEY = 'osm_auth_request';
+
+// Functions called after logging in or out, also when the login window stored the token
+const osmLoginListeners = [];
+// Display name of the logged in user, read once per login
+let osmUserName = null;
+
+/**
+ * Gets the access token of the logged in user
+ * @returns {string|null} Access token, null if not logged in
+ */
+function getOSMAccessToken() {
+    return localStorage.getItem(OSM_TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Checks whether a user is logged in
+ * @returns {boolean} True with access token
+ */
+function isOSMLoggedIn() {
+    return getOSMAccessToken() !== null;
+}
+
+/**
+ * Calls a function after logging in or out
+ * @param {function} listener - function(loggedIn)
+ */
+function addOSMLoginListener(listener) {
+    osmLoginListeners.push(listener);
+}
+
+/**
+ * Stores or removes the access token and notifies the listeners
+ * @param {string|null} token - Access token, null to log out
+ */
+function setOSMAccessToken(token) {
+    if (token) {
+        localStorage.setItem(OSM_TOKEN_STORAGE_KEY, token);
+    } else {
+        localStorage.removeItem(OSM_TOKEN_STORAGE_KEY);
+    }
+    osmUserName = null;
+    osmLoginListeners.forEach(listener => listener(Boolean(token)));
+}
+
+/**
+ * Encodes bytes as base64url without padding (RFC 4648)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Encoded text
+ */
+function encodeBase64Url(bytes) {
+    return btoa(String.fromCharCode.apply(null, bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Creates a random PKCE code verifier, also used as login state
+ * @returns {string} 43 characters
+ */
+function createPkceVerifier() {
+    return encodeBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Gets the PKCE code challenge of a verifier (method S256)
+ * @param {string} verifier - Code verifier
+ * @returns {Promise} Promise resolving to the challenge
+ */
+function getPkceChallenge(verifier) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+        .then(hash => encodeBase64Url(new Uint8Array(hash)));
+}
+
+/**
+ * Gets the redirect URI registered for the OAuth2 client, this page without query and hash
+ * @returns {string} URI
+ */
+function getOSMRedirectUri() {
+    return window.location.origin + window.location.pathname;
+}
+
+/**
+ * Gets the URL of the OAuth2 authorization page
+ * @param {string} challenge - PKCE code challenge
+ * @param {string} state - Random state, returned with the code
+ * @returns {string} URL
+ */
+function getOSMAuthorizeUrl(challenge, state) {
+    return OSM_API_SETTINGS.URL + '/oauth2/authorize?' + $.param({
+        response_type: 'code',
+        client_id: OSM_API_SETTINGS.CLIENT_ID,
+        redirect_uri: getOSMRedirectUri(),
+        scope: OSM_API_SETTINGS.SCOPE,
+        state: state,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    });
+}
+
+/**
+ * Opens the OAuth2 authorization page in a new window.
+ * The page redirects back to this page, where handleOSMAuthRedirect() stores the token.
+ * @returns {Promise} Promise resolving when the authorization page is opened,
+ *   rejected without secure context (PKCE needs crypto.subtle) or if the window was blocked
+ */
+function loginOSM() {
+    if (!OSM_API_SETTINGS.CLIENT_ID) {
+        return Promise.reject(new Error(i18next.t('osm_login_unavailable')));
+    }
+    // crypto.subtle only exists on https and localhost
+    if (!window.crypto || !window.crypto.subtle) {
+        return Promise.reject(new Error(i18next.t('osm_login_insecure')));
+    }
+    // Opened before the asynchronous challenge, so the window is not blocked as popup
+    const authWindow = window.open('', 'osm_login', 'width=600,height=700');
+    if (!authWindow) {
+        return Promise.reject(new Error(i18next.t('osm_login_blocked')));
+    }
+    return Promise.resolve().then(() => {
+        const request = { state: createPkceVerifier(), verifier: createPkceVerifier() };
+        localStorage.setItem(OSM_AUTH_REQUEST_STORAGE_KEY, JSON.stringify(request));
+        return getPkceChallenge(request.verifier).then(challenge => {
+            authWindow.location.href = getOSMAuthorizeUrl(challenge, request.state);
+        });
+    }).catch(error => {
+        authWindow.close();
+        throw error;
+    });
+}
+
+/**
+ * Logs out, the token stays valid on the website until the user revokes it
+ */
+function logoutOSM() {
+    setOSMAccessToken(null);
+}
+
+/**
+ * Completes the login if this page was opened as OAuth2 redirect with code and state.
+ * The login window is closed afterwards, the page that opened it is notified by the storage event.
+ * @returns {Promise} Promise resolving to true if a token was stored
+ */
+function handleOSMAuthRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const request = JSON.parse(localStorage.getItem(OSM_AUTH_REQUEST_STORAGE_KEY) || 'null');
+    if (!params.has('code') || !request || params.get('state') !== request.state) {
+        return Promise.resolve(false);
+    }
+    localStorage.removeItem(OSM_AUTH_REQUEST_STORAGE_KEY);
+
+    return new Promise((resolve, reject) => {
+        $.ajax({
+            url: OSM_API_SETTINGS.URL + '/oauth2/token',
+            type: 'POST',
+            dataType: 'json',
+            data: {
+                grant_type: 'authorization_code',
+                code: params.get('code'),
+                redirect_uri: getOSMRedirectUri(),
+                client_id: OSM_API_SETTINGS.CLIENT_ID,
+                code_verifier: request.verifier
+            },
+            timeout: OSM_API_SETTINGS.TIMEOUT_MS,
+            success: response => resolve(response.access_token),
+            error: jqXHR => reject(createOSMApiError(jqXHR))
+        });
+    }).then(token => {
+        setOSMAccessToken(token);
+        if (window.opener) {
+            window.close();
+        } else {
+            window.history.replaceState(null, '', getOSMRedirectUri() + window.location.hash);
+        }
+        return true;
+    });
+}
+
+/**
+ * Creates the error of a failed API request. Logs out if the token was rejected.
+ * @param {object} jqXHR - Failed request
+ * @returns {Error} Error with status
+ */
+function createOSMApiError(jqXHR) {
+    let error;
+    if (jqXHR.status === 401) {
+        setOSMAccessToken(null);
+        error = new Error(i18next.t('osm_login_expired'));
+    } else {
+        error = new Error(i18next.t('osm_api_error', {
+            status: jqXHR.status || jqXHR.statusText,
+            text: jqXHR.responseText || '',
+            interpolation: { escapeValue: false }
+        }));
+    }
+    error.status = jqXHR.status;
+    return error;
+}
+
+/**
+ * Sends a request to the OSM API 0.6
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/0.6/ with optional query, e.g. "node/1.json"
+ * @param {string} xml - Optional XML request body
+ * @returns {Promise} Promise resolving to the response, parsed for .json paths
+ */
+function osmApiRequest(method, path, xml) {
+    const token = getOSMAccessToken();
+    const settings = {
+        url: OSM_API_SETTINGS.URL + '/api/0.6/' + path,
+        type: method,
+        dataType: /\.json(\?|$)/.test(path) ? 'json' : 'text',
+        headers: token ? { Authorization: 'Bearer ' + token } : {},
+        timeout: OSM_API_SETTINGS.TIMEOUT_MS
+    };
+    if (xml !== undefined) {
+        Object.assign(settings, { data: xml, processData: false, contentType: 'text/xml; charset=utf-8' });
+    }
+    return new Promise((resolve, reject) => {
+        $.ajax(Object.assign(settings, {
+            success: resolve,
+            error: jqXHR => reject(createOSMApiError(jqXHR))
+        }));
+    });
+}
+
+/**
+ * Gets the display name of the logged in user
+ * @returns {Promise} Promise resolving to the name
+ */
+function getOSMUserName() {
+    if (osmUserName !== null) {
+        return Promise.resolve(osmUserName);
+    }
+    return osmApiRequest('GET', 'user/details.json').then(response => {
+        osmUserName = response.user.display_name;
+        return osmUserName;
+    });
+}
+
+/**
+ * Reads the current version of an element
+ * @param {string} type - "node" or "way"
+ * @param {string|number} id - Element ID
+ * @returns {Promise} Promise resolving to the element {type, id, version, user, tags, lat, lon or nodes}
+ */
+function fetchOSMElement(type, id) {
+    return osmApiRequest('GET', type + '/' + id + '.json').then(response => {
+        const element = response.elements[0];
+        element.tags = element.tags || {};
+        return element;
+    });
+}
+
+/**
+ * Gets the conflict between the version an edit is based on and the current version
+ * @param {object} base - Element the edit is based on, see fetchOSMElement(),
+ *   edited elements with the tags of that version as originalTags
+ * @param {object} current - Current version of the element
+ * @returns {object|null} Conflict {type, id, version, user, keys}, keys changed since that version, null without conflict
+ */
+function getOSMConflict(base, current) {
+    if (current.version === base.version) {
+        return null;
+    }
+    const baseTags = base.originalTags || base.tags;
+    const keys = Object.keys(Object.assign({}, baseTags, current.tags))
+        .filter(key => baseTags[key] !== current.tags[key]);
+    return { type: base.type, id: base.id, version: current.version, user: current.user, keys: keys };
+}
+
+/**
+ * Creates the error of edits based on outdated versions
+ * @param {Array} conflicts - Conflicts, see getOSMConflict()
+ * @returns {Error} Error with conflicts
+ */
+function createOSMConflictError(conflicts) {
+    const error = new Error(conflicts.map(conflict => i18next.t('edit_conflict', {
+        element: conflict.type + '/' + conflict.id,
+        version: conflict.version,
+        user: conflict.user,
+        keys: conflict.keys.join(', ') || '-',
+        interpolation: { escapeValue: false }
+    })).join(' ') || i18next.t('edit_conflict_upload'));
+    error.conflicts = conflicts;
+    return error;
+}
+
+/**
+ * Formats an element for a changeset upload
+ * @param {object} element - Element {type, id, version, tags, lat, lon or nodes}, new elements with negative ID
+ * @param {string} changesetId - Changeset ID
+ * @returns {string} XML
+ */
+function formatOSMElementXml(element, changesetId) {
+    let xml = '<' + element.type + ' id="' + element.id + '" changeset="' + changesetId + '"';
+    if (element.version !== undefined) {
+        xml += ' version="' + element.version + '"';
+    }
+    if (element.type === 'node') {
+        xml += ' lat="' + element.lat + '" lon="' + element.lon + '"';
+    }
+    xml += '>';
+    (element.nodes || []).forEach(node => {
+        xml += '<nd ref="' + node + '"/>';
+    });
+    Object.keys(element.tags).forEach(key => {
+        xml += '<tag k="' + escapeXml(key) + '" v="' + escapeXml(element.tags[key]) + '"/>';
+    });
+    return xml + '</' + element.type + '>';
+}
+
+/**
+ * Formats the changes of a changeset as osmChange document
+ * @param {object} changes - Changes {create, modify}, arrays of elements, see formatOSMElementXml()
+ * @param {string} changesetId - Changeset ID
+ * @returns {string} osmChange XML
+ */
+function formatOsmChange(changes, changesetId) {
+    let xml = '<osmChange version="0.6" generator="' + escapeXml(OSM_API_SETTINGS.CREATED_BY) + '">';
+    ['create', 'modify'].forEach(action => {
+        if (changes[action] && changes[action].length > 0) {
+            xml += '<' + action + '>' + changes[action].map(element => formatOSMElementXml(element, changesetId)).join('') + '</' + action + '>';
+        }
+    });
+    return xml + '</osmChange>';
+}
+
+/**
+ * Formats a new changeset
+ * @param {string} comment - Changeset comment
+ * @returns {string} XML
+ */
+function formatOSMChangeset(comment) {
+    return '<osm><changeset>' +
+        '<tag k="created_by" v="' + escapeXml(OSM_API_SETTINGS.CREATED_BY) + '"/>' +
+        '<tag k="comment" v="' + escapeXml(comment) + '"/>' +
+        '</changeset></osm>';
+}
+
+/**
+ * Reads the response of a changeset upload
+ * @param {string} xml - diffResult XML
+ * @returns {Array} Uploaded elements [{type, oldId, newId, newVersion}]
+ */
+function parseOSMDiffResult(xml) {
+    const document = new DOMParser().parseFromString(xml, 'text/xml');
+    return Array.from(document.documentElement.children).map(child => ({
+        type: child.tagName,
+        oldId: Number(child.getAttribute('old_id')),
+        newId: Number(child.getAttribute('new_id')),
+        newVersion: Number(child.getAttribute('new_version'))
+    }));
+}
+
+/**
+ * Uploads changes in one changeset. Modified elements are compared with their current versions first,
+ * nothing is uploaded if one of them was changed in the meantime.
+ * @param {object} changes - Changes {create, modify}, modified elements with the version and the tags (originalTags) they are based on
+ * @param {string} comment - Changeset comment
+ * @returns {Promise} Promise resolving to {changeset, elements}, elements see parseOSMDiffResult(),
+ *   rejected with an error with conflicts on version mismatches
+ */
+function uploadOSMChanges(changes, comment) {
+    const modified = changes.modify || [];
+    return Promise.all(modified.map(element => fetchOSMElement(element.type, element.id))).then(currentElements => {
+        const conflicts = currentElements.map((current, index) => getOSMConflict(modified[index], current))
+            .filter(conflict => conflict !== null);
+        if (conflicts.length > 0) {
+            throw createOSMConflictError(conflicts);
+        }
+        return osmApiRequest('PUT', 'changeset/create', formatOSMChangeset(comment));
+    }).then(response => {
+        const changesetId = String(response).trim();
+        const close = () => osmApiRequest('PUT', 'changeset/' + changesetId + '/close').catch(error => {
+            console.log('Could not close changeset ' + changesetId + ':', error.message);
+        });
+        return osmApiRequest('POST', 'changeset/' + changesetId + '/upload', formatOsmChange(changes, changesetId)).then(
+            diff => close().then(() => ({ changeset: changesetId, elements: parseOSMDiffResult(diff) })),
+            // Changed between the check and the upload
+            error => close().then(() => {
+                throw error.status === 409 ? createOSMConflictError([]) : error;
+            }));
+    });
+}
+
+/**
+ * Follows logins in other windows of this page and completes a login redirected to this page
+ * @returns {Promise} Promise resolving to true if this page completed a login, see handleOSMAuthRedirect()
+ */
+function initOSMApi() {
+    window.addEventListener('storage', event => {
+        if (event.key === OSM_TOKEN_STORAGE_KEY) {
+            osmUserName = null;
+            osmLoginListeners.forEach(listener => listener(event.newValue !== null));
+        }
+    });
+    // Started in the promise chain, so pages without localStorage only fail the login
+    return Promise.resolve().then(handleOSMAuthRedirect).catch(error => {
+        console.log('OSM login failed:', error.message);
+        return false;
+    });
+}
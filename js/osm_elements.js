@@ -0,0 +1,312 @@
+/**
+ * OSM Element Model for OSM Objects
+ * Converts Overpass responses (JSON or XML) into plain element objects,
+ * which are cached per rectangle, merged and rendered by the layer parsers.
+ *
+ * Model: {nodes: [{type, id, lat, lon, tags}], ways: [{type, id, geometry, tags}]}
+ * Way geometry is resolved to an array of [lat, lon] pairs, tags are plain objects.
+ * Models of loaded rectangles additionally list the queried object types in objectTypes.
+ * Also loaded by the Overpass worker (js/overpass_worker.js), so only the XML parser may use the DOM.
+ */
+
+/**
+ * Creates an empty element model
+ * @returns {object} Element model {nodes, ways}
+ */
+function createElementModel() {
+    return { nodes: [], ways: [] };
+}
+
+/**
+ * Checks if data is an element model
+ * @param {*} data - Data to check
+ * @returns {boolean} True if data is an element model
+ */
+function isElementModel(data) {
+    return !!data && Array.isArray(data.nodes) && Array.isArray(data.ways);
+}
+
+/**
+ * Converts any supported Overpass response into an element model.
+ * Accepts element models, parsed JSON, JSON or XML strings and XML documents.
+ * @param {*} data - Overpass response
+ * @returns {object} Element model
+ */
+function toElementModel(data) {
+    if (!data) {
+        return createElementModel();
+    }
+    if (isElementModel(data)) {
+        return data;
+    }
+    if (typeof data === 'string') {
+        const text = data.trim();
+        if (text.charAt(0) === '<') {
+            return parseOverpassXML(new DOMParser().parseFromString(text, 'text/xml'));
+        }
+        return parseOverpassJSON(JSON.parse(text));
+    }
+    if (data.nodeType === 9) {
+        return parseOverpassXML(data);
+    }
+    if (Array.isArray(data.elements)) {
+        return parseOverpassJSON(data);
+    }
+    throw new Error('Unsupported Overpass response format');
+}
+
+/**
+ * Removes untagged nodes that only provide way geometry
+ * @param {Array} nodes - Parsed nodes
+ * @param {Set} wayNodeIds - IDs of nodes referenced by ways
+ * @returns {Array} Nodes to keep
+ */
+function dropGeometryOnlyNodes(nodes, wayNodeIds) {
+    return nodes.filter(node => !wayNodeIds.has(node.id) || Object.keys(node.tags).length > 0);
+}
+
+/**
+ * Parses an Overpass [out:json] response
+ * @param {object} json - Parsed JSON response with an elements array
+ * @returns {object} Element model
+ */
+function parseOverpassJSON(json) {
+    const model = createElementModel();
+    const coordinates = new Map();
+    const rawWays = [];
+    const wayNodeIds = new Set();
+
+    json.elements.forEach(element => {
+        if (element.type === 'node') {
+            coordinates.set(element.id, [element.lat, element.lon]);
+            model.nodes.push({
+                type: 'node',
+                id: element.id,
+                lat: element.lat,
+                lon: element.lon,
+                tags: element.tags || {}
+            });
+        } else if (element.type === 'way') {
+            rawWays.push(element);
+        }
+    });
+
+    rawWays.forEach(element => {
+        const nodeIds = element.nodes || [];
+        nodeIds.forEach(id => wayNodeIds.add(id));
+
+        // "out geom" provides coordinates directly, otherwise resolve the referenced nodes
+        const geometry = element.geometry ?
+            element.geometry.filter(point => point).map(point => [point.lat, point.lon]) :
+            nodeIds.map(id => coordinates.get(id)).filter(point => point);
+
+        model.ways.push({
+            type: 'way',
+            id: element.id,
+            geometry: geometry,
+            tags: element.tags || {}
+        });
+    });
+
+    model.nodes = dropGeometryOnlyNodes(model.nodes, wayNodeIds);
+    return model;
+}
+
+/**
+ * Reads the tags of an XML element into a plain object
+ * @param {Element} element - XML node or way element
+ * @returns {object} Tags
+ */
+function readXMLTags(element) {
+    const tags = {};
+    Array.from(element.getElementsByTagName('tag')).forEach(tag => {
+        tags[tag.getAttribute('k')] = tag.getAttribute('v');
+    });
+    return tags;
+}
+
+/**
+ * Parses an Overpass XML response (fallback input format)
+ * @param {Document} doc - XML document
+ * @returns {object} Element model
+ */
+function parseOverpassXML(doc) {
+    const model = createElementModel();
+    const coordinates = new Map();
+    const wayNodeIds = new Set();
+
+    Array.from(doc.getElementsByTagName('node')).forEach(element => {
+        const id = Number(element.getAttribute('id'));
+        const lat = parseFloat(element.getAttribute('lat'));
+        const lon = parseFloat(element.getAttribute('lon'));
+        coordinates.set(id, [lat, lon]);
+        model.nodes.push({ type: 'node', id: id, lat: lat, lon: lon, tags: readXMLTags(element) });
+    });
+
+    Array.from(doc.getElementsByTagName('way')).forEach(element => {
+        const geometry = [];
+        Array.from(element.getElementsByTagName('nd')).forEach(nd => {
+            const ref = Number(nd.getAttribute('ref'));
+            wayNodeIds.add(ref);
+            // "out geom" adds coordinates to the node references
+            if (nd.hasAttribute('lat')) {
+                geometry.push([parseFloat(nd.getAttribute('lat')), parseFloat(nd.getAttribute('lon'))]);
+            } else if (coordinates.has(ref)) {
+                geometry.push(coordinates.get(ref));
+            }
+        });
+
+        model.ways.push({
+            type: 'way',
+            id: Number(element.getAttribute('id')),
+            geometry: geometry,
+            tags: readXMLTags(element)
+        });
+    });
+
+    model.nodes = dropGeometryOnlyNodes(model.nodes, wayNodeIds);
+    return model;
+}
+
+/**
+ * Normalises the tags of an element: whitespace around keys and values is removed,
+ * tags with an empty key or value are dropped
+ * @param {object} tags - Tags
+ * @returns {object} Normalised tags
+ */
+function normalizeElementTags(tags) {
+    const normalized = {};
+    Object.keys(tags).forEach(key => {
+        const name = key.trim();
+        const value = String(tags[key]).trim();
+        if (name && value) {
+            normalized[name] = value;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Normalises an element model in place, elements contained twice are kept once
+ * @param {object} model - Element model
+ * @returns {object} The normalised element model
+ */
+function normalizeElementModel(model) {
+    const seen = new Set();
+    const keepFirst = element => {
+        const key = element.type + '/' + element.id;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        element.tags = normalizeElementTags(element.tags);
+        return true;
+    };
+
+    model.nodes = model.nodes.filter(keepFirst);
+    model.ways = model.ways.filter(keepFirst);
+    return model;
+}
+
+/**
+ * Converts an Overpass response into normalised element models.
+ * Used by the Overpass worker and by the main thread fallback.
+ * @param {*} data - Overpass response
+ * @param {Array|null} rectangleIds - Rectangle IDs of the batch, null to keep the response as one model
+ * @returns {object} Element model per rectangle ID, or one element model without rectangle IDs
+ */
+function prepareElementModels(data, rectangleIds) {
+    const model = normalizeElementModel(toElementModel(data));
+    if (!rectangleIds) {
+        return model;
+    }
+    if (rectangleIds.length === 1) {
+        return { [rectangleIds[0]]: model };
+    }
+    return splitElementModelByRectangles(model, rectangleIds);
+}
+
+/**
+ * Merges element models, elements contained in several models are kept once
+ * @param {Array} models - Element models
+ * @returns {object} Merged element model
+ */
+function mergeElementModels(models) {
+    if (models.length === 1) {
+        return models[0];
+    }
+
+    const merged = createElementModel();
+    const nodeIds = new Set();
+    const wayIds = new Set();
+
+    models.forEach(model => {
+        model.nodes.forEach(node => {
+            if (!nodeIds.has(node.id)) {
+                nodeIds.add(node.id);
+                merged.nodes.push(node);
+            }
+        });
+        model.ways.forEach(way => {
+            if (!wayIds.has(way.id)) {
+                wayIds.add(way.id);
+                merged.ways.push(way);
+            }
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Splits the element model of a batch request into one model per rectangle.
+ * Nodes go to the rectangle containing them, ways to every rectangle they touch.
+ * @param {object} model - Element model of the batch
+ * @param {Array} rectangleIds - Rectangle IDs of the batch, optionally with _lowzoom suffix
+ * @returns {object} Element model per rectangle ID
+ */
+function splitElementModelByRectangles(model, rectangleIds) {
+    // Lookup from grid cell ID (without suffix) to requested rectangle ID
+    const rectangleLookup = new Map();
+    rectangleIds.forEach(rectangleId => rectangleLookup.set(rectangleId.replace('_lowzoom', ''), rectangleId));
+    const level = getRectangleLevel(rectangleIds[0].replace('_lowzoom', ''));
+
+    const result = {};
+    rectangleIds.forEach(rectangleId => {
+        result[rectangleId] = createElementModel();
+    });
+
+    model.nodes.forEach(node => {
+        const rectangleId = rectangleLookup.get(getRectangleId(node.lat, node.lon, level));
+        if (rectangleId) {
+            result[rectangleId].nodes.push(node);
+        }
+    });
+
+    model.ways.forEach(way => {
+        const targets = new Set();
+        way.geometry.forEach(point => {
+            const rectangleId = rectangleLookup.get(getRectangleId(point[0], point[1], level));
+            if (rectangleId) {
+                targets.add(rectangleId);
+            }
+        });
+
+        // Way crosses the batch without a point inside, use the rectangles its bounding box overlaps
+        if (targets.size === 0 && way.geometry.length > 0) {
+            const lats = way.geometry.map(point => point[0]);
+            const lons = way.geometry.map(point => point[1]);
+            rectangleIds.forEach(rectangleId => {
+                const bounds = getRectangleBounds(rectangleId.replace('_lowzoom', ''));
+                if (Math.min(...lats) <= bounds.north && Math.max(...lats) >= bounds.south &&
+                    Math.min(...lons) <= bounds.east && Math.max(...lons) >= bounds.west) {
+                    targets.add(rectangleId);
+                }
+            });
+        }
+
+        targets.forEach(rectangleId => result[rectangleId].ways.push(way));
+    });
+
+    return result;
+}
@@ -0,0 +1,383 @@
+/**
+ * OSM Notes for OSM Objects
+ * Loads the notes in the rectangles of the view (see getRectanglesInView() in js/rectangle_manager.js)
+ * while the notes layer is shown. Notes mentioning lamps or lighting (NOTES_SETTINGS.KEYWORDS) are highlighted.
+ * New notes are created from the popups of the objects or by right-clicking (long tap) the map,
+ * pre-filled with the object reference and a template. Notes are read from and sent to OSM_API_SETTINGS.URL,
+ * so a local mock of the Notes API can be used for tests.
+ */
+
+// Marker styles of lighting related and other notes, closed notes are drawn faded
+const NOTE_STYLES = {
+    lighting: { radius: 8, color: '#5D4037', weight: 2, fillColor: '#FFD600', fillOpacity: 0.9, bubblingMouseEvents: false },
+    other: { radius: 6, color: '#616161', weight: 2, fillColor: '#BDBDBD', fillOpacity: 0.7, bubblingMouseEvents: false }
+};
+
+// Loaded notes: note ID -> {note, marker, rectangles}, note see parseOSMNotes(),
+// rectangles are the IDs of the rectangles in view whose response contained the note
+let osmNotes = new Map();
+// Rectangles with loaded (or loading) notes: rectangle ID -> time of the request
+let noteRectangles = new Map();
+
+/**
+ * Reads the notes of a response of the Notes API
+ * @param {object} response - GeoJSON feature collection or single feature
+ * @returns {Array} Notes [{id, lat, lon, status, comments: [{text, user, date}]}]
+ */
+function parseOSMNotes(response) {
+    const features = response.type === 'FeatureCollection' ? response.features : [response];
+    return features.map(feature => ({
+        id: feature.properties.id,
+        lat: feature.geometry.coordinates[1],
+        lon: feature.geometry.coordinates[0],
+        status: feature.properties.status,
+        comments: (feature.properties.comments || []).map(comment => ({
+            text: comment.text || '',
+            user: comment.user || null,
+            date: comment.date || ''
+        }))
+    }));
+}
+
+/**
+ * Checks whether a note mentions lamps or lighting
+ * @param {object} note - Note, see parseOSMNotes()
+ * @returns {boolean} True if a comment contains one of NOTES_SETTINGS.KEYWORDS
+ */
+function isLightingNote(note) {
+    const keywords = NOTES_SETTINGS.KEYWORDS.map(keyword => keyword.toLowerCase());
+    return note.comments.some(comment => keywords.some(keyword => comment.text.toLowerCase().indexOf(keyword) !== -1));
+}
+
+/**
+ * Builds the popup of a note
+ * @param {object} note - Note, see parseOSMNotes()
+ * @returns {string} Popup HTML
+ */
+function buildNotePopup(note) {
+    let html = "<b>" + escapeXml(i18next.t(note.status === 'closed' ? 'note_closed' : 'note_open')) + "</b>";
+    if (isLightingNote(note)) {
+        html += " <span class='note_lighting'>" + escapeXml(i18next.t('note_lighting')) + "</span>";
+    }
+    html += "<div class='infoblock note_comments'>";
+    note.comments.forEach(comment => {
+        html += "<p><i>" + escapeXml((comment.user || i18next.t('note_anonymous')) + ", " + comment.date.substr(0, 10)) + "</i><br>" +
+            escapeXml(comment.text).replace(/\n/g, '<br>') + "</p>";
+    });
+    return html + "</div><a href='" + escapeXml(OSM_API_SETTINGS.URL + '/note/' + note.id) + "' target='_blank'>" +
+        escapeXml(i18next.t('note_show')) + "</a>";
+}
+
+/**
+ * Creates the marker of a note, lighting related notes are highlighted and closed notes faded
+ * @param {object} note - Note, see parseOSMNotes()
+ * @returns {L.CircleMarker} Marker with popup
+ */
+function createNoteMarker(note) {
+    const style = Object.assign({}, NOTE_STYLES[isLightingNote(note) ? 'lighting' : 'other']);
+    if (note.status === 'closed') {
+        style.opacity = 0.4;
+        style.fillOpacity = 0.3;
+    }
+    return L.circleMarker([note.lat, note.lon], style).bindPopup(buildNotePopup(note));
+}
+
+/**
+ * Draws a note on the notes layer, lighting related notes on top of the others
+ * @param {object} entry - Entry of osmNotes
+ */
+function showNoteMarker(entry) {
+    entry.marker = createNoteMarker(entry.note).addTo(getObjectLayer('osm_notes'));
+    if (isLightingNote(entry.note)) {
+        entry.marker.bringToFront();
+    } else {
+        entry.marker.bringToBack();
+    }
+}
+
+/**
+ * Draws all loaded notes again, e.g. after changing the language of the popups
+ */
+function drawOSMNotes() {
+    getObjectLayer('osm_notes').clearLayers();
+    osmNotes.forEach(showNoteMarker);
+}
+
+/**
+ * Adds the notes of a rectangle response, only new or changed notes are drawn.
+ * Notes missing in a refreshed response no longer belong to the rectangle.
+ * @param {string} rectangleId - Rectangle ID
+ * @param {Array} notes - Notes, see parseOSMNotes()
+ */
+function setRectangleNotes(rectangleId, notes) {
+    const noteIds = new Set(notes.map(note => note.id));
+    osmNotes.forEach((entry, noteId) => {
+        if (!noteIds.has(noteId)) {
+            releaseNoteRectangle(noteId, rectangleId);
+        }
+    });
+    notes.forEach(note => {
+        let entry = osmNotes.get(note.id);
+        if (!entry) {
+            entry = { note: note, marker: null, rectangles: new Set() };
+            osmNotes.set(note.id, entry);
+            showNoteMarker(entry);
+        } else if (JSON.stringify(entry.note) !== JSON.stringify(note)) {
+            // Commented or closed since it was drawn
+            getObjectLayer('osm_notes').removeLayer(entry.marker);
+            entry.note = note;
+            showNoteMarker(entry);
+        }
+        entry.rectangles.add(rectangleId);
+    });
+}
+
+/**
+ * Removes a rectangle from a note, the note is removed once no rectangle in view contains it
+ * @param {number} noteId - Note ID
+ * @param {string} rectangleId - Rectangle ID
+ */
+function releaseNoteRectangle(noteId, rectangleId) {
+    const entry = osmNotes.get(noteId);
+    if (entry.rectangles.delete(rectangleId) && entry.rectangles.size === 0) {
+        getObjectLayer('osm_notes').removeLayer(entry.marker);
+        osmNotes.delete(noteId);
+    }
+}
+
+/**
+ * Removes the notes of the rectangles which left the view, as the rendered tiles do (see renderOSMTiles())
+ * @param {Array} rectangleIds - Rectangle IDs in view
+ */
+function pruneOSMNotes(rectangleIds) {
+    const inView = new Set(rectangleIds);
+    noteRectangles.forEach((time, rectangleId) => {
+        if (!inView.has(rectangleId)) {
+            noteRectangles.delete(rectangleId);
+        }
+    });
+    osmNotes.forEach((entry, noteId) => {
+        Array.from(entry.rectangles).filter(rectangleId => !inView.has(rectangleId))
+            .forEach(rectangleId => releaseNoteRectangle(noteId, rectangleId));
+    });
+}
+
+/**
+ * Assigns notes to the rectangles containing their position
+ * @param {Array} notes - Notes, see parseOSMNotes()
+ * @param {Array} rectangleIds - Rectangle IDs of one grid level
+ * @returns {Map} Rectangle ID -> notes, with an empty list for rectangles without notes
+ */
+function groupNotesByRectangle(notes, rectangleIds) {
+    const grouped = new Map(rectangleIds.map(rectangleId => [rectangleId, []]));
+    if (rectangleIds.length === 0) {
+        return grouped;
+    }
+    const level = getRectangleLevel(rectangleIds[0]);
+    notes.forEach(note => {
+        const rectangleNotes = grouped.get(getRectangleId(note.lat, note.lon, level));
+        if (rectangleNotes) {
+            rectangleNotes.push(note);
+        }
+    });
+    return grouped;
+}
+
+/**
+ * Loads the notes of a batch of rectangles with one request
+ * @param {object} batch - Batch {rectangleIds, bounds}, see planRectangleBatches()
+ * @param {number} time - Time of the request in noteRectangles
+ * @returns {Promise} Promise resolving when the request is finished, also on errors
+ */
+function loadNotesBatch(batch, time) {
+    // Rectangles out of view by now are not requested
+    if (!batch.rectangleIds.some(rectangleId => noteRectangles.get(rectangleId) === time)) {
+        return Promise.resolve();
+    }
+    const bounds = batch.bounds;
+    const query = $.param({
+        bbox: [bounds.west, bounds.south, bounds.east, bounds.north].map(value => value.toFixed(4)).join(','),
+        limit: NOTES_SETTINGS.LIMIT,
+        closed: NOTES_SETTINGS.CLOSED_DAYS
+    });
+    return osmApiRequest('GET', 'notes.json?' + query).then(response => {
+        groupNotesByRectangle(parseOSMNotes(response), batch.rectangleIds).forEach((notes, rectangleId) => {
+            // The view may have moved on while loading
+            if (noteRectangles.get(rectangleId) === time) {
+                setRectangleNotes(rectangleId, notes);
+            }
+        });
+    }, error => {
+        // Loaded again on the next move
+        batch.rectangleIds.forEach(rectangleId => {
+            if (noteRectangles.get(rectangleId) === time) {
+                noteRectangles.delete(rectangleId);
+            }
+        });
+        console.log('Could not load notes of ' + batch.rectangleIds.length + ' rectangles:', error.message);
+    });
+}
+
+// Batches waiting for a free request: [{batch, time, resolve}], at most NOTES_SETTINGS.MAX_PARALLEL_REQUESTS are running
+let noteBatchQueue = [];
+let runningNoteRequests = 0;
+
+/**
+ * Queues the request of a batch of rectangles, see loadNotesBatch()
+ * @param {object} batch - Batch {rectangleIds, bounds}
+ * @param {number} time - Time of the request in noteRectangles
+ * @returns {Promise} Promise resolving when the request is finished
+ */
+function queueNotesBatch(batch, time) {
+    return new Promise(resolve => {
+        noteBatchQueue.push({ batch, time, resolve });
+        runNotesQueue();
+    });
+}
+
+/**
+ * Starts queued notes requests while less than NOTES_SETTINGS.MAX_PARALLEL_REQUESTS are running
+ */
+function runNotesQueue() {
+    while (runningNoteRequests < NOTES_SETTINGS.MAX_PARALLEL_REQUESTS && noteBatchQueue.length > 0) {
+        const job = noteBatchQueue.shift();
+        runningNoteRequests++;
+        loadNotesBatch(job.batch, job.time).then(() => {
+            runningNoteRequests--;
+            job.resolve();
+            runNotesQueue();
+        });
+    }
+}
+
+/**
+ * Loads the notes of the rectangles in view which were not loaded recently, notes of the rectangles out of view are removed.
+ * Adjacent rectangles are loaded together, see planRectangleBatches()
+ * @returns {Promise} Promise resolving when all requests are finished
+ */
+function loadNotesInView() {
+    if (!isObjectLayerActive('osm_notes') || map.getZoom() < MIN_ZOOM) {
+        return Promise.resolve();
+    }
+    const now = Date.now();
+    const inView = getRectanglesInView(map.getBounds(), getGridLevelForZoom(map.getZoom()));
+    pruneOSMNotes(inView);
+    const rectangleIds = inView
+        .filter(rectangleId => !noteRectangles.has(rectangleId) || now - noteRectangles.get(rectangleId) > NOTES_SETTINGS.MAX_AGE_MS);
+    rectangleIds.forEach(rectangleId => noteRectangles.set(rectangleId, now));
+    return Promise.all(planRectangleBatches(rectangleIds, NOTES_SETTINGS.RECTANGLES_PER_REQUEST)
+        .map(batch => queueNotesBatch(batch, now)));
+}
+
+/**
+ * Gets the reference of an element used in the text of new notes
+ * @param {object} element - Element from the element model
+ * @returns {string} Link to the element, with its ref if it has one
+ */
+function getNoteReference(element) {
+    const link = OSM_API_SETTINGS.URL + '/' + element.type + '/' + element.id;
+    return element.tags.ref ? link + ' (ref=' + element.tags.ref + ')' : link;
+}
+
+/**
+ * Gets the text of a template for a new note
+ * @param {string} templateId - Template ID from NOTES_SETTINGS.TEMPLATES
+ * @param {string} reference - Element reference, see getNoteReference(), or the position
+ * @returns {string} Text
+ */
+function getNoteTemplateText(templateId, reference) {
+    return i18next.t('note_template_' + templateId + '_text', { reference: reference, interpolation: { escapeValue: false } });
+}
+
+/**
+ * Creates a note
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} text - Text of the note
+ * @returns {Promise} Promise resolving to the created note, see parseOSMNotes()
+ */
+function createOSMNote(lat, lon, text) {
+    return osmApiRequest('POST', 'notes.json?' + $.param({ lat: lat, lon: lon, text: text })).then(response => {
+        const note = parseOSMNotes(response)[0];
+        const rectangleId = getRectangleId(note.lat, note.lon, getGridLevelForZoom(map.getZoom()));
+        const entry = { note: note, marker: null, rectangles: new Set([rectangleId]) };
+        osmNotes.set(note.id, entry);
+        showNoteMarker(entry);
+        return note;
+    });
+}
+
+/**
+ * Opens the form of a new note in a popup
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} element - Element the note is about, null for a position on the map
+ */
+function openNoteForm(lat, lon, element) {
+    const reference = element ? getNoteReference(element) : lat.toFixed(6) + ', ' + lon.toFixed(6);
+    const form = $('<form class="tag_editor note_form">');
+    const text = $('<textarea rows="5">').val(getNoteTemplateText(NOTES_SETTINGS.TEMPLATES[0], reference));
+    const template = $('<select>').append(NOTES_SETTINGS.TEMPLATES.map(templateId =>
+        $('<option>').val(templateId).text(i18next.t('note_template_' + templateId))));
+    template.append($('<option>').val('').text(i18next.t('note_template_free')));
+    template.on('change', function() {
+        text.val($(this).val() ? getNoteTemplateText($(this).val(), reference) : (element ? reference + '\n' : ''));
+    });
+    const message = $('<p class="tag_editor_message">');
+    form.append(
+        $('<b>').text(i18next.t('note_new')),
+        $('<p>').append(template),
+        text,
+        $('<p>').text(i18next.t('note_public_hint')),
+        $('<button type="submit">').text(i18next.t('note_send')),
+        message
+    );
+
+    const popup = L.popup().setLatLng([lat, lon]).setContent(form[0]).openOn(map);
+    form.on('submit', function(event) {
+        event.preventDefault();
+        message.removeClass('tag_editor_error');
+        if (!text.val().trim()) {
+            message.addClass('tag_editor_error').text(i18next.t('note_text_missing'));
+            return;
+        }
+        form.find('button').prop('disabled', true);
+        message.text(i18next.t('note_sending'));
+        createOSMNote(lat, lon, text.val().trim()).then(note => {
+            popup.setContent($('<div class="tag_editor">').append(i18next.t('note_created'), ' ',
+                $('<a target="_blank">').attr('href', OSM_API_SETTINGS.URL + '/note/' + note.id).text(note.id))[0]);
+        }, error => {
+            form.find('button').prop('disabled', false);
+            message.addClass('tag_editor_error').text(error.message);
+        });
+    });
+    // Typing must not move or zoom the map
+    L.DomEvent.disableClickPropagation(form[0]);
+    form.on('keydown keypress', event => event.stopPropagation());
+}
+
+/**
+ * Opens the form of a new note about a rendered element, used by the links of the popups (see getObjectLinks())
+ * @param {string} type - "node" or "way"
+ * @param {string} id - Element ID
+ */
+function openElementNoteForm(type, id) {
+    const entry = renderedElements.get(type + '/' + id);
+    if (entry) {
+        const view = getEditorView(entry.element);
+        openNoteForm(view.lat, view.lon, entry.element);
+    }
+}
+
+/**
+ * Loads the notes when the layer is shown or the map is moved, right-clicking the map creates a note while the layer is shown
+ */
+function initOSMNotes() {
+    getObjectLayer('osm_notes').on('add', loadNotesInView);
+    map.on('moveend', loadNotesInView);
+    map.on('contextmenu', event => {
+        if (isObjectLayerActive('osm_notes')) {
+            openNoteForm(event.latlng.lat, event.latlng.lng, null);
+        }
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * Test file for the OSM Notes layer
+ * Run these tests to verify loading, highlighting and creating notes
+ */
+
+/**
+ * Test loading, drawing and creating OSM notes
+ */
+function testOSMNotes() {
+    console.log("\nTesting OSM Notes...");
+    
+    const { assert, finish } = createTestSuite("OSM Notes");
+    
+    const feature = (id, text, status) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [13.4, 52.5] },
+        properties: { id: id, status: status, comments: [{ date: '2024-05-01 20:15:00 UTC', user: 'mapper', text: text }] }
+    });
+    
+    // Test 1: Reading notes
+    {
+        const notes = parseOSMNotes({ type: 'FeatureCollection', features: [feature(1, 'Laterne kaputt', 'open'), feature(2, 'Bench missing', 'closed')] });
+        assert(notes.length === 2 && notes[0].lat === 52.5 && notes[0].lon === 13.4, "Notes are read from GeoJSON");
+        assert(notes[1].status === 'closed' && notes[0].comments[0].user === 'mapper', "Status and comments are kept");
+        assert(parseOSMNotes(feature(3, 'x', 'open'))[0].id === 3, "Single created notes are read");
+    }
+    
+    // Test 2: Lighting keywords
+    {
+        const note = text => parseOSMNotes(feature(4, text, 'open'))[0];
+        assert(isLightingNote(note('Street LIGHT flickers')) && isLightingNote(note('Straßenbeleuchtung fehlt')), "Keywords are found in any case and inside words");
+        assert(!isLightingNote(note('Bench missing')), "Other notes are not highlighted");
+        assert(buildNotePopup(note('<b>Lamp</b>')).indexOf('&lt;b&gt;Lamp') !== -1, "Comments are escaped in the popup");
+    }
+    
+    // Test 3: Templates
+    {
+        const lamp = { type: 'node', id: 91, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', ref: '12' } };
+        const reference = getNoteReference(lamp);
+        assert(reference === OSM_API_SETTINGS.URL + '/node/91 (ref=12)', "References link the element with its ref");
+        assert(getNoteReference({ type: 'node', id: 92, tags: {} }) === OSM_API_SETTINGS.URL + '/node/92', "References without ref are the link only");
+        NOTES_SETTINGS.TEMPLATES.forEach(templateId => {
+            assert(getNoteTemplateText(templateId, reference).indexOf(reference) !== -1, `Template ${templateId} contains the reference`);
+        });
+        assert(getObjectLinks(lamp).indexOf("openElementNoteForm(\"node\",\"91\")") !== -1, "Popups link the note form");
+    }
+    
+    // Test 4: Notes are no rendered elements
+    {
+        const layer = getObjectLayer('osm_notes');
+        const marker = L.circleMarker([52.5, 13.4]).addTo(layer);
+        clearRenderedElements();
+        assert(layer.hasLayer(marker), "Clearing the rendered elements keeps the notes");
+        layer.removeLayer(marker);
+    }
+    
+    // Test 5: Notes follow the rectangles in view
+    {
+        const savedNotes = osmNotes;
+        const savedRectangles = noteRectangles;
+        const layer = getObjectLayer('osm_notes');
+        const note = (id, text) => parseOSMNotes(feature(id, text, 'open'))[0];
+        osmNotes = new Map();
+        noteRectangles = new Map([['rect_a', 1], ['rect_b', 1]]);
+        layer.clearLayers();
+        try {
+            setRectangleNotes('rect_a', [note(5, 'Lamp'), note(6, 'Bench')]);
+            const marker = osmNotes.get(5).marker;
+            setRectangleNotes('rect_b', [note(6, 'Bench')]);
+            assert(layer.getLayers().length === 2 && osmNotes.get(6).rectangles.size === 2, "Notes in two rectangles are drawn once");
+            setRectangleNotes('rect_a', [note(5, 'Lamp')]);
+            assert(osmNotes.get(5).marker === marker && osmNotes.get(6).rectangles.size === 1, "Unchanged notes are not drawn again, notes missing in a response leave the rectangle");
+            pruneOSMNotes(['rect_a']);
+            assert(!osmNotes.has(6) && !noteRectangles.has('rect_b') && layer.getLayers().length === 1, "Notes of rectangles out of view are removed");
+            setRectangleNotes('rect_a', [note(5, 'Lamp repaired')]);
+            assert(!layer.hasLayer(marker) && layer.hasLayer(osmNotes.get(5).marker), "Changed notes are drawn again");
+        } finally {
+            osmNotes = savedNotes;
+            noteRectangles = savedRectangles;
+            drawOSMNotes();
+        }
+    }
+
+    // Test 6: Adjacent rectangles are loaded together with a limited number of requests
+    {
+        const savedRequest = window.osmApiRequest;
+        const savedRectangles = noteRectangles;
+        const savedQueue = noteBatchQueue;
+        const savedRunning = runningNoteRequests;
+        const requests = [];
+        const row = ['rect_0_52.5000_13.4000', 'rect_0_52.5000_13.4100', 'rect_0_52.5000_13.4200'];
+        const single = ['rect_0_52.6000_13.4000', 'rect_0_52.7000_13.4000'];
+        window.osmApiRequest = (method, path) => {
+            requests.push(path);
+            return new Promise(() => {});
+        };
+        noteRectangles = new Map(row.concat(single).map(rectangleId => [rectangleId, 1]));
+        noteBatchQueue = [];
+        runningNoteRequests = 0;
+        try {
+            const batches = planRectangleBatches(row.concat(single), NOTES_SETTINGS.RECTANGLES_PER_REQUEST);
+            batches.forEach(batch => queueNotesBatch(batch, 1));
+            assert(batches.length === 3 && batches[0].rectangleIds.length === 3, "A row of rectangles is one batch");
+            assert(requests.length === Math.min(NOTES_SETTINGS.MAX_PARALLEL_REQUESTS, 3) && noteBatchQueue.length === 3 - requests.length, "Further requests wait in the queue");
+            assert(requests[0].indexOf('bbox=13.4000%2C52.5000%2C13.4300%2C52.5100') !== -1, "One request covers the whole batch");
+            const notes = [{ id: 7, lat: 52.505, lon: 13.415 }, { id: 8, lat: 52.508, lon: 13.412 }, { id: 9, lat: 52.45, lon: 13.4 }];
+            const grouped = groupNotesByRectangle(notes, row);
+            assert(grouped.get(row[1]).length === 2 && grouped.get(row[0]).length === 0 && grouped.get(row[2]).length === 0, "Notes are assigned to rectangles by position");
+            assert(Array.from(grouped.values()).every(rectangleNotes => rectangleNotes.indexOf(notes[2]) === -1), "Notes outside of the batch are ignored");
+        } finally {
+            window.osmApiRequest = savedRequest;
+            noteRectangles = savedRectangles;
+            noteBatchQueue = savedQueue;
+            runningNoteRequests = savedRunning;
+        }
+    }
+
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testOSMNotes = testOSMNotes;
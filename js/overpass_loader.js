@@ -0,0 +1,144 @@
+/**
+ * Overpass Loader for OSM Objects
+ * Sends Overpass requests to the worker in js/overpass_worker.js, so parsing,
+ * deduplication and splitting into rectangles do not block panning.
+ * Requests are loaded on the main thread if workers are disabled or cannot be started
+ * (e.g. when the page is opened from file://).
+ */
+
+const OVERPASS_WORKER_URL = 'js/overpass_worker.js';
+
+// Worker state
+let overpassWorker = null;
+let overpassWorkerFailed = false;
+let overpassWorkerRequestId = 0;
+let overpassWorkerRequests = new Map(); // request ID -> {request, callbacks}
+
+/**
+ * Gets the Overpass worker, starting it on first use
+ * @returns {Worker|null} Worker or null if requests have to be loaded on the main thread
+ */
+function getOverpassWorker() {
+    if (overpassWorker || overpassWorkerFailed) {
+        return overpassWorker;
+    }
+    if (!USE_OVERPASS_WORKER || typeof Worker === 'undefined') {
+        overpassWorkerFailed = true;
+        return null;
+    }
+
+    try {
+        overpassWorker = new Worker(OVERPASS_WORKER_URL);
+    } catch (error) {
+        console.log('Could not start Overpass worker, loading on the main thread:', error.message);
+        overpassWorkerFailed = true;
+        return null;
+    }
+
+    overpassWorker.onmessage = event => handleOverpassWorkerMessage(event.data);
+    overpassWorker.onerror = handleOverpassWorkerError;
+    return overpassWorker;
+}
+
+/**
+ * Loads an Overpass query and converts the response into element models.
+ * The callbacks follow $.ajax:
+ *   success  - function receiving the result of prepareElementModels()
+ *   error    - function receiving the HTTP status (0 for network errors) and an error status ("timeout", "error", "parsererror")
+ *   complete - optional function called after success or error
+ * @param {string} url - Request URL including the query
+ * @param {Array|null} rectangleIds - Rectangle IDs to split the response into, null for one model
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {object} callbacks - Callbacks {success, error, complete}
+ */
+function loadOverpassData(url, rectangleIds, timeout, callbacks) {
+    callbacks = Object.assign({ complete: function() {} }, callbacks);
+    const request = { id: ++overpassWorkerRequestId, url: url, rectangleIds: rectangleIds, timeout: timeout };
+    const worker = getOverpassWorker();
+
+    if (!worker) {
+        loadOverpassDataOnMainThread(request, callbacks);
+        return;
+    }
+
+    overpassWorkerRequests.set(request.id, { request: request, callbacks: callbacks });
+    worker.postMessage(request);
+}
+
+/**
+ * Passes a worker response to the callbacks of its request
+ * @param {object} message - Worker response {id, result|text|error}
+ */
+function handleOverpassWorkerMessage(message) {
+    const pending = overpassWorkerRequests.get(message.id);
+    if (!pending) {
+        return;
+    }
+    overpassWorkerRequests.delete(message.id);
+
+    const callbacks = pending.callbacks;
+    if (message.error) {
+        callbacks.error(message.error.status, message.error.textStatus);
+    } else if (message.text !== undefined) {
+        // XML responses cannot be parsed in the worker
+        let result;
+        try {
+            result = prepareElementModels(message.text, pending.request.rectangleIds);
+        } catch (error) {
+            callbacks.error(200, 'parsererror');
+            callbacks.complete();
+            return;
+        }
+        callbacks.success(result);
+    } else {
+        callbacks.success(message.result);
+    }
+    callbacks.complete();
+}
+
+/**
+ * Stops using the worker after it failed to start and loads its pending requests on the main thread
+ * @param {ErrorEvent} event - Worker error event
+ */
+function handleOverpassWorkerError(event) {
+    console.log('Overpass worker failed, loading on the main thread:', event.message);
+    event.preventDefault();
+
+    overpassWorker.terminate();
+    overpassWorker = null;
+    overpassWorkerFailed = true;
+
+    const pending = Array.from(overpassWorkerRequests.values());
+    overpassWorkerRequests.clear();
+    pending.forEach(entry => loadOverpassDataOnMainThread(entry.request, entry.callbacks));
+}
+
+/**
+ * Loads an Overpass query on the main thread
+ * @param {object} request - Request {id, url, rectangleIds, timeout}
+ * @param {object} callbacks - Callbacks {success, error, complete}
+ */
+function loadOverpassDataOnMainThread(request, callbacks) {
+    $.ajax({
+        url: request.url,
+        type: 'GET',
+        crossDomain: true,
+        success: function(data) {
+            let result;
+            try {
+                result = prepareElementModels(data, request.rectangleIds);
+            } catch (error) {
+                callbacks.error(200, 'parsererror');
+                return;
+            }
+            callbacks.success(result);
+        },
+        error: function(jqXHR, textStatus) {
+            callbacks.error(jqXHR.status, textStatus);
+        },
+        complete: function() {
+            callbacks.complete();
+        },
+        timeout: request.timeout
+    });
+}
@@ -0,0 +1,51 @@
+/**
+ * Overpass Worker for OSM Objects
+ * Fetches Overpass responses off the main thread, parses, deduplicates and
+ * normalises them and splits batches into one element model per rectangle.
+ * Started by js/overpass_loader.js, the main thread only creates the map layers.
+ *
+ * Request:  {id, url, rectangleIds, timeout}
+ * Response: {id, result} with the element models, see prepareElementModels()
+ *           {id, text} for XML responses, workers have no DOMParser to read them
+ *           {id, error: {status, textStatus}} with jQuery-like error values
+ */
+
+importScripts('settings.js', 'rectangle_manager.js', 'osm_elements.js');
+
+/**
+ * Loads and prepares the data of one request
+ * @param {object} request - Request {id, url, rectangleIds, timeout}
+ * @returns {Promise} Promise resolving to the response message
+ */
+function fetchOverpassData(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), request.timeout);
+    let status = 0;
+
+    return fetch(request.url, { signal: controller.signal }).then(response => {
+        status = response.status;
+        return response.ok ? response.text() : null;
+    }).then(text => {
+        if (text === null) {
+            return { error: { status: status, textStatus: 'error' } };
+        }
+        if (text.trim().charAt(0) === '<' && typeof DOMParser === 'undefined') {
+            return { text: text };
+        }
+        try {
+            return { result: prepareElementModels(text, request.rectangleIds) };
+        } catch (error) {
+            return { error: { status: status, textStatus: 'parsererror' } };
+        }
+    }).catch(error => ({
+        error: { status: 0, textStatus: error.name === 'AbortError' ? 'timeout' : 'error' }
+    })).then(message => {
+        clearTimeout(timer);
+        message.id = request.id;
+        return message;
+    });
+}
+
+self.onmessage = function(event) {
+    fetchOverpassData(event.data).then(message => self.postMessage(message));
+};
@@ -8,7 +8,7 @@ function MoveCall(action) { //action: 0: map moved, 1: high zoom layer added, 2:
 function loadXML(lat1, lon1, lat2, lon2, action) { //action: 0: map moved, 1: high zoom layer added, 2: low zoom layer added, 3: layer removed, 4: streetlights layer removed, 5: language updated
 
     let hasHighZoomLayer = false, hasLowZoomLayer = false, zoomWarning = 1;
-    let hasLightLayer = map.hasLayer(StreetLightsLayer) || map.hasLayer(AviationLayer) || map.hasLayer(LitStreetsLayer) || map.hasLayer(UnLitStreetsLayer) || map.hasLayer(StreetLightsLowZoomLayer);
+    let hasLightLayer = hasActiveObjectLayer(layer => layer.dimBaseMap) || map.hasLayer(StreetLightsLowZoomLayer);
 
     // Special case: Low Zoom data loaded once
 	if (g_showStreetLightsLowZoomOnce && map.getZoom() < MIN_ZOOM_LOW_ZOOM) {
@@ -19,8 +19,8 @@ function loadXML(lat1, lon1, lat2, lon2, action) { //action: 0: map moved, 1: hi
 		if (map.getZoom() >= MIN_ZOOM) {
 			zoomWarning = 0
 
-			if (map.hasLayer(StreetLightsLayer) || map.hasLayer(AviationLayer) || map.hasLayer(LitStreetsLayer) || map.hasLayer(UnLitStreetsLayer) || map.hasLayer(BenchesLayer)) {
-				if (!map.hasLayer(StreetLightsLayer) && map.hasLayer(StreetLightsLowZoomLayer)) {
+			if (hasActiveObjectLayer()) {
+				if (!isObjectLayerActive('street_lights') && map.hasLayer(StreetLightsLowZoomLayer)) {
 					hasLowZoomLayer = true;
 				} else {
 					hasLowZoomLayer = false;
@@ -53,8 +53,14 @@ function loadXML(lat1, lon1, lat2, lon2, action) { //action: 0: map moved, 1: hi
 			}
 		}
 	}
-	// load data if map moved or layer added
-	if (hasHighZoomLayer && (action == 0 || action == 1)) {
+	// popups are rendered in the current language, so rebuild all markers after a language change
+	// (also used for layers whose contents are only computed while they are shown)
+	if (action == 5) {
+		clearRenderedElements();
+	}
+
+	// load data if map moved, layer added or language updated
+	if (hasHighZoomLayer && (action == 0 || action == 1 || action == 5)) {
 		loadDataRectangles(lat1, lon1, lat2, lon2);
 	}
 	if (hasLowZoomLayer && (action == 0 || action == 2 || action == 4)) {
@@ -160,25 +166,8 @@ function loadData(bbox) {
 	$( "#loading_cont" ).fadeIn(100)
 	loadingcounter++;
 
-	//CrossoverAPI XML request
-	// Street Light query
-	XMLRequestText = bbox + '( node["highway"="street_lamp"]; node["light_source"]; node["tower:type"="lighting"]; node["aeroway"="navigationaid"];'
-
-	 	if (map.hasLayer(BenchesLayer)) {
-		XMLRequestText += 'node["amenity"="bench"];'
-	}
-
-	today = new Date();
-	if (today.getMonth() == 11) { // show christmas trees only in December
-		XMLRequestText += 'node["xmas:feature"="tree"];'
-	}
-
-	if (map.hasLayer(LitStreetsLayer) || map.hasLayer(UnLitStreetsLayer)) {
-		XMLRequestText += '(way["highway"][!area]["lit"]; >;); ' +
-			'(way["highway"][area]["lit"]; >;); ';
-	}
-	XMLRequestText += '); out qt; '
-	//console.log ( XMLRequestText );
+	//CrossoverAPI request
+	XMLRequestText = buildObjectQuery(bbox);
 
 	//URL Codieren
 	XMLRequestText = encodeURIComponent(XMLRequestText);
@@ -191,11 +180,8 @@ function loadData(bbox) {
 
 	RequestURL = RequestProtocol + "overpass-api.de/api/interpreter?data=" + XMLRequestText;
 
-	//AJAX REQUEST
-	$.ajax({
-		url: RequestURL,
-		type: 'GET',
-		crossDomain: true,
+	//REQUEST, parsed by the Overpass worker
+	loadOverpassData(RequestURL, null, 10000, {
 		success: function(data) {
 			if (loadingcounter==1) {
 				$( "#loading_text" ).html("")
@@ -205,7 +191,7 @@ function loadData(bbox) {
 			loadingcounter--;
 			parseOSM(data);
 		},
-		error: function(jqXHR, textStatus, errorThrown){
+		error: function(status, textStatus){
 
 			if( i18next.isInitialized) {
 				if (textStatus == "timeout" || textStatus == "error" || textStatus == "abort" || textStatus == "parseerror") {
@@ -221,8 +207,7 @@ function loadData(bbox) {
 			$( "#loading_icon" ).attr("class", "loading_error")
 			$( "#loading_text" ).html("&nbsp;" + textStatus_value)
 			loadingcounter--;
-		},
-		timeout: 10000 // timeout after 10s
+		}
 	});
 }
 function loadDataLowZoom(bbox)
@@ -241,14 +226,11 @@ function loadDataLowZoom(bbox)
 		RequestProtocol = "http://";
 	}
 
-	XMLRequestTextLowZoom = bbox + '( node["highway"="street_lamp"]; node["light_source"];); out skel;'
+	XMLRequestTextLowZoom = buildObjectQuery(bbox, true);
 	RequestURLlowZoom = RequestProtocol + "overpass-api.de/api/interpreter?data=" + XMLRequestTextLowZoom;
 
-	//AJAX REQUEST
-	$.ajax({
-		url: RequestURLlowZoom,
-		type: 'GET',
-		crossDomain: true,
+	//REQUEST, parsed by the Overpass worker
+	loadOverpassData(RequestURLlowZoom, null, 10000, {
 		success: function(data){
 			if (loadingcounter==1) {
 				$( "#loading_text" ).html("")
@@ -258,7 +240,7 @@ function loadDataLowZoom(bbox)
 			loadingcounter--;
 			parseOSMlowZoom(data);
 		},
-		error: function(jqXHR, textStatus, errorThrown) {
+		error: function(status, textStatus) {
 
 			if (i18next.isInitialized) {
 
@@ -275,445 +257,308 @@ function loadDataLowZoom(bbox)
 			$( "#loading_icon" ).attr("class", "loading_error")
 			$( "#loading_text" ).html("&nbsp;" + textStatus_value)
 			loadingcounter--;
-		},
-		timeout: 10000 // timeout after 10s
+		}
 	});
 }
 
+// Registry of rendered OSM elements: "type/id" -> {element, rendered: [{layer, marker}], tiles: Set of tile IDs, hidden}
+// Elements hidden by the light filter keep their markers, but the markers are not on their layers
+let renderedElements = new Map();
+// Rendered tiles: tile ID -> {data, keys: Array of element keys}
+let renderedTiles = new Map();
+// Zoom level the markers were created for, icons depend on it
+let renderedZoom = null;
+
 function parseOSM(data)
 {
 	//console.log(data);
-	let MarkerArray = new Array();
-	let CoordObj = new Object();
-	StreetLightsLayer.clearLayers();
-	AviationLayer.clearLayers();
-	LitStreetsLayer.clearLayers();
-	UnLitStreetsLayer.clearLayers();
-	
-	// Clear benches layer - handle both clustered and regular layers
-	if (CLUSTERING_SETTINGS.CLUSTER_BENCHES && BenchesLayer.clearMarkers) {
-		BenchesLayer.clearMarkers();
-	} else {
-		BenchesLayer.clearLayers();
+	const tiles = new Map();
+	if (data) {
+		tiles.set("data", toElementModel(data));
 	}
+	renderOSMTiles(tiles);
+}
 
-	$(data).find('node,way').each(function() {
-		let EleID = $(this).attr("id");
-		let EleCoordArray = new Array();
-		let EleType = "";
-		let EleLat, EleLon, EleObj;
-
-		if ($(this).attr("lat")) { // Node
-			EleType = "node"
-			EleLat = $(this).attr("lat");
-			EleLon = $(this).attr("lon");
-			EleObj = new Object();
-			EleObj["lat"] = EleLat;
-			EleObj["lon"] = EleLon;
-			CoordObj[EleID] = EleObj;
-		} else { // Way
-			EleType = "way";
-			$(this).find('nd').each(function() {
-				let NdRefID = $(this).attr("ref");
-				EleCoordArray.push([CoordObj[NdRefID]["lat"], CoordObj[NdRefID]["lon"]]);
-			});
-		}
+/**
+ * Diff-based rendering of the high zoom layers.
+ * tiles maps a tile ID (rectangle ID) to its element model. Elements of tiles that are
+ * not rendered yet are added, elements only referenced by tiles missing in tiles are removed.
+ */
+function renderOSMTiles(tiles)
+{
+	// Marker icons depend on the zoom level, so rebuild everything after zooming
+	if (renderedZoom !== map.getZoom()) {
+		clearRenderedElements();
+		renderedZoom = map.getZoom();
+	}
 
-		let EleText = "";
-		let tagHighway, tagAeroway, tagOperator, tagRef, tagStartDate, tagManufacturer, tagModel, tagHeight, tagWidth, tagLightColour, tagLightCount, tagLightDirection, tagLightFlash, tagLightHeight, tagLightLit, tagLightShape, tagLightMethod, tagLampMount, tagLightSource, tagNavigationaid, tagLit, tagArea, tagAmenity;
-
-		$(this).find('tag').each(function(){
-			let EleKey = $(this).attr("k");
-			let EleValue = $(this).attr("v");
-			if ( EleKey == "highway") {
-				tagHighway = EleValue;
-			} else if (EleKey == "aeroway") {
-				tagAeroway = EleValue;
-			} else if ((EleKey == "operator" && !tagOperator) || EleKey == "lamp_operator") {
-				tagOperator = EleValue;
-			} else if ((EleKey == "ref" && !tagRef) || EleKey == "lamp_ref") {
-				tagRef = EleValue;
-			} else if (EleKey == "start_date") {
-				tagStartDate = EleValue;
-			} else if (EleKey == "manufacturer") {
-				tagManufacturer = EleValue;
-			} else if (EleKey == "lamp_model" || EleKey == "lamp_model:de" || EleKey == "model") {
-				tagModel = EleValue;
-			} else if (EleKey == "height") {
-				tagHeight = EleValue;
-			} else if (EleKey == "width") {
-				tagWidth = EleValue;
-			} else if (EleKey == "light:count") {
-				tagLightCount = EleValue;
-			} else if (EleKey == "light:colour") {
-				tagLightColour = EleValue;
-			} else if ((EleKey == "direction" && !tagLightDirection) || EleKey == "light:direction") {
-				tagLightDirection = EleValue;
-			} else if (EleKey == "light:height") {
-				tagLightHeight = EleValue;
-			} else if (EleKey == "light:method" || EleKey == "lamp_type") {
-				tagLightMethod = EleValue;
-			} else if (EleKey == "light:mount" || EleKey == "lamp_mount" || EleKey == "support") {
-				tagLampMount = EleValue;
-			} else if (EleKey == "light:lit") {
-				tagLightLit = EleValue;
-			} else if (EleKey == "light:shape") {
-				tagLightShape = EleValue;
-			} else if (EleKey == "light:flash") {
-				tagLightFlash = EleValue;
-			} else if (EleKey == "light:character" && EleValue != "fixed") {
-				tagLightFlash = "yes";
-			} else if (EleKey == "light_source") {
-				tagLightSource = EleValue;
-			} else if (EleKey == "tower:type" && !tagLightSource) {
-				if (EleValue == "lighting")
-				{
-					tagLightSource = "floodlight";
-				}
-			} else if (EleKey == "navigationaid") {
-				tagNavigationaid = EleValue;
-			} else if (EleKey == "xmas:feature") {
-				tagLightSource = "xmas";
-			} else if (EleKey == "area") {
-				tagArea = EleValue;
-			} else if (EleKey == "lit") {
-				tagLit = EleValue
-			} else if (EleKey == "amenity") {
-				tagAmenity = EleValue
+	const toAdd = [];
+	const toRemove = [];
+	const context = createRenderContext(tiles);
+	let tilesChanged = false;
+
+	// Elements are removed once no rendered tile references them anymore
+	const releaseElements = function(tileId, keys) {
+		keys.forEach(key => {
+			const entry = renderedElements.get(key);
+			entry.tiles.delete(tileId);
+			if (entry.tiles.size === 0) {
+				renderedElements.delete(key);
+				toRemove.push(...getShownMarkers(entry));
 			}
-
 		});
+	};
 
-		if (tagHighway == "street_lamp" && !tagLightSource) {
-			tagLightSource = "lantern";
+	// Tiles that are new in the view or were refreshed with newer data
+	tiles.forEach((data, tileId) => {
+		const previous = renderedTiles.get(tileId);
+		if (previous && previous.data === data) {
+			return;
 		}
-
-		if (tagAeroway == "navigationaid" && !tagLightSource) {
-			tagLightSource = "aviation";
-			if (!tagNavigationaid){ // unknown navigationaid
-				tagNavigationaid = "unknown";
+		tilesChanged = true;
+		const keys = [];
+		data.nodes.concat(data.ways).forEach(element => {
+			const key = element.type + "/" + element.id;
+			let entry = renderedElements.get(key);
+			if (entry && !isSameOSMElement(entry.element, element)) {
+				// Element changed since it was rendered
+				toRemove.push(...getShownMarkers(entry));
+				entry.element = element;
+				entry.rendered = renderOSMElement(element, context);
+				entry.hidden = isElementFiltered(element);
+				entry.contextProps = undefined;
+				toAdd.push(...getShownMarkers(entry));
+			} else if (!entry) {
+				entry = {element: element, rendered: renderOSMElement(element, context), tiles: new Set(), hidden: isElementFiltered(element)};
+				renderedElements.set(key, entry);
+				toAdd.push(...getShownMarkers(entry));
 			}
+			entry.tiles.add(tileId);
+			keys.push(key);
+		});
+		if (previous) {
+			const currentKeys = new Set(keys);
+			releaseElements(tileId, previous.keys.filter(key => !currentKeys.has(key)));
 		}
+		renderedTiles.set(tileId, {data: data, keys: keys});
+	});
 
-		if (!tagLightCount) {
-			tagLightCount = 1;
+	// Tiles that left the view
+	renderedTiles.forEach((tile, tileId) => {
+		if (!tiles.has(tileId)) {
+			releaseElements(tileId, tile.keys);
+			renderedTiles.delete(tileId);
+			tilesChanged = true;
 		}
+	});
 
-		if (tagLightSource) {
-
-			let textLightType = "", textStartDate = "", textManufacturer = "", textModel = "", textHeight = "", textLightHeight = "", textWidth = "", textLightMethod = "", textLampMount = "", textLightLit = "", textLightCount = "";
-
-			if(tagLightSource == "lantern") {
-				textLightType = i18next.t("lamp_lantern");
-			} else if(tagLightSource == "floodlight") {
-				textLightType = i18next.t("lamp_floodlight");
-			} else if(tagLightSource == "warning") {
-				textLightType = i18next.t("lamp_warning");
-			} else if(tagLightSource == "aviation") {
-				if(tagNavigationaid == "als") { // Approach Lighting System
-					textLightType = i18next.t("lamp_aviation_als");
-				} else if(tagNavigationaid == "papi") { // Precision Approach Path Indicator
-					textLightType = i18next.t("lamp_aviation_papi");
-				} else if(tagNavigationaid == "vasi") { // Visual Approach Slope Indicator
-					textLightType = i18next.t("lamp_aviation_vasi");
-				} else if(tagNavigationaid == "txe") { // Taxiway Edge Light
-					textLightType = i18next.t("lamp_aviation_txe");
-				} else if(tagNavigationaid == "txc") { // Taxiway Centre Light
-					textLightType = i18next.t("lamp_aviation_txc");
-				} else if(tagNavigationaid == "rwe") { // Runway Edge Light
-					textLightType = i18next.t("lamp_aviation_rwe");
-				} else if(tagNavigationaid == "rwc") { // Runway Centre Light
-					textLightType = i18next.t("lamp_aviation_rwc");
-				} else if(tagNavigationaid == "tdz") { // Touchdown Zone
-					textLightType = i18next.t("lamp_aviation_tdz");
-				} else if(tagNavigationaid == "rgl") { // Runway Guard Light
-					textLightType = i18next.t("lamp_aviation_rgl");
-				} else if(tagNavigationaid == "beacon") { // Aerodrome Beacon
-					textLightType = i18next.t("lamp_aviation_beacon");
-				} else {
-					textLightType = i18next.t("lamp_aviation");
-				}
-			} else {
-				textLightType = i18next.t("lamp_unknown");
+	// Elements depending on other elements (e.g. street lamps near a way) change with the tiles around them
+	if (tilesChanged && OBJECT_TYPES.some(type => type.getContextProps && isObjectTypeQueried(type))) {
+		renderedElements.forEach(entry => {
+			const contextProps = getOSMElementContextProps(entry.element, context);
+			if (entry.contextProps !== undefined && contextProps !== entry.contextProps) {
+				toRemove.push(...getShownMarkers(entry));
+				entry.rendered = renderOSMElement(entry.element, context);
+				toAdd.push(...getShownMarkers(entry));
 			}
+			entry.contextProps = contextProps;
+		});
+	}
 
-			if (!tagOperator) {
-				tagOperator = "<i>" + i18next.t("unknown") + "</i>";
-			}
+	removeRenderedMarkers(toRemove);
+	addRenderedMarkers(toAdd);
+	updateThematicLegend();
+	updateStatisticsPanel();
+	updateQualityPanel();
+	updateRegisterComparison();
 
+	// fadeout loading icon and reset loading counter
+	if (loadingcounter<=0) {
+		loadingcounter = 0;
+		$( "#loading_cont" ).delay(500).fadeOut(100);
+	};
+}
 
-			//Tags that are only shown when available
-			if (tagStartDate) {
-				textStartDate = "<tr><td><b>" + i18next.t("lamp_start_date") + ": </b></td><td>" + tagStartDate + "</td></tr>";
-			}
-			if (tagManufacturer) {
-				textManufacturer = "<tr><td><b>" + i18next.t("lamp_manufacturer") + ": </b></td><td>" + tagManufacturer + "</td></tr>";
-			}
-			if (tagModel) {
-				textModel = "<tr><td><b>" + i18next.t("lamp_model") + ": </b></td><td>" + tagModel + "</td></tr>";
-			}
-			if (tagHeight) {
-				textHeight = "<tr><td><b>" + i18next.t("lamp_height") + ": </b></td><td>" + tagHeight + " m</td></tr>";
-			}
-			if (tagLightHeight) {
-				textLightHeight = "<tr><td><b>" + i18next.t("lamp_light_height") + ": </b></td><td>" + tagLightHeight + " m</td></tr>";
-			}
-			if (tagWidth) {
-				textWidth = "<tr><td><b>" + i18next.t("lamp_width") + ": </b></td><td>" + tagWidth + "</td></tr>";
-			}
-			if (tagLightMethod) {
-				textLightMethod = "<tr><td><b>" + i18next.t("lamp_method") + ": </b></td><td>" + getLightMethod(tagLightMethod) + "</td></tr>";
-			}
-			if (tagLampMount) {
-				textLampMount = "<tr><td><b>" + i18next.t("lamp_mount") + ": </b></td><td>" + getLightMount(tagLampMount) + "</td></tr>";
-			}
-			if (tagLightLit) {
-				textLightLit = "<tr><td><b>" + i18next.t("lamp_time") + ": </b></td><td>" + getLightLit(tagLightLit) + "</td></tr>";
-			}
-			if (tagLightCount > 1) {
-				textLightCount = "<tr><td><b>" + i18next.t("lamp_count") + ": </b></td><td>" + tagLightCount + "</td></tr>";
-			}
+/**
+ * Remove all rendered elements from the high zoom layers
+ */
+function clearRenderedElements()
+{
+	// Clustered layers keep their markers outside of the layer group
+	OBJECT_LAYERS.forEach(definition => {
+		if (definition.keepOnClear) {
+			return;
+		}
+		const layer = getObjectLayer(definition.id);
+		if (layer.clearMarkers) {
+			layer.clearMarkers();
+		} else {
+			layer.clearLayers();
+		}
+	});
 
-			// Restrict number of shown light sources for single points to reduce clutter
-			if (tagLightCount > 1) {
-				tagLightCount = Math.min(tagLightCount, LIGHT_COUNT_MAX)
-			}
-			if (!tagRef && tagRef !== 0) {
-				tagRef = ""
-			}
-			EleText =
-				"<b>" + textLightType + " " + tagRef + "</b><br>" +
-				"<div class='infoblock'><table>" +
-				"<tr><td><b>" + i18next.t("lamp_operator") + ": </b></td><td>" + tagOperator + "</td></tr>" +
-				textLightMethod +
-				textLampMount +
-				textStartDate +
-				textManufacturer +
-				textModel +
-				textHeight +
-				textWidth +
-				textLightHeight +
-				textLightLit +
-				textLightCount +
-				"</table></div>" +
-				"<br><a href='#' onclick='openinJOSM(\""+EleType+"\",\""+EleID+"\")'>edit in JOSM</a> | <a href='https://www.openstreetmap.org/"+EleType+"/"+EleID+"'>show in OSM</a>"
-				;
-
-			if (!tagLightHeight && tagHeight) {
-				tagLightHeight = tagHeight;
-			}
+	renderedElements.clear();
+	renderedTiles.clear();
+}
 
-			if($.inArray(EleID, MarkerArray) == -1) {
-				let lightDirectionArray = [], refArray = []
-				if (tagLightDirection) {
-					lightDirectionArray = tagLightDirection.split(";");
-				}
-				if (tagRef) {
-					refArray = tagRef.split(";")
-				}
+/**
+ * Get the markers of a rendered element that are on their layers, none if the element is hidden by the filter
+ */
+function getShownMarkers(entry)
+{
+	return entry.hidden ? [] : entry.rendered;
+}
 
-				// Handle lights with only one direction given
-				let isSingleDir = false;
-				let posDirection0 = 0;
-				if (lightDirectionArray.length == 1 && tagLightCount > 1 && (lightDirectionArray[0] > 0 || lightDirectionArray[0] === 0))
-				{
-					isSingleDir = true;
-					posDirection0 = lightDirectionArray[0] // keep first value in memory
-				}
+/**
+ * Show or hide the rendered elements after the light filter changed, see js/light_filter.js.
+ * The markers are kept, so nothing is loaded or rendered again.
+ */
+function applyRenderedFilter()
+{
+	const toAdd = [];
+	const toRemove = [];
+	renderedElements.forEach(entry => {
+		const hidden = isElementFiltered(entry.element);
+		if (hidden !== entry.hidden) {
+			(hidden ? toRemove : toAdd).push(...entry.rendered);
+			entry.hidden = hidden;
+		}
+	});
+	removeRenderedMarkers(toRemove);
+	addRenderedMarkers(toAdd);
+	updateThematicLegend();
+	updateStatisticsPanel();
+	updateQualityPanel();
+}
 
-				let i = tagLightCount;
-				let j = 0;
-				let posDirection = new Array();
-				while (i > 0) {
-					let EleLatNew, EleLonNew;
-					// Positioning of multiple lights at same spot (tagLightCount > 1)
-					if (tagLightCount > 1) {
-						let posDistance = 0;
-						if (isSingleDir) { //only one direction value given -> assume all lights are parallel:
-							posDirection[j] = posDirection0 * 1 + 90;
-							posDistance = 1.5 * j - ( (1.5 * tagLightCount) / 2 );
-							if ( posDirection[j] > 360 ) {
-								posDirection[j] = posDirection[j] - 360;
-							}
-						} else if (lightDirectionArray[j] === 0 || (lightDirectionArray[j] > 0 && lightDirectionArray[j] <= 360 )) {
-							posDirection[j] = lightDirectionArray[j];
-							posDistance = 1.5;
-						} else if (j > 0) {
-							posDirection[j] = posDirection[j-1] * 1 + 360 / tagLightCount;
-							posDistance = 1.5 ;
-							if ( posDirection[j] > 360 ) {
-								posDirection[j] = posDirection[j] - 360;
-							}
-						} else {
-							posDirection[j] = 0;
-							posDistance = 1.5;
-						}
-						[EleLatNew,EleLonNew] = addLatLngDistanceM(EleLat,EleLon,(posDirection[j]),posDistance);
-					} else {
-						[EleLatNew,EleLonNew] = [EleLat,EleLon];
-					}
-
-					if (!lightDirectionArray[j]) {
-						lightDirectionArray[j] = lightDirectionArray[j-1];
-					}
-					if (!refArray[j]) {
-						refArray[j] = "";
-					}
-
-					let markerLocation = new L.LatLng(EleLatNew,EleLonNew);
-
-					let Icon = getMarkerIcon(L,tagLightSource, tagLightMethod, tagLightColour, tagLightFlash, lightDirectionArray[j], tagLightShape, tagLightHeight, tagNavigationaid, refArray[j], null, null, null, null, null, null);
-					let marker = new L.Marker(markerLocation,{icon : Icon});
-
-					if(EleText!="")
-					{
-						marker.bindPopup(EleText);
-					}
-
-					if(tagLightSource == "aviation" || tagLightSource == "warning") {
-						AviationLayer.addLayer(marker);
-					} else {
-						StreetLightsLayer.addLayer(marker);
-					}
-
-					MarkerArray.push(EleID);
-
-					i = i - 1;
-					j = j + 1;
-				}
+/**
+ * Render an element again after its tags were changed, e.g. by the tag editor (see js/tag_editor.js).
+ * The element model of the loaded tiles is changed as well, so the tags are kept until the tiles are loaded again.
+ */
+function updateRenderedElement(type, id, tags)
+{
+	const entry = renderedElements.get(type + "/" + id);
+	if (!entry) {
+		return;
+	}
+	const tiles = new Map(Array.from(renderedTiles, ([tileId, tile]) => [tileId, tile.data]));
+	removeRenderedMarkers(getShownMarkers(entry));
+	entry.element.tags = tags;
+	entry.rendered = renderOSMElement(entry.element, createRenderContext(tiles));
+	entry.hidden = isElementFiltered(entry.element);
+	addRenderedMarkers(getShownMarkers(entry));
+	updateThematicLegend();
+	updateStatisticsPanel();
+	updateQualityPanel();
+}
 
-			}
+/**
+ * Compare two versions of an element by position and tags
+ */
+function isSameOSMElement(a, b)
+{
+	if (a === b) {
+		return true;
+	}
+	return a.lat === b.lat && a.lon === b.lon &&
+		JSON.stringify(a.geometry) === JSON.stringify(b.geometry) &&
+		JSON.stringify(a.tags) === JSON.stringify(b.tags);
+}
 
-		} else if (tagAmenity == "bench") {
-			// Extract bench-specific attributes
-			let benchBackrest, benchMaterial, benchSeats, benchColour, benchLit, benchBin;
-			
-			$(this).find('tag').each(function(){
-				let EleKey = $(this).attr("k");
-				let EleValue = $(this).attr("v");
-				if (EleKey == "backrest") {
-					benchBackrest = EleValue;
-				} else if (EleKey == "material") {
-					benchMaterial = EleValue;
-				} else if (EleKey == "seats") {
-					benchSeats = EleValue;
-				} else if (EleKey == "colour" || EleKey == "color") {
-					benchColour = EleValue;
-				} else if (EleKey == "lit") {
-					benchLit = EleValue;
-				} else if (EleKey == "bin") {
-					benchBin = EleValue;
-				}
-			});
+/**
+ * Add rendered markers to their layers, clustered layers get their markers at once
+ */
+function addRenderedMarkers(rendered)
+{
+	const clusterMarkers = new Map();
+	rendered.forEach(item => {
+		if (item.layer.addMarkers) {
+			clusterMarkers.set(item.layer, (clusterMarkers.get(item.layer) || []).concat([item.marker]));
+		} else {
+			item.layer.addLayer(item.marker);
+		}
+	});
+	clusterMarkers.forEach((markers, layer) => layer.addMarkers(markers));
+}
 
-			// Build descriptive popup
-			let EleText = "<b>" + i18next.t("bench") + "</b><br><div class='infoblock'><table>";
-			
-			// Show meaningful attributes first
-			if (benchBackrest) {
-				EleText += "<tr><td><b>" + i18next.t("bench_backrest") + ": </b></td><td>" + benchBackrest + "</td></tr>";
-			}
-			if (benchMaterial) {
-				EleText += "<tr><td><b>" + i18next.t("bench_material") + ": </b></td><td>" + benchMaterial + "</td></tr>";
-			}
-			if (benchSeats) {
-				EleText += "<tr><td><b>" + i18next.t("bench_seats") + ": </b></td><td>" + benchSeats + "</td></tr>";
-			}
-			if (benchColour) {
-				EleText += "<tr><td><b>" + i18next.t("bench_colour") + ": </b></td><td>" + benchColour + "</td></tr>";
-			}
-			if (benchLit) {
-				EleText += "<tr><td><b>" + i18next.t("bench_lit") + ": </b></td><td>" + benchLit + "</td></tr>";
-			}
-			if (benchBin) {
-				EleText += "<tr><td><b>Bin: </b></td><td>" + benchBin + "</td></tr>";
-			}
-			
-			// Show all other attributes
-			$(this).find('tag').each(function(){
-				let EleKey = $(this).attr("k");
-				let EleValue = $(this).attr("v");
-				// Skip attributes we already displayed above
-				if (EleKey != "amenity" && EleKey != "backrest" && EleKey != "material" && 
-					EleKey != "seats" && EleKey != "colour" && EleKey != "color" && 
-					EleKey != "lit" && EleKey != "bin") {
-					EleText += "<tr><td><b>" + EleKey + ": </b></td><td>" + EleValue + "</td></tr>";
-				}
-			});
-			EleText += "</table></div><br><a href='#' onclick='openinJOSM(\""+EleType+"\",\""+EleID+"\")'>edit in JOSM</a> | <a href='https://www.openstreetmap.org/"+EleType+"/"+EleID+"'>show in OSM</a>";
+/**
+ * Remove rendered markers from their layers
+ */
+function removeRenderedMarkers(rendered)
+{
+	const clusterMarkers = new Map();
+	rendered.forEach(item => {
+		if (item.layer.removeMarkers) {
+			clusterMarkers.set(item.layer, (clusterMarkers.get(item.layer) || []).concat([item.marker]));
+		} else {
+			item.layer.removeLayer(item.marker);
+		}
+	});
+	clusterMarkers.forEach((markers, layer) => layer.removeMarkers(markers));
+}
 
-			let markerLocation = new L.LatLng(EleLat, EleLon);
-			let Icon = getMarkerIcon(L, "bench", null, null, null, null, null, null, null, null, benchBackrest, benchMaterial, benchSeats, benchColour, benchLit, benchBin);
-			let marker = new L.Marker(markerLocation, {
-				icon: Icon
-			});
-			marker.bindPopup(EleText);
-			
-			// Use clustering if enabled, otherwise add to regular layer
-			if (CLUSTERING_SETTINGS.CLUSTER_BENCHES && BenchesLayer.addMarker) {
-				BenchesLayer.addMarker(marker);
-			} else {
-				BenchesLayer.addLayer(marker);
-			}
-		} else if (tagLit == "no" || tagLit == "disused") {
-			// Draw ways, which have no popup
-			if(tagArea) {
-				let shape = L.polygon(EleCoordArray.map(p => new L.LatLng(p[0], p[1])), {
-					stroke: false, fillColor: '#000000', fillOpacity: 0.4,
-					weight: 3
-				})
-				UnLitStreetsLayer.addLayer(shape);
-			} else {
-				let line = L.polyline(EleCoordArray.map(p => new L.LatLng(p[0], p[1])), {
-					color: '#111111',
-					weight: 3
-				})
-				UnLitStreetsLayer.addLayer(line)
-			}
-		} else if (tagLit == "yes" || tagLit == "24/7" || tagLit == "automatic" || tagLit == "limited" || tagLit == "sunset-sunrise" || tagLit == "dusk-dawn" || tagLit == "interval") {
-			// Draw ways, which have no popup
-			if (tagLit == "automatic") {
-				strokeDashArray = "2 3";
-				strokeColor = "#BBBBBB";
-			} else if (tagLit == "limited" || tagLit == "interval") {
-				strokeDashArray = "8";
-				strokeColor = "#BBBBBB";
-			} else {
-				strokeDashArray = "0";
-				strokeColor = "#BBBBBB";
+/**
+ * Get the properties of an element that depend on other elements in the view, serialized for comparison.
+ * Returns undefined for elements whose object type has no getContextProps.
+ */
+function getOSMElementContextProps(element, context)
+{
+	const type = findObjectType(element.tags);
+	if (!type || !type.getContextProps) {
+		return undefined;
+	}
+	return JSON.stringify(type.getContextProps(element, context));
+}
+
+/**
+ * Create the markers and shapes for one OSM element, as declared by its object type in OBJECT_TYPES.
+ * The render context provides the other elements in the view, see createRenderContext().
+ * Returns an array of {layer, marker}, the markers are not added to the layers yet.
+ */
+function renderOSMElement(element, context = createRenderContext(new Map()))
+{
+	const type = findObjectType(element.tags);
+	if (!type) {
+		return [];
+	}
+
+	const props = type.extractTags(element.tags);
+	if (type.getContextProps) {
+		Object.assign(props, type.getContextProps(element, context));
+	}
+	const layer = getObjectLayer(typeof type.layer == "function" ? type.layer(props) : type.layer);
+	const popup = type.buildPopup ? type.buildPopup(props, element) : "";
+	let rendered = [];
+
+	if (type.getStyles) {
+		// Ways are drawn as lines, areas as filled shapes
+		const latLngs = (element.geometry || []).map(p => new L.LatLng(p[0], p[1]));
+		type.getStyles(props).forEach(style => {
+			const shape = props.area ? L.polygon(latLngs, style) : L.polyline(latLngs, style);
+			if (popup) {
+				shape.bindPopup(popup);
 			}
-			if (tagArea) {
-				let shape = L.polygon(EleCoordArray.map(p => new L.LatLng(p[0], p[1])), {
-					stroke: false, fillColor: strokeColor, fillOpacity: 0.4,
-					weight: 3,
-					dashArray: strokeDashArray
-				})
-				LitStreetsLayer.addLayer(shape);
-			} else {
-				let line = L.polyline(EleCoordArray.map(p => new L.LatLng(p[0], p[1])), {
-					color: strokeColor,
-					weight: 3,
-					dashArray: strokeDashArray
-				})
-				LitStreetsLayer.addLayer(line)
-
-				if (tagLit == "24/7") { // dotted outline for 24/7
-					let line = L.polyline(EleCoordArray.map(p => new L.LatLng(p[0], p[1])), {
-						color: strokeColor,
-						weight: 5,
-						dashArray: "1 6"
-					})
-					LitStreetsLayer.addLayer(line)
-				}
+			rendered.push({layer: layer, marker: shape});
+		});
+	} else {
+		const positions = type.getPositions ? type.getPositions(props, element) : [{lat: element.lat, lon: element.lon}];
+		positions.forEach(position => {
+			const marker = new L.Marker(new L.LatLng(position.lat, position.lon), {icon: type.getIcon(props, position)});
+			if (popup) {
+				marker.bindPopup(popup);
 			}
-		}
-	});
+			rendered.push({layer: layer, marker: marker});
+		});
+	}
 
-	// fadeout loading icon and reset loading counter
-	if (loadingcounter<=0) {
-		loadingcounter = 0;
-		$( "#loading_cont" ).delay(500).fadeOut(100);
-	};
+	// Additional shapes on other layers, e.g. the estimated light footprint of a lamp
+	if (type.getOverlays) {
+		type.getOverlays(props, element).forEach(overlay => {
+			rendered.push({layer: getObjectLayer(overlay.layer), marker: overlay.shape});
+		});
+	}
+
+	return rendered;
 }
 
 
@@ -721,40 +566,11 @@ function parseOSMlowZoom(data)
 {
 	StreetLightsLowZoomLayer.setData({max: 8, data:[]});
 	//console.log(data);
-	let MarkerArray = new Array();
-	let CoordObj = new Object();
-
-	let iconClass = "light_13";
-	let iconSize = 8;
+	const model = toElementModel(data);
 	let LightsData = []
 
-	$(data).find('node').each(function(){
-		let EleID = $(this).attr("id");
-		let EleCoordArray = new Array();
-		let EleLat, EleLon, EleType;
-		let EleObj = new Object();
-
-		//Node
-		if ($(this).attr("lat"))
-		{
-			EleLat = $(this).attr("lat");
-			EleLon = $(this).attr("lon");
-			EleType = "node";
-			EleObj["lat"] = EleLat;
-			EleObj["lon"] = EleLon;
-			CoordObj[EleID] = EleObj;
-			let markerLocation = new L.LatLng(EleLat,EleLon);
-			let markerIcon = L.divIcon({
-				className: iconClass,
-				html: '<div style="background-image: url(\'./img/electric_white.svg\');background-repeat: no-repeat;"> </div>',
-				iconSize: [iconSize, iconSize],
-				iconAnchor:   [0, 0],
-				});
-			let marker = new L.Marker(markerLocation,{icon : markerIcon});
-
-		}
-
-		LightsData.push({"lat" : EleLat, "lng" : EleLon, "count" : 1});
+	model.nodes.forEach(function(node) {
+		LightsData.push({"lat" : node.lat, "lng" : node.lon, "count" : 1});
 	});
 
 	//console.log(LightsData)
@@ -805,93 +621,77 @@ function getLightLit(value) {
 	return result;
 }
 
-function getLightMethod(value) {
-	let result;
+/**
+ * Gets the i18n key of a method value, spellings of the same method share a key
+ * @param {string} value - Tag value
+ * @returns {string|null} i18n key, null for unknown values
+ */
+function getLightMethodKey(value) {
 	if (value == "high_pressure_sodium" || value == "high-pressure_sodium" || value == "HPSV" || value == "SON") {
-		result =  i18next.t("lamp_method_high_presssure_sodium");
+		return "lamp_method_high_presssure_sodium";
 	} else if (value == "low_pressure_sodium" || value == "low-pressure_sodium" || value == "SOX") {
-		result =  i18next.t("lamp_method_low_presssure_sodium");
+		return "lamp_method_low_presssure_sodium";
 	} else if (value == "sodium" || value == "sodium_vapor") {
-		result =  i18next.t("lamp_method_sodium");
+		return "lamp_method_sodium";
 	} else if (value == "LED" || value == "led") {
-		result =  i18next.t("lamp_method_led");
+		return "lamp_method_led";
 	} else if (value == "metal_halide" || value == "metal-halide") {
-		result =  i18next.t("lamp_method_metal_halide");
+		return "lamp_method_metal_halide";
 	} else if (value == "fluorescent") {
-		result =  i18next.t("lamp_method_fluorescent");
+		return "lamp_method_fluorescent";
 	} else if (value == "incandescent") {
-		result =  i18next.t("lamp_method_incandescent");
+		return "lamp_method_incandescent";
 	} else if (value == "mercury") {
-		result =  i18next.t("lamp_method_mercury");
+		return "lamp_method_mercury";
 	} else if (value == "electric" || value == "electrical") {
-		result =  i18next.t("lamp_method_electric");
+		return "lamp_method_electric";
 	} else if (value == "gas" || value == "gaslight") {
-		result =  i18next.t("lamp_method_gas");
-	} else {
-		result = value;
+		return "lamp_method_gas";
 	}
-	return result;
+	return null;
 }
 
-function getLightMount(value) {
-	let result;
+function getLightMethod(value) {
+	const key = getLightMethodKey(value);
+	return key ? i18next.t(key) : value;
+}
+
+/**
+ * Gets the i18n key of a mount value, spellings of the same mount share a key
+ * @param {string} value - Tag value
+ * @returns {string|null} i18n key, null for unknown values
+ */
+function getLightMountKey(value) {
 	if (value == "straight mast" || value == "straight_mast") {
-		result =  i18next.t("lamp_mount_straight_mast");
+		return "lamp_mount_straight_mast";
 	} else if (value == "bent mast" || value == "bent_mast") {
-		result =  i18next.t("lamp_mount_bent_mast");
+		return "lamp_mount_bent_mast";
 	} else if (value == "cast steel mast" || value == "cast_steel_mast") {
-		result =  i18next.t("lamp_mount_cast_steel_mast");
+		return "lamp_mount_cast_steel_mast";
 	} else if (value == "mast" || value == "pole") {
-		result =  i18next.t("lamp_mount_mast");
+		return "lamp_mount_mast";
 	} else if (value == "power_pole") {
-		result =  i18next.t("lamp_mount_power_pole");
+		return "lamp_mount_power_pole";
 	} else if (value == "wall_mounted" || value == "wall") {
-		result =  i18next.t("lamp_mount_wall");
+		return "lamp_mount_wall";
 	} else if (value == "suspended" || value == "wire") {
-		result =  i18next.t("lamp_mount_wire");
+		return "lamp_mount_wire";
 	} else if (value == "ceiling") {
-		result =  i18next.t("lamp_mount_ceiling");
+		return "lamp_mount_ceiling";
 	} else if (value == "ground") {
-		result =  i18next.t("lamp_mount_ground");
-	} else {
-		result = value;
+		return "lamp_mount_ground";
 	}
-	return result;
+	return null;
 }
 
-function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDirection,lightShape,lightHeight,navigationaid,ref,benchBackrest,benchMaterial,benchSeats,benchColour,benchLit,benchBin) {
+function getLightMount(value) {
+	const key = getLightMountKey(value);
+	return key ? i18next.t(key) : value;
+}
+
+function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDirection,lightShape,lightHeight,navigationaid,ref,themeColour) {
 	let symbolURL = "electric";
-	if (lightSource == "bench") {
-		// Select bench icon based on attributes with enhanced combination logic
-		// Priority: lighting > bin > material > backrest
-		if (benchLit == "yes") {
-			if (benchMaterial == "wood") {
-				symbolURL = "bench_wood_lit";
-			} else if (benchMaterial == "metal" || benchMaterial == "steel") {
-				symbolURL = "bench_metal_lit";
-			} else {
-				symbolURL = "bench_lit";
-			}
-		} else if (benchBin == "yes") {
-			if (benchMaterial == "wood") {
-				symbolURL = "bench_wood_bin";
-			} else if (benchMaterial == "metal" || benchMaterial == "steel") {
-				symbolURL = "bench_metal_bin";
-			} else {
-				symbolURL = "bench_bin";
-			}
-		} else if (benchMaterial == "wood") {
-			symbolURL = "bench_wood";
-		} else if (benchMaterial == "metal" || benchMaterial == "steel") {
-			symbolURL = "bench_metal";
-		} else if (benchBackrest == "yes") {
-			symbolURL = "bench_backrest";
-		} else if (benchBackrest == "no") {
-			symbolURL = "bench_no_backrest";
-		} else {
-			symbolURL = "bench"; // default bench icon
-		}
-	} else if (lightSource == "xmas") {
+	if (lightSource == "xmas") {
 		symbolURL = "xmastree";
 	} else if (navigationaid == "beacon") {
 		symbolURL = "beacon";
@@ -912,44 +712,42 @@ function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDir
 	}
 
 	let colourURL = "";
-    if (lightSource !== "bench") {
-		if (lightColour) {
-			// convert Kelvin light temperatures to colour values
-			if (lightColour.substr(-1) == "K") {
-				let KelvinLength = lightColour.indexOf("K");
-				let lightColourK = Number(lightColour.substr(0,KelvinLength));
-				if (!lightColourK.isNaN) {
-					if (lightColourK < 2000) {
-						colourURL = "_gas";
-					} else if (lightColourK < 2600) {
-						colourURL = "_orange";
-					} else if (lightColourK < 3000) {
-						colourURL = "_fluorescent";
-					} else if (lightColourK < 4000) {
-						colourURL = "_led";
-					} else if (lightColourK > 5600) {
-						colourURL = "_mercury";
-					} else {
-						colourURL = "_white";
-					}
+	if (lightColour) {
+		// convert Kelvin light temperatures to colour values
+		if (lightColour.substr(-1) == "K") {
+			let KelvinLength = lightColour.indexOf("K");
+			let lightColourK = Number(lightColour.substr(0,KelvinLength));
+			if (!lightColourK.isNaN) {
+				if (lightColourK < 2000) {
+					colourURL = "_gas";
+				} else if (lightColourK < 2600) {
+					colourURL = "_orange";
+				} else if (lightColourK < 3000) {
+					colourURL = "_fluorescent";
+				} else if (lightColourK < 4000) {
+					colourURL = "_led";
+				} else if (lightColourK > 5600) {
+					colourURL = "_mercury";
+				} else {
+					colourURL = "_white";
 				}
 			}
-			// add verbal colours:
-			if (lightColour == "white") {
-				colourURL = "_white";
-			} else if (lightColour == "orange") {
-				colourURL = "_orange";
-			} else if (lightColour == "blue") {
-				colourURL = "_blue";
-			} else if (lightColour == "red") {
-				colourURL = "_red";
-			} else if (lightColour == "green") {
-				colourURL = "_green";
-			} else if (lightColour == "yellow") {
-				colourURL = "_yellow";
-			}
 		}
-    }
+		// add verbal colours:
+		if (lightColour == "white") {
+			colourURL = "_white";
+		} else if (lightColour == "orange") {
+			colourURL = "_orange";
+		} else if (lightColour == "blue") {
+			colourURL = "_blue";
+		} else if (lightColour == "red") {
+			colourURL = "_red";
+		} else if (lightColour == "green") {
+			colourURL = "_green";
+		} else if (lightColour == "yellow") {
+			colourURL = "_yellow";
+		}
+	}
 
 	// default/adapted light colours for different light methods:
 	if (lightMethod == "LED" || lightMethod == "led") {
@@ -1020,7 +818,16 @@ function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDir
 		colourURL = "_white";
 	}
 
-	let directionCSS, directionDeg;
+	return createMarkerIcon(L, symbolURL + colourURL, lightSource, navigationaid, lightHeight, lightDirection, ref, themeColour);
+}
+
+/**
+ * Create a marker icon for a symbol in ./img, sized by zoom level, light type and light height.
+ * themeColour optionally colours a disc behind the symbol (thematic map, see js/thematic_map.js).
+ */
+function createMarkerIcon(L,symbol,lightSource,navigationaid,lightHeight,lightDirection,ref,themeColour) {
+	let directionCSS = "", directionDeg;
+	let themeCSS = "";
 	let rotate = 0;
 	let iconOffset = 0, iconSize = 0, iconClass = "";
 	let zoomClass = 0;
@@ -1168,31 +975,8 @@ function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDir
 	}
 
 	if (lightDirection || lightDirection === 0) {
-		let cardinal = new Object();
-		cardinal['N'] = 0;
-		cardinal['NNE'] = 22.5;
-		cardinal['NE'] = 45;
-		cardinal['ENE'] = 67.5;
-		cardinal['E'] = 90;
-		cardinal['ESE'] = 112.5;
-		cardinal['SE'] = 135;
-		cardinal['SSE'] = 157.5;
-		cardinal['S'] = 180;
-		cardinal['SSW'] = 202.5;
-		cardinal['SW'] = 225;
-		cardinal['WSW'] = 247.5;
-		cardinal['W'] = 270;
-		cardinal['WNW'] = 292.5;
-		cardinal['NW'] = 315;
-		cardinal['NNW'] = 337.5;
-
-		if (cardinal.hasOwnProperty(lightDirection)) {
-			directionDeg = cardinal[lightDirection];
-		} else if (lightDirection > 0 && lightDirection <= 360) { // exclude 0 as it is used as fallback anyway
-			directionDeg = lightDirection;
-		} else {/* ignore to_street  to_crossing */
-			directionDeg = 0
-		}
+		/* to_street, to_crossing and invalid values fall back to 0 */
+		directionDeg = getDirectionDegrees(lightDirection) || 0;
 	}
 	if (directionDeg >= 0 && lightSource == "floodlight") {
 		if(directionDeg >= 135 && directionDeg <=360) {
@@ -1215,9 +999,13 @@ function getMarkerIcon(L,lightSource,lightMethod,lightColour,lightFlash,lightDir
 	{
 		ref = "";
 	}
+	if (themeColour) {
+		// Disc behind the symbol as second background layer
+		themeCSS = ', radial-gradient(circle closest-side, ' + themeColour + ' 45%, #FFFFFF 45%, #FFFFFF 50%, transparent 50%)';
+	}
 	let Icon = L.divIcon({
 		className: iconClass,
-		html: '<div style="background-image: url(\'./img/' + symbolURL + colourURL + '.svg\');background-repeat: no-repeat;' + directionCSS + '"> </div><span class="' + refClass + '">' + ref + '</span>',
+		html: '<div style="background-image: url(\'./img/' + symbol + '.svg\')' + themeCSS + ';background-repeat: no-repeat;' + directionCSS + '"> </div><span class="' + refClass + '">' + ref + '</span>',
 		iconSize: [iconSize, iconSize],
 		iconAnchor:   [iconOffset, iconOffset],
 		popupAnchor:  [0, -5]
@@ -1237,26 +1025,42 @@ function loadDataRectangles(lat1, lon1, lat2, lon2) {
 		west: lon1
 	};
 	
-	// Get rectangles in current view
+	// Get rectangles in current view, using the grid level matching the zoom
 	const rectanglesInView = getRectanglesInView({
 		getNorth: () => mapBounds.north,
 		getSouth: () => mapBounds.south,
 		getEast: () => mapBounds.east,
 		getWest: () => mapBounds.west
-	});
+	}, getGridLevelForZoom(map.getZoom()));
 	
 	console.log(`Found ${rectanglesInView.length} rectangles in view for high zoom data`);
 	
+	// Protect the current view from cache eviction
+	setVisibleRectangles(rectanglesInView);
+	
+	// Wait for the persistent cache, restoreRectangleCache() triggers a reload when done
+	if (!isRectangleCacheRestored()) {
+		console.log('Persistent cache not restored yet, postponing high zoom loading');
+		return;
+	}
+
+	// Rectangles evicted from memory are read from the persistent cache instead of Overpass
+	if (getEvictedRectangles(rectanglesInView).length > 0) {
+		restoreEvictedRectangles(rectanglesInView).then(() => MoveCall(0));
+	}
+	
+	// Refresh outdated rectangles in the background, their cached data is still shown meanwhile
+	const staleRectangles = getStaleRectangles(getCoveringRectangles(rectanglesInView));
+	if (staleRectangles.length > 0) {
+		console.log(`Refreshing ${staleRectangles.length} stale rectangles`);
+		planRectangleBatches(staleRectangles).forEach(batch => loadRectangleBatchData(batch, false));
+	}
+	
+	// Prefetch the surrounding rectangles once the map is idle
+	scheduleRectanglePrefetch(mapBounds, getGridLevelForZoom(map.getZoom()), false);
+	
 	// Find rectangles that need loading
-	const rectanglesToLoad = rectanglesInView.filter(rectId => {
-		if (isRectangleLoaded(rectId)) {
-			return false; // Already loaded
-		}
-		if (isRectangleLoading(rectId)) {
-			return false; // Currently loading
-		}
-		return shouldRetryRectangle(rectId); // Should retry failed rectangles
-	});
+	const rectanglesToLoad = getRectanglesToLoad(rectanglesInView);
 	
 	console.log(`Need to load ${rectanglesToLoad.length} rectangles for high zoom data`);
 	
@@ -1266,9 +1070,9 @@ function loadDataRectangles(lat1, lon1, lat2, lon2) {
 		return;
 	}
 	
-	// Load each rectangle individually
-	rectanglesToLoad.forEach(rectId => {
-		loadSingleRectangleData(rectId, false);
+	// Merge adjacent rectangles into a few batch requests
+	planRectangleBatches(rectanglesToLoad).forEach(batch => {
+		loadRectangleBatchData(batch, false);
 	});
 	
 	// Always merge and render available data
@@ -1287,26 +1091,42 @@ function loadDataLowZoomRectangles(lat1, lon1, lat2, lon2) {
 		west: lon1
 	};
 	
-	// Get rectangles in current view
+	// Get rectangles in current view, using the grid level matching the zoom
 	const rectanglesInView = getRectanglesInView({
 		getNorth: () => mapBounds.north,
 		getSouth: () => mapBounds.south,
 		getEast: () => mapBounds.east,
 		getWest: () => mapBounds.west
-	});
+	}, getGridLevelForZoom(map.getZoom()));
 	
 	console.log(`Found ${rectanglesInView.length} rectangles in view for low zoom data`);
 	
+	// Protect the current view from cache eviction
+	setVisibleRectangles(rectanglesInView);
+	
+	// Wait for the persistent cache, restoreRectangleCache() triggers a reload when done
+	if (!isRectangleCacheRestored()) {
+		console.log('Persistent cache not restored yet, postponing low zoom loading');
+		return;
+	}
+
+	// Rectangles evicted from memory are read from the persistent cache instead of Overpass
+	if (getEvictedRectangles(rectanglesInView.map(id => id + '_lowzoom')).length > 0) {
+		restoreEvictedRectangles(rectanglesInView.map(id => id + '_lowzoom')).then(() => MoveCall(0));
+	}
+	
+	// Refresh outdated rectangles in the background, their cached data is still shown meanwhile
+	const staleRectangles = getStaleRectangles(getCoveringRectangles(rectanglesInView.map(id => id + '_lowzoom')));
+	if (staleRectangles.length > 0) {
+		console.log(`Refreshing ${staleRectangles.length} stale rectangles`);
+		planRectangleBatches(staleRectangles).forEach(batch => loadRectangleBatchData(batch, true));
+	}
+	
+	// Prefetch the surrounding rectangles once the map is idle
+	scheduleRectanglePrefetch(mapBounds, getGridLevelForZoom(map.getZoom()), true);
+	
 	// Find rectangles that need loading
-	const rectanglesToLoad = rectanglesInView.filter(rectId => {
-		if (isRectangleLoaded(rectId + '_lowzoom')) {
-			return false; // Already loaded (use separate ID for low zoom)
-		}
-		if (isRectangleLoading(rectId + '_lowzoom')) {
-			return false; // Currently loading
-		}
-		return shouldRetryRectangle(rectId + '_lowzoom'); // Should retry failed rectangles
-	});
+	const rectanglesToLoad = getRectanglesToLoad(rectanglesInView.map(id => id + '_lowzoom')); // separate IDs for low zoom
 	
 	console.log(`Need to load ${rectanglesToLoad.length} rectangles for low zoom data`);
 	
@@ -1316,61 +1136,121 @@ function loadDataLowZoomRectangles(lat1, lon1, lat2, lon2) {
 		return;
 	}
 	
-	// Load each rectangle individually
-	rectanglesToLoad.forEach(rectId => {
-		loadSingleRectangleData(rectId + '_lowzoom', true);
+	// Merge adjacent rectangles into a few batch requests
+	planRectangleBatches(rectanglesToLoad).forEach(batch => {
+		loadRectangleBatchData(batch, true);
 	});
 	
 	// Always merge and render available data
 	mergeAndRenderRectangleData(rectanglesInView.map(id => id + '_lowzoom'), true);
 }
 
+/**
+ * Build the Overpass query for a bounding box
+ */
+function buildRectangleQuery(bounds, isLowZoom = false) {
+	// Low zoom queries only the street lamp positions, the high zoom query all active object types
+	return buildObjectQuery(`[bbox:${bounds.south},${bounds.west},${bounds.north},${bounds.east}];`, isLowZoom);
+}
+
 /**
  * Load data for a single rectangle with fallback endpoint support
  */
-function loadSingleRectangleData(rectangleId, isLowZoom = false, endpointIndex = 0) {
+function loadSingleRectangleData(rectangleId, isLowZoom = false, triedEndpoints = []) {
 	// Extract base rectangle ID (remove _lowzoom suffix if present)
 	const baseRectId = rectangleId.replace('_lowzoom', '');
-	const bounds = getRectangleBounds(baseRectId);
-	
-	markRectangleLoading(rectangleId);
+	loadRectangleBatchData({
+		rectangleIds: [rectangleId],
+		bounds: getRectangleBounds(baseRectId)
+	}, isLowZoom, triedEndpoints);
+}
+
+/**
+ * Distance of a batch centre to the map centre, used as request priority
+ */
+function getBatchDistanceToMapCenter(batch) {
+	const center = map.getCenter();
+	const lat = (batch.bounds.north + batch.bounds.south) / 2;
+	const lng = (batch.bounds.east + batch.bounds.west) / 2;
+	return Math.sqrt(Math.pow(lat - center.lat, 2) + Math.pow(lng - center.lng, 2));
+}
+
+/**
+ * Drop rectangles of a queued batch that are no longer inside the given bounds (the view or the prefetch area).
+ * Returns false if no rectangle of the batch is wanted anymore.
+ */
+function trimBatchToView(batch, viewBounds) {
+	if (!viewBounds) {
+		return false;
+	}
+	const visibleIds = batch.rectangleIds.filter(rectangleId => {
+		const rectBounds = getRectangleBounds(rectangleId.replace('_lowzoom', ''));
+		return viewBounds.intersects(L.latLngBounds([rectBounds.south, rectBounds.west], [rectBounds.north, rectBounds.east]));
+	});
 	
-	$( "#loading_text" ).text("")
-	$( "#loading" ).attr("class", "");
-	$( "#loading_icon" ).attr("class", "loading_spinner")
-	$( "#loading_cont" ).fadeIn(100)
-	loadingcounter++;
+	if (visibleIds.length > 0 && visibleIds.length < batch.rectangleIds.length) {
+		batch.rectangleIds.filter(rectangleId => !visibleIds.includes(rectangleId)).forEach(rectangleId => loadingRectangles.delete(rectangleId));
+		batch.rectangleIds = visibleIds;
+		batch.bounds = getBatchBounds(visibleIds);
+		updateLoadingOverlays();
+	}
 	
-	let XMLRequestText;
-	let RequestURL;
+	return visibleIds.length > 0;
+}
+
+/**
+ * Load data for a batch of adjacent rectangles with one query and fallback endpoint support.
+ * The request is queued in the request scheduler, the response is split back into one cache entry per rectangle.
+ * Requests go to the healthiest endpoint that has not failed for this batch yet.
+ * Prefetch batches are queued behind all visible rectangles and do not show the loading indicator.
+ */
+function loadRectangleBatchData(batch, isLowZoom = false, triedEndpoints = [], isPrefetch = false) {
+	batch.rectangleIds.forEach(rectangleId => markRectangleLoading(rectangleId));
 	
-	if (isLowZoom) {
-		// Low zoom query - just street lamps and light sources
-		XMLRequestText = `[bbox:${bounds.south},${bounds.west},${bounds.north},${bounds.east}];` +
-			'( node["highway"="street_lamp"]; node["light_source"];); out skel;'
-	} else {
-		// High zoom query - full detailed query
-		XMLRequestText = `[bbox:${bounds.south},${bounds.west},${bounds.north},${bounds.east}];` +
-			'( node["highway"="street_lamp"]; node["light_source"]; node["tower:type"="lighting"]; node["aeroway"="navigationaid"];'
-		
-		if (map.hasLayer(BenchesLayer)) {
-			XMLRequestText += 'node["amenity"="bench"];'
-		}
-		
-		const today = new Date();
-		if (today.getMonth() == 11) { // show christmas trees only in December
-			XMLRequestText += 'node["xmas:feature"="tree"];'
-		}
-		
-		if (map.hasLayer(LitStreetsLayer) || map.hasLayer(UnLitStreetsLayer)) {
-			XMLRequestText += '(way["highway"][!area]["lit"]; >;); ' +
-				'(way["highway"][area]["lit"]; >;); ';
-		}
-		XMLRequestText += '); out qt; '
+	if (!isPrefetch) {
+		$( "#loading_text" ).text("")
+		$( "#loading" ).attr("class", "");
+		$( "#loading_icon" ).attr("class", "loading_spinner")
+		$( "#loading_cont" ).fadeIn(100)
+		loadingcounter++;
 	}
 	
+	// Use the healthiest endpoint not tried yet
+	const currentEndpoint = selectOverpassEndpoint(triedEndpoints);
+	const level = getRectangleLevel(batch.rectangleIds[0].replace('_lowzoom', ''));
+	
+	scheduleRequest({
+		id: batch.rectangleIds.join(','),
+		endpoint: currentEndpoint,
+		getPriority: () => getBatchDistanceToMapCenter(batch) + (isPrefetch ? PREFETCH_PRIORITY_OFFSET : 0),
+		isWanted: () => trimBatchToView(batch, isPrefetch ? getCurrentPrefetchBounds(level, isLowZoom) : map.getBounds()),
+		onCancel: function() {
+			batch.rectangleIds.forEach(rectangleId => loadingRectangles.delete(rectangleId));
+			updateLoadingOverlays();
+			if (!isPrefetch) {
+				loadingcounter--;
+				if (loadingcounter <= 0) {
+					$( "#loading_cont" ).fadeOut(100)
+				}
+			}
+		},
+		execute: done => requestRectangleBatchData(batch, isLowZoom, currentEndpoint, triedEndpoints, isPrefetch, done)
+	});
+}
+
+/**
+ * Send the Overpass request for a batch, called by the request scheduler
+ */
+function requestRectangleBatchData(batch, isLowZoom, currentEndpoint, triedEndpoints, isPrefetch, done) {
+	const rectangleIds = batch.rectangleIds;
+	const bounds = batch.bounds;
+	const batchName = rectangleIds.length == 1 ? `rectangle ${rectangleIds[0]}` : `batch of ${rectangleIds.length} rectangles`;
+	
+	// Object types in the query, stored with the rectangles to load them again when a layer is added
+	const objectTypes = isLowZoom ? null : getQueriedObjectTypes();
+	
 	//URL Codieren
-	XMLRequestText = encodeURIComponent(XMLRequestText);
+	const XMLRequestText = encodeURIComponent(buildRectangleQuery(bounds, isLowZoom));
 	
 	if (location.protocol == 'https:') {
 		RequestProtocol = "https://";
@@ -1378,67 +1258,86 @@ function loadSingleRectangleData(rectangleId, isLowZoom = false, endpointIndex =
 		RequestProtocol = "http://";
 	}
 	
-	// Use current endpoint from the list
-	const currentEndpoint = OVERPASS_ENDPOINTS[endpointIndex % OVERPASS_ENDPOINTS.length];
-	RequestURL = RequestProtocol + currentEndpoint + "?data=" + XMLRequestText;
+	const RequestURL = RequestProtocol + currentEndpoint + "?data=" + XMLRequestText;
 	
-	console.log(`Loading rectangle ${rectangleId} with bounds:`, bounds);
-	console.log(`Using endpoint: ${currentEndpoint} (attempt ${endpointIndex + 1})`);
+	console.log(`Loading ${batchName} with bounds:`, bounds);
+	console.log(`Using endpoint: ${currentEndpoint} (attempt ${triedEndpoints.length + 1})`);
+	const requestStart = Date.now();
 	
-	//AJAX REQUEST
-	$.ajax({
-		url: RequestURL,
-		type: 'GET',
-		crossDomain: true,
-		success: function(data) {
-			console.log(`Successfully loaded rectangle ${rectangleId} from ${currentEndpoint}`);
+	// Fetched and parsed by the Overpass worker, the response arrives as one element model per rectangle
+	loadOverpassData(RequestURL, rectangleIds, 10000, {
+		complete: done,
+		success: function(models) {
+			console.log(`Successfully loaded ${batchName} from ${currentEndpoint}`);
+			recordEndpointSuccess(currentEndpoint, Date.now() - requestStart);
 			
-			if (loadingcounter==1) {
-				$( "#loading_text" ).html("")
-				$( "#loading" ).attr("class", "success");
-				$( "#loading_icon" ).attr("class", "loading_success")
+			if (!isPrefetch) {
+				if (loadingcounter==1) {
+					$( "#loading_text" ).html("")
+					$( "#loading" ).attr("class", "success");
+					$( "#loading_icon" ).attr("class", "loading_success")
+				}
+				loadingcounter--;
 			}
-			loadingcounter--;
 			
-			// Store the data in rectangle cache
-			markRectangleLoaded(rectangleId, data);
+			// Store the data in rectangle cache, one entry per rectangle
+			rectangleIds.forEach(rectangleId => {
+				if (objectTypes) {
+					models[rectangleId].objectTypes = objectTypes;
+				}
+				markRectangleLoaded(rectangleId, models[rectangleId]);
+			});
 			
 			// Re-render the current view with updated data
 			const currentBounds = map.getBounds();
-			const currentRectangles = getRectanglesInView(currentBounds);
+			const currentRectangles = getRectanglesInView(currentBounds, getGridLevelForZoom(map.getZoom()));
 			if (isLowZoom) {
 				mergeAndRenderRectangleData(currentRectangles.map(id => id + '_lowzoom'), true);
 			} else {
 				mergeAndRenderRectangleData(currentRectangles, false);
 			}
 		},
-		error: function(jqXHR, textStatus, errorThrown){
-			console.log(`Failed to load rectangle ${rectangleId} from ${currentEndpoint}:`, textStatus, jqXHR.status);
+		error: function(status, textStatus){
+			console.log(`Failed to load ${batchName} from ${currentEndpoint}:`, textStatus, status);
 			
-			loadingcounter--;
+			if (!isPrefetch) {
+				loadingcounter--;
+			}
 			
 			// Check if we should try another endpoint
-			const nextEndpointIndex = endpointIndex + 1;
-			const isLastEndpoint = nextEndpointIndex >= OVERPASS_ENDPOINTS.length;
-			const isTooManyRequests = jqXHR.status === 429;
-			const isServerError = jqXHR.status >= 500;
+			const nextTriedEndpoints = triedEndpoints.concat([currentEndpoint]);
+			const isLastEndpoint = selectOverpassEndpoint(nextTriedEndpoints) === null;
+			const isTooManyRequests = status === 429;
+			const isServerError = status >= 500;
+			const isUnreachable = status === 0 && textStatus === "error";
+			const isEndpointProblem = isTooManyRequests || isServerError || isUnreachable || textStatus === "timeout";
+			
+			// Lower the health score of the endpoint, errors caused by the query itself do not count
+			if (isEndpointProblem) {
+				recordEndpointFailure(currentEndpoint, status, textStatus);
+			}
 			
 			// Retry with next endpoint if we have more endpoints and certain error conditions
-			if (!isLastEndpoint && (isTooManyRequests || isServerError || textStatus === "timeout")) {
-				console.log(`Retrying rectangle ${rectangleId} with next endpoint...`);
+			if (!isLastEndpoint && isEndpointProblem) {
+				console.log(`Retrying ${batchName} with next endpoint...`);
 				// Remove from loading state temporarily to allow retry
-				loadingRectangles.delete(rectangleId);
+				rectangleIds.forEach(rectangleId => loadingRectangles.delete(rectangleId));
 				updateLoadingOverlays();
 				
 				// Retry with next endpoint after a short delay
 				setTimeout(() => {
-					loadSingleRectangleData(rectangleId, isLowZoom, nextEndpointIndex);
+					loadRectangleBatchData(batch, isLowZoom, nextTriedEndpoints, isPrefetch);
 				}, 1000);
 				return;
 			}
 			
 			// All endpoints failed or non-retryable error
-			markRectangleFailed(rectangleId);
+			rectangleIds.forEach(rectangleId => markRectangleFailed(rectangleId));
+			
+			// Failed prefetches are retried when the rectangles come into view
+			if (isPrefetch) {
+				return;
+			}
 			
 			let textStatus_value;
 			if( i18next.isInitialized) {
@@ -1458,83 +1357,41 @@ function loadSingleRectangleData(rectangleId, isLowZoom = false, endpointIndex =
 			$( "#loading" ).attr("class", "error");
 			$( "#loading_icon" ).attr("class", "loading_error")
 			$( "#loading_text" ).html("&nbsp;" + textStatus_value)
-		},
-		timeout: 10000 // timeout after 10s
+		}
 	});
 }
 
 /**
- * Merge data from multiple rectangles and render it
+ * Render the data of the rectangles in view
  */
 function mergeAndRenderRectangleData(rectangleIds, isLowZoom = false) {
-	const dataArrays = getRectangleData(rectangleIds);
+	// Rectangles may be provided by a cached parent rectangle of a coarser grid level
+	const coveringRectangles = getCoveringRectangles(rectangleIds);
 	
-	if (dataArrays.length === 0) {
-		console.log(`No data available for ${rectangleIds.length} rectangles`);
+	if (!isLowZoom) {
+		// Only elements of newly loaded rectangles are added, elements of rectangles that left the view removed
+		const tiles = new Map();
+		coveringRectangles.forEach(rectangleId => {
+			const data = getRectangleData([rectangleId])[0];
+			if (data) {
+				tiles.set(rectangleId, data);
+			}
+		});
+		renderOSMTiles(tiles);
 		return;
 	}
 	
-	console.log(`Merging data from ${dataArrays.length} loaded rectangles out of ${rectangleIds.length} total`);
+	const dataArrays = getRectangleData(coveringRectangles);
 	
-	if (isLowZoom) {
-		// For low zoom, we need to merge all data into a single dataset
-		// and pass it to the low zoom parser
-		const mergedData = mergeXMLData(dataArrays);
-		parseOSMlowZoom(mergedData);
-	} else {
-		// For high zoom, we need to merge all data into a single dataset
-		// and pass it to the regular parser
-		const mergedData = mergeXMLData(dataArrays);
-		parseOSM(mergedData);
-	}
-}
-
-/**
- * Merge multiple XML datasets into a single XML document
- */
-function mergeXMLData(dataArrays) {
 	if (dataArrays.length === 0) {
-		return null;
-	}
-	
-	if (dataArrays.length === 1) {
-		return dataArrays[0];
+		console.log(`No data available for ${rectangleIds.length} rectangles`);
+		return;
 	}
 	
-	// Create a new XML document with osm root
-	const xmlDoc = document.implementation.createDocument(null, "osm", null);
-	const osmRoot = xmlDoc.documentElement;
-	osmRoot.setAttribute("version", "0.6");
-	osmRoot.setAttribute("generator", "Rectangle Manager");
-	
-	const addedElements = new Set(); // Track added elements to avoid duplicates
-	
-	// Merge all data
-	dataArrays.forEach((data, index) => {
-		if (!data) return;
-		
-		// Parse the XML data if it's a string
-		let doc = data;
-		if (typeof data === 'string') {
-			const parser = new DOMParser();
-			doc = parser.parseFromString(data, 'text/xml');
-		}
-		
-		// Add all nodes and ways from this dataset
-		const elements = doc.querySelectorAll('node, way');
-		elements.forEach(element => {
-			const id = element.getAttribute('id');
-			const elementKey = element.tagName + '_' + id;
-			
-			// Only add if we haven't seen this element before
-			if (!addedElements.has(elementKey)) {
-				const clonedElement = xmlDoc.importNode(element, true);
-				osmRoot.appendChild(clonedElement);
-				addedElements.add(elementKey);
-			}
-		});
-	});
+	console.log(`Merging data from ${dataArrays.length} loaded rectangles out of ${rectangleIds.length} total`);
 	
-	console.log(`Merged ${addedElements.size} unique elements from ${dataArrays.length} rectangles`);
-	return xmlDoc;
+	// The low zoom heatmap is always replaced as a whole
+	const mergedData = mergeElementModels(dataArrays);
+	console.log(`Merged ${mergedData.nodes.length + mergedData.ways.length} unique elements from ${dataArrays.length} rectangles`);
+	parseOSMlowZoom(mergedData);
 }
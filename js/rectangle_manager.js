@@ -5,46 +5,106 @@
 
 // Configuration for rectangle grid
 const RECTANGLE_CONFIG = {
-    // Grid size in degrees (roughly 1km at equator)
-    GRID_SIZE_DEG: 0.01,
+    // Grid levels from fine to coarse, each size must be a multiple of the previous one.
+    // The first level whose minZoom is reached by the current zoom is used for loading.
+    // The object layers are loaded from MIN_ZOOM only, so they always use level 0.
+    // The coarser levels serve the low zoom heatmap (from MIN_ZOOM_LOW_ZOOM) and a cached
+    // coarser rectangle also provides the data of the finer rectangles inside it.
+    GRID_LEVELS: [
+        { size: 0.01, minZoom: MIN_ZOOM },  // roughly 1km at equator, object layers
+        { size: 0.05, minZoom: 13 },        // low zoom heatmap at zoom 13 and 14
+        { size: 0.25, minZoom: 0 }          // low zoom heatmap below zoom 13
+    ],
     // Maximum retry attempts for failed rectangles
     MAX_RETRY_ATTEMPTS: 3,
     // Retry delay in milliseconds
-    RETRY_DELAY_MS: 5000
+    RETRY_DELAY_MS: 5000,
+    // Keep loaded rectangles in IndexedDB across page reloads
+    PERSISTENT_CACHE_ENABLED: true,
+    // Age after which a cached rectangle is shown but refreshed in the background
+    PERSISTENT_CACHE_MAX_AGE_MS: 24 * 60 * 60 * 1000,
+    // Age after which a persisted rectangle is discarded instead of restored
+    PERSISTENT_CACHE_DISCARD_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+    // Maximum number of cached rectangles before least recently used ones are evicted
+    MAX_CACHED_RECTANGLES: 400,
+    // Approximate maximum size of the cached element data in bytes
+    MAX_CACHE_BYTES: 64 * 1024 * 1024,
+    // Maximum number of adjacent rectangles merged into one Overpass query
+    MAX_RECTANGLES_PER_BATCH: 12
 };
 
 // Global cache for loaded rectangles
-let loadedRectangles = new Map(); // rectangleId -> {bounds, data, timestamp, status}
+let loadedRectangles = new Map(); // rectangleId -> {bounds, data, timestamp, status, lastAccess, size}
 let loadingRectangles = new Set(); // currently loading rectangle IDs
 let failedRectangles = new Map(); // rectangleId -> {attempts, lastFailTime}
 
+// Rectangles in the current map view, never evicted
+let visibleRectangles = new Set();
+let evictedRectangleCount = 0;
+// Rectangles evicted from memory whose persisted copy is kept, see restoreEvictedRectangles()
+let evictedRectangles = new Set();
+
+// Restore state of the persistent cache
+let rectangleCacheRestored = false;
+let rectangleCacheRestorePromise = null;
+
+// Tolerance for floating point errors when snapping coordinates to the grid
+const GRID_EPSILON = 1e-9;
+
+/**
+ * Gets the grid level to use for a zoom level
+ * @param {number} zoom - Map zoom level
+ * @returns {number} Index into RECTANGLE_CONFIG.GRID_LEVELS
+ */
+function getGridLevelForZoom(zoom) {
+    const levels = RECTANGLE_CONFIG.GRID_LEVELS;
+    for (let level = 0; level < levels.length; level++) {
+        if (zoom >= levels[level].minZoom) {
+            return level;
+        }
+    }
+    return levels.length - 1;
+}
+
 /**
  * Generates a consistent rectangle ID based on grid coordinates
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @param {number} gridSize - Grid size in degrees
- * @returns {string} Rectangle ID
+ * @param {number} level - Grid level (index into RECTANGLE_CONFIG.GRID_LEVELS)
+ * @returns {string} Rectangle ID (e.g., "rect_0_52.5000_13.4000")
  */
-function getRectangleId(lat, lng, gridSize = RECTANGLE_CONFIG.GRID_SIZE_DEG) {
-    const gridLat = Math.floor(lat / gridSize) * gridSize;
-    const gridLng = Math.floor(lng / gridSize) * gridSize;
-    return `rect_${gridLat.toFixed(4)}_${gridLng.toFixed(4)}`;
+function getRectangleId(lat, lng, level = 0) {
+    const gridSize = RECTANGLE_CONFIG.GRID_LEVELS[level].size;
+    const gridLat = Math.floor(lat / gridSize + GRID_EPSILON) * gridSize;
+    const gridLng = Math.floor(lng / gridSize + GRID_EPSILON) * gridSize;
+    return `rect_${level}_${gridLat.toFixed(4)}_${gridLng.toFixed(4)}`;
 }
 
 /**
- * Gets the bounds for a rectangle based on its ID
- * @param {string} rectangleId - Rectangle ID (e.g., "rect_52.5000_13.4000")
- * @param {number} gridSize - Grid size in degrees
- * @returns {object} Rectangle bounds {north, south, east, west}
+ * Gets the grid level encoded in a rectangle ID
+ * @param {string} rectangleId - Rectangle ID (e.g., "rect_0_52.5000_13.4000")
+ * @returns {number} Grid level
  */
-function getRectangleBounds(rectangleId, gridSize = RECTANGLE_CONFIG.GRID_SIZE_DEG) {
+function getRectangleLevel(rectangleId) {
     const parts = rectangleId.split('_');
-    if (parts.length !== 3) {
+    const level = parseInt(parts[1], 10);
+    if (parts.length !== 4 || !(level >= 0 && level < RECTANGLE_CONFIG.GRID_LEVELS.length)) {
         throw new Error(`Invalid rectangle ID: ${rectangleId}`);
     }
+    return level;
+}
+
+/**
+ * Gets the bounds for a rectangle based on its ID
+ * @param {string} rectangleId - Rectangle ID (e.g., "rect_0_52.5000_13.4000")
+ * @returns {object} Rectangle bounds {north, south, east, west}
+ */
+function getRectangleBounds(rectangleId) {
+    const gridSize = RECTANGLE_CONFIG.GRID_LEVELS[getRectangleLevel(rectangleId)].size;
+    const parts = rectangleId.split('_');
     
-    const baseLat = parseFloat(parts[1]);
-    const baseLng = parseFloat(parts[2]);
+    const baseLat = parseFloat(parts[2]);
+    const baseLng = parseFloat(parts[3]);
     
     return {
         north: baseLat + gridSize,
@@ -57,35 +117,178 @@ function getRectangleBounds(rectangleId, gridSize = RECTANGLE_CONFIG.GRID_SIZE_D
 /**
  * Divides a map area into evenly distributed rectangles
  * @param {object} bounds - Map bounds {north, south, east, west}
- * @param {number} gridSize - Grid size in degrees
+ * @param {number} level - Grid level
  * @returns {Array} Array of rectangle IDs covering the bounds
  */
-function divideAreaIntoRectangles(bounds, gridSize = RECTANGLE_CONFIG.GRID_SIZE_DEG) {
+function divideAreaIntoRectangles(bounds, level = 0) {
     const rectangles = [];
+    const gridSize = RECTANGLE_CONFIG.GRID_LEVELS[level].size;
     
-    // Align to grid boundaries
-    const startLat = Math.floor(bounds.south / gridSize) * gridSize;
-    const endLat = Math.ceil(bounds.north / gridSize) * gridSize;
-    const startLng = Math.floor(bounds.west / gridSize) * gridSize;
-    const endLng = Math.ceil(bounds.east / gridSize) * gridSize;
+    // Align to grid boundaries, using cell indices to avoid accumulating rounding errors
+    const startLat = Math.floor(bounds.south / gridSize + GRID_EPSILON);
+    const endLat = Math.ceil(bounds.north / gridSize - GRID_EPSILON);
+    const startLng = Math.floor(bounds.west / gridSize + GRID_EPSILON);
+    const endLng = Math.ceil(bounds.east / gridSize - GRID_EPSILON);
     
     // Generate rectangles
-    for (let lat = startLat; lat < endLat; lat += gridSize) {
-        for (let lng = startLng; lng < endLng; lng += gridSize) {
-            rectangles.push(getRectangleId(lat, lng, gridSize));
+    for (let latIndex = startLat; latIndex < endLat; latIndex++) {
+        for (let lngIndex = startLng; lngIndex < endLng; lngIndex++) {
+            // Use the cell centre so the ID never snaps to a neighbouring cell
+            rectangles.push(getRectangleId((latIndex + 0.5) * gridSize, (lngIndex + 0.5) * gridSize, level));
         }
     }
     
     return rectangles;
 }
 
+/**
+ * Gets the IDs of all coarser rectangles containing a rectangle, nearest level first
+ * @param {string} rectangleId - Rectangle ID, optionally with _lowzoom suffix
+ * @returns {Array} Parent rectangle IDs with the same suffix
+ */
+function getParentRectangleIds(rectangleId) {
+    const suffix = rectangleId.endsWith('_lowzoom') ? '_lowzoom' : '';
+    const baseRectId = rectangleId.replace('_lowzoom', '');
+    const level = getRectangleLevel(baseRectId);
+    const bounds = getRectangleBounds(baseRectId);
+    const centerLat = (bounds.north + bounds.south) / 2;
+    const centerLng = (bounds.east + bounds.west) / 2;
+    
+    const parents = [];
+    for (let parentLevel = level + 1; parentLevel < RECTANGLE_CONFIG.GRID_LEVELS.length; parentLevel++) {
+        parents.push(getRectangleId(centerLat, centerLng, parentLevel) + suffix);
+    }
+    return parents;
+}
+
+/**
+ * Finds the loaded rectangle that provides the data for a rectangle,
+ * which is either the rectangle itself or an already cached parent
+ * @param {string} rectangleId - Rectangle ID
+ * @returns {string|null} ID of the covering loaded rectangle or null
+ */
+function findCoveringRectangle(rectangleId) {
+    if (isRectangleLoaded(rectangleId)) {
+        return rectangleId;
+    }
+    const parents = getParentRectangleIds(rectangleId);
+    for (const parentId of parents) {
+        if (isRectangleLoaded(parentId)) {
+            return parentId;
+        }
+    }
+    return null;
+}
+
+/**
+ * Maps rectangles to the loaded rectangles covering them, without duplicates.
+ * Rectangles that are not covered are kept as they are.
+ * @param {Array} rectangleIds - Array of rectangle IDs
+ * @returns {Array} Array of rectangle IDs to read data from
+ */
+function getCoveringRectangles(rectangleIds) {
+    const covering = new Set();
+    rectangleIds.forEach(rectangleId => {
+        covering.add(findCoveringRectangle(rectangleId) || rectangleId);
+    });
+    return Array.from(covering);
+}
+
+/**
+ * Plans the requests for missing rectangles by merging contiguous rectangles
+ * of the same grid level into a few bounding boxes.
+ * Rows of adjacent rectangles are merged first, then equal rows on top of each other.
+ * @param {Array} rectangleIds - Rectangle IDs to load, optionally with _lowzoom suffix
+ * @param {number} maxRectanglesPerBatch - Maximum rectangles per batch, RECTANGLE_CONFIG.MAX_RECTANGLES_PER_BATCH by default
+ * @returns {Array} Array of batches {rectangleIds, bounds}
+ */
+function planRectangleBatches(rectangleIds, maxRectanglesPerBatch = RECTANGLE_CONFIG.MAX_RECTANGLES_PER_BATCH) {
+    const maxPerBatch = Math.max(1, maxRectanglesPerBatch);
+    const groups = new Map(); // "level|suffix" -> Map("row_col" -> rectangleId)
+    
+    rectangleIds.forEach(rectangleId => {
+        const suffix = rectangleId.endsWith('_lowzoom') ? '_lowzoom' : '';
+        const baseRectId = rectangleId.replace('_lowzoom', '');
+        const level = getRectangleLevel(baseRectId);
+        const gridSize = RECTANGLE_CONFIG.GRID_LEVELS[level].size;
+        const bounds = getRectangleBounds(baseRectId);
+        const row = Math.round(bounds.south / gridSize);
+        const col = Math.round(bounds.west / gridSize);
+        
+        const groupKey = level + '|' + suffix;
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, new Map());
+        }
+        groups.get(groupKey).set(row + '_' + col, { rectangleId, row, col });
+    });
+    
+    const batches = [];
+    groups.forEach(cells => {
+        const sorted = Array.from(cells.values()).sort((a, b) => a.row - b.row || a.col - b.col);
+        
+        // Horizontal runs of adjacent rectangles within one row
+        const runs = [];
+        sorted.forEach(cell => {
+            const last = runs[runs.length - 1];
+            if (last && last.row === cell.row && last.endCol === cell.col - 1 && last.cells.length < maxPerBatch) {
+                last.endCol = cell.col;
+                last.cells.push(cell);
+            } else {
+                runs.push({ row: cell.row, startCol: cell.col, endCol: cell.col, cells: [cell] });
+            }
+        });
+        
+        // Stack runs covering the same columns in consecutive rows
+        const open = [];
+        runs.forEach(run => {
+            const target = open.find(block =>
+                block.endRow === run.row - 1 &&
+                block.startCol === run.startCol &&
+                block.endCol === run.endCol &&
+                block.cells.length + run.cells.length <= maxPerBatch
+            );
+            if (target) {
+                target.endRow = run.row;
+                target.cells = target.cells.concat(run.cells);
+            } else {
+                open.push({ startRow: run.row, endRow: run.row, startCol: run.startCol, endCol: run.endCol, cells: run.cells.slice() });
+            }
+        });
+        
+        open.forEach(block => {
+            const ids = block.cells.map(cell => cell.rectangleId);
+            batches.push({
+                rectangleIds: ids,
+                bounds: getBatchBounds(ids)
+            });
+        });
+    });
+    
+    return batches;
+}
+
+/**
+ * Gets the bounding box enclosing a set of rectangles
+ * @param {Array} rectangleIds - Rectangle IDs, optionally with _lowzoom suffix
+ * @returns {object} Bounds {north, south, east, west}
+ */
+function getBatchBounds(rectangleIds) {
+    const bounds = rectangleIds.map(id => getRectangleBounds(id.replace('_lowzoom', '')));
+    return {
+        north: Math.max(...bounds.map(b => b.north)),
+        south: Math.min(...bounds.map(b => b.south)),
+        east: Math.max(...bounds.map(b => b.east)),
+        west: Math.min(...bounds.map(b => b.west))
+    };
+}
+
 /**
  * Gets all rectangles that intersect with the current map view
  * @param {object} mapBounds - Leaflet map bounds object
- * @param {number} gridSize - Grid size in degrees
+ * @param {number} level - Grid level
  * @returns {Array} Array of rectangle IDs in view
  */
-function getRectanglesInView(mapBounds, gridSize = RECTANGLE_CONFIG.GRID_SIZE_DEG) {
+function getRectanglesInView(mapBounds, level = 0) {
     const bounds = {
         north: mapBounds.getNorth(),
         south: mapBounds.getSouth(),
@@ -93,7 +296,29 @@ function getRectanglesInView(mapBounds, gridSize = RECTANGLE_CONFIG.GRID_SIZE_DE
         west: mapBounds.getWest()
     };
     
-    return divideAreaIntoRectangles(bounds, gridSize);
+    return divideAreaIntoRectangles(bounds, level);
+}
+
+/**
+ * Filters rectangles that still have to be requested: not covered by cached data,
+ * not loading (themselves or as part of a parent) and allowed to be retried
+ * @param {Array} rectangleIds - Rectangle IDs, optionally with _lowzoom suffix
+ * @returns {Array} Rectangle IDs that need loading
+ */
+function getRectanglesToLoad(rectangleIds) {
+    return rectangleIds.filter(rectangleId => {
+        const coveringId = findCoveringRectangle(rectangleId);
+        if (coveringId && hasQueriedObjectTypes(coveringId)) {
+            return false; // Already loaded, possibly as part of a parent rectangle
+        }
+        if (isRectangleLoading(rectangleId) || getParentRectangleIds(rectangleId).some(isRectangleLoading)) {
+            return false; // Currently loading
+        }
+        if (evictedRectangles.has(rectangleId)) {
+            return false; // Read from the persistent cache, see restoreEvictedRectangles()
+        }
+        return shouldRetryRectangle(rectangleId); // Should retry failed rectangles
+    });
 }
 
 /**
@@ -106,6 +331,21 @@ function isRectangleLoaded(rectangleId) {
            loadedRectangles.get(rectangleId).status === 'loaded';
 }
 
+/**
+ * Checks if a loaded rectangle contains all object types of the current query.
+ * Rectangles loaded before a layer was shown lack its object types and are loaded again.
+ * Data without the list of object types (low zoom data) is always complete.
+ * @param {string} rectangleId - ID of a loaded rectangle
+ * @returns {boolean} True if no object type is missing
+ */
+function hasQueriedObjectTypes(rectangleId) {
+    const data = loadedRectangles.get(rectangleId).data;
+    if (!data || !data.objectTypes) {
+        return true;
+    }
+    return getQueriedObjectTypes().every(typeId => data.objectTypes.includes(typeId));
+}
+
 /**
  * Checks if a rectangle is currently being loaded
  * @param {string} rectangleId - Rectangle ID
@@ -115,6 +355,31 @@ function isRectangleLoading(rectangleId) {
     return loadingRectangles.has(rectangleId);
 }
 
+/**
+ * Checks if a loaded rectangle is older than the configured max age
+ * @param {string} rectangleId - Rectangle ID
+ * @returns {boolean} True if rectangle is loaded but should be refreshed
+ */
+function isRectangleStale(rectangleId) {
+    if (!isRectangleLoaded(rectangleId)) {
+        return false;
+    }
+    return (Date.now() - loadedRectangles.get(rectangleId).timestamp) > RECTANGLE_CONFIG.PERSISTENT_CACHE_MAX_AGE_MS;
+}
+
+/**
+ * Gets the loaded rectangles that should be refreshed in the background
+ * @param {Array} rectangleIds - Array of rectangle IDs
+ * @returns {Array} Stale rectangle IDs that are not loading and may be retried
+ */
+function getStaleRectangles(rectangleIds) {
+    return rectangleIds.filter(rectangleId =>
+        isRectangleStale(rectangleId) &&
+        !isRectangleLoading(rectangleId) &&
+        shouldRetryRectangle(rectangleId)
+    );
+}
+
 /**
  * Determines if a failed rectangle should be retried
  * @param {string} rectangleId - Rectangle ID
@@ -150,14 +415,24 @@ function markRectangleLoading(rectangleId) {
 function markRectangleLoaded(rectangleId, data) {
     loadingRectangles.delete(rectangleId);
     failedRectangles.delete(rectangleId);
+    evictedRectangles.delete(rectangleId);
     
+    const timestamp = Date.now();
+    const serialized = serializeRectangleData(data);
     loadedRectangles.set(rectangleId, {
         bounds: getRectangleBounds(rectangleId.replace('_lowzoom', '')),
         data: data,
-        timestamp: Date.now(),
-        status: 'loaded'
+        timestamp: timestamp,
+        status: 'loaded',
+        lastAccess: timestamp,
+        size: serialized ? serialized.text.length : estimateRectangleDataSize(data)
     });
     
+    if (RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED && serialized) {
+        saveRectangleToStorage(rectangleId, serialized, timestamp);
+    }
+    
+    enforceRectangleCacheBudget();
     updateLoadingOverlays();
 }
 
@@ -188,6 +463,7 @@ function getRectangleData(rectangleIds) {
     for (const rectangleId of rectangleIds) {
         if (isRectangleLoaded(rectangleId)) {
             const rectangleInfo = loadedRectangles.get(rectangleId);
+            rectangleInfo.lastAccess = Date.now();
             if (rectangleInfo.data) {
                 dataArray.push(rectangleInfo.data);
             }
@@ -198,12 +474,248 @@ function getRectangleData(rectangleIds) {
 }
 
 /**
- * Clears all cached rectangle data
+ * Adds uploaded nodes to the loaded rectangles containing them, so they are shown until the rectangles
+ * are refreshed and kept when the rectangles are restored from the persistent cache.
+ * Evicted rectangles containing a node are dropped from the persistent cache and loaded again.
+ * @param {Array} nodes - Nodes of the element model [{type, id, lat, lon, tags}]
+ * @returns {Array} IDs of the changed rectangles
  */
-function clearRectangleCache() {
+function addNodesToLoadedRectangles(nodes) {
+    const containedNodes = bounds => nodes.filter(node =>
+        node.lat >= bounds.south && node.lat < bounds.north && node.lon >= bounds.west && node.lon < bounds.east);
+    const changed = [];
+    
+    loadedRectangles.forEach((rectangleInfo, rectangleId) => {
+        const contained = containedNodes(rectangleInfo.bounds);
+        if (contained.length === 0 || !isElementModel(rectangleInfo.data)) {
+            return;
+        }
+        // A new model, so the rectangle is rendered again
+        rectangleInfo.data = Object.assign({}, rectangleInfo.data, { nodes: rectangleInfo.data.nodes.concat(contained) });
+        const serialized = serializeRectangleData(rectangleInfo.data);
+        rectangleInfo.size = serialized.text.length;
+        if (RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED) {
+            saveRectangleToStorage(rectangleId, serialized, rectangleInfo.timestamp);
+        }
+        changed.push(rectangleId);
+    });
+    
+    Array.from(evictedRectangles).forEach(rectangleId => {
+        if (containedNodes(getRectangleBounds(rectangleId.replace('_lowzoom', ''))).length > 0) {
+            evictedRectangles.delete(rectangleId);
+            deleteRectangleFromStorage(rectangleId);
+        }
+    });
+    
+    return changed;
+}
+
+/**
+ * Approximates the memory used by rectangle data that is not persisted
+ * @param {*} data - Rectangle data
+ * @returns {number} Approximate size in bytes
+ */
+function estimateRectangleDataSize(data) {
+    try {
+        return JSON.stringify(data).length;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Sets the rectangles of the current map view, which are protected from eviction
+ * together with their parent rectangles
+ * @param {Array} rectangleIds - Rectangle IDs in view (without _lowzoom suffix)
+ */
+function setVisibleRectangles(rectangleIds) {
+    visibleRectangles = new Set(rectangleIds);
+    rectangleIds.forEach(rectangleId => {
+        getParentRectangleIds(rectangleId).forEach(parentId => visibleRectangles.add(parentId));
+    });
+}
+
+/**
+ * Evicts least recently used rectangles outside the current view from memory
+ * until the cache fits into MAX_CACHED_RECTANGLES and MAX_CACHE_BYTES.
+ * Their persisted copies are kept until PERSISTENT_CACHE_DISCARD_AGE_MS, so they are
+ * read from IndexedDB instead of Overpass when revisited (see restoreEvictedRectangles()).
+ * @returns {number} Number of evicted rectangles
+ */
+function enforceRectangleCacheBudget() {
+    let totalBytes = 0;
+    const candidates = [];
+    
+    loadedRectangles.forEach((rectData, rectangleId) => {
+        totalBytes += rectData.size || 0;
+        if (!visibleRectangles.has(rectangleId.replace('_lowzoom', ''))) {
+            candidates.push(rectangleId);
+        }
+    });
+    
+    // Oldest access first
+    candidates.sort((a, b) => loadedRectangles.get(a).lastAccess - loadedRectangles.get(b).lastAccess);
+    
+    let evicted = 0;
+    while (candidates.length > 0 &&
+           (loadedRectangles.size > RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES ||
+            totalBytes > RECTANGLE_CONFIG.MAX_CACHE_BYTES)) {
+        const rectangleId = candidates.shift();
+        totalBytes -= loadedRectangles.get(rectangleId).size || 0;
+        loadedRectangles.delete(rectangleId);
+        
+        if (RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED) {
+            evictedRectangles.add(rectangleId);
+        }
+        evicted++;
+    }
+    
+    if (evicted > 0) {
+        evictedRectangleCount += evicted;
+        console.log(`Evicted ${evicted} least recently used rectangles from cache`);
+    }
+    
+    return evicted;
+}
+
+/**
+ * Gets the rectangles which were evicted from memory but are kept in the persistent cache
+ * @param {Array} rectangleIds - Rectangle IDs, optionally with _lowzoom suffix
+ * @returns {Array} Evicted rectangle IDs
+ */
+function getEvictedRectangles(rectangleIds) {
+    return rectangleIds.filter(rectangleId => evictedRectangles.has(rectangleId));
+}
+
+/**
+ * Reads evicted rectangles back from the persistent cache into memory.
+ * Rectangles missing in storage or older than PERSISTENT_CACHE_DISCARD_AGE_MS are loaded from Overpass again.
+ * @param {Array} rectangleIds - Rectangle IDs, optionally with _lowzoom suffix
+ * @returns {Promise} Promise resolving to the number of restored rectangles
+ */
+function restoreEvictedRectangles(rectangleIds) {
+    const evicted = getEvictedRectangles(rectangleIds);
+    evicted.forEach(rectangleId => {
+        evictedRectangles.delete(rectangleId);
+        loadingRectangles.add(rectangleId);
+    });
+    
+    return Promise.all(evicted.map(rectangleId => loadRectangleFromStorage(rectangleId).then(record => {
+        loadingRectangles.delete(rectangleId);
+        return record && restoreRectangleRecord(record) ? 1 : 0;
+    }))).then(results => {
+        const restored = results.reduce((sum, result) => sum + result, 0);
+        enforceRectangleCacheBudget();
+        updateLoadingOverlays();
+        console.log(`Restored ${restored} evicted rectangles from persistent cache`);
+        return restored;
+    });
+}
+
+/**
+ * Clears the in-memory rectangle cache, the persisted rectangles are kept
+ */
+function resetRectangleCache() {
     loadedRectangles.clear();
     loadingRectangles.clear();
     failedRectangles.clear();
+    evictedRectangles.clear();
+}
+
+/**
+ * Clears all cached rectangle data, including the rectangles persisted in IndexedDB
+ */
+function clearRectangleCache() {
+    resetRectangleCache();
+    
+    if (RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED) {
+        clearRectangleStorage();
+    }
+}
+
+/**
+ * Puts a persisted rectangle back into the in-memory cache with the time it was loaded,
+ * so it is refreshed in the background once older than PERSISTENT_CACHE_MAX_AGE_MS
+ * @param {object} record - Persisted rectangle {id, timestamp, size, data}, see loadRectanglesFromStorage()
+ * @returns {boolean} True if restored, false if it was discarded or newer data is cached
+ */
+function restoreRectangleRecord(record) {
+    if ((Date.now() - record.timestamp) > RECTANGLE_CONFIG.PERSISTENT_CACHE_DISCARD_AGE_MS) {
+        deleteRectangleFromStorage(record.id);
+        return false;
+    }
+    // Data loaded while restoring is newer than the stored copy
+    if (loadedRectangles.has(record.id)) {
+        return false;
+    }
+    
+    let bounds;
+    try {
+        bounds = getRectangleBounds(record.id.replace('_lowzoom', ''));
+    } catch (error) {
+        deleteRectangleFromStorage(record.id);
+        return false;
+    }
+    
+    loadedRectangles.set(record.id, {
+        bounds: bounds,
+        data: record.data,
+        timestamp: record.timestamp,
+        status: 'loaded',
+        lastAccess: record.timestamp,
+        size: record.size
+    });
+    return true;
+}
+
+/**
+ * Restores persisted rectangles from IndexedDB into the in-memory cache.
+ * Rectangles older than PERSISTENT_CACHE_DISCARD_AGE_MS are removed from storage,
+ * older than PERSISTENT_CACHE_MAX_AGE_MS are restored as stale.
+ * @returns {Promise} Promise resolving to the number of restored rectangles
+ */
+function restoreRectangleCache() {
+    if (rectangleCacheRestorePromise) {
+        return rectangleCacheRestorePromise;
+    }
+    
+    if (!RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED) {
+        rectangleCacheRestored = true;
+        rectangleCacheRestorePromise = Promise.resolve(0);
+        return rectangleCacheRestorePromise;
+    }
+    
+    rectangleCacheRestorePromise = loadRectanglesFromStorage().then(records => {
+        let restored = 0;
+        
+        records.forEach(record => {
+            if (restoreRectangleRecord(record)) {
+                restored++;
+            }
+        });
+        
+        enforceRectangleCacheBudget();
+        
+        console.log(`Restored ${restored} rectangles from persistent cache`);
+        return restored;
+    }).catch(error => {
+        console.warn('Failed to restore rectangle cache:', error);
+        return 0;
+    }).then(restored => {
+        rectangleCacheRestored = true;
+        updateLoadingOverlays();
+        return restored;
+    });
+    
+    return rectangleCacheRestorePromise;
+}
+
+/**
+ * Checks if restoring the persistent cache has finished
+ * @returns {boolean} True if the cache may be used to decide what to load
+ */
+function isRectangleCacheRestored() {
+    return rectangleCacheRestored;
 }
 
 /**
@@ -211,10 +723,23 @@ function clearRectangleCache() {
  * @returns {object} Cache statistics
  */
 function getRectangleCacheStats() {
+    let stale = 0;
+    let bytes = 0;
+    loadedRectangles.forEach((rectData, rectangleId) => {
+        if (isRectangleStale(rectangleId)) {
+            stale++;
+        }
+        bytes += rectData.size || 0;
+    });
+    
     return {
         loaded: loadedRectangles.size,
         loading: loadingRectangles.size,
-        failed: failedRectangles.size
+        failed: failedRectangles.size,
+        stale: stale,
+        bytes: bytes,
+        evicted: evictedRectangleCount,
+        endpoints: getEndpointHealthStats()
     };
 }
 
@@ -0,0 +1,203 @@
+/**
+ * Background Prefetch for OSM Objects
+ * Loads the rectangles around the current view while the map is idle,
+ * so panning does not show empty areas while new rectangles load
+ */
+
+// Added to the request priority, so prefetches are queued behind all visible rectangles
+const PREFETCH_PRIORITY_OFFSET = 1000;
+
+// Prefetch state, kept apart for high and low zoom data as both may be loaded in the same map move
+const prefetchStates = {
+    highZoom: createPrefetchState(),
+    lowZoom: createPrefetchState()
+};
+
+/**
+ * Creates the prefetch state of one kind of data
+ * @returns {object} State {timer, area: {bounds, level} of the last view, direction: normalized direction of the last pan}
+ */
+function createPrefetchState() {
+    return { timer: null, area: null, direction: { lat: 0, lng: 0 } };
+}
+
+/**
+ * Gets the prefetch state of high or low zoom data
+ * @param {boolean} isLowZoom - Whether low zoom data is loaded
+ * @returns {object} State, see createPrefetchState()
+ */
+function getPrefetchState(isLowZoom) {
+    return isLowZoom ? prefetchStates.lowZoom : prefetchStates.highZoom;
+}
+
+/**
+ * Checks if the browser reports a metered connection (Save-Data or cellular)
+ * @returns {boolean} True if the connection is metered
+ */
+function isMeteredConnection() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    if (!connection) {
+        return false;
+    }
+    return connection.saveData === true || connection.type === 'cellular';
+}
+
+/**
+ * Checks if prefetching is enabled in the settings and allowed on the current connection
+ * @returns {boolean} True if rectangles should be prefetched
+ */
+function isPrefetchEnabled() {
+    if (!PREFETCH_SETTINGS.ENABLED) {
+        return false;
+    }
+    return !(PREFETCH_SETTINGS.DISABLE_ON_METERED_CONNECTION && isMeteredConnection());
+}
+
+/**
+ * Gets the area to prefetch: the view extended by a ring of rectangles
+ * and, if a pan direction is known, further into that direction
+ * @param {object} viewBounds - View bounds {north, south, east, west}
+ * @param {number} level - Grid level
+ * @param {object} direction - Normalized pan direction {lat, lng}
+ * @returns {object} Bounds {north, south, east, west}
+ */
+function getPrefetchBounds(viewBounds, level, direction) {
+    const size = RECTANGLE_CONFIG.GRID_LEVELS[level].size;
+    const ring = PREFETCH_SETTINGS.RING_SIZE * size;
+    const ahead = PREFETCH_SETTINGS.PAN_DIRECTION_RINGS * size;
+
+    return {
+        north: viewBounds.north + ring + Math.max(direction.lat, 0) * ahead,
+        south: viewBounds.south - ring + Math.min(direction.lat, 0) * ahead,
+        east: viewBounds.east + ring + Math.max(direction.lng, 0) * ahead,
+        west: viewBounds.west - ring + Math.min(direction.lng, 0) * ahead
+    };
+}
+
+/**
+ * Gets the rectangles around the view that should be prefetched
+ * @param {object} viewBounds - View bounds {north, south, east, west}
+ * @param {number} level - Grid level
+ * @param {object} direction - Normalized pan direction {lat, lng}
+ * @returns {Array} Rectangle IDs outside the view, nearest first
+ */
+function getPrefetchRectangles(viewBounds, level, direction) {
+    const visible = new Set(divideAreaIntoRectangles(viewBounds, level));
+    const centerLat = (viewBounds.north + viewBounds.south) / 2;
+    const centerLng = (viewBounds.east + viewBounds.west) / 2;
+
+    function distance(rectangleId) {
+        const bounds = getRectangleBounds(rectangleId);
+        return Math.pow((bounds.north + bounds.south) / 2 - centerLat, 2) +
+               Math.pow((bounds.east + bounds.west) / 2 - centerLng, 2);
+    }
+
+    return divideAreaIntoRectangles(getPrefetchBounds(viewBounds, level, direction), level)
+        .filter(rectangleId => !visible.has(rectangleId))
+        .sort((a, b) => distance(a) - distance(b));
+}
+
+/**
+ * Gets the current prefetch area for queued prefetch requests
+ * @param {number} level - Grid level of the queued request
+ * @param {boolean} isLowZoom - Whether the request loads low zoom data
+ * @returns {L.LatLngBounds|null} Prefetch area or null if the request is no longer wanted
+ */
+function getCurrentPrefetchBounds(level, isLowZoom = false) {
+    if (!isPrefetchEnabled() || getGridLevelForZoom(map.getZoom()) !== level) {
+        return null;
+    }
+
+    const view = map.getBounds();
+    const bounds = getPrefetchBounds({
+        north: view.getNorth(),
+        south: view.getSouth(),
+        east: view.getEast(),
+        west: view.getWest()
+    }, level, getPrefetchState(isLowZoom).direction);
+    return L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]);
+}
+
+/**
+ * Remembers the direction the map was panned since the last view
+ * @param {object} state - Prefetch state, see createPrefetchState()
+ * @param {object} viewBounds - View bounds {north, south, east, west}
+ * @param {number} level - Grid level
+ */
+function updatePrefetchDirection(state, viewBounds, level) {
+    const lat = (viewBounds.north + viewBounds.south) / 2;
+    const lng = (viewBounds.east + viewBounds.west) / 2;
+
+    if (state.area && state.area.level === level) {
+        const previous = state.area.bounds;
+        const dLat = lat - (previous.north + previous.south) / 2;
+        const dLng = lng - (previous.east + previous.west) / 2;
+        const length = Math.sqrt(dLat * dLat + dLng * dLng);
+        if (length > GRID_EPSILON) {
+            state.direction = { lat: dLat / length, lng: dLng / length };
+        }
+    } else {
+        state.direction = { lat: 0, lng: 0 };
+    }
+}
+
+/**
+ * Prefetches the rectangles around the view once the map is idle
+ * @param {object} viewBounds - View bounds {north, south, east, west}
+ * @param {number} level - Grid level
+ * @param {boolean} isLowZoom - Whether low zoom data is loaded
+ */
+function scheduleRectanglePrefetch(viewBounds, level, isLowZoom = false) {
+    const state = getPrefetchState(isLowZoom);
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (!isPrefetchEnabled()) {
+        return;
+    }
+
+    if (!PREFETCH_SETTINGS.PAN_DIRECTION_RINGS) {
+        state.direction = { lat: 0, lng: 0 };
+    } else {
+        updatePrefetchDirection(state, viewBounds, level);
+    }
+    state.area = { bounds: viewBounds, level: level };
+    state.timer = setTimeout(() => runRectanglePrefetch(isLowZoom), PREFETCH_SETTINGS.IDLE_DELAY_MS);
+}
+
+/**
+ * Queues the prefetch requests, waiting until no other request is queued or running
+ * @param {boolean} isLowZoom - Whether low zoom data is prefetched
+ */
+function runRectanglePrefetch(isLowZoom = false) {
+    const state = getPrefetchState(isLowZoom);
+    state.timer = null;
+
+    const schedulerStats = getRequestSchedulerStats();
+    if (schedulerStats.queued > 0 || schedulerStats.active > 0) {
+        state.timer = setTimeout(() => runRectanglePrefetch(isLowZoom), PREFETCH_SETTINGS.IDLE_DELAY_MS);
+        return;
+    }
+
+    const idle = window.requestIdleCallback ? callback => window.requestIdleCallback(callback) : callback => setTimeout(callback, 0);
+    idle(() => {
+        const area = state.area;
+        if (!area || !isPrefetchEnabled()) {
+            return;
+        }
+
+        const suffix = isLowZoom ? '_lowzoom' : '';
+        const rectangleIds = getPrefetchRectangles(area.bounds, area.level, state.direction)
+            .map(rectangleId => rectangleId + suffix);
+        const rectanglesToLoad = getRectanglesToLoad(rectangleIds);
+
+        if (rectanglesToLoad.length === 0) {
+            return;
+        }
+
+        console.log(`Prefetching ${rectanglesToLoad.length} ${isLowZoom ? 'low zoom ' : ''}rectangles around the view`);
+        planRectangleBatches(rectanglesToLoad).forEach(batch => {
+            loadRectangleBatchData(batch, isLowZoom, [], true);
+        });
+    });
+}
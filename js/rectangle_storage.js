@@ -0,0 +1,196 @@
+/**
+ * Persistent Rectangle Storage for OSM Objects
+ * Keeps loaded rectangles in IndexedDB so they survive page reloads
+ */
+
+// Configuration for the IndexedDB database
+const RECTANGLE_STORAGE_CONFIG = {
+    DB_NAME: 'osmobjects_rectangles',
+    DB_VERSION: 3,
+    STORE_NAME: 'rectangles'
+};
+
+// Lazily opened database connection (Promise resolving to IDBDatabase or null)
+let rectangleStorageDb = null;
+
+/**
+ * Opens the rectangle database, creating the object store on first use
+ * @returns {Promise} Promise resolving to the database or null if IndexedDB is unavailable
+ */
+function openRectangleStorage() {
+    if (rectangleStorageDb) {
+        return rectangleStorageDb;
+    }
+
+    rectangleStorageDb = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available, rectangle cache will not be persisted');
+            resolve(null);
+            return;
+        }
+
+        let request;
+        try {
+            request = indexedDB.open(RECTANGLE_STORAGE_CONFIG.DB_NAME, RECTANGLE_STORAGE_CONFIG.DB_VERSION);
+        } catch (error) {
+            console.warn('Could not open rectangle storage:', error.message);
+            resolve(null);
+            return;
+        }
+
+        request.onupgradeneeded = function() {
+            const db = request.result;
+            // Drop entries written by older versions, their IDs or data format may have changed
+            if (db.objectStoreNames.contains(RECTANGLE_STORAGE_CONFIG.STORE_NAME)) {
+                db.deleteObjectStore(RECTANGLE_STORAGE_CONFIG.STORE_NAME);
+            }
+            db.createObjectStore(RECTANGLE_STORAGE_CONFIG.STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            console.warn('Could not open rectangle storage:', request.error);
+            resolve(null);
+        };
+        request.onblocked = function() {
+            console.warn('Rectangle storage is blocked by another tab');
+            resolve(null);
+        };
+    });
+
+    return rectangleStorageDb;
+}
+
+/**
+ * Runs a single request against the rectangle object store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} createRequest - Receives the object store and returns an IDBRequest
+ * @returns {Promise} Promise resolving to the request result (undefined on failure)
+ */
+function runRectangleStorageRequest(mode, createRequest) {
+    return openRectangleStorage().then(db => {
+        if (!db) {
+            return undefined;
+        }
+
+        return new Promise(resolve => {
+            try {
+                const transaction = db.transaction(RECTANGLE_STORAGE_CONFIG.STORE_NAME, mode);
+                const request = createRequest(transaction.objectStore(RECTANGLE_STORAGE_CONFIG.STORE_NAME));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Rectangle storage request failed:', request.error);
+                    resolve(undefined);
+                };
+            } catch (error) {
+                console.warn('Rectangle storage request failed:', error.message);
+                resolve(undefined);
+            }
+        });
+    });
+}
+
+/**
+ * Converts rectangle data into a structured-cloneable record payload.
+ * Only element models built from Overpass responses are persisted.
+ * @param {*} data - Rectangle data (element model)
+ * @returns {object|null} Serialized data {format, text} or null if not persistable
+ */
+function serializeRectangleData(data) {
+    if (isElementModel(data)) {
+        return { format: 'elements', text: JSON.stringify(data) };
+    }
+    return null;
+}
+
+/**
+ * Restores rectangle data from a stored record payload
+ * @param {object} serialized - Serialized data {format, text}
+ * @returns {*} Rectangle data as it was before serialization
+ */
+function deserializeRectangleData(serialized) {
+    if (serialized.format === 'elements') {
+        return JSON.parse(serialized.text);
+    }
+    throw new Error(`Unknown rectangle data format ${serialized.format}`);
+}
+
+/**
+ * Writes a loaded rectangle to persistent storage
+ * @param {string} rectangleId - Rectangle ID
+ * @param {object} serialized - Rectangle data as returned by serializeRectangleData()
+ * @param {number} timestamp - Time the data was loaded
+ * @returns {Promise} Promise resolved when the write finished
+ */
+function saveRectangleToStorage(rectangleId, serialized, timestamp) {
+    return runRectangleStorageRequest('readwrite', store => store.put({
+        id: rectangleId,
+        timestamp: timestamp,
+        data: serialized
+    }));
+}
+
+/**
+ * Removes a rectangle from persistent storage
+ * @param {string} rectangleId - Rectangle ID
+ * @returns {Promise} Promise resolved when the delete finished
+ */
+function deleteRectangleFromStorage(rectangleId) {
+    return runRectangleStorageRequest('readwrite', store => store.delete(rectangleId));
+}
+
+/**
+ * Reads a persisted rectangle
+ * @param {string} rectangleId - Rectangle ID
+ * @returns {Promise} Promise resolving to {id, timestamp, size, data}, null if it is not stored or unreadable
+ */
+function loadRectangleFromStorage(rectangleId) {
+    return runRectangleStorageRequest('readonly', store => store.get(rectangleId)).then(record => {
+        if (!record) {
+            return null;
+        }
+        try {
+            return {
+                id: record.id,
+                timestamp: record.timestamp,
+                size: record.data.text.length,
+                data: deserializeRectangleData(record.data)
+            };
+        } catch (error) {
+            console.warn(`Skipping unreadable stored rectangle ${record.id}:`, error.message);
+            return null;
+        }
+    });
+}
+
+/**
+ * Reads all persisted rectangles
+ * @returns {Promise} Promise resolving to an array of {id, timestamp, size, data}
+ */
+function loadRectanglesFromStorage() {
+    return runRectangleStorageRequest('readonly', store => store.getAll()).then(records => {
+        const rectangles = [];
+        (records || []).forEach(record => {
+            try {
+                rectangles.push({
+                    id: record.id,
+                    timestamp: record.timestamp,
+                    size: record.data.text.length,
+                    data: deserializeRectangleData(record.data)
+                });
+            } catch (error) {
+                console.warn(`Skipping unreadable stored rectangle ${record.id}:`, error.message);
+            }
+        });
+        return rectangles;
+    });
+}
+
+/**
+ * Removes all rectangles from persistent storage
+ * @returns {Promise} Promise resolved when the store is empty
+ */
+function clearRectangleStorage() {
+    return runRectangleStorageRequest('readwrite', store => store.clear());
+}
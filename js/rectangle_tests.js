@@ -3,6 +3,22 @@
  * Run these tests to verify the rectangle grid system works correctly
  */
 
+/**
+ * Runs a test suite with the persistent rectangle cache switched off,
+ * so fake rectangles never evict or overwrite the rectangles persisted by the page
+ * @param {Function} suite - Test suite returning true if all tests passed
+ * @returns {boolean} Result of the suite
+ */
+function withoutRectanglePersistence(suite) {
+    const enabled = RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED;
+    RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED = false;
+    try {
+        return suite();
+    } finally {
+        RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED = enabled;
+    }
+}
+
 /**
  * Test suite for rectangle manager
  */
@@ -28,14 +44,14 @@ function runRectangleManagerTests() {
         const id2 = getRectangleId(52.5001, 13.4001); // Should round to same rectangle
         const id3 = getRectangleId(52.51, 13.41); // Should be different rectangle
         
-        assert(id1 === "rect_52.5000_13.4000", "Rectangle ID generation for exact coordinates");
+        assert(id1 === "rect_0_52.5000_13.4000", "Rectangle ID generation for exact coordinates");
         assert(id1 === id2, "Rectangle ID consistency for nearby coordinates");
         assert(id1 !== id3, "Rectangle ID differentiation for distant coordinates");
     }
     
     // Test 2: Rectangle bounds calculation
     {
-        const bounds = getRectangleBounds("rect_52.5000_13.4000");
+        const bounds = getRectangleBounds("rect_0_52.5000_13.4000");
         assert(bounds.south === 52.5, "Rectangle south bound correct");
         assert(bounds.north === 52.51, "Rectangle north bound correct");
         assert(bounds.west === 13.4, "Rectangle west bound correct");
@@ -53,14 +69,14 @@ function runRectangleManagerTests() {
         
         const rectangles = divideAreaIntoRectangles(testBounds);
         assert(rectangles.length > 0, "Area division generates rectangles");
-        assert(rectangles.includes("rect_52.4800_13.3800"), "Area division includes expected rectangle");
-        assert(rectangles.includes("rect_52.5100_13.4100"), "Area division includes corner rectangle");
+        assert(rectangles.includes("rect_0_52.4800_13.3800"), "Area division includes expected rectangle");
+        assert(rectangles.includes("rect_0_52.5100_13.4100"), "Area division includes corner rectangle");
     }
     
     // Test 4: Rectangle loading state management
     {
-        clearRectangleCache();
-        const testId = "rect_52.5000_13.4000";
+        resetRectangleCache();
+        const testId = "rect_0_52.5000_13.4000";
         
         assert(!isRectangleLoaded(testId), "Rectangle not loaded initially");
         assert(!isRectangleLoading(testId), "Rectangle not loading initially");
@@ -81,8 +97,8 @@ function runRectangleManagerTests() {
     
     // Test 5: Rectangle failure handling
     {
-        clearRectangleCache();
-        const testId = "rect_52.5000_13.4000";
+        resetRectangleCache();
+        const testId = "rect_0_52.5000_13.4000";
         
         assert(shouldRetryRectangle(testId), "Rectangle should be retried initially (first time)");
         markRectangleFailed(testId);
@@ -97,10 +113,10 @@ function runRectangleManagerTests() {
     
     // Test 6: Cache statistics
     {
-        clearRectangleCache();
-        markRectangleLoading("rect_52.0000_13.0000");
-        markRectangleLoaded("rect_52.0100_13.0100", {});
-        markRectangleFailed("rect_52.0200_13.0200");
+        resetRectangleCache();
+        markRectangleLoading("rect_0_52.0000_13.0000");
+        markRectangleLoaded("rect_0_52.0100_13.0100", {});
+        markRectangleFailed("rect_0_52.0200_13.0200");
         
         const stats = getRectangleCacheStats();
         assert(stats.loading === 1, "Cache stats show correct loading count");
@@ -108,6 +124,217 @@ function runRectangleManagerTests() {
         assert(stats.failed === 1, "Cache stats show correct failed count");
     }
     
+    // Test 7: Stale rectangles and persistence format
+    {
+        resetRectangleCache();
+        const testId = "rect_0_52.5000_13.4000";
+        
+        markRectangleLoaded(testId, { test: "data" });
+        assert(!isRectangleStale(testId), "Freshly loaded rectangle is not stale");
+        
+        loadedRectangles.get(testId).timestamp = Date.now() - RECTANGLE_CONFIG.PERSISTENT_CACHE_MAX_AGE_MS - 1000;
+        assert(isRectangleStale(testId), "Rectangle older than max age is stale");
+        assert(isRectangleLoaded(testId), "Stale rectangle is still loaded");
+        assert(getStaleRectangles([testId]).length === 1, "Stale rectangle is scheduled for refresh");
+        
+        markRectangleLoading(testId);
+        assert(getStaleRectangles([testId]).length === 0, "Stale rectangle is not refreshed twice");
+        
+        assert(serializeRectangleData({ test: "data" }) === null, "Plain objects are not persisted");
+        const model = { nodes: [{ type: "node", id: 1, lat: 52.5, lon: 13.4, tags: {} }], ways: [] };
+        const restoredModel = deserializeRectangleData(serializeRectangleData(model));
+        assert(restoredModel.nodes.length === 1 && restoredModel.nodes[0].lat === 52.5, "Element model survives serialization");
+        resetRectangleCache();
+    }
+    
+    // Test 8: LRU eviction outside the current view
+    {
+        resetRectangleCache();
+        const maxRectangles = RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES;
+        const evictedBefore = getRectangleCacheStats().evicted;
+        RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES = 2;
+        setVisibleRectangles(["rect_0_52.0000_13.0000"]);
+        
+        markRectangleLoaded("rect_0_52.0000_13.0000", {});
+        markRectangleLoaded("rect_0_52.0100_13.0100", {});
+        loadedRectangles.get("rect_0_52.0000_13.0000").lastAccess = 0;
+        loadedRectangles.get("rect_0_52.0100_13.0100").lastAccess = 1;
+        markRectangleLoaded("rect_0_52.0200_13.0200", {});
+        
+        assert(isRectangleLoaded("rect_0_52.0000_13.0000"), "Visible rectangle is never evicted");
+        assert(!isRectangleLoaded("rect_0_52.0100_13.0100"), "Least recently used rectangle is evicted");
+        assert(isRectangleLoaded("rect_0_52.0200_13.0200"), "Newest rectangle stays cached");
+        assert(getRectangleCacheStats().evicted === evictedBefore + 1, "Cache stats count evictions");
+        
+        getRectangleData(["rect_0_52.0200_13.0200"]);
+        assert(loadedRectangles.get("rect_0_52.0200_13.0200").lastAccess > 1, "Data access updates last access time");
+        
+        RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES = maxRectangles;
+        setVisibleRectangles([]);
+        resetRectangleCache();
+    }
+    
+    // Test 9: Zoom-dependent grid levels
+    {
+        resetRectangleCache();
+        assert(getGridLevelForZoom(MIN_ZOOM) === 0, "Finest grid level used at high zoom");
+        assert(getGridLevelForZoom(MIN_ZOOM_LOW_ZOOM) === RECTANGLE_CONFIG.GRID_LEVELS.length - 1, "Coarsest grid level used at low zoom");
+        const highZoomLevels = new Set();
+        for (let zoom = MIN_ZOOM; zoom <= 19; zoom++) {
+            highZoomLevels.add(getGridLevelForZoom(zoom));
+        }
+        assert(highZoomLevels.size === 1 && highZoomLevels.has(0), "Object layers loaded from MIN_ZOOM always use the finest grid level");
+        assert(getGridLevelForZoom(13) === 1 && getGridLevelForZoom(14) === 1, "Low zoom heatmap uses the middle grid level at zoom 13 and 14");
+        assert(getGridLevelForZoom(12) === 2, "Low zoom heatmap uses the coarsest grid level below zoom 13");
+        
+        const parentId = getRectangleId(52.51, 13.41, 2);
+        assert(parentId === "rect_2_52.5000_13.2500", "Grid level is encoded in the rectangle ID");
+        assert(getRectangleLevel(parentId) === 2, "Grid level is read from the rectangle ID");
+        const parentBounds = getRectangleBounds(parentId);
+        assert(parentBounds.north === 52.75 && parentBounds.east === 13.5, "Rectangle bounds use the grid size of the level");
+        
+        const childId = "rect_0_52.5100_13.4100";
+        assert(getParentRectangleIds(childId).includes(parentId), "Parent rectangle found for child");
+        assert(getParentRectangleIds(childId + '_lowzoom').includes(parentId + '_lowzoom'), "Parent rectangle keeps the low zoom suffix");
+        assert(divideAreaIntoRectangles(parentBounds, 1).length === 25, "Parent rectangle contains 5x5 rectangles of the next level");
+        
+        assert(findCoveringRectangle(childId) === null, "Child rectangle not covered initially");
+        markRectangleLoaded(parentId, { test: "parent" });
+        assert(findCoveringRectangle(childId) === parentId, "Cached parent rectangle covers child");
+        assert(getCoveringRectangles([childId, "rect_0_52.5200_13.4200"]).length === 1, "Children of one parent share its data");
+        resetRectangleCache();
+    }
+    
+    // Test 10: Batch planning for adjacent rectangles
+    {
+        const block = divideAreaIntoRectangles({ north: 52.53, south: 52.50, east: 13.43, west: 13.40 });
+        const batches = planRectangleBatches(block);
+        assert(batches.length === 1, "3x3 block of rectangles is loaded with one query");
+        assert(batches[0].rectangleIds.length === 9, "Batch contains all rectangles of the block");
+        assert(Math.abs(batches[0].bounds.north - 52.53) < 1e-9 && Math.abs(batches[0].bounds.west - 13.40) < 1e-9, "Batch bounds cover the block");
+        
+        const separate = planRectangleBatches(["rect_0_52.5000_13.4000", "rect_0_52.5000_13.4200"]);
+        assert(separate.length === 2, "Rectangles with a gap are not merged");
+        
+        const lowZoom = planRectangleBatches(["rect_0_52.5000_13.4000_lowzoom", "rect_0_52.5000_13.4100_lowzoom"]);
+        assert(lowZoom.length === 1 && lowZoom[0].rectangleIds[0].endsWith('_lowzoom'), "Low zoom rectangle IDs are kept in batches");
+        
+        const row = divideAreaIntoRectangles({ north: 52.51, south: 52.50, east: 13.60, west: 13.40 });
+        const rowBatches = planRectangleBatches(row);
+        assert(rowBatches.every(batch => batch.rectangleIds.length <= RECTANGLE_CONFIG.MAX_RECTANGLES_PER_BATCH), "Batches respect the size limit");
+        assert(rowBatches.reduce((sum, batch) => sum + batch.rectangleIds.length, 0) === row.length, "Every rectangle is planned exactly once");
+    }
+    
+    // Test 11: Splitting a batch response into rectangles
+    {
+        const model = toElementModel({ elements: [
+            { type: "node", id: 1, lat: 52.505, lon: 13.405, tags: { highway: "street_lamp" } },
+            { type: "node", id: 3, lat: 52.505, lon: 13.418, tags: { highway: "street_lamp" } },
+            { type: "way", id: 10, nodes: [1, 2], geometry: [{ lat: 52.505, lon: 13.405 }, { lat: 52.505, lon: 13.415 }], tags: { lit: "yes" } }
+        ] });
+        const split = splitElementModelByRectangles(model, ["rect_0_52.5000_13.4000", "rect_0_52.5000_13.4100"]);
+        
+        const left = split["rect_0_52.5000_13.4000"];
+        const right = split["rect_0_52.5000_13.4100"];
+        assert(right.nodes.some(node => node.id === 3) && !left.nodes.some(node => node.id === 3), "Node assigned to its rectangle only");
+        assert(left.ways.length === 1 && right.ways.length === 1, "Way assigned to every rectangle it touches");
+        assert(right.ways[0].geometry.length === 2, "Way keeps its full geometry");
+    }
+    
+    // Test 12: Element model from JSON and XML responses
+    {
+        const json = toElementModel({ elements: [
+            { type: "node", id: 1, lat: 52.5, lon: 13.4, tags: { highway: "street_lamp" } },
+            { type: "node", id: 2, lat: 52.501, lon: 13.401 },
+            { type: "way", id: 10, nodes: [1, 2], tags: { highway: "residential", lit: "yes" } }
+        ] });
+        assert(json.nodes.length === 1 && json.nodes[0].tags.highway === "street_lamp", "Untagged way nodes are dropped, tags are plain objects");
+        assert(json.ways[0].geometry.length === 2 && json.ways[0].geometry[1][0] === 52.501, "Way geometry resolved from referenced nodes");
+        
+        const xml = '<osm>' +
+            '<node id="1" lat="52.5" lon="13.4"><tag k="highway" v="street_lamp"/></node>' +
+            '<node id="2" lat="52.501" lon="13.401"/>' +
+            '<way id="10"><nd ref="1"/><nd ref="2"/><tag k="lit" v="yes"/></way>' +
+            '<way id="11"><nd ref="3" lat="52.502" lon="13.402"/><nd ref="4" lat="52.503" lon="13.403"/><tag k="lit" v="no"/></way>' +
+            '</osm>';
+        const fromXML = toElementModel(new DOMParser().parseFromString(xml, 'text/xml'));
+        assert(fromXML.nodes.length === 1 && fromXML.nodes[0].lat === 52.5, "XML nodes parsed into the element model");
+        assert(fromXML.ways[0].geometry.length === 2 && fromXML.ways[0].tags.lit === "yes", "XML way geometry and tags parsed");
+        assert(fromXML.ways[1].geometry[1][1] === 13.403, "XML geometry from out geom parsed");
+        assert(toElementModel(xml).ways.length === 2, "XML strings are accepted");
+        
+        const merged = mergeElementModels([json, fromXML]);
+        assert(merged.nodes.length === 1 && merged.ways.length === 2, "Merging keeps each element once");
+    }
+    
+    // Test 13: Normalised element models as prepared by the Overpass worker
+    {
+        const response = JSON.stringify({ elements: [
+            { type: "node", id: 1, lat: 52.5005, lon: 13.4005, tags: { highway: "street_lamp", " ref ": " 12 ", note: " " } },
+            { type: "node", id: 1, lat: 52.5005, lon: 13.4005, tags: { highway: "street_lamp" } },
+            { type: "node", id: 2, lat: 52.5105, lon: 13.4105, tags: { highway: "street_lamp" } }
+        ] });
+        const single = prepareElementModels(response, null);
+        assert(single.nodes.length === 2, "Elements returned twice are kept once");
+        assert(single.nodes[0].tags.ref === "12" && !("note" in single.nodes[0].tags), "Tags are trimmed and empty tags dropped");
+        
+        const ids = [getRectangleId(52.5005, 13.4005, 0), getRectangleId(52.5105, 13.4105, 0)];
+        const perRectangle = prepareElementModels(response, ids);
+        assert(perRectangle[ids[0]].nodes.length === 1 && perRectangle[ids[1]].nodes.length === 1, "Batch responses are split per rectangle");
+    }
+    
+    // Test 14: Evicted rectangles stay in the persistent cache and are restored from it
+    {
+        resetRectangleCache();
+        const evictedId = "rect_0_52.0000_13.0000";
+        const visibleId = "rect_0_52.0100_13.0100";
+        const storage = {
+            save: window.saveRectangleToStorage,
+            remove: window.deleteRectangleFromStorage,
+            load: window.loadRectangleFromStorage
+        };
+        const persistent = RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED;
+        const maxRectangles = RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES;
+        // IndexedDB of the page is replaced by a map
+        const stored = new Map();
+        let requested = null;
+        window.saveRectangleToStorage = (rectangleId, serialized, timestamp) => {
+            stored.set(rectangleId, { id: rectangleId, timestamp: timestamp, size: serialized.text.length, data: deserializeRectangleData(serialized) });
+            return Promise.resolve();
+        };
+        window.deleteRectangleFromStorage = rectangleId => {
+            stored.delete(rectangleId);
+            return Promise.resolve();
+        };
+        // Never resolves, the read record is restored below
+        window.loadRectangleFromStorage = rectangleId => {
+            requested = rectangleId;
+            return new Promise(() => {});
+        };
+        RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED = true;
+        RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES = 1;
+        try {
+            setVisibleRectangles([visibleId]);
+            markRectangleLoaded(evictedId, { nodes: [{ type: "node", id: 1, lat: 52.0005, lon: 13.0005, tags: {} }], ways: [] });
+            markRectangleLoaded(visibleId, { nodes: [], ways: [] });
+            assert(!isRectangleLoaded(evictedId) && stored.has(evictedId), "Evicted rectangles stay in the persistent cache");
+            assert(getEvictedRectangles([evictedId, visibleId]).join() === evictedId && getRectanglesToLoad([evictedId]).length === 0, "Evicted rectangles are not requested from Overpass");
+            
+            restoreEvictedRectangles([evictedId]);
+            assert(requested === evictedId && isRectangleLoading(evictedId), "Evicted rectangles are read from the persistent cache");
+            RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES = 2;
+            assert(restoreRectangleRecord(stored.get(evictedId)) && getRectangleData([evictedId])[0].nodes[0].id === 1, "Restored rectangles keep their data");
+        } finally {
+            window.saveRectangleToStorage = storage.save;
+            window.deleteRectangleFromStorage = storage.remove;
+            window.loadRectangleFromStorage = storage.load;
+            RECTANGLE_CONFIG.PERSISTENT_CACHE_ENABLED = persistent;
+            RECTANGLE_CONFIG.MAX_CACHED_RECTANGLES = maxRectangles;
+            setVisibleRectangles([]);
+            resetRectangleCache();
+        }
+    }
+    
     console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
     return failed === 0;
 }
@@ -268,8 +495,8 @@ function testLoadingOverlays() {
     
     // Test 2: Rectangle state tracking with overlays
     {
-        clearRectangleCache();
-        const testId = "rect_52.5000_13.4000";
+        resetRectangleCache();
+        const testId = "rect_0_52.5000_13.4000";
         
         markRectangleLoading(testId);
         assert(isRectangleLoading(testId), "Rectangle marked as loading with overlay update");
@@ -277,7 +504,7 @@ function testLoadingOverlays() {
         markRectangleLoaded(testId, { test: "data" });
         assert(isRectangleLoaded(testId), "Rectangle marked as loaded with overlay update");
         
-        markRectangleFailed("rect_52.5100_13.4100");
+        markRectangleFailed("rect_0_52.5100_13.4100");
         const stats = getRectangleCacheStats();
         assert(stats.failed === 1, "Failed rectangle tracked with overlay update");
     }
@@ -319,10 +546,417 @@ function testEndpointFailover() {
         assert(typeof CLUSTERING_SETTINGS.CLUSTER_BENCHES === 'boolean', "Bench clustering setting is boolean");
     }
     
+    // Keep the endpoint health of the running page
+    const savedHealth = endpointHealth;
+    endpointHealth = new Map();
+    
+    // Test 3: Routing to the healthiest endpoint
+    {
+        assert(selectOverpassEndpoint() === OVERPASS_ENDPOINTS[0], "First endpoint is used while no health data exists");
+        
+        recordEndpointSuccess(OVERPASS_ENDPOINTS[0], 3000);
+        recordEndpointSuccess(OVERPASS_ENDPOINTS[1], 200);
+        assert(getEndpointScore(OVERPASS_ENDPOINTS[1]) > getEndpointScore(OVERPASS_ENDPOINTS[0]), "Slow endpoint gets a lower score");
+        assert(selectOverpassEndpoint() === OVERPASS_ENDPOINTS[1], "Fastest endpoint is selected");
+        assert(selectOverpassEndpoint([OVERPASS_ENDPOINTS[1]]) !== OVERPASS_ENDPOINTS[1], "Tried endpoints are skipped");
+        assert(selectOverpassEndpoint(OVERPASS_ENDPOINTS) === null, "No endpoint left after all were tried");
+    }
+    
+    // Test 4: Errors, 429 responses and cooldown
+    {
+        const endpoint = OVERPASS_ENDPOINTS[1];
+        const scoreBefore = getEndpointScore(endpoint);
+        recordEndpointFailure(endpoint, 0, 'timeout');
+        assert(getEndpointScore(endpoint) < scoreBefore, "Error lowers the score");
+        assert(!isEndpointCoolingDown(endpoint), "Single error does not start a cooldown");
+        
+        recordEndpointFailure(endpoint, 504, 'error');
+        assert(isEndpointCoolingDown(endpoint), "Repeated errors start a cooldown");
+        assert(getRankedEndpoints()[OVERPASS_ENDPOINTS.length - 1] === endpoint, "Endpoint in cooldown is ranked last");
+        
+        recordEndpointFailure(OVERPASS_ENDPOINTS[2], 429, 'error');
+        assert(isEndpointCoolingDown(OVERPASS_ENDPOINTS[2]), "429 response starts a cooldown");
+        
+        recordEndpointSuccess(endpoint, 200);
+        assert(!isEndpointCoolingDown(endpoint), "Success ends the cooldown");
+        
+        const stats = getRectangleCacheStats().endpoints;
+        assert(stats.length === OVERPASS_ENDPOINTS.length, "Endpoint scores included in cache stats");
+        assert(stats[2].rateLimits === 1 && stats[2].cooldown > 0, "Cache stats report 429 responses and cooldown");
+    }
+    
+    endpointHealth = savedHealth;
+    
     console.log(`\nEndpoint Failover Test Results: ${passed} passed, ${failed} failed`);
     return failed === 0;
 }
 
+/**
+ * Test request scheduler
+ */
+function testRequestScheduler() {
+    console.log("\nTesting Request Scheduler...");
+    
+    let passed = 0;
+    let failed = 0;
+    
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+    
+    // Keep the scheduler state of the running page
+    const savedQueue = requestQueue;
+    const savedActive = activeRequestCount;
+    const savedStatus = overpassStatus;
+    const savedMaxConcurrent = REQUEST_SCHEDULER_CONFIG.MAX_CONCURRENT_REQUESTS;
+    requestQueue = [];
+    activeRequestCount = 0;
+    overpassStatus = new Map();
+    REQUEST_SCHEDULER_CONFIG.MAX_CONCURRENT_REQUESTS = 2;
+    
+    const started = [];
+    const pending = {};
+    function createJob(id, priority, wanted = true) {
+        return {
+            id: id,
+            endpoint: null,
+            getPriority: () => priority,
+            isWanted: () => wanted,
+            onCancel: () => started.push('cancel:' + id),
+            execute: done => {
+                started.push(id);
+                pending[id] = done;
+            }
+        };
+    }
+    
+    // Test 1: Concurrency limit and priority order
+    {
+        scheduleRequest(createJob('first', 5));
+        scheduleRequest(createJob('second', 3));
+        scheduleRequest(createJob('far', 9));
+        scheduleRequest(createJob('near', 1));
+        
+        assert(started.length === 2, "Only MAX_CONCURRENT_REQUESTS jobs are started");
+        assert(getRequestSchedulerStats().queued === 2, "Remaining jobs are queued");
+        
+        pending['first']();
+        assert(started[2] === 'near', "Job nearest to the centre is dispatched next");
+        pending['first']();
+        assert(getRequestSchedulerStats().active === 2, "Calling done twice is ignored");
+    }
+    
+    // Test 2: Cancelling jobs that left the view
+    {
+        requestQueue.push(createJob('gone', 0, false));
+        const cancelled = cancelUnwantedRequests();
+        assert(cancelled === 1, "Unwanted queued job is cancelled");
+        assert(started.includes('cancel:gone'), "onCancel is called for cancelled jobs");
+        assert(requestQueue.length === 1 && requestQueue[0].id === 'far', "Wanted jobs stay queued");
+        
+        pending['second']();
+        pending['near']();
+        pending['far']();
+        assert(getRequestSchedulerStats().active === 0, "All jobs finished");
+    }
+    
+    // Test 3: Parsing Overpass status
+    {
+        const free = parseOverpassStatus("Connected as: 1\nRate limit: 2\n2 slots available now.\nCurrently running queries:\n");
+        assert(free.rateLimit === 2 && free.slotsAvailable === 2, "Free slots are parsed");
+        
+        const busy = parseOverpassStatus("Rate limit: 2\nSlot available after: 2024-01-01T10:00:05Z, in 7 seconds.\n" +
+            "Slot available after: 2024-01-01T10:00:03Z, in 3 seconds.\n");
+        assert(busy.slotsAvailable === 0 && busy.waitSeconds === 3, "Waiting time for the next slot is parsed");
+        
+        assert(getOverpassStatusUrl("overpass-api.de/api/interpreter").endsWith("overpass-api.de/api/status"), "Status URL derived from endpoint");
+    }
+    
+    // Test 4: Jobs wait for a free Overpass slot
+    {
+        const endpoint = "example.invalid/api/interpreter";
+        overpassStatus.set(endpoint, { rateLimit: 2, slotsAvailable: 1, waitSeconds: 5, checkedAt: Date.now() });
+        const slotJob = createJob('slot', 1);
+        slotJob.endpoint = endpoint;
+        const waitingJob = createJob('waiting', 2);
+        waitingJob.endpoint = endpoint;
+        
+        scheduleRequest(slotJob);
+        scheduleRequest(waitingJob);
+        assert(started.includes('slot'), "Job is dispatched while a slot is available");
+        assert(!started.includes('waiting') && slotWaitTimers.has(endpoint), "Job waits when no slot is available");
+        
+        const otherJob = createJob('other', 3);
+        otherJob.endpoint = "other.invalid/api/interpreter";
+        overpassStatus.set(otherJob.endpoint, { rateLimit: 0, slotsAvailable: 0, waitSeconds: 0, checkedAt: Date.now() });
+        scheduleRequest(otherJob);
+        scheduleRequest(createJob('nostatus', 4));
+        assert(started.includes('other') && !started.includes('nostatus'), "Jobs of other endpoints are dispatched while one endpoint waits");
+        pending['other']();
+        assert(started.includes('nostatus') && !started.includes('waiting'), "Jobs without endpoint skip the waiting jobs");
+        
+        clearTimeout(slotWaitTimers.get(endpoint));
+        slotWaitTimers.delete(endpoint);
+        requestQueue = [];
+        pending['slot']();
+        pending['nostatus']();
+    }
+    
+    requestQueue = savedQueue;
+    activeRequestCount = savedActive;
+    overpassStatus = savedStatus;
+    REQUEST_SCHEDULER_CONFIG.MAX_CONCURRENT_REQUESTS = savedMaxConcurrent;
+    
+    console.log(`\nRequest Scheduler Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Test background prefetch
+ */
+function testRectanglePrefetch() {
+    console.log("\nTesting Background Prefetch...");
+    
+    let passed = 0;
+    let failed = 0;
+    
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+    
+    const viewBounds = { north: 52.52, south: 52.50, east: 13.42, west: 13.40 };
+    const noDirection = { lat: 0, lng: 0 };
+    
+    // Test 1: Ring around the view
+    {
+        const bounds = getPrefetchBounds(viewBounds, 0, noDirection);
+        const ringSize = PREFETCH_SETTINGS.RING_SIZE * RECTANGLE_CONFIG.GRID_LEVELS[0].size;
+        assert(Math.abs(bounds.north - (viewBounds.north + ringSize)) < GRID_EPSILON, "Prefetch area extends north by the ring size");
+        assert(Math.abs(bounds.west - (viewBounds.west - ringSize)) < GRID_EPSILON, "Prefetch area extends west by the ring size");
+        
+        const visible = divideAreaIntoRectangles(viewBounds, 0);
+        const prefetch = getPrefetchRectangles(viewBounds, 0, noDirection);
+        assert(prefetch.length > 0, "Rectangles around the view are prefetched");
+        assert(prefetch.every(id => !visible.includes(id)), "Visible rectangles are not prefetched");
+    }
+    
+    // Test 2: Pan direction
+    {
+        const east = getPrefetchBounds(viewBounds, 0, { lat: 0, lng: 1 });
+        const plain = getPrefetchBounds(viewBounds, 0, noDirection);
+        assert(PREFETCH_SETTINGS.PAN_DIRECTION_RINGS === 0 || east.east > plain.east, "Prefetch area extends in pan direction");
+        assert(east.west === plain.west, "Prefetch area is not extended against pan direction");
+    }
+    
+    // Test 3: Disabling prefetch
+    {
+        const savedEnabled = PREFETCH_SETTINGS.ENABLED;
+        PREFETCH_SETTINGS.ENABLED = false;
+        assert(!isPrefetchEnabled(), "Prefetch can be disabled in settings");
+        assert(getCurrentPrefetchBounds(getGridLevelForZoom(map.getZoom())) === null, "Queued prefetches are dropped when disabled");
+        PREFETCH_SETTINGS.ENABLED = savedEnabled;
+    }
+    
+    // Test 4: High and low zoom prefetches scheduled in the same map move
+    {
+        const saved = {
+            enabled: PREFETCH_SETTINGS.ENABLED,
+            idle: window.requestIdleCallback,
+            stats: window.getRequestSchedulerStats,
+            load: window.loadRectangleBatchData
+        };
+        const loaded = [];
+        PREFETCH_SETTINGS.ENABLED = true;
+        window.requestIdleCallback = callback => callback();
+        window.getRequestSchedulerStats = () => ({ queued: 0, active: 0 });
+        window.loadRectangleBatchData = (batch, isLowZoom) => loaded.push({ rectangleId: batch.rectangleIds[0], isLowZoom: isLowZoom });
+        try {
+            scheduleRectanglePrefetch(viewBounds, 0, false);
+            scheduleRectanglePrefetch(viewBounds, 2, true);
+            assert(prefetchStates.highZoom.area.level === 0 && prefetchStates.lowZoom.area.level === 2, "High and low zoom prefetch areas are kept apart");
+            assert(prefetchStates.highZoom.timer !== null && prefetchStates.lowZoom.timer !== null, "Scheduling low zoom data keeps the high zoom timer");
+            [false, true].forEach(isLowZoom => {
+                clearTimeout(getPrefetchState(isLowZoom).timer);
+                runRectanglePrefetch(isLowZoom);
+            });
+            assert(loaded.some(entry => !entry.isLowZoom && !entry.rectangleId.endsWith('_lowzoom')), "High zoom rectangles are prefetched");
+            assert(loaded.some(entry => entry.isLowZoom && entry.rectangleId.endsWith('_lowzoom')), "Low zoom rectangles are prefetched as well");
+        } finally {
+            PREFETCH_SETTINGS.ENABLED = saved.enabled;
+            window.requestIdleCallback = saved.idle;
+            window.getRequestSchedulerStats = saved.stats;
+            window.loadRectangleBatchData = saved.load;
+            prefetchStates.highZoom = createPrefetchState();
+            prefetchStates.lowZoom = createPrefetchState();
+        }
+    }
+    
+    console.log(`\nBackground Prefetch Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Test incremental rendering of the high zoom layers
+ */
+function testIncrementalRendering() {
+    console.log("\nTesting Incremental Rendering...");
+    
+    let passed = 0;
+    let failed = 0;
+    
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+    
+    const lamp = { type: 'node', id: 1, lat: 52.501, lon: 13.401, tags: { highway: 'street_lamp' } };
+    const bench = { type: 'node', id: 2, lat: 52.502, lon: 13.402, tags: { amenity: 'bench' } };
+    const street = { type: 'way', id: 3, geometry: [[52.501, 13.401], [52.511, 13.411]], tags: { highway: 'residential', lit: 'yes' } };
+    const tileA = { nodes: [lamp], ways: [street] };
+    const tileB = { nodes: [bench], ways: [street] };
+    
+    clearRenderedElements();
+    
+    // Test 1: Elements of new tiles are added once
+    {
+        renderOSMTiles(new Map([['tile_a', tileA]]));
+        const lampMarker = renderedElements.get('node/1').rendered[0].marker;
+        assert(renderedElements.size === 2, "Elements of the first tile are rendered");
+        assert(getObjectLayer('street_lights').hasLayer(lampMarker), "Street lamp marker is added to its layer");
+        
+        renderOSMTiles(new Map([['tile_a', tileA], ['tile_b', tileB]]));
+        assert(renderedElements.size === 3, "Only new elements of the second tile are added");
+        assert(renderedElements.get('node/1').rendered[0].marker === lampMarker, "Existing markers are kept when another tile loads");
+        assert(renderedElements.get('way/3').tiles.size === 2, "Way shared by two tiles is rendered once");
+    }
+    
+    // Test 2: Elements are removed with the last tile referencing them
+    {
+        const lampMarker = renderedElements.get('node/1').rendered[0].marker;
+        renderOSMTiles(new Map([['tile_b', tileB]]));
+        assert(!renderedElements.has('node/1'), "Elements of a tile that left the view are removed");
+        assert(!getObjectLayer('street_lights').hasLayer(lampMarker), "Marker of a removed element is removed from its layer");
+        assert(renderedElements.has('way/3'), "Way is kept while another tile references it");
+    }
+    
+    // Test 3: Refreshed tile data re-renders changed elements only
+    {
+        const streetMarker = renderedElements.get('way/3').rendered[0].marker;
+        const changedBench = Object.assign({}, bench, { tags: { amenity: 'bench', backrest: 'yes' } });
+        renderOSMTiles(new Map([['tile_b', { nodes: [changedBench], ways: [street] }]]));
+        assert(renderedElements.get('node/2').element === changedBench, "Changed element is re-rendered");
+        assert(renderedElements.get('way/3').rendered[0].marker === streetMarker, "Unchanged element keeps its marker");
+    }
+    
+    // Test 4: Clearing
+    {
+        parseOSM(false);
+        assert(renderedElements.size === 0 && renderedTiles.size === 0, "Rendering without data clears the registry");
+    }
+    
+    console.log(`\nIncremental Rendering Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Test the object type registry
+ */
+function testObjectTypeRegistry() {
+    console.log("\nTesting Object Type Registry...");
+    
+    let passed = 0;
+    let failed = 0;
+    
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+    
+    // Test 1: Elements are matched by the first type in the registry
+    {
+        const typeOf = tags => (findObjectType(tags) || {}).id;
+        assert(typeOf({ highway: "street_lamp" }) === "street_lamp", "Street lamps are matched");
+        assert(typeOf({ "tower:type": "lighting" }) === "street_lamp", "Floodlight towers are matched as street lamps");
+        assert(typeOf({ aeroway: "navigationaid", navigationaid: "papi" }) === "aviation_light", "Aviation lights are matched");
+        assert(typeOf({ light_source: "warning" }) === "aviation_light", "Warning lights are shown with aviation lights");
+        assert(typeOf({ highway: "street_lamp", "xmas:feature": "tree" }) === "xmas_tree", "Christmas trees take precedence over street lamps");
+        assert(typeOf({ amenity: "bench", lit: "yes" }) === "bench", "Benches are matched before lit ways");
+        assert(typeOf({ highway: "residential", lit: "no" }) === "lit_way", "Lit and unlit ways are matched");
+        assert(typeOf({ highway: "residential", lit: "unknown" }) === undefined, "Elements without type are not rendered");
+        const litWay = getObjectType("lit_way");
+        assert(litWay.extractTags({ highway: "pedestrian", lit: "yes", area: "yes" }).area === true, "Lit ways with area=yes are areas");
+        assert(litWay.extractTags({ highway: "pedestrian", lit: "yes", area: "no" }).area === false, "Lit ways with area=no are lines");
+    }
+    
+    // Test 2: Query generated from the registry
+    {
+        const query = buildObjectQuery("[bbox:1,2,3,4];");
+        assert(getObjectType("street_lamp").selectors.every(selector => query.includes(selector)), "Query contains the street lamp selectors");
+        assert(query.includes('node["amenity"="bench"]') === isObjectLayerActive("benches"), "Bench selector is only queried with the benches layer");
+        assert(query.endsWith("out geom qt;"), "High zoom query returns geometry");
+        
+        const lowZoomQuery = buildObjectQuery("[bbox:1,2,3,4];", true);
+        assert(lowZoomQuery.includes('node["highway"="street_lamp"]') && !lowZoomQuery.includes("aeroway"), "Low zoom query contains only low zoom selectors");
+    }
+    
+    // Test 3: Rendering to the target layers
+    {
+        const lamp = renderOSMElement({ type: "node", id: 1, lat: 52.5, lon: 13.4, tags: { highway: "street_lamp", "light:count": "3", ref: "1;2;3" } });
+        assert(lamp.length === 3 && lamp.every(item => item.layer === getObjectLayer("street_lights")), "One marker per light on the street lights layer");
+        assert(lamp[0].marker.getPopup().getContent().includes("1;2;3"), "Popup built by the street lamp type");
+        
+        const geometry = [[52.5, 13.4], [52.51, 13.41]];
+        const unlit = renderOSMElement({ type: "way", id: 2, geometry: geometry, tags: { highway: "residential", lit: "no" } });
+        assert(unlit.length === 1 && unlit[0].layer === getObjectLayer("unlit_streets"), "Unlit ways go to the unlit streets layer");
+        
+        const allNight = renderOSMElement({ type: "way", id: 3, geometry: geometry, tags: { highway: "residential", lit: "24/7" } });
+        assert(allNight.length === 2 && allNight[0].layer === getObjectLayer("lit_streets"), "24/7 lit ways get a dotted outline");
+    }
+    
+    // Test 4: Rectangles loaded without the object types of a newly shown layer are loaded again
+    {
+        const rectangleId = getRectangleId(-45.5, -120.5);
+        const queried = getQueriedObjectTypes();
+        assert(queried.includes("street_lamp") && queried.includes("bench") === isObjectLayerActive("benches"), "Queried object types follow the active layers");
+        
+        loadedRectangles.set(rectangleId, { data: { nodes: [], ways: [], objectTypes: queried }, status: 'loaded', timestamp: Date.now() });
+        assert(hasQueriedObjectTypes(rectangleId), "Rectangle loaded with the current query is complete");
+        
+        loadedRectangles.get(rectangleId).data.objectTypes = queried.filter(typeId => typeId !== "street_lamp");
+        assert(!hasQueriedObjectTypes(rectangleId), "Rectangle without a queried object type is incomplete");
+        
+        loadedRectangles.get(rectangleId).data = { nodes: [], ways: [] };
+        assert(hasQueriedObjectTypes(rectangleId), "Rectangle data without object types is complete");
+        
+        loadedRectangles.delete(rectangleId);
+    }
+    
+    console.log(`\nObject Type Registry Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
 /**
  * Run all tests
  */
@@ -330,10 +964,27 @@ function runAllTests() {
     console.log("Running All OSMObjects Tests...\n");
     
     const results = [
-        runRectangleManagerTests(),
+        withoutRectanglePersistence(runRectangleManagerTests),
         testClusteringFeatures(),
-        testLoadingOverlays(),
-        testEndpointFailover()
+        withoutRectanglePersistence(testLoadingOverlays),
+        testEndpointFailover(),
+        testRequestScheduler(),
+        testRectanglePrefetch(),
+        testIncrementalRendering(),
+        testObjectTypeRegistry(),
+        testLitGapAnalysis(),
+        testLightCoverage(),
+        testLightFilter(),
+        testThematicMap(),
+        testStatistics(),
+        testObjectExport(),
+        testRegisterImport(),
+        testTagQuality(),
+        testTagEditing(),
+        testAddLamp(),
+        testJOSMRemote(),
+        testEditorLinks(),
+        testOSMNotes()
     ];
     
     const allPassed = results.every(result => result === true);
@@ -349,4 +1000,8 @@ function runAllTests() {
 window.testClusteringFeatures = testClusteringFeatures;
 window.testLoadingOverlays = testLoadingOverlays;
 window.testEndpointFailover = testEndpointFailover;
+window.testRequestScheduler = testRequestScheduler;
+window.testRectanglePrefetch = testRectanglePrefetch;
+window.testIncrementalRendering = testIncrementalRendering;
+window.testObjectTypeRegistry = testObjectTypeRegistry;
 window.runAllTests = runAllTests;
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * Register Import for OSM Objects
+ * Compares a lamp register of an operator, dropped onto the map as GeoJSON or CSV file, with the street lamps in OSM.
+ * Records are matched by ref (ref or lamp_ref in OSM) and otherwise by distance. The register is shown as a separate
+ * layer coloured by the result of the comparison, and the results of the current view can be exported as CSV.
+ * Only lamps and records in view are compared, as OSM data is only loaded around the view.
+ */
+
+// Results of the comparison and their colours on the register layer
+const REGISTER_STATUS_COLOURS = {
+    match: '#2E7D32',
+    ref_mismatch: '#FF6D00',
+    position_mismatch: '#2962FF',
+    missing_in_osm: '#D50000',
+    missing_in_register: '#AA00FF'
+};
+
+// Imported records [{id, lat, lon, ref, properties}], see parseRegisterFile()
+let registerRecords = [];
+// Results of the last comparison, see matchRegister()
+let registerResults = [];
+// Layer of the register, added to the layer control on the first import
+let registerLayer = null;
+// Layer control of the map, set by initRegisterImport()
+let registerLayerControl = null;
+
+/**
+ * Parses CSV text. The separator is "," or ";", whichever is more frequent in the first line.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as arrays of fields, empty lines are skipped
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [], field = '', quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Finds the value of the first of some keys in an object, keys compared case insensitive
+ * @param {object} properties - Properties
+ * @param {Array} keys - Keys in lower case, see REGISTER_SETTINGS
+ * @returns {string|undefined} Value
+ */
+function getRegisterValue(properties, keys) {
+    const key = Object.keys(properties).find(name => keys.includes(name.trim().toLowerCase()));
+    return key === undefined || properties[key] === null ? undefined : String(properties[key]).trim();
+}
+
+/**
+ * Reads a coordinate, also with decimal comma
+ * @param {string|number} value - Coordinate
+ * @returns {number} Coordinate, NaN if invalid
+ */
+function parseRegisterCoordinate(value) {
+    return parseFloat(String(value).replace(',', '.'));
+}
+
+/**
+ * Reads the records of a register file
+ * @param {string} fileName - File name, files ending in .csv are read as CSV, others as GeoJSON
+ * @param {string} text - File content
+ * @returns {Array} Records [{id, lat, lon, ref, properties}], ref undefined if not given
+ * @throws {Error} If the file cannot be read or has no positions
+ */
+function parseRegisterFile(fileName, text) {
+    const records = [];
+    const addRecord = (properties, lat, lon) => {
+        if (!isNaN(lat) && !isNaN(lon)) {
+            records.push({
+                id: records.length + 1,
+                lat: lat,
+                lon: lon,
+                ref: getRegisterValue(properties, REGISTER_SETTINGS.REF_COLUMNS) || undefined,
+                properties: properties
+            });
+        }
+    };
+
+    if (/\.csv$/i.test(fileName)) {
+        const rows = parseCsv(text);
+        const header = rows.shift() || [];
+        rows.forEach(row => {
+            const properties = {};
+            header.forEach((column, index) => properties[column] = row[index] === undefined ? '' : row[index]);
+            addRecord(properties,
+                parseRegisterCoordinate(getRegisterValue(properties, REGISTER_SETTINGS.LAT_COLUMNS)),
+                parseRegisterCoordinate(getRegisterValue(properties, REGISTER_SETTINGS.LON_COLUMNS)));
+        });
+    } else {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error(i18next.t('register_error_format'));
+        }
+        const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+        (features || []).forEach(feature => {
+            if (feature && feature.geometry && feature.geometry.type === 'Point') {
+                const coordinates = feature.geometry.coordinates;
+                addRecord(feature.properties || {}, Number(coordinates[1]), Number(coordinates[0]));
+            }
+        });
+    }
+
+    if (records.length === 0) {
+        throw new Error(i18next.t('register_error_empty'));
+    }
+    return records;
+}
+
+/**
+ * Normalises a ref for comparison
+ * @param {string|undefined} ref - Ref
+ * @returns {string} Ref without case and surrounding spaces, empty if not given
+ */
+function normaliseRegisterRef(ref) {
+    return (ref || '').trim().toLowerCase();
+}
+
+/**
+ * Compares register records with OSM lamps.
+ * Records are first matched to lamps with the same ref (position_mismatch if farther than MAX_REF_DISTANCE_M),
+ * then to the nearest remaining lamp within MATCH_DISTANCE_M (ref_mismatch if the refs differ).
+ * @param {Array} records - Register records, see parseRegisterFile()
+ * @param {Array} lamps - OSM lamps [{element, ref}]
+ * @returns {Array} Results [{status, record, lamp, distance}], record or lamp null if missing, status see REGISTER_STATUS_COLOURS
+ */
+function matchRegister(records, lamps) {
+    const results = [];
+    const usedLamps = new Set();
+    const unmatched = [];
+
+    // Match by ref
+    const lampsByRef = new Map();
+    lamps.forEach(lamp => {
+        const ref = normaliseRegisterRef(lamp.ref);
+        if (ref) {
+            lampsByRef.set(ref, (lampsByRef.get(ref) || []).concat([lamp]));
+        }
+    });
+    records.forEach(record => {
+        const candidates = (lampsByRef.get(normaliseRegisterRef(record.ref)) || []).filter(lamp => !usedLamps.has(lamp));
+        if (candidates.length === 0) {
+            unmatched.push(record);
+            return;
+        }
+        const nearest = candidates
+            .map(lamp => ({ lamp: lamp, distance: getDistanceM([record.lat, record.lon], [lamp.element.lat, lamp.element.lon]) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        usedLamps.add(nearest.lamp);
+        results.push({
+            status: nearest.distance > REGISTER_SETTINGS.MAX_REF_DISTANCE_M ? 'position_mismatch' : 'match',
+            record: record,
+            lamp: nearest.lamp,
+            distance: nearest.distance
+        });
+    });
+
+    // Match the remaining records by distance, nearest pairs first
+    const index = createLampIndex(lamps.filter(lamp => !usedLamps.has(lamp))
+        .map(lamp => ({ lat: lamp.element.lat, lon: lamp.element.lon, lamp: lamp })), REGISTER_SETTINGS.MATCH_DISTANCE_M);
+    const pairs = [];
+    unmatched.forEach(record => {
+        findLampsNearWay(index, [[record.lat, record.lon]], REGISTER_SETTINGS.MATCH_DISTANCE_M).forEach(near => {
+            pairs.push({ record: record, lamp: near.node.lamp, distance: near.distance });
+        });
+    });
+    const matchedRecords = new Set();
+    pairs.sort((a, b) => a.distance - b.distance).forEach(pair => {
+        if (matchedRecords.has(pair.record) || usedLamps.has(pair.lamp)) {
+            return;
+        }
+        matchedRecords.add(pair.record);
+        usedLamps.add(pair.lamp);
+        const refsDiffer = normaliseRegisterRef(pair.record.ref) !== '' &&
+            normaliseRegisterRef(pair.record.ref) !== normaliseRegisterRef(pair.lamp.ref);
+        results.push({ status: refsDiffer ? 'ref_mismatch' : 'match', record: pair.record, lamp: pair.lamp, distance: pair.distance });
+    });
+
+    unmatched.filter(record => !matchedRecords.has(record)).forEach(record => {
+        results.push({ status: 'missing_in_osm', record: record, lamp: null, distance: null });
+    });
+    lamps.filter(lamp => !usedLamps.has(lamp)).forEach(lamp => {
+        results.push({ status: 'missing_in_register', record: null, lamp: lamp, distance: null });
+    });
+    return results;
+}
+
+/**
+ * Gets the OSM street lamps in view, also those hidden by the light filter
+ * @param {L.LatLngBounds} bounds - View bounds
+ * @returns {Array} Lamps [{element, ref}]
+ */
+function getRegisterOSMLamps(bounds) {
+    const lamps = [];
+    renderedElements.forEach(entry => {
+        const type = findObjectType(entry.element.tags);
+        if (type && type.id === 'street_lamp' && bounds.contains([entry.element.lat, entry.element.lon])) {
+            lamps.push({ element: entry.element, ref: type.extractTags(entry.element.tags).ref });
+        }
+    });
+    return lamps;
+}
+
+/**
+ * Compares the records in view with the OSM lamps in view and redraws the register layer
+ */
+function updateRegisterComparison() {
+    if (!registerLayer || registerRecords.length === 0) {
+        return;
+    }
+    const bounds = map.getBounds();
+    // Lamps are only loaded at high zoom, so there is nothing to compare with below
+    const lamps = map.getZoom() >= MIN_ZOOM ? getRegisterOSMLamps(bounds) : null;
+    const records = registerRecords.filter(record => bounds.contains([record.lat, record.lon]));
+    registerResults = lamps ? matchRegister(records, lamps) : [];
+
+    registerLayer.clearLayers();
+    if (lamps) {
+        registerResults.forEach(result => drawRegisterResult(result));
+    } else {
+        // Show the records without comparison
+        records.forEach(record => drawRegisterResult({ status: null, record: record, lamp: null, distance: null }));
+    }
+    renderRegisterPanel();
+}
+
+/**
+ * Draws one result on the register layer
+ * @param {object} result - Result, see matchRegister(), status null if not compared
+ */
+function drawRegisterResult(result) {
+    const colour = REGISTER_STATUS_COLOURS[result.status] || '#616161';
+    const popup = buildRegisterPopup(result);
+    if (result.record) {
+        L.circleMarker([result.record.lat, result.record.lon], { radius: 7, color: colour, weight: 3, fillOpacity: 0.3 })
+            .bindPopup(popup).addTo(registerLayer);
+    }
+    if (result.lamp) {
+        const lampPosition = [result.lamp.element.lat, result.lamp.element.lon];
+        if (!result.record) {
+            L.circleMarker(lampPosition, { radius: 10, color: colour, weight: 3, dashArray: '4 3', fill: false })
+                .bindPopup(popup).addTo(registerLayer);
+        } else if (result.status !== 'match') {
+            L.polyline([[result.record.lat, result.record.lon], lampPosition], { color: colour, weight: 2, dashArray: '4 3' })
+                .addTo(registerLayer);
+        }
+    }
+}
+
+/**
+ * Builds the popup of a result
+ * @param {object} result - Result, see matchRegister()
+ * @returns {string} Popup HTML
+ */
+function buildRegisterPopup(result) {
+    let rows = '';
+    if (result.record) {
+        Object.keys(result.record.properties).forEach(key => {
+            rows += '<tr><td><b>' + escapeXml(key) + ': </b></td><td>' + escapeXml(result.record.properties[key]) + '</td></tr>';
+        });
+    }
+    if (result.lamp) {
+        rows += '<tr><td><b>OSM: </b></td><td><a target="_blank" href="https://www.openstreetmap.org/node/' + result.lamp.element.id + '">node/' +
+            result.lamp.element.id + '</a>' + (result.lamp.ref ? ' (ref ' + escapeXml(result.lamp.ref) + ')' : '') + '</td></tr>';
+    }
+    if (result.distance !== null) {
+        rows += '<tr><td><b>' + i18next.t('register_distance') + ': </b></td><td>' + Math.round(result.distance) + ' m</td></tr>';
+    }
+    const title = result.status ? i18next.t('register_status_' + result.status) : i18next.t('register_record');
+    return '<b>' + title + '</b><table>' + rows + '</table>';
+}
+
+/**
+ * Imports a register file, replacing a previously imported register
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ */
+function importRegister(fileName, text) {
+    try {
+        registerRecords = parseRegisterFile(fileName, text);
+    } catch (error) {
+        $("#register_message").text(error.message);
+        $("#register_cont").show();
+        return;
+    }
+
+    if (!registerLayer) {
+        registerLayer = L.layerGroup();
+        if (registerLayerControl) {
+            registerLayerControl.addOverlay(registerLayer, "<span id='layer_register'>" + i18next.t('layer_register') + "</span>");
+        }
+    }
+    registerLayer.addTo(map);
+    $("#register_message").text(i18next.t('register_imported', { count: registerRecords.length, file: fileName }));
+    $("#register_cont").show();
+    updateRegisterComparison();
+}
+
+/**
+ * Reads a file chosen or dropped by the user
+ * @param {File} file - File
+ */
+function readRegisterFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => importRegister(file.name, reader.result);
+    reader.readAsText(file);
+}
+
+/**
+ * Converts the results of the current view into CSV rows
+ * @returns {Array} Rows with header
+ */
+function getRegisterResultRows() {
+    const header = ['status', 'register_id', 'register_ref', 'register_lat', 'register_lon', 'osm_id', 'osm_ref', 'osm_lat', 'osm_lon', 'distance_m'];
+    return [header].concat(registerResults.map(result => [
+        result.status,
+        result.record ? result.record.id : '',
+        result.record ? result.record.ref : '',
+        result.record ? result.record.lat : '',
+        result.record ? result.record.lon : '',
+        result.lamp ? 'node/' + result.lamp.element.id : '',
+        result.lamp ? result.lamp.ref : '',
+        result.lamp ? result.lamp.element.lat : '',
+        result.lamp ? result.lamp.element.lon : '',
+        result.distance === null ? '' : result.distance.toFixed(1)
+    ]));
+}
+
+/**
+ * Renders the counts of the results and the import controls
+ */
+function renderRegisterPanel() {
+    const counts = $('<table>');
+    Object.keys(REGISTER_STATUS_COLOURS).forEach(status => {
+        const count = registerResults.filter(result => result.status === status).length;
+        counts.append($('<tr>').append(
+            $('<td>').append($('<span class="thematic_swatch">').css('background-color', REGISTER_STATUS_COLOURS[status]), i18next.t('register_status_' + status)),
+            $('<td class="statistics_number">').text(count)
+        ));
+    });
+
+    $("#register_results").empty();
+    if (registerRecords.length > 0) {
+        $("#register_results").append(
+            counts,
+            $('<a href="#">').text(i18next.t('register_export')).on('click', function(event) {
+                event.preventDefault();
+                downloadTextFile(getExportFileName('register_comparison', 'csv'), 'text/csv', formatCsv(getRegisterResultRows()));
+            })
+        );
+    }
+}
+
+/**
+ * Shows or hides the register panel
+ */
+function toggleRegisterPanel() {
+    if ($("#register_cont").is(":visible")) {
+        $("#register_cont").hide();
+        return;
+    }
+    renderRegisterPanel();
+    $("#register_cont").show();
+}
+
+/**
+ * Accepts register files dropped onto the map
+ * @param {L.Control.Layers} layerControl - Layer control the register layer is added to
+ */
+function initRegisterImport(layerControl) {
+    registerLayerControl = layerControl;
+    const container = map.getContainer();
+    L.DomEvent.on(container, 'dragover', event => L.DomEvent.preventDefault(event));
+    L.DomEvent.on(container, 'drop', event => {
+        L.DomEvent.preventDefault(event);
+        const files = event.dataTransfer && event.dataTransfer.files;
+        if (files && files.length > 0) {
+            readRegisterFile(files[0]);
+        }
+    });
+}
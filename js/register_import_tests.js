@@ -0,0 +1,66 @@
+/**
+ * Test file for the lamp register import
+ * Run these tests to verify reading the register and the comparison with OSM
+ */
+
+/**
+ * Test lamp register import and comparison
+ */
+function testRegisterImport() {
+    console.log("\nTesting Register Import...");
+    
+    const { assert, finish } = createTestSuite("Register Import");
+    
+    // Test 1: Reading files
+    {
+        assert(JSON.stringify(parseCsv('a;b\r\n"x;1";"say ""hi"""\n\n2;3')) === JSON.stringify([['a', 'b'], ['x;1', 'say "hi"'], ['2', '3']]), "CSV with semicolons and quotes is parsed");
+        
+        const csvRecords = parseRegisterFile('lamps.csv', 'Nummer;Latitude;Longitude;Typ\n12;52,5;13,4;LED\n13;;13.4;LED');
+        assert(csvRecords.length === 1 && csvRecords[0].ref === '12' && csvRecords[0].lat === 52.5 && csvRecords[0].lon === 13.4, "CSV columns are recognised, decimal commas read and rows without position skipped");
+        assert(csvRecords[0].properties.Typ === 'LED', "Other columns are kept");
+        
+        const geojsonRecords = parseRegisterFile('lamps.geojson', JSON.stringify({ type: 'FeatureCollection', features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [13.4, 52.5] }, properties: { LAMP_REF: 'A1' } },
+            { type: 'Feature', geometry: { type: 'LineString', coordinates: [[13.4, 52.5], [13.5, 52.5]] }, properties: {} }
+        ] }));
+        assert(geojsonRecords.length === 1 && geojsonRecords[0].ref === 'A1' && geojsonRecords[0].lon === 13.4, "GeoJSON points are read");
+        
+        let error = null;
+        try {
+            parseRegisterFile('lamps.geojson', 'not json');
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message === i18next.t('register_error_format'), "Invalid files are reported");
+    }
+    
+    // Test 2: Matching
+    {
+        const lamp = (id, lat, lon, ref) => ({ element: { type: 'node', id: id, lat: lat, lon: lon }, ref: ref });
+        const record = (id, lat, lon, ref) => ({ id: id, lat: lat, lon: lon, ref: ref, properties: {} });
+        // 0.0001 degrees of longitude are about 7 m here
+        const lamps = [lamp(1, 52.5, 13.4, '1'), lamp(2, 52.5, 13.401, '2'), lamp(3, 52.5, 13.402, '30'), lamp(4, 52.5, 13.403), lamp(5, 52.5, 13.404, '5')];
+        const records = [
+            record(1, 52.5, 13.40005, '1'),
+            record(2, 52.5, 13.4015, '2'),
+            record(3, 52.5, 13.40205, '3'),
+            record(4, 52.5, 13.40305),
+            record(6, 52.5, 13.41, '6')
+        ];
+        const status = {};
+        matchRegister(records, lamps).forEach(result => {
+            status[result.record ? 'record ' + result.record.id : 'lamp ' + result.lamp.element.id] = result.status;
+        });
+        assert(status['record 1'] === 'match', "Record with same ref nearby matches");
+        assert(status['record 2'] === 'position_mismatch', "Record with same ref far away is a position mismatch");
+        assert(status['record 3'] === 'ref_mismatch', "Record with different ref nearby is a ref mismatch");
+        assert(status['record 4'] === 'match', "Record without ref matches by distance");
+        assert(status['record 6'] === 'missing_in_osm', "Record without lamp nearby is missing in OSM");
+        assert(status['lamp 5'] === 'missing_in_register' && Object.keys(status).length === 6, "Lamp without record is missing in the register");
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testRegisterImport = testRegisterImport;
@@ -0,0 +1,228 @@
+/**
+ * Request Scheduler for OSM Objects
+ * Queues Overpass requests, limits how many run at once and respects the
+ * slot information reported by the Overpass /api/status endpoint
+ */
+
+// Configuration for the request scheduler
+const REQUEST_SCHEDULER_CONFIG = {
+    // Maximum number of requests running at the same time
+    MAX_CONCURRENT_REQUESTS: 2,
+    // Query /api/status of the endpoint before dispatching
+    STATUS_CHECK_ENABLED: true,
+    // Time in milliseconds a status response is trusted
+    STATUS_MAX_AGE_MS: 30000,
+    // Timeout for status requests in milliseconds
+    STATUS_TIMEOUT_MS: 3000,
+    // Upper limit for waiting on a free slot in milliseconds
+    MAX_SLOT_WAIT_MS: 60000
+};
+
+// Scheduler state
+let requestQueue = []; // queued jobs, see scheduleRequest()
+let activeRequestCount = 0;
+let cancelledRequestCount = 0;
+let slotWaitTimers = new Map(); // endpoint -> timer while waiting for a free slot
+let overpassStatus = new Map(); // endpoint -> {rateLimit, slotsAvailable, waitSeconds, checkedAt}
+let overpassStatusRequests = new Map(); // endpoint -> pending Promise
+
+/**
+ * Adds a request to the queue.
+ * A job is an object with
+ *   id           - name used in log messages
+ *   endpoint     - Overpass endpoint the job will use (null to skip the status check)
+ *   getPriority  - function returning the priority, lower values are dispatched first
+ *   isWanted     - function returning false if the job is no longer needed
+ *   onCancel     - function called when the job is dropped from the queue
+ *   execute      - function receiving a done callback, which must be called once the request finished
+ * @param {object} job - Request job
+ */
+function scheduleRequest(job) {
+    requestQueue.push(job);
+    processRequestQueue();
+}
+
+/**
+ * Removes queued jobs that are no longer wanted, e.g. after the map moved
+ * @returns {number} Number of cancelled jobs
+ */
+function cancelUnwantedRequests() {
+    const kept = [];
+    const cancelled = [];
+
+    requestQueue.forEach(job => {
+        if (!job.isWanted || job.isWanted()) {
+            kept.push(job);
+        } else {
+            cancelled.push(job);
+        }
+    });
+
+    requestQueue = kept;
+    cancelled.forEach(job => {
+        console.log(`Cancelled queued request ${job.id}`);
+        if (job.onCancel) {
+            job.onCancel();
+        }
+    });
+    cancelledRequestCount += cancelled.length;
+
+    return cancelled.length;
+}
+
+/**
+ * Dispatches queued jobs while concurrency and Overpass slots allow it.
+ * Jobs of endpoints without a free slot stay queued, jobs of other endpoints are dispatched meanwhile
+ */
+function processRequestQueue() {
+    while (activeRequestCount < REQUEST_SCHEDULER_CONFIG.MAX_CONCURRENT_REQUESTS) {
+        // Priorities may change when the map moves, so sort on every dispatch
+        requestQueue.sort((a, b) => a.getPriority() - b.getPriority());
+        const job = requestQueue.find(isRequestDispatchable);
+        if (!job) {
+            return;
+        }
+
+        if (job.endpoint && REQUEST_SCHEDULER_CONFIG.STATUS_CHECK_ENABLED) {
+            overpassStatus.get(job.endpoint).slotsAvailable--;
+        }
+
+        requestQueue.splice(requestQueue.indexOf(job), 1);
+        activeRequestCount++;
+
+        let finished = false;
+        job.execute(() => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            activeRequestCount--;
+            processRequestQueue();
+        });
+    }
+}
+
+/**
+ * Checks whether the endpoint of a job has a free Overpass slot.
+ * Otherwise the status of the endpoint is requested or the queue is processed again once a slot should be free.
+ * @param {object} job - Request job, see scheduleRequest()
+ * @returns {boolean} True if the job can be dispatched now
+ */
+function isRequestDispatchable(job) {
+    if (!job.endpoint || !REQUEST_SCHEDULER_CONFIG.STATUS_CHECK_ENABLED) {
+        return true;
+    }
+    if (slotWaitTimers.has(job.endpoint) || overpassStatusRequests.has(job.endpoint)) {
+        return false; // waiting for a free slot or the status of the endpoint
+    }
+
+    const status = overpassStatus.get(job.endpoint);
+    if (!status || (Date.now() - status.checkedAt) > REQUEST_SCHEDULER_CONFIG.STATUS_MAX_AGE_MS) {
+        refreshOverpassStatus(job.endpoint).then(processRequestQueue);
+        return false;
+    }
+
+    // A rate limit of 0 means the endpoint does not limit slots
+    if (status.rateLimit > 0 && status.slotsAvailable <= 0) {
+        const waitMs = Math.min(Math.max(status.waitSeconds, 1) * 1000, REQUEST_SCHEDULER_CONFIG.MAX_SLOT_WAIT_MS);
+        console.log(`No Overpass slot available at ${job.endpoint}, waiting ${waitMs} ms`);
+        slotWaitTimers.set(job.endpoint, setTimeout(() => {
+            slotWaitTimers.delete(job.endpoint);
+            overpassStatus.delete(job.endpoint);
+            processRequestQueue();
+        }, waitMs));
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Gets the status URL for an Overpass interpreter endpoint
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS (e.g., "overpass-api.de/api/interpreter")
+ * @returns {string} Status URL including protocol
+ */
+function getOverpassStatusUrl(endpoint) {
+    const protocol = location.protocol == 'https:' ? "https://" : "http://";
+    return protocol + endpoint.replace(/\/interpreter$/, '/status');
+}
+
+/**
+ * Parses the plain text response of the Overpass /api/status endpoint
+ * @param {string} text - Status response
+ * @returns {object} Status {rateLimit, slotsAvailable, waitSeconds}
+ */
+function parseOverpassStatus(text) {
+    const rateLimitMatch = /Rate limit:\s*(\d+)/.exec(text);
+    const availableMatch = /(\d+) slots? available now/.exec(text);
+
+    // "Slot available after: 2024-01-01T10:00:05Z, in 3 seconds."
+    let waitSeconds = 0;
+    const waitPattern = /in (-?\d+) seconds?/g;
+    let waitMatch;
+    while ((waitMatch = waitPattern.exec(text)) !== null) {
+        const seconds = parseInt(waitMatch[1], 10);
+        waitSeconds = waitSeconds === 0 ? seconds : Math.min(waitSeconds, seconds);
+    }
+
+    return {
+        rateLimit: rateLimitMatch ? parseInt(rateLimitMatch[1], 10) : 0,
+        slotsAvailable: availableMatch ? parseInt(availableMatch[1], 10) : 0,
+        waitSeconds: waitSeconds
+    };
+}
+
+/**
+ * Queries the slot status of an Overpass endpoint.
+ * If the status cannot be read the endpoint is treated as unlimited.
+ * @param {string} endpoint - Endpoint from OVERPASS_ENDPOINTS
+ * @returns {Promise} Promise resolving to the status
+ */
+function refreshOverpassStatus(endpoint) {
+    if (overpassStatusRequests.has(endpoint)) {
+        return overpassStatusRequests.get(endpoint);
+    }
+
+    const request = new Promise(resolve => {
+        $.ajax({
+            url: getOverpassStatusUrl(endpoint),
+            type: 'GET',
+            dataType: 'text',
+            crossDomain: true,
+            success: function(text) {
+                resolve(parseOverpassStatus(text));
+            },
+            error: function(jqXHR, textStatus) {
+                console.log(`Could not read Overpass status from ${endpoint}:`, textStatus);
+                resolve({ rateLimit: 0, slotsAvailable: 0, waitSeconds: 0 });
+            },
+            timeout: REQUEST_SCHEDULER_CONFIG.STATUS_TIMEOUT_MS
+        });
+    }).then(status => {
+        status.checkedAt = Date.now();
+        overpassStatus.set(endpoint, status);
+        overpassStatusRequests.delete(endpoint);
+        return status;
+    });
+
+    overpassStatusRequests.set(endpoint, request);
+    return request;
+}
+
+/**
+ * Gets statistics about the request scheduler
+ * @returns {object} Scheduler statistics
+ */
+function getRequestSchedulerStats() {
+    const slots = {};
+    overpassStatus.forEach((status, endpoint) => {
+        slots[endpoint] = status.rateLimit > 0 ? status.slotsAvailable : 'unlimited';
+    });
+
+    return {
+        queued: requestQueue.length,
+        active: activeRequestCount,
+        cancelled: cancelledRequestCount,
+        slots: slots
+    };
+}
@@ -20,6 +20,12 @@ const OVERPASS_ENDPOINTS = [
     "overpass.openstreetmap.ru/api/interpreter"
 ];
 
+// Output format requested from Overpass ("json" or "xml"), both are converted into the same element model
+const OVERPASS_OUTPUT_FORMAT = "json";
+
+// Fetch and parse Overpass responses in a Web Worker (falls back to the main thread where workers are not available)
+const USE_OVERPASS_WORKER = true;
+
 // Loading state overlay settings
 const LOADING_OVERLAY_SETTINGS = {
     // Show loading state overlays by default (errors always shown)
@@ -49,14 +55,147 @@ const LOADING_OVERLAY_SETTINGS = {
     }
 };
 
-// Clustering settings for benches
+// Clustering settings for benches and other street furniture
 const CLUSTERING_SETTINGS = {
     // Enable clustering for benches
     CLUSTER_BENCHES: true,
+    // Enable clustering for waste baskets, drinking water and bicycle parking
+    CLUSTER_STREET_FURNITURE: true,
     // Maximum zoom level where clustering is applied
     CLUSTER_MAX_ZOOM: 17,
     // Cluster radius in pixels
     CLUSTER_RADIUS: 50,
     // Minimum zoom level to show clusters
     CLUSTER_MIN_ZOOM: MIN_ZOOM
-};
\ No newline at end of file
+};
+
+// Background prefetch of rectangles around the current view
+const PREFETCH_SETTINGS = {
+    // Load rectangles around the view while the map is idle
+    ENABLED: true,
+    // Number of rectangles added around the view on each side
+    RING_SIZE: 1,
+    // Additional rectangles loaded in the direction the map was panned (0 to disable)
+    PAN_DIRECTION_RINGS: 2,
+    // Do not prefetch on metered connections (Save-Data or cellular)
+    DISABLE_ON_METERED_CONNECTION: true,
+    // Delay after the last map movement before prefetching starts, in milliseconds
+    IDLE_DELAY_MS: 1000
+};
+
+// Gap analysis of ways without lit tag
+const LIT_GAP_SETTINGS = {
+    // Highway values checked for a missing lit tag
+    HIGHWAY_VALUES: ['footway', 'cycleway', 'path', 'pedestrian', 'steps', 'living_street', 'residential',
+        'service', 'unclassified', 'tertiary', 'secondary', 'primary'],
+    // Ways with a street lamp closer than this distance in metres are marked as probably lit
+    PROBABLY_LIT_DISTANCE_M: 15
+};
+
+// Estimated light coverage of street lamps
+const LIGHT_COVERAGE_SETTINGS = {
+    // Height assumed for lamps without height tag, in metres
+    DEFAULT_HEIGHT_M: 6,
+    // Footprint radius per metre of lamp height
+    RADIUS_PER_HEIGHT: 2.5,
+    // Opening angle of the footprint of directed floodlights, in degrees
+    FLOODLIGHT_ANGLE_DEG: 90,
+    // Distance between the points of a street checked for coverage, in metres
+    SAMPLE_DISTANCE_M: 5
+};
+
+// Thematic colouring of street lamps by attribute
+const THEMATIC_SETTINGS = {
+    // Years starting a new age class of start_date
+    AGE_CLASS_YEARS: [1970, 1990, 2010],
+    // Light properties counted for the data completeness, see extractLightTags()
+    COMPLETENESS_PROPERTIES: ['operator', 'ref', 'method', 'mount', 'height', 'startDate'],
+    // Colours of attribute values without order, repeated for more values
+    PALETTE: ['#1F77B4', '#FF7F0E', '#2CA02C', '#D62728', '#9467BD', '#8C564B', '#E377C2', '#17BECF', '#BCBD22', '#393B79'],
+    // Colours of ordered classes, from oldest or least complete to newest or complete
+    SCALE: ['#D73027', '#FC8D59', '#FEE08B', '#91CF60', '#1A9850'],
+    // Colour of lamps without the attribute
+    UNKNOWN_COLOUR: '#9E9E9E'
+};
+
+// Comparison of an imported lamp register with the street lamps in OSM
+const REGISTER_SETTINGS = {
+    // Records without matching ref are matched to the nearest lamp within this distance in metres
+    MATCH_DISTANCE_M: 10,
+    // Lamps with the same ref farther apart than this distance in metres are flagged as position mismatch
+    MAX_REF_DISTANCE_M: 25,
+    // Column or property names of the register, compared case insensitive
+    REF_COLUMNS: ['ref', 'lamp_ref', 'nr', 'number', 'nummer'],
+    LAT_COLUMNS: ['lat', 'latitude', 'y'],
+    LON_COLUMNS: ['lon', 'lng', 'long', 'longitude', 'x']
+};
+
+// Editing tags and uploading changesets to the OSM API 0.6, see js/osm_api.js
+const OSM_API_SETTINGS = {
+    // Website with the OAuth2 endpoints and the API, e.g. "https://master.apis.dev.openstreetmap.org"
+    // for tests with the development server or the URL of a local mock API
+    URL: 'https://www.openstreetmap.org',
+    // OAuth2 client ID of the application registered on the website as public client,
+    // with this page (without hash) as redirect URI. Editing is disabled without client ID.
+    CLIENT_ID: '',
+    // Permissions requested at login
+    SCOPE: 'read_prefs write_api write_notes',
+    // created_by tag of the uploaded changesets
+    CREATED_BY: 'OSMObjects',
+    // Timeout of API requests in milliseconds
+    TIMEOUT_MS: 30000
+};
+
+// Adding new street lamps, see js/add_lamp.js
+const ADD_LAMP_SETTINGS = {
+    // Number of nearest existing lamps the tags of a new lamp are taken from
+    NEAREST_LAMP_COUNT: 5,
+    // Lamps farther away than this distance in metres are not used for pre-filling
+    MAX_NEAREST_DISTANCE_M: 150,
+    // Keys editable in the list of pending lamps before the upload
+    EDITABLE_KEYS: ['ref', 'operator', 'light:method']
+};
+
+// JOSM remote control, see js/josm_remote.js
+const JOSM_SETTINGS = {
+    // Remote control of a running JOSM (Preferences > Remote Control)
+    URL: 'http://127.0.0.1:8111',
+    // Margin around the loaded elements in metres
+    BBOX_PADDING_M: 30,
+    // Maximum number of lamps selected at once
+    MAX_SELECTION: 500,
+    // Timeout of the version check in milliseconds, JOSM answers at once if it is running
+    VERSION_TIMEOUT_MS: 3000
+};
+
+// "edit in" links of the popups, see js/editor_links.js
+const EDITOR_SETTINGS = {
+    // Editor of the "edit in" link: 'josm', 'id', 'rapid', 'level0' or 'vespucci'
+    DEFAULT: 'josm',
+    // Editors in the menu of the popups, in this order
+    MENU: ['josm', 'id', 'rapid', 'level0', 'vespucci'],
+    // Zoom of the editors for nodes, ways are shown completely up to this zoom
+    ZOOM: 19,
+    // Web editors, e.g. a development server of the OSM website
+    ID_URL: 'https://www.openstreetmap.org/edit',
+    RAPID_URL: 'https://rapideditor.org/edit',
+    LEVEL0_URL: 'https://level0.osmz.ru/'
+};
+
+// OSM Notes layer, see js/osm_notes.js. Notes are read from and created at OSM_API_SETTINGS.URL.
+const NOTES_SETTINGS = {
+    // Maximum number of notes per request
+    LIMIT: 1000,
+    // Maximum number of adjacent rectangles whose notes are loaded in one request
+    RECTANGLES_PER_REQUEST: 100,
+    // Maximum number of notes requests running at the same time
+    MAX_PARALLEL_REQUESTS: 2,
+    // Notes closed for more days are not shown, 0 shows open notes only
+    CLOSED_DAYS: 7,
+    // Notes of a rectangle are loaded again after this time in milliseconds
+    MAX_AGE_MS: 10 * 60 * 1000,
+    // Notes containing one of these words (case-insensitive, also as part of a word) are highlighted
+    KEYWORDS: ['lamp', 'light', 'laterne', 'leucht', 'licht'],
+    // Templates of new notes, the texts are the i18n keys note_template_<id>_text
+    TEMPLATES: ['lamp_defect', 'ref_missing']
+};
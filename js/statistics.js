@@ -0,0 +1,187 @@
+/**
+ * Statistics for OSM Objects
+ * Summarises the street lamps, streets and benches in the current view, computed from the rendered elements
+ * (see renderedElements in js/parse_scripts.js). Lamps hidden by the light filter are not counted.
+ * Streets and benches are only counted while their layers are shown, as they are not loaded otherwise.
+ */
+
+/**
+ * Counts values, most frequent first
+ * @param {Array} values - Values, undefined for elements without value
+ * @param {function} getLabel - Optional function(value) returning the label, e.g. to merge spellings
+ * @returns {Array} Counts as [label, count], label null for elements without value
+ */
+function countStatisticsValues(values, getLabel = value => value) {
+    const counts = new Map();
+    values.forEach(value => {
+        const label = value ? getLabel(value) : null;
+        counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    // Elements without value last
+    return Array.from(counts).sort((a, b) => (a[0] === null) - (b[0] === null) || b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+/**
+ * Gets the length of the part of a way inside bounds.
+ * Segments are counted if their middle is inside, which is precise enough for short street segments.
+ * @param {Array} geometry - Way geometry as [lat, lon] pairs
+ * @param {L.LatLngBounds} bounds - Bounds
+ * @returns {number} Length in metres
+ */
+function getWayLengthInBoundsM(geometry, bounds) {
+    let length = 0;
+    for (let i = 1; i < geometry.length; i++) {
+        const start = geometry[i - 1], end = geometry[i];
+        if (bounds.contains([(start[0] + end[0]) / 2, (start[1] + end[1]) / 2])) {
+            length += getDistanceM(start, end);
+        }
+    }
+    return length;
+}
+
+/**
+ * Collects the statistics of the elements in view
+ * @param {L.LatLngBounds} bounds - View bounds, defaults to the map bounds
+ * @returns {object} Statistics {lamps, operators, methods, mounts, withRef, withStartDate,
+ *   streetsLoaded, litLengthM, unlitLengthM, benchesLoaded, benches, benchMaterials}, value counts see countStatisticsValues()
+ */
+function collectViewStatistics(bounds = map.getBounds()) {
+    const lamps = [], benches = [];
+    let litLengthM = 0, unlitLengthM = 0;
+
+    renderedElements.forEach(entry => {
+        const element = entry.element;
+        const type = findObjectType(element.tags);
+        if (!type || entry.hidden) {
+            return;
+        }
+        if (type.id === 'street_lamp' && bounds.contains([element.lat, element.lon])) {
+            lamps.push(type.extractTags(element.tags));
+        } else if (type.id === 'bench' && bounds.contains([element.lat, element.lon])) {
+            benches.push(type.extractTags(element.tags));
+        } else if (type.id === 'lit_way' && element.tags.area != 'yes') {
+            const length = getWayLengthInBoundsM(element.geometry || [], bounds);
+            if (UNLIT_WAY_VALUES.includes(element.tags.lit)) {
+                unlitLengthM += length;
+            } else {
+                litLengthM += length;
+            }
+        }
+    });
+
+    return {
+        lamps: lamps.length,
+        operators: countStatisticsValues(lamps.map(props => props.operator)),
+        methods: countStatisticsValues(lamps.map(props => props.method), getLightMethod),
+        mounts: countStatisticsValues(lamps.map(props => props.mount), getLightMount),
+        withRef: lamps.filter(props => props.ref).length,
+        withStartDate: lamps.filter(props => props.startDate).length,
+        streetsLoaded: isObjectTypeQueried(getObjectType('lit_way')),
+        litLengthM: litLengthM,
+        unlitLengthM: unlitLengthM,
+        benchesLoaded: isObjectTypeQueried(getObjectType('bench')),
+        benches: benches.length,
+        benchMaterials: countStatisticsValues(benches.map(props => props.material))
+    };
+}
+
+/**
+ * Formats a share as percentage
+ * @param {number} count - Part
+ * @param {number} total - Total
+ * @returns {string} Percentage with one decimal, empty for no total
+ */
+function formatStatisticsShare(count, total) {
+    return total > 0 ? (count * 100 / total).toFixed(1) : '';
+}
+
+/**
+ * Converts statistics into rows, shown in the panel and exported as CSV
+ * @param {object} stats - Statistics, see collectViewStatistics()
+ * @returns {Array} Rows [section, value, count, share in %], sections are i18n keys
+ */
+function getStatisticsRows(stats) {
+    const none = i18next.t('statistics_none');
+    const valueRows = (section, counts, total) => counts.map(count =>
+        [section, count[0] === null ? none : count[0], count[1], formatStatisticsShare(count[1], total)]);
+    const presenceRows = (section, count, total) => [
+        [section, i18next.t('statistics_present'), count, formatStatisticsShare(count, total)],
+        [section, none, total - count, formatStatisticsShare(total - count, total)]
+    ];
+
+    let rows = [['statistics_lamps', '', stats.lamps, '']]
+        .concat(valueRows('lamp_operator', stats.operators, stats.lamps))
+        .concat(valueRows('lamp_method', stats.methods, stats.lamps))
+        .concat(valueRows('lamp_mount', stats.mounts, stats.lamps))
+        .concat(presenceRows('filter_ref', stats.withRef, stats.lamps))
+        .concat(presenceRows('lamp_start_date', stats.withStartDate, stats.lamps));
+
+    if (stats.streetsLoaded) {
+        const total = stats.litLengthM + stats.unlitLengthM;
+        rows.push(['statistics_street_km', i18next.t('statistics_lit'), (stats.litLengthM / 1000).toFixed(2), formatStatisticsShare(stats.litLengthM, total)]);
+        rows.push(['statistics_street_km', i18next.t('statistics_unlit'), (stats.unlitLengthM / 1000).toFixed(2), formatStatisticsShare(stats.unlitLengthM, total)]);
+    }
+    if (stats.benchesLoaded) {
+        rows.push(['statistics_benches', '', stats.benches, '']);
+        rows = rows.concat(valueRows('bench_material', stats.benchMaterials, stats.benches));
+    }
+    return rows;
+}
+
+/**
+ * Exports the statistics of the current view as CSV
+ */
+function exportStatisticsCsv() {
+    const rows = getStatisticsRows(collectViewStatistics()).map(row => [i18next.t(row[0])].concat(row.slice(1)));
+    const header = ['statistics_section', 'statistics_value', 'statistics_count', 'statistics_share'].map(key => i18next.t(key));
+    downloadTextFile(getExportFileName('statistics', 'csv'), 'text/csv', formatCsv([header].concat(rows)));
+}
+
+/**
+ * Renders the statistics panel for the current view
+ */
+function renderStatisticsPanel() {
+    const table = $('<table>');
+    let section = null;
+    getStatisticsRows(collectViewStatistics()).forEach(row => {
+        if (row[0] !== section) {
+            section = row[0];
+            table.append($('<tr>').append($('<th colspan="3">').text(i18next.t(section))));
+        }
+        table.append($('<tr>').append(
+            $('<td>').text(row[1]),
+            $('<td class="statistics_number">').text(row[2]),
+            $('<td class="statistics_number">').text(row[3] === '' ? '' : row[3] + ' %')
+        ));
+    });
+
+    $("#statistics").empty().append(
+        $('<b>').text(i18next.t('statistics_title')),
+        table,
+        $('<a href="#">').text(i18next.t('statistics_export')).on('click', function(event) {
+            event.preventDefault();
+            exportStatisticsCsv();
+        })
+    );
+}
+
+/**
+ * Updates the statistics panel if it is shown
+ */
+function updateStatisticsPanel() {
+    if ($("#statistics_cont").is(":visible")) {
+        renderStatisticsPanel();
+    }
+}
+
+/**
+ * Shows or hides the statistics panel
+ */
+function toggleStatisticsPanel() {
+    if ($("#statistics_cont").is(":visible")) {
+        $("#statistics_cont").hide();
+        return;
+    }
+    renderStatisticsPanel();
+    $("#statistics_cont").show();
+}
@@ -0,0 +1,59 @@
+/**
+ * Test file for the statistics panel
+ * Run these tests to verify the counts of the objects in view and the CSV export
+ */
+
+/**
+ * Test statistics and CSV export
+ */
+function testStatistics() {
+    console.log("\nTesting Statistics...");
+    
+    const { assert, finish } = createTestSuite("Statistics");
+    
+    // Test 1: CSV
+    {
+        assert(formatCsv([['a', 1], ['b,c', 'say "hi"'], [undefined, null]]) === 'a,1\r\n"b,c","say ""hi"""\r\n,\r\n', "CSV fields are quoted where needed");
+        assert(/^statistics_\d{4}-\d{2}-\d{2}\.csv$/.test(getExportFileName('statistics', 'csv')), "Export file name contains the date");
+    }
+    
+    // Test 2: Counts of the elements in view
+    {
+        const isLayerActive = isObjectLayerActive;
+        isObjectLayerActive = id => id === 'lit_streets' || id === 'benches' || isLayerActive(id);
+        clearRenderedElements();
+        
+        const bounds = L.latLngBounds([52.49, 13.39], [52.51, 13.41]);
+        renderOSMTiles(new Map([['tile_a', { nodes: [
+            { type: 'node', id: 51, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', operator: 'A', 'light:method': 'SON', ref: '1' } },
+            { type: 'node', id: 52, lat: 52.5, lon: 13.401, tags: { highway: 'street_lamp', operator: 'A', 'light:method': 'high_pressure_sodium', start_date: '1990' } },
+            { type: 'node', id: 53, lat: 52.5, lon: 13.402, tags: { highway: 'street_lamp', 'light:method': 'LED' } },
+            { type: 'node', id: 54, lat: 52.6, lon: 13.4, tags: { highway: 'street_lamp', operator: 'B' } },
+            { type: 'node', id: 55, lat: 52.5, lon: 13.403, tags: { amenity: 'bench', material: 'wood' } }
+        ], ways: [
+            // 1 km lit street, three of its four segments in view
+            { type: 'way', id: 56, geometry: [[52.5, 13.4], [52.5, 13.4036], [52.5, 13.4073], [52.5, 13.4109], [52.5, 13.4146]], tags: { highway: 'residential', lit: 'yes' } },
+            { type: 'way', id: 57, geometry: [[52.495, 13.4], [52.495, 13.4014]], tags: { highway: 'footway', lit: 'no' } }
+        ] }]]));
+        
+        const stats = collectViewStatistics(bounds);
+        assert(stats.lamps === 3, "Only lamps in view are counted");
+        assert(JSON.stringify(stats.operators) === JSON.stringify([['A', 2], [null, 1]]), "Operators are counted, untagged last");
+        assert(stats.methods[0][0] === getLightMethod('SON') && stats.methods[0][1] === 2, "Spellings of the same method are counted together");
+        assert(stats.withRef === 1 && stats.withStartDate === 1, "Lamps with ref and start date are counted");
+        assert(Math.abs(stats.litLengthM - 740) < 10 && Math.abs(stats.unlitLengthM - 95) < 5, "Street length in view is summed");
+        assert(stats.benches === 1 && stats.benchMaterials[0][0] === 'wood', "Benches are counted by material");
+        
+        const rows = getStatisticsRows(stats);
+        assert(rows.some(row => row[0] === 'filter_ref' && row[2] === 2 && row[3] === '66.7'), "Share of lamps without ref is given");
+        assert(rows.some(row => row[0] === 'statistics_street_km' && row[1] === i18next.t('statistics_unlit')), "Street length is part of the rows");
+        
+        clearRenderedElements();
+        isObjectLayerActive = isLayerActive;
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testStatistics = testStatistics;
@@ -0,0 +1,145 @@
+/**
+ * Test file for waste basket, drinking water and bicycle parking functionality
+ * Run these tests to verify icon selection and popups of the street furniture layers
+ */
+
+/**
+ * Test street furniture icon selection logic
+ */
+function testStreetFurnitureIcons() {
+    console.log("Testing street furniture icon selection...");
+
+    // Icon of an element with the given tags, resolved by its object type
+    function furnitureIcon(tags) {
+        const type = findObjectType(tags);
+        return type.getIcon(type.extractTags(tags)).options.html;
+    }
+
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+
+    // Test waste basket icons
+    {
+        assert(furnitureIcon({ amenity: "waste_basket" }).includes('waste_basket.svg'), "Default waste basket uses waste_basket icon");
+        assert(furnitureIcon({ amenity: "waste_basket", waste: "trash;dog_excrement" }).includes('waste_basket_dog.svg'), "Dog excrement bin uses waste_basket_dog icon");
+        assert(furnitureIcon({ amenity: "waste_basket", vending: "excrement_bags" }).includes('waste_basket_dog.svg'), "Bin with dog waste bags uses waste_basket_dog icon");
+        assert(furnitureIcon({ amenity: "waste_basket", waste: "plastic; paper" }).includes('waste_basket_recycling.svg'), "Separated waste uses waste_basket_recycling icon");
+        assert(furnitureIcon({ amenity: "waste_basket", waste: "dog_excrement;plastic" }).includes('waste_basket_dog.svg'), "Dog excrement takes precedence over recycling");
+    }
+
+    // Test drinking water icons
+    {
+        assert(furnitureIcon({ amenity: "drinking_water" }).includes('drinking_water.svg'), "Default drinking water uses drinking_water icon");
+        assert(furnitureIcon({ amenity: "drinking_water", bottle: "yes" }).includes('drinking_water_bottle.svg'), "Bottle refill uses drinking_water_bottle icon");
+        assert(furnitureIcon({ amenity: "drinking_water", seasonal: "summer", bottle: "yes" }).includes('drinking_water_seasonal.svg'), "Seasonal water takes precedence over bottle refill");
+        assert(furnitureIcon({ amenity: "drinking_water", seasonal: "no" }).includes('drinking_water.svg'), "seasonal=no uses the default icon");
+        assert(furnitureIcon({ amenity: "drinking_water", "drinking_water:legal": "no", seasonal: "yes" }).includes('drinking_water_no.svg'), "Water that is not drinkable uses drinking_water_no icon");
+    }
+
+    // Test bicycle parking icons
+    {
+        assert(furnitureIcon({ amenity: "bicycle_parking", bicycle_parking: "stands" }).includes('bicycle_parking.svg'), "Stands use bicycle_parking icon");
+        assert(furnitureIcon({ amenity: "bicycle_parking", covered: "yes" }).includes('bicycle_parking_covered.svg'), "Covered parking uses bicycle_parking_covered icon");
+        assert(furnitureIcon({ amenity: "bicycle_parking", bicycle_parking: "shed" }).includes('bicycle_parking_covered.svg'), "Bicycle shed uses bicycle_parking_covered icon");
+        assert(furnitureIcon({ amenity: "bicycle_parking", bicycle_parking: "lockers", covered: "yes" }).includes('bicycle_parking_lockers.svg'), "Lockers take precedence over covered");
+
+        const capacityIcon = findObjectType({ amenity: "bicycle_parking" }).getIcon({ capacity: "12" });
+        assert(map.getZoom() < 17 || capacityIcon.options.html.includes('>12</span>'), "Capacity is shown next to the symbol");
+    }
+
+    console.log(`\nStreet Furniture Icon Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Test street furniture popups and layers
+ */
+function testStreetFurniturePopups() {
+    console.log("\nTesting street furniture popups...");
+
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✓ ${message}`);
+            passed++;
+        } else {
+            console.error(`✗ ${message}`);
+            failed++;
+        }
+    }
+
+    // Test that translation keys exist
+    {
+        ["waste_basket", "drinking_water", "bicycle_parking", "bicycle_parking_capacity", "furniture_access"].forEach(key => {
+            assert(i18next.t(key) !== key, `Translation for ${key} exists`);
+        });
+    }
+
+    // Test popups: attributes as rows, other tags below
+    {
+        const element = { type: "node", id: 42, lat: 52.5, lon: 13.4, tags: { amenity: "bicycle_parking", capacity: "8", covered: "yes", name: "Station" } };
+        const type = findObjectType(element.tags);
+        const popup = type.buildPopup(type.extractTags(element.tags), element);
+        assert(popup.includes(i18next.t("bicycle_parking")), "Bicycle parking popup has a title");
+        assert(popup.includes(i18next.t("bicycle_parking_capacity") + ": </b></td><td>8"), "Capacity is shown as attribute row");
+        assert(popup.includes("<b>name: </b></td><td>Station"), "Other tags are shown");
+        assert(!popup.includes("<b>amenity: </b>"), "The amenity tag is not repeated");
+        assert(popup.includes("node/42"), "Popup links to the element");
+
+        const basket = { type: "node", id: 43, lat: 52.5, lon: 13.4, tags: { amenity: "waste_basket", waste: "trash;dog_excrement" } };
+        const basketType = findObjectType(basket.tags);
+        assert(basketType.buildPopup(basketType.extractTags(basket.tags), basket).includes("trash, dog_excrement"), "Waste types are listed");
+    }
+
+    // Test target layers and query
+    {
+        assert(findObjectType({ amenity: "waste_basket" }).layer === "waste_baskets", "Waste baskets go to the waste baskets layer");
+        assert(findObjectType({ amenity: "drinking_water" }).layer === "drinking_water", "Drinking water goes to the drinking water layer");
+        assert(findObjectType({ amenity: "bicycle_parking" }).layer === "bicycle_parking", "Bicycle parking goes to the bicycle parking layer");
+
+        const query = buildObjectQuery("[bbox:1,2,3,4];");
+        assert(query.includes('node["amenity"="waste_basket"]') === isObjectLayerActive("waste_baskets"), "Waste baskets are only queried with their layer");
+        assert(query.includes('node["amenity"="drinking_water"]') === isObjectLayerActive("drinking_water"), "Drinking water is only queried with its layer");
+        assert(query.includes('node["amenity"="bicycle_parking"]') === isObjectLayerActive("bicycle_parking"), "Bicycle parking is only queried with its layer");
+    }
+
+    console.log(`\nStreet Furniture Popup Test Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Run all street furniture tests
+ */
+function runStreetFurnitureTests() {
+    console.log("Running Street Furniture Tests...\n");
+
+    const results = [
+        testStreetFurnitureIcons(),
+        testStreetFurniturePopups()
+    ];
+
+    const allPassed = results.every(result => result === true);
+
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`Street Furniture Test Results: ${allPassed ? 'ALL TESTS PASSED ✓' : 'SOME TESTS FAILED ✗'}`);
+    console.log(`${'='.repeat(50)}`);
+
+    return allPassed;
+}
+
+// Make test functions available globally for manual testing
+window.testStreetFurnitureIcons = testStreetFurnitureIcons;
+window.testStreetFurniturePopups = testStreetFurniturePopups;
+window.runStreetFurnitureTests = runStreetFurnitureTests;
@@ -0,0 +1,197 @@
+/**
+ * Tag Editor for OSM Objects
+ * Replaces the content of a popup with a form for the editable keys of the object type
+ * (see editableKeys in js/object_types.js) and uploads the changed tags with a changeset comment.
+ * The form is based on the current version read from the OSM API, see js/osm_api.js.
+ */
+
+// Values suggested in the inputs, other values can still be entered
+const TAG_EDITOR_SUGGESTIONS = {
+    'light:method': ['LED', 'high_pressure_sodium', 'low_pressure_sodium', 'metal-halide', 'fluorescent', 'mercury', 'incandescent', 'gas'],
+    'light:colour': ['white', 'orange', 'yellow', 'blue', 'red', 'green'],
+    'light:mount': ['straight_mast', 'bent_mast', 'cast_steel_mast', 'wall_mounted', 'suspended', 'power_pole', 'ceiling', 'ground'],
+    'backrest': ['yes', 'no'],
+    'material': ['wood', 'metal', 'stone', 'concrete', 'plastic']
+};
+
+// Last opened popup, the edit link is clicked in it
+let tagEditorPopup = null;
+
+/**
+ * Gets the tags of an element after editing
+ * @param {object} tags - Current tags
+ * @param {object} values - Entered values: key -> value, empty values remove the key
+ * @returns {object} New tags
+ */
+function getEditedTags(tags, values) {
+    const edited = Object.assign({}, tags);
+    Object.keys(values).forEach(key => {
+        const value = values[key].trim();
+        if (value) {
+            edited[key] = value;
+        } else {
+            delete edited[key];
+        }
+    });
+    return edited;
+}
+
+/**
+ * Checks whether two sets of tags are equal
+ * @param {object} a - Tags
+ * @param {object} b - Tags
+ * @returns {boolean} True with the same keys and values
+ */
+function isSameTags(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Shows the login state in a form
+ * @param {jQuery} container - Login line of the form
+ */
+function renderTagEditorLogin(container) {
+    container.empty();
+    if (!isOSMLoggedIn()) {
+        container.append($('<a href="#">').text(i18next.t('osm_login')).on('click', function(event) {
+            event.preventDefault();
+            loginOSM().catch(error => container.text(error.message));
+        }));
+        return;
+    }
+    const name = $('<span>');
+    container.append(name, ' (', $('<a href="#">').text(i18next.t('osm_logout')).on('click', function(event) {
+        event.preventDefault();
+        logoutOSM();
+    }), ')');
+    getOSMUserName().then(
+        userName => name.text(i18next.t('osm_logged_in', { user: userName, interpolation: { escapeValue: false } })),
+        () => name.text(i18next.t('osm_logged_in', { user: '?' })));
+}
+
+/**
+ * Shows the tag editor in a popup
+ * @param {L.Popup} popup - Popup
+ * @param {object} element - Current version of the element, see fetchOSMElement()
+ * @param {string} originalContent - Popup content restored on cancel
+ */
+function renderTagEditor(popup, element, originalContent) {
+    const type = findObjectType(element.tags);
+    const form = $('<form class="tag_editor">');
+    const table = $('<table>');
+    ((type && type.editableKeys) || []).forEach((key, index) => {
+        const input = $('<input type="text" class="tag_editor_value">').attr('data-key', key).val(element.tags[key] || '');
+        if (TAG_EDITOR_SUGGESTIONS[key]) {
+            const listId = 'tag_editor_values_' + index;
+            input.attr('list', listId);
+            form.append($('<datalist>').attr('id', listId).append(TAG_EDITOR_SUGGESTIONS[key].map(value => $('<option>').val(value))));
+        }
+        table.append($('<tr>').append($('<td>').append($('<b>').text(key)), $('<td>').append(input)));
+    });
+    table.append($('<tr>').append(
+        $('<td>').append($('<b>').text(i18next.t('edit_comment'))),
+        $('<td>').append($('<input type="text" class="tag_editor_comment">').attr('placeholder', i18next.t('edit_comment_placeholder')))
+    ));
+
+    const message = $('<p class="tag_editor_message">');
+    form.append(
+        $('<b>').text(element.type + '/' + element.id + ' (v' + element.version + ')'),
+        table,
+        $('<p class="tag_editor_login">'),
+        $('<button type="submit">').text(i18next.t('edit_save')),
+        ' ',
+        $('<button type="button">').text(i18next.t('edit_cancel')).on('click', () => popup.setContent(originalContent)),
+        message
+    );
+    renderTagEditorLogin(form.find('.tag_editor_login'));
+
+    form.on('submit', function(event) {
+        event.preventDefault();
+        saveTagEditor(popup, element, form, originalContent);
+    });
+    // Typing must not move or zoom the map
+    L.DomEvent.disableClickPropagation(form[0]);
+    form.on('keydown keypress', event => event.stopPropagation());
+    popup.setContent(form[0]);
+}
+
+/**
+ * Uploads the tags entered in the tag editor
+ * @param {L.Popup} popup - Popup of the form
+ * @param {object} element - Element the form is based on
+ * @param {jQuery} form - Form
+ * @param {string} originalContent - Popup content of the element
+ */
+function saveTagEditor(popup, element, form, originalContent) {
+    const message = form.find('.tag_editor_message').removeClass('tag_editor_error');
+    const values = {};
+    form.find('.tag_editor_value').each(function() {
+        values[$(this).attr('data-key')] = $(this).val();
+    });
+    const tags = getEditedTags(element.tags, values);
+    const comment = form.find('.tag_editor_comment').val().trim();
+
+    let problem = null;
+    if (isSameTags(tags, element.tags)) {
+        problem = i18next.t('edit_no_changes');
+    } else if (!comment) {
+        problem = i18next.t('edit_comment_missing');
+    } else if (!isOSMLoggedIn()) {
+        problem = i18next.t('edit_login_missing');
+    }
+    if (problem) {
+        message.addClass('tag_editor_error').text(problem);
+        return;
+    }
+
+    form.find('button').prop('disabled', true);
+    message.text(i18next.t('edit_uploading'));
+    uploadOSMChanges({ modify: [Object.assign({}, element, { tags: tags, originalTags: element.tags })] }, comment).then(result => {
+        const link = $('<a target="_blank">').attr('href', OSM_API_SETTINGS.URL + '/changeset/' + result.changeset).text(result.changeset);
+        popup.setContent($('<div class="tag_editor">').append(i18next.t('edit_uploaded'), ' ', link)[0]);
+        // Rendering the element again removes the marker and its popup, so wait until the popup is closed
+        popup.once('remove', () => updateRenderedElement(element.type, element.id, tags));
+    }, error => {
+        form.find('button').prop('disabled', false);
+        message.addClass('tag_editor_error').text(error.message);
+        if (error.conflicts) {
+            message.append(' ', $('<a href="#">').text(i18next.t('edit_reload')).on('click', function(event) {
+                event.preventDefault();
+                openTagEditor(element.type, element.id, originalContent);
+            }));
+        }
+    });
+}
+
+/**
+ * Opens the tag editor of an element in the open popup
+ * @param {string} type - "node" or "way"
+ * @param {string} id - Element ID
+ * @param {string} originalContent - Popup content restored on cancel, defaults to the current content
+ */
+function openTagEditor(type, id, originalContent) {
+    const popup = tagEditorPopup;
+    if (!popup) {
+        return;
+    }
+    const content = originalContent || popup.getContent();
+    popup.setContent($('<div class="tag_editor">').text(i18next.t('edit_loading'))[0]);
+    fetchOSMElement(type, id).then(
+        element => renderTagEditor(popup, element, content),
+        error => popup.setContent($('<div class="tag_editor tag_editor_error">').text(error.message)[0]));
+}
+
+/**
+ * Remembers the opened popups and updates the open forms after logging in or out
+ */
+function initTagEditor() {
+    map.on('popupopen', event => {
+        tagEditorPopup = event.popup;
+    });
+    addOSMLoginListener(() => {
+        $('.tag_editor_login').each(function() {
+            renderTagEditorLogin($(this));
+        });
+    });
+}
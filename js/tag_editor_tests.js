@@ -0,0 +1,76 @@
+/**
+ * Test file for the tag editor
+ * Run these tests to verify editing tags and uploading changesets
+ */
+
+/**
+ * Test the tag editor and the changeset upload
+ */
+function testTagEditing() {
+    console.log("\nTesting Tag Editing...");
+    
+    const { assert, finish } = createTestSuite("Tag Editing");
+    
+    // Test 1: Edited tags
+    {
+        const tags = { highway: 'street_lamp', ref: '12', 'light:method': 'sodium' };
+        const edited = getEditedTags(tags, { ref: ' 13 ', 'light:method': '', operator: 'City' });
+        assert(edited.ref === '13' && edited.operator === 'City' && !('light:method' in edited) && edited.highway === 'street_lamp', "Values are trimmed, empty values remove keys and other tags are kept");
+        assert(tags.ref === '12', "Current tags are not changed");
+        assert(isSameTags(tags, getEditedTags(tags, { ref: '12', operator: '' })) && !isSameTags(tags, edited), "Unchanged tags are recognised");
+        assert(getObjectType('street_lamp').editableKeys.includes('light:method') && getObjectType('bench').editableKeys.includes('backrest'), "Street lamps and benches have editable keys");
+    }
+    
+    // Test 2: Conflicts
+    {
+        const base = { type: 'node', id: 1, version: 3, tags: { ref: '12', operator: 'City' } };
+        assert(getOSMConflict(base, { version: 3, tags: { ref: '12', operator: 'City' } }) === null, "Same version is no conflict");
+        const conflict = getOSMConflict(base, { version: 4, user: 'mapper', tags: { ref: '14', operator: 'City', lit: 'yes' } });
+        assert(conflict && conflict.version === 4 && conflict.keys.join() === 'ref,lit', "Newer version is a conflict with the changed keys");
+        assert(createOSMConflictError([conflict]).conflicts.length === 1, "Conflict errors keep the conflicts");
+        const edited = Object.assign({}, base, { tags: { ref: '13', operator: 'City' }, originalTags: base.tags });
+        assert(getOSMConflict(edited, { version: 4, tags: { ref: '12', operator: 'Town' } }).keys.join() === 'operator', "Keys of the edit are not reported as changed by others");
+    }
+    
+    // Test 3: Upload documents
+    {
+        const xml = formatOsmChange({
+            create: [{ type: 'node', id: -1, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp' } }],
+            modify: [{ type: 'node', id: 1, version: 3, lat: 52.5, lon: 13.4, tags: { ref: 'A&B "1"' } }]
+        }, '99');
+        assert(xml.indexOf('<create><node id="-1" changeset="99" lat="52.5" lon="13.4"><tag k="highway" v="street_lamp"/></node></create>') !== -1, "New nodes are created without version");
+        assert(xml.indexOf('<modify><node id="1" changeset="99" version="3" lat="52.5" lon="13.4"><tag k="ref" v="A&amp;B &quot;1&quot;"/></node></modify>') !== -1, "Modified nodes keep their version and values are escaped");
+        assert(formatOsmChange({ modify: [{ type: 'way', id: 2, version: 1, nodes: [1, 2], tags: {} }] }, '99').indexOf('<way id="2" changeset="99" version="1"><nd ref="1"/><nd ref="2"/></way>') !== -1, "Ways are uploaded with their nodes");
+        assert(formatOSMChangeset('Survey <today>').indexOf('<tag k="comment" v="Survey &lt;today&gt;"/>') !== -1, "Changeset comment is escaped");
+        
+        const diff = parseOSMDiffResult('<diffResult version="0.6"><node old_id="-1" new_id="123" new_version="1"/><node old_id="1" new_id="1" new_version="4"/></diffResult>');
+        assert(diff.length === 2 && diff[0].newId === 123 && diff[1].newVersion === 4, "Upload response is read");
+        assert(encodeBase64Url(new Uint8Array([251, 255, 191])) === '-_-_', "PKCE values are base64url encoded");
+    }
+    
+    // Test 4: Blocked login window
+    {
+        const open = window.open;
+        const clientId = OSM_API_SETTINGS.CLIENT_ID;
+        window.open = () => null;
+        OSM_API_SETTINGS.CLIENT_ID = 'test';
+        let login = null;
+        try {
+            login = loginOSM();
+        } catch (error) {
+            console.error(error);
+        } finally {
+            window.open = open;
+            OSM_API_SETTINGS.CLIENT_ID = clientId;
+        }
+        assert(login instanceof Promise, "Blocked login window rejects instead of throwing");
+        if (login) {
+            login.catch(error => console.log('Login rejected: ' + error.message));
+        }
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testTagEditing = testTagEditing;
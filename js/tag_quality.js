@@ -0,0 +1,297 @@
+/**
+ * Tagging Quality for OSM Objects
+ * Checks the tags of street lamps for deprecated keys and values the map cannot interpret.
+ * Issues are drawn on the "Tagging Issues" layer and listed for the lamps in view,
+ * each with a severity, a short explanation and a suggested fix.
+ * Method and mount values are checked with the normalisers of the popup (see getLightMethodKey() in js/parse_scripts.js).
+ */
+
+// Severities in order of importance with the colours of the issue markers
+const QUALITY_SEVERITY_COLOURS = {
+    error: '#D50000',
+    warning: '#FF6D00',
+    info: '#2962FF'
+};
+
+// Deprecated keys: key -> {key replacing it, optional normaliser to compare the values of both keys}.
+// The normalisers are wrapped as js/parse_scripts.js is loaded later.
+const QUALITY_DEPRECATED_KEYS = {
+    'lamp_type': { key: 'light:method', normalise: value => getLightMethodKey(value) },
+    'lamp_mount': { key: 'light:mount', normalise: value => getLightMountKey(value) },
+    'lamp_ref': { key: 'ref' },
+    'lamp_model:de': { key: 'model' }
+};
+
+/**
+ * Creates an issue. The explanation is the i18n key "quality_<code>", the fix "quality_fix_<code>",
+ * or "quality_fix_value" if a corrected value is suggested. Both are translated with the parameters.
+ * @param {string} severity - "error", "warning" or "info"
+ * @param {string} code - Issue code
+ * @param {object} params - Parameters {key, value, ...}, suggestion for a corrected value of key
+ * @returns {object} Issue {severity, code, params}
+ */
+function createQualityIssue(severity, code, params) {
+    return { severity: severity, code: code, params: params };
+}
+
+/**
+ * Gets a corrected spelling of a value, e.g. "High Pressure Sodium" for high_pressure_sodium
+ * @param {string} value - Tag value
+ * @param {function} getKey - Normaliser returning null for unknown values, e.g. getLightMethodKey()
+ * @returns {string|null} Known spelling, null if none found
+ */
+function getQualityValueSuggestion(value, getKey) {
+    const lowerCase = value.trim().toLowerCase();
+    const candidates = [lowerCase, lowerCase.replace(/[ -]+/g, '_'), lowerCase.replace(/[ _]+/g, '-')];
+    return candidates.find(candidate => getKey(candidate) !== null) || null;
+}
+
+/**
+ * Gets a number in metres from a height value, e.g. "6" for "6 m" or "4.5" for "4,5"
+ * @param {string} value - Value of a height tag
+ * @returns {string|null} Number, null if the value is no height in metres
+ */
+function getQualityHeightSuggestion(value) {
+    const number = value.trim().replace(/\s*(m|meters?|metres?)$/i, '').replace(',', '.');
+    return /^\d+(\.\d+)?$/.test(number) ? number : null;
+}
+
+/**
+ * Gets a valid spelling of a direction, e.g. "NE" for "ne" or "45" for "45°"
+ * @param {string} value - Single direction
+ * @returns {string|null} Direction, null if not recognised
+ */
+function getQualityDirectionSuggestion(value) {
+    const direction = value.trim().replace(/\s*(°|deg)$/i, '').replace(',', '.').toUpperCase();
+    return direction !== '' && getDirectionDegrees(direction) !== null ? direction : null;
+}
+
+/**
+ * Checks the tags of a street lamp
+ * @param {object} tags - OSM tags
+ * @returns {Array} Issues, see createQualityIssue(), most severe first
+ */
+function validateLightTags(tags) {
+    const issues = [];
+
+    Object.keys(QUALITY_DEPRECATED_KEYS).forEach(key => {
+        if (tags[key] === undefined) {
+            return;
+        }
+        const replacement = QUALITY_DEPRECATED_KEYS[key];
+        const params = { key: key, value: tags[key], newKey: replacement.key, newValue: tags[replacement.key] };
+        if (tags[replacement.key] === undefined) {
+            issues.push(createQualityIssue('warning', 'deprecated_key', params));
+            return;
+        }
+        const normalise = replacement.normalise || (value => value);
+        const same = tags[key] === tags[replacement.key] ||
+            (normalise(tags[key]) !== null && normalise(tags[key]) === normalise(tags[replacement.key]));
+        issues.push(createQualityIssue(same ? 'info' : 'error', same ? 'deprecated_key_duplicate' : 'deprecated_key_conflict', params));
+    });
+
+    ['height', 'light:height'].forEach(key => {
+        if (tags[key] !== undefined && !/^\d+(\.\d+)?$/.test(tags[key])) {
+            issues.push(createQualityIssue('error', 'height_not_numeric',
+                { key: key, value: tags[key], suggestion: getQualityHeightSuggestion(tags[key]) }));
+        }
+    });
+
+    const count = tags['light:count'];
+    if (count !== undefined) {
+        if (!/^\d+$/.test(count) || Number(count) === 0) {
+            issues.push(createQualityIssue('error', 'count_invalid', { key: 'light:count', value: count }));
+        } else if (Number(count) > LIGHT_COUNT_MAX) {
+            issues.push(createQualityIssue('warning', 'count_above_max', { key: 'light:count', value: count, max: LIGHT_COUNT_MAX }));
+        }
+    }
+
+    ['light:direction', 'direction'].forEach(key => {
+        if (tags[key] === undefined) {
+            return;
+        }
+        // Several lights have one direction each
+        const directions = tags[key].split(';');
+        if (directions.every(direction => getDirectionDegrees(direction.trim()) !== null)) {
+            return;
+        }
+        const corrected = directions.map(direction =>
+            getDirectionDegrees(direction.trim()) !== null ? direction.trim() : getQualityDirectionSuggestion(direction));
+        issues.push(createQualityIssue('error', 'direction_invalid',
+            { key: key, value: tags[key], suggestion: corrected.includes(null) ? null : corrected.join(';') }));
+    });
+
+    const methodKey = tags['light:method'] !== undefined ? 'light:method' : 'lamp_type';
+    if (tags[methodKey] !== undefined && getLightMethodKey(tags[methodKey]) === null) {
+        issues.push(createQualityIssue('warning', 'method_unknown',
+            { key: methodKey, value: tags[methodKey], suggestion: getQualityValueSuggestion(tags[methodKey], getLightMethodKey) }));
+    }
+
+    const mountKey = ['light:mount', 'lamp_mount'].find(key => tags[key] !== undefined);
+    if (mountKey && getLightMountKey(tags[mountKey]) === null) {
+        issues.push(createQualityIssue('info', 'mount_unknown',
+            { key: mountKey, value: tags[mountKey], suggestion: getQualityValueSuggestion(tags[mountKey], getLightMountKey) }));
+    }
+
+    const severities = Object.keys(QUALITY_SEVERITY_COLOURS);
+    return issues.sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity));
+}
+
+/**
+ * Gets the translation options of an issue, tag values are escaped where the text is shown
+ * @param {object} issue - Issue, see createQualityIssue()
+ * @returns {object} i18next options
+ */
+function getQualityTranslationOptions(issue) {
+    return Object.assign({ interpolation: { escapeValue: false } }, issue.params);
+}
+
+/**
+ * Gets the explanation of an issue in the current language
+ * @param {object} issue - Issue, see createQualityIssue()
+ * @returns {string} Explanation
+ */
+function getQualityIssueText(issue) {
+    return i18next.t('quality_' + issue.code, getQualityTranslationOptions(issue));
+}
+
+/**
+ * Gets the suggested fix of an issue in the current language
+ * @param {object} issue - Issue, see createQualityIssue()
+ * @returns {string} Suggested fix
+ */
+function getQualityIssueFix(issue) {
+    return i18next.t(issue.params.suggestion ? 'quality_fix_value' : 'quality_fix_' + issue.code, getQualityTranslationOptions(issue));
+}
+
+/**
+ * Gets the tags fixing an issue, proposed in JOSM from the list of the issues (see addTagsInJOSM())
+ * @param {object} issue - Issue, see createQualityIssue()
+ * @returns {object|null} Tags, empty values remove the key, null if the fix needs a decision
+ */
+function getQualityFixTags(issue) {
+    const params = issue.params;
+    if (params.suggestion) {
+        return { [params.key]: params.suggestion };
+    }
+    if (issue.code === 'deprecated_key') {
+        return { [params.newKey]: params.value, [params.key]: '' };
+    }
+    if (issue.code === 'deprecated_key_duplicate') {
+        return { [params.key]: '' };
+    }
+    return null;
+}
+
+/**
+ * Builds the popup of the issue marker of a lamp
+ * @param {object} element - Element from the element model
+ * @param {Array} issues - Issues of the element, see validateLightTags()
+ * @returns {string} Popup HTML
+ */
+function buildQualityPopup(element, issues) {
+    let html = '<b>' + escapeXml(element.type + '/' + element.id) + '</b><ul class="quality_issues">';
+    issues.forEach(issue => {
+        html += '<li><span class="thematic_swatch" style="background-color:' + QUALITY_SEVERITY_COLOURS[issue.severity] + '"></span>' +
+            escapeXml(getQualityIssueText(issue)) + '<br><i>' + escapeXml(getQualityIssueFix(issue)) + '</i></li>';
+    });
+    return html + '</ul>';
+}
+
+/**
+ * Gets the issue marker of a lamp for the tagging issues layer
+ * @param {object} props - Light properties
+ * @param {object} element - Element from the element model
+ * @returns {Array} Overlays [{layer, shape}], empty without issues or while the layer is hidden
+ */
+function getQualityOverlays(props, element) {
+    if (!isObjectLayerActive('light_quality')) {
+        return [];
+    }
+    const issues = validateLightTags(element.tags);
+    if (issues.length === 0) {
+        return [];
+    }
+    // Issues are sorted, so the first one has the highest severity
+    const marker = L.circleMarker([element.lat, element.lon],
+        { radius: 12, color: QUALITY_SEVERITY_COLOURS[issues[0].severity], weight: 3, fill: false });
+    return [{ layer: 'light_quality', shape: marker.bindPopup(buildQualityPopup(element, issues)) }];
+}
+
+/**
+ * Collects the issues of the shown street lamps in view
+ * @param {L.LatLngBounds} bounds - View bounds, defaults to the map bounds
+ * @returns {Array} Lamps with issues [{element, issues}], lamps with errors first
+ */
+function collectQualityIssues(bounds = map.getBounds()) {
+    const severities = Object.keys(QUALITY_SEVERITY_COLOURS);
+    const lamps = [];
+    renderedElements.forEach(entry => {
+        const element = entry.element;
+        const type = findObjectType(element.tags);
+        if (!type || type.id !== 'street_lamp' || entry.hidden || !bounds.contains([element.lat, element.lon])) {
+            return;
+        }
+        const issues = validateLightTags(element.tags);
+        if (issues.length > 0) {
+            lamps.push({ element: element, issues: issues });
+        }
+    });
+    return lamps.sort((a, b) => severities.indexOf(a.issues[0].severity) - severities.indexOf(b.issues[0].severity));
+}
+
+/**
+ * Renders the list of the tagging issues in view
+ */
+function renderQualityPanel() {
+    const lamps = collectQualityIssues();
+    const list = $('<table>');
+    lamps.forEach(lamp => {
+        const link = $('<a href="#">').text(lamp.element.type + '/' + lamp.element.id).on('click', function(event) {
+            event.preventDefault();
+            map.setView([lamp.element.lat, lamp.element.lon], Math.max(map.getZoom(), 18));
+        });
+        lamp.issues.forEach((issue, index) => {
+            const fixTags = getQualityFixTags(issue);
+            const fix = $('<td>').append($('<span>').text(getQualityIssueText(issue)), '<br>', $('<i>').text(getQualityIssueFix(issue)));
+            if (fixTags) {
+                fix.append(' ', $('<a href="#">').text(i18next.t('josm_fix')).on('click', function(event) {
+                    event.preventDefault();
+                    addTagsInJOSM([lamp.element], fixTags).catch(showJOSMError);
+                }));
+            }
+            list.append($('<tr>').append(
+                $('<td>').append(index === 0 ? link : ''),
+                $('<td>').append($('<span class="thematic_swatch">').css('background-color', QUALITY_SEVERITY_COLOURS[issue.severity]),
+                    i18next.t('quality_severity_' + issue.severity)),
+                fix
+            ));
+        });
+    });
+
+    $("#quality").empty().append(
+        $('<b>').text(i18next.t('quality_title')),
+        lamps.length > 0 ? list : $('<p>').text(i18next.t('quality_none'))
+    );
+}
+
+/**
+ * Updates the list of the tagging issues if it is shown
+ */
+function updateQualityPanel() {
+    if ($("#quality_cont").is(":visible")) {
+        renderQualityPanel();
+    }
+}
+
+/**
+ * Shows or hides the list of the tagging issues
+ */
+function toggleQualityPanel() {
+    if ($("#quality_cont").is(":visible")) {
+        $("#quality_cont").hide();
+        return;
+    }
+    renderQualityPanel();
+    $("#quality_cont").show();
+}
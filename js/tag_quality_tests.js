@@ -0,0 +1,54 @@
+/**
+ * Test file for the tagging quality checks
+ * Run these tests to verify the issues found on street lamps
+ */
+
+/**
+ * Test the tagging quality checks of street lamps
+ */
+function testTagQuality() {
+    console.log("\nTesting Tag Quality...");
+    
+    const { assert, finish } = createTestSuite("Tag Quality");
+    
+    const codes = tags => validateLightTags(Object.assign({ highway: 'street_lamp' }, tags)).map(issue => issue.code);
+    const issue = (tags, code) => validateLightTags(Object.assign({ highway: 'street_lamp' }, tags)).find(found => found.code === code);
+    
+    // Test 1: Valid tags
+    {
+        assert(codes({ 'light:method': 'LED', 'light:mount': 'bent_mast', height: '6.5', 'light:count': '2', 'light:direction': 'NE;225', ref: '12' }).length === 0, "Valid tags have no issues");
+    }
+    
+    // Test 2: Deprecated keys
+    {
+        const deprecated = issue({ lamp_type: 'LED' }, 'deprecated_key');
+        assert(deprecated && deprecated.severity === 'warning' && deprecated.params.newKey === 'light:method', "lamp_type is reported as deprecated");
+        assert(issue({ lamp_mount: 'bent mast', 'light:mount': 'bent_mast' }, 'deprecated_key_duplicate').severity === 'info', "Spellings of the same mount are duplicates");
+        assert(issue({ lamp_ref: '12', ref: '13' }, 'deprecated_key_conflict').severity === 'error', "Different values of lamp_ref and ref conflict");
+        assert(codes({ 'lamp_model:de': 'AEG' }).includes('deprecated_key'), "lamp_model:de is reported as deprecated");
+    }
+    
+    // Test 3: Values
+    {
+        assert(issue({ height: '6 m' }, 'height_not_numeric').params.suggestion === '6', "Height with unit suggests the number");
+        assert(issue({ 'light:height': 'high' }, 'height_not_numeric').params.suggestion === null, "Height without number has no suggestion");
+        assert(issue({ 'light:count': '2.5' }, 'count_invalid').severity === 'error', "Fractional light:count is invalid");
+        assert(issue({ 'light:count': String(LIGHT_COUNT_MAX + 1) }, 'count_above_max').severity === 'warning', "light:count above LIGHT_COUNT_MAX is reported");
+        assert(issue({ 'light:direction': 'ne;90°' }, 'direction_invalid').params.suggestion === 'NE;90', "Direction spellings are corrected");
+        assert(issue({ direction: 'to_street' }, 'direction_invalid').params.suggestion === null, "Unknown direction has no suggestion");
+        assert(issue({ 'light:method': 'High Pressure Sodium' }, 'method_unknown').params.suggestion === 'high_pressure_sodium', "Unknown method suggests a known spelling");
+        assert(issue({ 'light:mount': 'lamppost' }, 'mount_unknown').severity === 'info', "Unknown mount is a note");
+    }
+    
+    // Test 4: Order and texts
+    {
+        const issues = validateLightTags({ highway: 'street_lamp', 'light:mount': 'lamppost', height: 'x', lamp_type: 'LED' });
+        assert(issues.map(found => found.severity).join() === 'error,warning,info', "Issues are sorted by severity");
+        assert(getQualityIssueFix(issue({ height: '6 m' }, 'height_not_numeric')) === i18next.t('quality_fix_value', { key: 'height', suggestion: '6' }), "Fix with suggestion names the corrected value");
+    }
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testTagQuality = testTagQuality;
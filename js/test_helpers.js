@@ -0,0 +1,30 @@
+/**
+ * Shared helpers of the test files
+ * Loaded before the test files, see index.html
+ */
+
+/**
+ * Creates the result counters and the assert function of a test suite
+ * @param {string} name - Name of the suite in the results, e.g. "Light Filter"
+ * @returns {object} Suite {assert(condition, message), finish()}, finish() logs the results and returns true if all tests passed
+ */
+function createTestSuite(name) {
+    let passed = 0;
+    let failed = 0;
+
+    return {
+        assert(condition, message) {
+            if (condition) {
+                console.log(`✓ ${message}`);
+                passed++;
+            } else {
+                console.error(`✗ ${message}`);
+                failed++;
+            }
+        },
+        finish() {
+            console.log(`\n${name} Test Results: ${passed} passed, ${failed} failed`);
+            return failed === 0;
+        }
+    };
+}
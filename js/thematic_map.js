@@ -0,0 +1,264 @@
+/**
+ * Thematic Map for OSM Objects
+ * Colours the street lamp markers by an attribute chosen in a map control, e.g. to audit the LED conversion
+ * per operator. The control shows a legend of the attribute values of the lamps in view.
+ * The chosen attribute is kept in the permalink as hash parameter "theme".
+ */
+
+// Hash parameter of the chosen attribute
+const THEMATIC_HASH_PARAMETER = 'theme';
+
+/**
+ * Attributes the markers can be coloured by:
+ *   id          - Attribute ID, used in the permalink
+ *   labelKey    - i18n key of the attribute name
+ *   getCategory - function(props) returning the value class of a lamp, null if unknown
+ *   getLabel    - function(category) returning the legend text of a class
+ *   categories  - Classes in order for ordered attributes, coloured by THEMATIC_SETTINGS.SCALE.
+ *                 Classes of other attributes get the colours of THEMATIC_SETTINGS.PALETTE when they first occur.
+ */
+const THEMATIC_ATTRIBUTES = [
+    {
+        id: 'operator',
+        labelKey: 'lamp_operator',
+        getCategory: props => props.operator || null,
+        getLabel: category => category
+    },
+    {
+        id: 'method',
+        labelKey: 'lamp_method',
+        // Spellings of the same method share a class
+        getCategory: props => props.method ? getLightMethod(props.method) : null,
+        getLabel: category => category
+    },
+    {
+        id: 'mount',
+        labelKey: 'lamp_mount',
+        getCategory: props => props.mount ? getLightMount(props.mount) : null,
+        getLabel: category => category
+    },
+    {
+        id: 'age',
+        labelKey: 'thematic_age',
+        getCategory: props => getAgeClass(getStartYear(props.startDate)),
+        getLabel: getAgeClassLabel,
+        categories: Array.from({ length: THEMATIC_SETTINGS.AGE_CLASS_YEARS.length + 1 }, (value, index) => String(index))
+    },
+    {
+        id: 'completeness',
+        labelKey: 'thematic_completeness',
+        getCategory: getCompletenessClass,
+        getLabel: category => i18next.t('thematic_completeness_' + category),
+        categories: ['sparse', 'partial', 'complete']
+    }
+];
+
+// Attribute the markers are coloured by, null for the light colours
+let thematicAttribute = null;
+// Colours of the classes of attributes without order: class -> colour
+let thematicColours = new Map();
+// Permalink the attribute is written to, set by initThematicMap()
+let thematicHash = null;
+
+/**
+ * Gets a thematic attribute by its ID
+ * @param {string} id - Attribute ID
+ * @returns {object|undefined} Attribute, see THEMATIC_ATTRIBUTES
+ */
+function getThematicAttribute(id) {
+    return THEMATIC_ATTRIBUTES.find(attribute => attribute.id === id);
+}
+
+/**
+ * Gets the age class of a lamp
+ * @param {number|null} year - Year of start_date, see getStartYear()
+ * @returns {string|null} Index of the class in THEMATIC_SETTINGS.AGE_CLASS_YEARS, null without year
+ */
+function getAgeClass(year) {
+    if (year === null) {
+        return null;
+    }
+    const years = THEMATIC_SETTINGS.AGE_CLASS_YEARS;
+    const index = years.findIndex(classYear => year < classYear);
+    return String(index === -1 ? years.length : index);
+}
+
+/**
+ * Gets the legend text of an age class
+ * @param {string} category - Age class, see getAgeClass()
+ * @returns {string} Range of years
+ */
+function getAgeClassLabel(category) {
+    const years = THEMATIC_SETTINGS.AGE_CLASS_YEARS;
+    const index = Number(category);
+    if (index === 0) {
+        return i18next.t('thematic_age_before', { year: years[0] });
+    }
+    if (index === years.length) {
+        return i18next.t('thematic_age_since', { year: years[index - 1] });
+    }
+    return years[index - 1] + '–' + (years[index] - 1);
+}
+
+/**
+ * Gets the data completeness class of a lamp
+ * @param {object} props - Light properties, see extractLightTags()
+ * @returns {string} "complete" with all THEMATIC_SETTINGS.COMPLETENESS_PROPERTIES, "partial" with at least half of them, else "sparse"
+ */
+function getCompletenessClass(props) {
+    const keys = THEMATIC_SETTINGS.COMPLETENESS_PROPERTIES;
+    const present = keys.filter(key => props[key]).length;
+    if (present === keys.length) {
+        return 'complete';
+    }
+    return present * 2 >= keys.length ? 'partial' : 'sparse';
+}
+
+/**
+ * Gets the colour of a class of the chosen attribute
+ * @param {object} attribute - Attribute, see THEMATIC_ATTRIBUTES
+ * @param {string|null} category - Class, null if unknown
+ * @returns {string} CSS colour
+ */
+function getThematicCategoryColour(attribute, category) {
+    if (category === null) {
+        return THEMATIC_SETTINGS.UNKNOWN_COLOUR;
+    }
+    if (attribute.categories) {
+        // Spread the classes over the whole scale
+        const scale = THEMATIC_SETTINGS.SCALE;
+        const index = attribute.categories.indexOf(category);
+        return scale[Math.round(index * (scale.length - 1) / Math.max(1, attribute.categories.length - 1))];
+    }
+    if (!thematicColours.has(category)) {
+        const palette = THEMATIC_SETTINGS.PALETTE;
+        thematicColours.set(category, palette[thematicColours.size % palette.length]);
+    }
+    return thematicColours.get(category);
+}
+
+/**
+ * Gets the thematic colour of a lamp
+ * @param {object} props - Light properties, see extractLightTags()
+ * @returns {string|null} CSS colour, null if no attribute is chosen
+ */
+function getThematicColour(props) {
+    if (!thematicAttribute) {
+        return null;
+    }
+    return getThematicCategoryColour(thematicAttribute, thematicAttribute.getCategory(props));
+}
+
+/**
+ * Sets the attribute the markers are coloured by and renders the markers again
+ * @param {string|null} id - Attribute ID, null or unknown IDs for the light colours
+ */
+function setThematicAttribute(id) {
+    const attribute = getThematicAttribute(id) || null;
+    if (attribute === thematicAttribute) {
+        return;
+    }
+    thematicAttribute = attribute;
+    thematicColours = new Map();
+    // Icons are created with their colour, so rebuild all markers
+    MoveCall(5);
+    if (thematicHash) {
+        thematicHash.onMapMove();
+    }
+    $("#thematic_select").val(attribute ? attribute.id : '');
+    updateThematicLegend();
+}
+
+/**
+ * Keeps the chosen attribute in the permalink
+ * @param {L.Hash} hash - Permalink of the map
+ */
+function initThematicMap(hash) {
+    thematicHash = hash;
+    hash.addParameter(THEMATIC_HASH_PARAMETER,
+        () => thematicAttribute ? thematicAttribute.id : '',
+        value => setThematicAttribute(value));
+}
+
+/**
+ * Counts the shown street lamps per class of the chosen attribute
+ * @returns {Array} Legend rows [{label, colour, count}], ordered classes in order, others most frequent first, unknown last
+ */
+function getThematicLegend() {
+    if (!thematicAttribute) {
+        return [];
+    }
+    const counts = new Map(); // class -> count
+    renderedElements.forEach(entry => {
+        const type = findObjectType(entry.element.tags);
+        if (type && type.id === 'street_lamp' && !entry.hidden) {
+            const category = thematicAttribute.getCategory(type.extractTags(entry.element.tags));
+            counts.set(category, (counts.get(category) || 0) + 1);
+        }
+    });
+
+    const categories = Array.from(counts.keys()).filter(category => category !== null);
+    if (thematicAttribute.categories) {
+        categories.sort((a, b) => thematicAttribute.categories.indexOf(a) - thematicAttribute.categories.indexOf(b));
+    } else {
+        categories.sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    }
+    if (counts.has(null)) {
+        categories.push(null);
+    }
+
+    return categories.map(category => ({
+        label: category === null ? i18next.t('thematic_unknown') : thematicAttribute.getLabel(category),
+        colour: getThematicCategoryColour(thematicAttribute, category),
+        count: counts.get(category)
+    }));
+}
+
+/**
+ * Shows the legend of the chosen attribute in the thematic control
+ */
+function updateThematicLegend() {
+    const legend = $("#thematic_legend").empty();
+    getThematicLegend().forEach(row => {
+        legend.append($('<div>').append(
+            $('<span class="thematic_swatch">').css('background-color', row.colour),
+            $('<span>').text(row.label + ' (' + row.count + ')')
+        ));
+    });
+}
+
+/**
+ * Fills the attribute select of the thematic control in the current language
+ */
+function renderThematicSelect() {
+    const select = $("#thematic_select").empty().append($('<option>').val('').text(i18next.t('thematic_none')));
+    THEMATIC_ATTRIBUTES.forEach(attribute => {
+        select.append($('<option>').val(attribute.id).text(i18next.t(attribute.labelKey)));
+    });
+    select.val(thematicAttribute ? thematicAttribute.id : '');
+    $("#thematic_title").text(i18next.t('thematic_title'));
+}
+
+/**
+ * Creates the map control choosing the attribute and showing its legend
+ * @returns {L.Control} Control
+ */
+function createThematicControl() {
+    const ThematicControl = L.Control.extend({
+        options: {
+            position: 'topleft'
+        },
+        onAdd: function() {
+            const container = L.DomUtil.create('div', 'leaflet-control-layers thematic_control');
+            container.innerHTML = '<span id="thematic_title">Colour by</span> <select id="thematic_select"></select>' +
+                '<div id="thematic_legend"></div>';
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            $(container).find('select').on('change', function() {
+                setThematicAttribute($(this).val());
+            });
+            return container;
+        }
+    });
+    return new ThematicControl();
+}
@@ -0,0 +1,75 @@
+/**
+ * Test file for the thematic map
+ * Run these tests to verify the colouring of the lamps by their attributes
+ */
+
+/**
+ * Test thematic map
+ */
+function testThematicMap() {
+    console.log("\nTesting Thematic Map...");
+    
+    const { assert, finish } = createTestSuite("Thematic Map");
+    
+    const lampProps = tags => getObjectType('street_lamp').extractTags(Object.assign({ highway: 'street_lamp' }, tags));
+    const previousAttribute = thematicAttribute;
+    const previousColours = thematicColours;
+    
+    // Test 1: Classes
+    {
+        assert(getAgeClass(1965) === '0' && getAgeClass(1990) === '2' && getAgeClass(2020) === String(THEMATIC_SETTINGS.AGE_CLASS_YEARS.length), "Start years are put into age classes");
+        assert(getAgeClass(null) === null, "Lamps without start date have no age class");
+        assert(getCompletenessClass(lampProps({})) === 'sparse', "Lamp without details is sparse");
+        assert(getCompletenessClass(lampProps({ operator: 'A', ref: '1', 'light:method': 'LED' })) === 'partial', "Lamp with half of the details is partly complete");
+        assert(getCompletenessClass(lampProps({ operator: 'A', ref: '1', 'light:method': 'LED', support: 'pole', height: '6', start_date: '2001' })) === 'complete', "Lamp with all details is complete");
+        assert(getThematicAttribute('method').getCategory(lampProps({ 'light:method': 'SON' })) === getThematicAttribute('method').getCategory(lampProps({ 'light:method': 'high_pressure_sodium' })), "Spellings of the same method share a class");
+    }
+    
+    // Test 2: Colours
+    {
+        thematicAttribute = null;
+        assert(getThematicColour(lampProps({ operator: 'A' })) === null, "Lamps keep their light colour without attribute");
+        
+        thematicAttribute = getThematicAttribute('operator');
+        thematicColours = new Map();
+        const colourA = getThematicColour(lampProps({ operator: 'A' }));
+        assert(colourA === THEMATIC_SETTINGS.PALETTE[0] && getThematicColour(lampProps({ operator: 'B' })) === THEMATIC_SETTINGS.PALETTE[1], "Operators get palette colours");
+        assert(getThematicColour(lampProps({ operator: 'A' })) === colourA, "Operator keeps its colour");
+        assert(getThematicColour(lampProps({})) === THEMATIC_SETTINGS.UNKNOWN_COLOUR, "Lamps without operator are grey");
+        
+        thematicAttribute = getThematicAttribute('completeness');
+        assert(getThematicColour(lampProps({})) === THEMATIC_SETTINGS.SCALE[0], "Sparse lamps get the first scale colour");
+        assert(getThematicCategoryColour(thematicAttribute, 'complete') === THEMATIC_SETTINGS.SCALE[THEMATIC_SETTINGS.SCALE.length - 1], "Complete lamps get the last scale colour");
+    }
+    
+    // Test 3: Markers and legend
+    {
+        thematicAttribute = getThematicAttribute('operator');
+        thematicColours = new Map();
+        clearRenderedElements();
+        renderOSMTiles(new Map([['tile_a', { nodes: [
+            { type: 'node', id: 41, lat: 52.5, lon: 13.4, tags: { highway: 'street_lamp', operator: 'B' } },
+            { type: 'node', id: 42, lat: 52.5, lon: 13.401, tags: { highway: 'street_lamp', operator: 'A' } },
+            { type: 'node', id: 43, lat: 52.5, lon: 13.402, tags: { highway: 'street_lamp', operator: 'A' } },
+            { type: 'node', id: 44, lat: 52.5, lon: 13.403, tags: { highway: 'street_lamp' } },
+            { type: 'node', id: 45, lat: 52.5, lon: 13.404, tags: { aeroway: 'navigationaid', navigationaid: 'papi', operator: 'C' } }
+        ], ways: [] }]]));
+        
+        const html = renderedElements.get('node/41').rendered[0].marker.options.icon.options.html;
+        assert(html.includes('radial-gradient') && html.includes(getThematicCategoryColour(thematicAttribute, 'B')), "Marker is coloured by its operator");
+        assert(!renderedElements.get('node/45').rendered[0].marker.options.icon.options.html.includes('radial-gradient'), "Aviation lights are not coloured");
+        
+        const legend = getThematicLegend();
+        assert(legend.map(row => row.label + ':' + row.count).join(',') === 'A:2,B:1,' + i18next.t('thematic_unknown') + ':1', "Legend counts the lamps in view, most frequent first, unknown last");
+        
+        clearRenderedElements();
+    }
+    
+    thematicAttribute = previousAttribute;
+    thematicColours = previousColours;
+    
+    return finish();
+}
+
+// Make test functions available globally for manual testing
+window.testThematicMap = testThematicMap;
@@ -0,0 +1,13 @@
+/**
+ * Shared utilities for OSM Objects
+ * Helpers used by several features, loaded right after the settings.
+ */
+
+/**
+ * Escapes text for HTML and XML content and attribute values, quoted with " or '
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
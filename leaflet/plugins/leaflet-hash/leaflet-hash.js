@@ -22,13 +22,24 @@
 			var zoom = parseInt(args[0], 10),
 			lat = parseFloat(args[1]),
 			lon = parseFloat(args[2]),
-			layers = args[3];
+			layers,
+			params = {};
+			// Named parameters ("name=value") follow the layers
+			for (var i = 3; i < args.length; i++) {
+				var separator = args[i].indexOf('=');
+				if (separator > 0) {
+					params[args[i].substr(0, separator)] = args[i].substr(separator + 1);
+				} else if (layers === undefined) {
+					layers = args[i];
+				}
+			}
 			if (isNaN(zoom) || isNaN(lat) || isNaN(lon)) {
 				return false;
 			} else {
 				var result = {
 					center: new L.LatLng(lat, lon),
-					zoom: zoom
+					zoom: zoom,
+					params: params
 				};
 				if (layers) {
 					result.layers = layers.split(',');
@@ -61,6 +72,13 @@
 		if (layers.length > 0) {
 			params.push(layers.join(','));
 		}
+		// Named parameters, empty values are left out
+		for (var name in this.parameters) {
+			var value = this.parameters[name].getValue();
+			if (value) {
+				params.push(name + '=' + value);
+			}
+		}
 		return "#" + params.join("/");
 	},
 
@@ -69,6 +87,7 @@
 		lastHash: null,
 		baseLayers: null,
 		overlays: null,
+		parameters: null,
 
 		parseHash: L.Hash.parseHash,
 		formatHash: L.Hash.formatHash,
@@ -77,6 +96,7 @@
 			this.map = map;
 			this.baseLayers = baseLayers || {};
 			this.overlays = overlays || {};
+			this.parameters = this.parameters || {};
 
 			// reset the hash
 			this.lastHash = null;
@@ -87,6 +107,12 @@
 			}
 		},
 
+		// Keeps further state in the hash as "name=value". The value must not contain "/",
+		// setValue receives null if the parameter is missing in the hash.
+		addParameter: function(name, getValue, setValue) {
+			this.parameters[name] = {getValue: getValue, setValue: setValue};
+		},
+
 		removeFrom: function(map) {
 			if (this.changeTimeout) {
 				clearTimeout(this.changeTimeout);
@@ -144,6 +170,10 @@
 					this.map.addLayer(this.overlays['benches']);
 				}
 
+				for (var name in this.parameters) {
+					this.parameters[name].setValue(parsed.params.hasOwnProperty(name) ? parsed.params[name] : null);
+				}
+
 
 				this.movingMap = false;
 			} else {